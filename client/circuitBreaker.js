@@ -0,0 +1,133 @@
+const logger = require("../logger/Logger");
+
+const CircuitState = Object.freeze({
+    CLOSED: "CLOSED",
+    OPEN: "OPEN",
+    HALF_OPEN: "HALF_OPEN",
+});
+
+/**
+ * Error lanzado sin llamar al servicio mientras el circuito está abierto
+ */
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`Circuito ${name} abierto`);
+        this.name = "CircuitOpenError";
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Circuit breaker en memoria.
+ * CLOSED: deja pasar las llamadas y cuenta los fallos seguidos; al llegar a failureThreshold pasa a OPEN.
+ * OPEN: rechaza sin llamar hasta que pasan resetTimeoutMs; entonces pasa a HALF_OPEN.
+ * HALF_OPEN: deja pasar una sola llamada de prueba; si funciona cierra el circuito, si falla lo vuelve a abrir.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Nombre para logs y health checks
+     * @param {number} options.failureThreshold - Fallos seguidos que abren el circuito
+     * @param {number} options.resetTimeoutMs - Tiempo en OPEN antes de probar de nuevo
+     * @param {Function} [options.now] - Reloj (para pruebas)
+     */
+    constructor({ name, failureThreshold, resetTimeoutMs, now = Date.now }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.now = now;
+
+        this.state = CircuitState.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * @private
+     * Cambia de estado dejando traza
+     */
+    _transition(state) {
+        if (this.state === state) return;
+        logger.warn("[CircuitBreaker]", "Cambio de estado del circuito", { name: this.name, from: this.state, to: state });
+        this.state = state;
+    }
+
+    /**
+     * @private
+     * Decide si la llamada puede pasar; en OPEN vencido se pasa a HALF_OPEN
+     */
+    _allowRequest() {
+        if (this.state === CircuitState.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+            this._transition(CircuitState.HALF_OPEN);
+        }
+        if (this.state === CircuitState.CLOSED) return true;
+        if (this.state === CircuitState.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    _onSuccess() {
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this._transition(CircuitState.CLOSED);
+    }
+
+    _onFailure(error) {
+        this.consecutiveFailures += 1;
+        this.lastError = error.message;
+        this.trialInFlight = false;
+
+        if (this.state === CircuitState.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = this.now();
+            this._transition(CircuitState.OPEN);
+        }
+    }
+
+    /**
+     * Ejecuta una llamada protegida por el circuito
+     * @param {Function} fn - Función async a ejecutar
+     * @param {Function} [isFailure] - Indica si un error cuenta como fallo del servicio (por defecto todos)
+     * @returns {Promise<*>}
+     * @throws {CircuitOpenError} Si el circuito está abierto
+     */
+    async execute(fn, isFailure = () => true) {
+        if (!this._allowRequest()) {
+            throw new CircuitOpenError(this.name, new Date(this.openedAt + this.resetTimeoutMs));
+        }
+
+        try {
+            const result = await fn();
+            this._onSuccess();
+            return result;
+        } catch (error) {
+            if (isFailure(error)) {
+                this._onFailure(error);
+            } else {
+                this._onSuccess();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Estado actual para /health
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+            lastError: this.lastError,
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, CircuitState };
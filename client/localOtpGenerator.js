@@ -0,0 +1,33 @@
+const crypto = require("crypto");
+
+/**
+ * Generador y validador de OTP locales, usados como respaldo cuando servicio-otp no responde.
+ * Producen el mismo formato que el servicio remoto: solo dígitos, longitud fija.
+ */
+class LocalOtpGenerator {
+    /**
+     * @param {number} [length=6] - Cantidad de dígitos
+     */
+    constructor(length = 6) {
+        this.length = length;
+        this.formatRegex = new RegExp(`^\\d{${length}}$`);
+    }
+
+    /**
+     * @returns {{otp: string}}
+     */
+    createOtp() {
+        const otp = String(crypto.randomInt(0, 10 ** this.length)).padStart(this.length, "0");
+        return { otp };
+    }
+
+    /**
+     * @param {{otp: string}} request
+     * @returns {{isValidOtp: boolean}}
+     */
+    checkOtpFormat({ otp }) {
+        return { isValidOtp: typeof otp === "string" && this.formatRegex.test(otp) };
+    }
+}
+
+module.exports = LocalOtpGenerator;
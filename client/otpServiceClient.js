@@ -1,43 +1,133 @@
 const axios = require("axios");
+const otpServiceConfig = require("../config/otpService");
+const { ExternalServiceError } = require("../errors");
+const { CircuitBreaker, CircuitOpenError } = require("./circuitBreaker");
+const { retryWithBackoff } = require("./retry");
+const LocalOtpGenerator = require("./localOtpGenerator");
 const logger = require("../logger/Logger");
 
+// Errores de conexión en los que la petición no llegó al servicio: se pueden reintentar incluso en llamadas no idempotentes
+const CONNECTION_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "ECONNRESET"];
+
+// Circuito compartido por todas las instancias del proceso (los controladores crean su propio cliente)
+const sharedCircuitBreaker = new CircuitBreaker({
+    name: "servicio-otp",
+    ...otpServiceConfig.circuitBreaker,
+});
+
+/**
+ * @private
+ * Indica si el error corresponde a una falla del servicio (red, timeout o 5xx) y no a una respuesta 4xx
+ */
+const isServiceFailure = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * @private
+ * Indica si el error ocurrió antes de que el servicio recibiera la petición
+ */
+const isConnectionError = (error) => !error.response && CONNECTION_ERROR_CODES.includes(error.code);
+
 class OtpServiceClient {
-    constructor() {
-        this.baseUrl = process.env.OTP_SERVICE_URL || "http://localhost:8084/api/otp";
-        logger.info("[OtpServiceClient]", "Inicializando cliente OTP", { baseUrl: this.baseUrl });
+    /**
+     * @param {Object} [options] - Por defecto config/otpService.js y el circuito compartido
+     */
+    constructor({
+        baseUrl = otpServiceConfig.baseUrl,
+        timeoutMs = otpServiceConfig.timeoutMs,
+        retry = otpServiceConfig.retry,
+        fallback = otpServiceConfig.fallback,
+        circuitBreaker = sharedCircuitBreaker,
+        wait = undefined,
+    } = {}) {
+        this.baseUrl = baseUrl;
+        this.retry = { ...retry, wait };
+        this.circuitBreaker = circuitBreaker;
+        this.http = axios.create({ timeout: timeoutMs });
+        this.fallback = fallback.enabled ? new LocalOtpGenerator(fallback.length) : null;
+        logger.info("[OtpServiceClient]", "Inicializando cliente OTP", {
+            baseUrl: this.baseUrl,
+            timeoutMs,
+            fallback: Boolean(this.fallback),
+        });
     }
 
     /**
-     * Llama al servicio-otp para crear un nuevo OTP
-     * @returns {Promise<OtpCreationResponse>}
+     * Estado del circuito compartido y del respaldo local, para /health
+     * @returns {Object}
      */
-    async createOtp() {
-        logger.info("[OtpServiceClient]", "Solicitando creación de OTP...");
+    static getHealth() {
+        return {
+            ...sharedCircuitBreaker.getState(),
+            fallbackEnabled: otpServiceConfig.fallback.enabled,
+        };
+    }
+
+    /**
+     * @private
+     * Ejecuta una llamada con circuito, reintentos y, si está habilitado, respaldo local
+     * @param {string} operation - Nombre de la operación (logs)
+     * @param {Function} call - Llamada HTTP
+     * @param {Object} options
+     * @param {boolean} options.idempotent - Si se puede reintentar tras un timeout o un 5xx
+     * @param {Function} options.fallback - Respuesta local
+     */
+    async _call(operation, call, { idempotent, fallback }) {
         try {
-            const response = await axios.post(`${this.baseUrl}`);
-            logger.info("[OtpServiceClient]", "OTP creado exitosamente", { otp: response.data?.otp });
-            return response.data; // {"otp": "123456"}
+            return await this.circuitBreaker.execute(
+                () => retryWithBackoff(call, {
+                    ...this.retry,
+                    shouldRetry: (error) => (idempotent ? isServiceFailure(error) : isConnectionError(error)),
+                    onRetry: (error, attempt, delayMs) => {
+                        logger.warn("[OtpServiceClient]", "Reintentando llamada a servicio-otp", {
+                            operation, attempt, delayMs, error: error.message
+                        });
+                    },
+                }),
+                isServiceFailure
+            );
         } catch (error) {
-            logger.error("[OtpServiceClient]", "Error creando OTP", { error: error.message });
-            throw error;
+            if (this.fallback && (error instanceof CircuitOpenError || isServiceFailure(error))) {
+                logger.warn("[OtpServiceClient]", "⚠️ servicio-otp no disponible, se usa el respaldo local", {
+                    operation, error: error.message
+                });
+                return fallback();
+            }
+
+            logger.error("[OtpServiceClient]", "Error llamando a servicio-otp", { operation, error: error.message });
+            throw new ExternalServiceError("El servicio de OTP no está disponible", "OTP_SERVICE_ERROR", error);
         }
     }
 
     /**
-     * Llama al servicio-otp para validar el formato de un OTP
+     * Llama al servicio-otp para crear un nuevo OTP.
+     * No es idempotente: solo se reintenta si la petición no llegó al servicio.
+     * @returns {Promise<OtpCreationResponse>}
+     */
+    async createOtp() {
+        logger.info("[OtpServiceClient]", "Solicitando creación de OTP...");
+        const data = await this._call(
+            "createOtp",
+            async () => (await this.http.post(`${this.baseUrl}`)).data, // {"otp": "123456"}
+            { idempotent: false, fallback: () => this.fallback.createOtp() }
+        );
+        logger.info("[OtpServiceClient]", "OTP creado exitosamente");
+        return data;
+    }
+
+    /**
+     * Llama al servicio-otp para validar el formato de un OTP (idempotente)
      * @param {CheckOtpFormatRequest} request
      * @returns {Promise<CheckOtpFormatResponse>}
      */
     async checkOtpFormat(request) {
-        logger.info("[OtpServiceClient]", "Validando formato de OTP", { request });
-        try {
-            const response = await axios.post(`${this.baseUrl}/check`, request);
-            logger.info("[OtpServiceClient]", "Formato OTP validado exitosamente", { isValid: response.data?.isValidOtp });
-            return response.data; // {"isValidOtp": true/false}
-        } catch (error) {
-            logger.error("[OtpServiceClient]", "Error validando formato de OTP", { error: error.message });
-            throw error;
-        }
+        logger.info("[OtpServiceClient]", "Validando formato de OTP");
+        const data = await this._call(
+            "checkOtpFormat",
+            async () => (await this.http.post(`${this.baseUrl}/check`, request)).data, // {"isValidOtp": true/false}
+            { idempotent: true, fallback: () => this.fallback.checkOtpFormat(request) }
+        );
+        logger.info("[OtpServiceClient]", "Formato OTP validado exitosamente", { isValid: data?.isValidOtp });
+        return data;
     }
 }
 
@@ -0,0 +1,36 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Demora antes del reintento `attempt` (1 = primer reintento): backoff exponencial con "full jitter",
+ * un valor aleatorio entre 0 y min(maxDelayMs, baseDelayMs * 2^(attempt-1))
+ */
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) =>
+    Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+/**
+ * Ejecuta fn reintentando mientras shouldRetry(error) lo permita
+ * @param {Function} fn - Función async; recibe el número de intento (1..maxAttempts)
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Intentos totales (incluye el primero)
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {Function} [options.shouldRetry] - Recibe el error; por defecto siempre reintenta
+ * @param {Function} [options.onRetry] - Recibe (error, attempt, delayMs) antes de esperar
+ * @param {Function} [options.wait] - Espera (para pruebas)
+ * @returns {Promise<*>}
+ */
+const retryWithBackoff = async (fn, { maxAttempts, baseDelayMs, maxDelayMs, shouldRetry = () => true, onRetry = () => {}, wait = sleep }) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= maxAttempts || !shouldRetry(error)) throw error;
+
+            const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            onRetry(error, attempt, delayMs);
+            await wait(delayMs);
+        }
+    }
+};
+
+module.exports = { retryWithBackoff, backoffDelay };
@@ -0,0 +1,11 @@
+// Normalización de emails: define qué direcciones se consideran la misma cuenta
+const emailNormalizationConfig = {
+  // Reglas por proveedor (puntos en Gmail, subdirecciones +etiqueta, etc.). Desactivadas por defecto:
+  // al cambiarlas sobre datos existentes hay que recalcular users.email_normalized (npm run migrate:normalize-emails)
+  providerRules: process.env.EMAIL_PROVIDER_RULES === "true",
+
+  // Usuarios leídos por lote al recalcular users.email_normalized
+  backfillBatchSize: parseInt(process.env.EMAIL_NORMALIZATION_BATCH_SIZE) || 1000,
+};
+
+module.exports = emailNormalizationConfig;
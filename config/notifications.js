@@ -0,0 +1,41 @@
+// Los transportes console y file escriben los códigos en claro: solo se usan por defecto fuera de producción
+const production = process.env.NODE_ENV === "production";
+
+// Configuración del subsistema de notificaciones (notifications/)
+const notificationsConfig = {
+  // URL pública con la que se construyen los enlaces enviados al usuario
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || "http://localhost:8080").replace(/\/+$/, ""),
+
+  // Transporte por canal: smtp | file | console para EMAIL, sms | file | console para SMS
+  // (OTP_DELIVERY_TRANSPORT se mantiene como valor por defecto del canal EMAIL).
+  // En producción no hay valor por defecto: la entrega falla hasta que se configure el canal
+  transports: {
+    EMAIL: process.env.EMAIL_TRANSPORT || process.env.OTP_DELIVERY_TRANSPORT || (production ? null : "console"),
+    SMS: process.env.SMS_TRANSPORT || (production ? null : "console"),
+  },
+
+  // Con NODE_ENV=production se rechazan los transportes de desarrollo (console y file)
+  production,
+
+  smtp: {
+    host: process.env.SMTP_HOST || "localhost",
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null,
+    from: process.env.SMTP_FROM || "no-reply@localhost",
+  },
+
+  // Pasarela HTTP de SMS: recibe POST { from, to, message } con Authorization: Bearer <SMS_GATEWAY_API_KEY>
+  sms: {
+    gatewayUrl: process.env.SMS_GATEWAY_URL || null,
+    apiKey: process.env.SMS_GATEWAY_API_KEY || null,
+    sender: process.env.SMS_SENDER || "servicio-datos",
+    timeoutMs: parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS) || 5000,
+  },
+
+  // Archivo JSON Lines donde escribe el transporte file (pruebas locales)
+  filePath: process.env.NOTIFICATIONS_FILE_PATH || "notifications.log",
+};
+
+module.exports = notificationsConfig;
@@ -0,0 +1,38 @@
+const { OTP_PURPOSES } = require("../domain/otpPurpose");
+
+// Vigencia por defecto de un OTP, en minutos
+const ttlMinutes = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+
+// Configuración del ciclo de vida de los OTP
+const otpConfig = {
+  ttlMinutes,
+
+  // Vigencia por propósito: OTP_TTL_MINUTES_<PROPÓSITO> (p. ej. OTP_TTL_MINUTES_EMAIL_VERIFICATION=60)
+  ttlMinutesByPurpose: Object.fromEntries(
+    OTP_PURPOSES.map((purpose) => [purpose, parseInt(process.env[`OTP_TTL_MINUTES_${purpose}`]) || ttlMinutes])
+  ),
+
+  // Segundos que deben pasar desde el último OTP antes de permitir un reenvío
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+
+  // Intentos fallidos permitidos por OTP antes de revocarlo
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+
+  // Bloqueo por usuario: maxFailures fallos (entre todos sus OTP) dentro de windowMinutes
+  // bloquean la verificación durante durationMinutes
+  lockout: {
+    maxFailures: parseInt(process.env.OTP_LOCKOUT_MAX_FAILURES) || 10,
+    windowMinutes: parseInt(process.env.OTP_LOCKOUT_WINDOW_MINUTES) || 15,
+    durationMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15,
+  },
+
+  // Barrido periódico en proceso: expira OTP vencidos y purga los inactivos más antiguos que retentionDays
+  sweeper: {
+    enabled: process.env.OTP_SWEEPER_ENABLED !== "false",
+    intervalSeconds: parseInt(process.env.OTP_SWEEPER_INTERVAL_SECONDS) || 60,
+    batchSize: parseInt(process.env.OTP_SWEEPER_BATCH_SIZE) || 500,
+    retentionDays: parseInt(process.env.OTP_RETENTION_DAYS) || 30,
+  },
+};
+
+module.exports = otpConfig;
@@ -0,0 +1,28 @@
+// Configuración del cliente de servicio-otp (client/otpServiceClient.js)
+const otpServiceConfig = {
+  baseUrl: process.env.OTP_SERVICE_URL || "http://localhost:8084/api/otp",
+
+  // Tiempo máximo de cada llamada HTTP
+  timeoutMs: parseInt(process.env.OTP_SERVICE_TIMEOUT_MS) || 2000,
+
+  // Reintentos con backoff exponencial y jitter (solo llamadas idempotentes, ver OtpServiceClient)
+  retry: {
+    maxAttempts: parseInt(process.env.OTP_SERVICE_RETRY_ATTEMPTS) || 3,
+    baseDelayMs: parseInt(process.env.OTP_SERVICE_RETRY_BASE_DELAY_MS) || 100,
+    maxDelayMs: parseInt(process.env.OTP_SERVICE_RETRY_MAX_DELAY_MS) || 1000,
+  },
+
+  // Circuit breaker: tras failureThreshold fallos seguidos deja de llamar durante resetTimeoutMs
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.OTP_SERVICE_BREAKER_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.OTP_SERVICE_BREAKER_RESET_MS) || 30000,
+  },
+
+  // Generador y validador locales usados cuando servicio-otp no responde (desactivado por defecto)
+  fallback: {
+    enabled: process.env.OTP_LOCAL_FALLBACK === "true",
+    length: parseInt(process.env.OTP_LOCAL_LENGTH) || 6,
+  },
+};
+
+module.exports = otpServiceConfig;
@@ -0,0 +1,31 @@
+const fs = require("fs");
+
+/**
+ * Lee una lista de contraseñas prohibidas adicionales (una por línea) desde un archivo
+ */
+const readDenylistFile = (file) => {
+  if (!file) return [];
+  return fs.readFileSync(file, "utf8").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+};
+
+// Política de contraseñas aplicada en el registro, el cambio y el restablecimiento
+const passwordPolicyConfig = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+
+  // bcrypt solo considera los primeros 72 bytes
+  maxLength: 72,
+
+  // Clases de caracteres exigidas (PASSWORD_REQUIRE_<CLASE>=false para desactivarlas)
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+
+  // Cantidad de contraseñas recientes (incluida la actual) que no se pueden reutilizar; 0 lo desactiva
+  historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined ? parseInt(process.env.PASSWORD_HISTORY_SIZE) || 0 : 5,
+
+  // Se suma a la lista incluida en security/commonPasswords.js
+  denylist: readDenylistFile(process.env.PASSWORD_DENYLIST_FILE),
+};
+
+module.exports = passwordPolicyConfig;
@@ -0,0 +1,78 @@
+const fs = require("fs");
+
+/**
+ * Lee una clave PEM desde una variable de entorno (con \n escapados) o desde un archivo
+ */
+const readKey = (value, file) => {
+  if (file) return fs.readFileSync(file, "utf8");
+  return value ? value.replace(/\\n/g, "\n") : null;
+};
+
+/**
+ * Parsea API_KEYS con el formato "nombre:clave:rol1|rol2;nombre2:clave2:rol3"
+ */
+const parseApiKeys = (raw) =>
+  (raw || "")
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const parts = entry.split(":");
+      const name = parts.shift();
+      const roles = parts.pop();
+      return { name, key: parts.join(":"), roles: roles.split("|").filter(Boolean) };
+    })
+    .filter(({ name, key, roles }) => name && key && roles.length > 0);
+
+// Configuración de seguridad (contraseñas, tokens, etc.)
+const securityConfig = {
+  // Factor de costo de bcrypt (2^n iteraciones)
+  bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10,
+
+  // Tokens de servicio (JWT). HS256 usa JWT_SECRET; RS256 usa la clave pública local
+  jwt: {
+    secret: process.env.JWT_SECRET || null,
+    publicKey: readKey(process.env.JWT_PUBLIC_KEY, process.env.JWT_PUBLIC_KEY_FILE),
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+  },
+
+  // API keys estáticas para llamadas entre servicios
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+
+  // Inicio de sesión: tras maxFailedAttempts fallos consecutivos la cuenta se bloquea durante lockoutMinutes
+  login: {
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  },
+
+  // Sesiones: cada rotación del refresh token extiende la vigencia de la sesión refreshTokenTtlDays
+  sessions: {
+    refreshTokenTtlDays: parseInt(process.env.SESSION_REFRESH_TOKEN_TTL_DAYS) || 30,
+  },
+
+  // Doble factor TOTP (RFC 6238). encryptionKey cifra los secretos con AES-256-GCM: 32 bytes en hex o base64
+  totp: {
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY || null,
+    issuer: process.env.TOTP_ISSUER || "servicio-datos",
+    digits: 6,
+    periodSeconds: 30,
+    // Pasos de tolerancia antes y después del actual (desfase de reloj del dispositivo)
+    window: parseInt(process.env.TOTP_WINDOW) || 1,
+    recoveryCodeCount: parseInt(process.env.TOTP_RECOVERY_CODES) || 10,
+  },
+
+  // Cambio de email: vigencia del código enviado a la dirección nueva e intentos antes de cancelar la solicitud
+  emailChange: {
+    ttlMinutes: parseInt(process.env.EMAIL_CHANGE_TTL_MINUTES) || 60,
+    maxAttempts: parseInt(process.env.EMAIL_CHANGE_MAX_ATTEMPTS) || 5,
+  },
+
+  // Secreto del servidor para el HMAC de los OTP: sin él, un volcado de la tabla otp no permite probar códigos.
+  // Obligatorio con NODE_ENV=production (security/otpHasher.js falla en el primer uso si falta)
+  otpHashPepper: process.env.OTP_HASH_PEPPER || null,
+
+  production: process.env.NODE_ENV === "production",
+};
+
+module.exports = securityConfig;
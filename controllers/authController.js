@@ -0,0 +1,143 @@
+const VerifyCredentialsRequest = require("../models/VerifyCredentialsRequest");
+const CredentialsVerificationResponse = require("../models/CredentialsVerificationResponse");
+const LoginResponse = require("../models/LoginResponse");
+const SessionTokenResponse = require("../models/SessionTokenResponse");
+const ResponseModel = require("../models/ResponseModel");
+const UserRepository = require("../repositories/userRepository");
+const SessionRepository = require("../repositories/sessionRepository");
+const logger = require("../logger/Logger");
+
+class AuthController {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.sessionRepository = new SessionRepository();
+  }
+
+  /**
+   * @private
+   * Datos del cliente final reenviados por el servicio llamante (user agent, IP, dispositivo)
+   */
+  _sessionClient(body) {
+    return {
+      deviceName: body.device_name || null,
+      userAgent: body.user_agent || null,
+      ipAddress: body.ip_address || null,
+    };
+  }
+
+  /**
+   * POST /api/auth/verify-credentials
+   * Compara email y contraseña dentro del servicio, sin exponer el hash.
+   * Aplica el mismo bloqueo por intentos fallidos y el mismo doble factor que el inicio de sesión
+   * @param {Object} req - Request object de Express
+   * @param {Object} res - Response object de Express
+   * @param {Function} next - Delega errores al middleware central
+   */
+  async verifyCredentials(req, res, next) {
+    const controller = "AuthController";
+    logger.info(controller, "🔐 Verificando credenciales...");
+
+    try {
+      const request = VerifyCredentialsRequest.fromBody(req.body || {});
+      if (!request.email || !request.password) {
+        logger.warn(controller, "Solicitud sin email o contraseña", { body: request.toJSON() });
+        const response = ResponseModel.badRequest("El email y la contraseña son obligatorios");
+        return response.send(res);
+      }
+
+      const user = await this.userRepository.verifyCredentials(request.email, request.password, {
+        totpCode: request.totpCode,
+        recoveryCode: request.recoveryCode,
+      });
+
+      if (!user) {
+        logger.warn(controller, "🚫 Credenciales inválidas", { email: request.email });
+        const response = ResponseModel.success(
+          "Credenciales inválidas",
+          CredentialsVerificationResponse.rejected().toJSON()
+        );
+        return response.send(res);
+      }
+
+      logger.info(controller, "✅ Credenciales verificadas", { userId: user.id });
+      const response = ResponseModel.success(
+        "Credenciales verificadas exitosamente",
+        CredentialsVerificationResponse.verified(user).toJSON()
+      );
+      return response.send(res);
+
+    } catch (error) {
+      logger.error(controller, "❌ Error verificando credenciales", {
+        message: error.message,
+        stack: error.stack,
+      });
+
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/login
+   * Inicia sesión con email y contraseña y abre una sesión con su refresh token.
+   * Los rechazos llegan como errores tipados desde el repositorio
+   * (INVALID_CREDENTIALS, LOGIN_LOCKED, ACCOUNT_DELETED, ACCOUNT_PENDING_VALIDATION, ...)
+   * @param {Object} req - Request object de Express
+   * @param {Object} res - Response object de Express
+   * @param {Function} next - Delega errores al middleware central
+   */
+  async login(req, res, next) {
+    const controller = "AuthController";
+    const { email, password } = req.body;
+    logger.info(controller, "🔐 Iniciando sesión...", { email });
+
+    try {
+      const user = await this.userRepository.login(email, password, {
+        totpCode: req.body.totp_code || null,
+        recoveryCode: req.body.recovery_code || null,
+      });
+      const issuedSession = await this.sessionRepository.create(user.id, this._sessionClient(req.body));
+
+      logger.info(controller, "✅ Sesión iniciada", { userId: user.id, sessionId: issuedSession.session.id });
+      const response = ResponseModel.success(
+        "Inicio de sesión exitoso",
+        LoginResponse.fromUser(user, issuedSession).toJSON()
+      );
+      return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "🚫 Inicio de sesión rechazado", { email, type: error.type, message: error.message });
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/token/refresh
+   * Rota el refresh token: el presentado queda inutilizado y se entrega uno nuevo.
+   * Reutilizar un token ya rotado revoca la sesión completa (REFRESH_TOKEN_REUSED).
+   * @param {Object} req - Request object de Express
+   * @param {Object} res - Response object de Express
+   * @param {Function} next - Delega errores al middleware central
+   */
+  async refreshToken(req, res, next) {
+    const controller = "AuthController";
+    logger.info(controller, "🔄 Rotando refresh token...");
+
+    try {
+      const { userAgent, ipAddress } = this._sessionClient(req.body);
+      const issued = await this.sessionRepository.rotate(req.body.refresh_token, { userAgent, ipAddress });
+
+      logger.info(controller, "✅ Refresh token rotado", { sessionId: issued.session.id });
+      const response = ResponseModel.success(
+        "Sesión renovada exitosamente",
+        SessionTokenResponse.fromIssued(issued).toJSON()
+      );
+      return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "🚫 Renovación de sesión rechazada", { type: error.type, message: error.message });
+      return next(error);
+    }
+  }
+}
+
+module.exports = AuthController;
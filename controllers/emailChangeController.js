@@ -0,0 +1,197 @@
+const EmailChangeRepository = require('../repositories/emailChangeRepository');
+const UserRepository = require('../repositories/userRepository');
+const OtpServiceClient = require('../client/otpServiceClient');
+const OtpDeliveryChannel = require('../notifications/otpDeliveryChannel');
+const EmailChangeResponse = require('../models/EmailChangeResponse');
+const UserResponse = require('../models/UserResponse');
+const ResponseModel = require('../models/ResponseModel');
+const notificationsConfig = require('../config/notifications');
+const securityConfig = require('../config/security');
+const { NotificationChannel } = require('../domain/notificationChannel');
+const { ExternalServiceError, NotFoundError } = require("../errors");
+const logger = require("../logger/Logger");
+
+/**
+ * @private
+ * Oculta la parte local del email para el aviso a la dirección anterior (ju***@example.com)
+ */
+const maskEmail = (email) => {
+    const [local, domain] = email.split("@");
+    return `${local.slice(0, 2)}***@${domain}`;
+};
+
+class EmailChangeController {
+
+    constructor() {
+        this.emailChangeRepository = new EmailChangeRepository();
+        this.userRepository = new UserRepository();
+        this.otpServiceClient = new OtpServiceClient();
+        this.otpDeliveryChannel = new OtpDeliveryChannel();
+    }
+
+    /**
+     * @private
+     * Verifica que el usuario exista y no esté eliminado
+     * @throws {NotFoundError} USER_NOT_FOUND
+     */
+    async _assertUserExists(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+        }
+        return user;
+    }
+
+    /**
+     * @private
+     * Envía el código a la dirección nueva. Si la entrega falla la solicitud se cancela: nadie podría confirmarla.
+     * @throws {ExternalServiceError} OTP_DELIVERY_ERROR
+     */
+    async _deliverCode(request, code) {
+        try {
+            await this.otpDeliveryChannel.deliver({
+                channel: NotificationChannel.EMAIL,
+                to: request.new_email,
+                code,
+                purpose: "EMAIL_CHANGE",
+                url: `${notificationsConfig.publicBaseUrl}/api/v1/users/${request.user_id}/email_change/confirm`,
+                ttlMinutes: securityConfig.emailChange.ttlMinutes,
+            });
+        } catch (error) {
+            logger.error("EmailChangeController", "❌ No se pudo enviar el código al email nuevo, se cancela", {
+                userId: request.user_id, message: error.message
+            });
+            await this.emailChangeRepository.cancel(request.user_id).catch(() => {});
+            throw new ExternalServiceError("No se pudo enviar el código al email nuevo", "OTP_DELIVERY_ERROR", error);
+        }
+        request.delivery_status = "SENT";
+    }
+
+    /**
+     * @private
+     * Avisa a la dirección anterior del cambio. Es informativo: si falla, el cambio ya confirmado se mantiene.
+     */
+    async _notifyPreviousEmail(previousEmail, newEmail, userId) {
+        try {
+            await this.otpDeliveryChannel.notify({
+                channel: NotificationChannel.EMAIL,
+                to: previousEmail,
+                notice: "EMAIL_CHANGED",
+                variables: { newEmail: maskEmail(newEmail) },
+            });
+        } catch (error) {
+            logger.error("EmailChangeController", "❌ No se pudo avisar al email anterior", { userId, message: error.message });
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/email_change
+     * Inicia un cambio de email: envía un código a la dirección nueva
+     */
+    async requestChange(req, res, next) {
+        const controller = "EmailChangeController";
+        const userId = parseInt(req.params.id);
+        const { new_email: newEmail } = req.body;
+        logger.info(controller, "🚀 Solicitando cambio de email...", { userId, newEmail });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const { otp: code } = await this.otpServiceClient.createOtp();
+            const request = await this.emailChangeRepository.request(userId, newEmail, code);
+            await this._deliverCode(request, code);
+
+            logger.info(controller, "✅ Código de cambio de email enviado", { userId, requestId: request.id });
+            const response = ResponseModel.success(
+                "Se envió un código de confirmación al email nuevo",
+                EmailChangeResponse.fromRequest(request).toJSON(),
+                201
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error solicitando cambio de email", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * GET /api/users/{id}/email_change
+     * Cambio de email pendiente del usuario
+     */
+    async getPending(req, res, next) {
+        const controller = "EmailChangeController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Consultando cambio de email pendiente...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const request = await this.emailChangeRepository.findPending(userId);
+            if (!request) {
+                throw new NotFoundError("No hay un cambio de email pendiente", "EMAIL_CHANGE_NOT_FOUND");
+            }
+
+            const response = ResponseModel.success("Cambio de email pendiente obtenido", EmailChangeResponse.fromRequest(request).toJSON());
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error consultando cambio de email", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/email_change/confirm
+     * Confirma el cambio con el código recibido en la dirección nueva y avisa a la anterior
+     */
+    async confirmChange(req, res, next) {
+        const controller = "EmailChangeController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Confirmando cambio de email...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const { user, previousEmail } = await this.emailChangeRepository.confirm(userId, req.body.otp);
+            await this._notifyPreviousEmail(previousEmail, user.email, userId);
+
+            logger.info(controller, "✅ Email cambiado", { userId });
+            const response = ResponseModel.success("Email actualizado exitosamente", UserResponse.fromUser(user).toJSON());
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error confirmando cambio de email", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/{id}/email_change
+     * Cancela el cambio de email pendiente
+     */
+    async cancelChange(req, res, next) {
+        const controller = "EmailChangeController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Cancelando cambio de email...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const cancelled = await this.emailChangeRepository.cancel(userId);
+            if (!cancelled) {
+                throw new NotFoundError("No hay un cambio de email pendiente", "EMAIL_CHANGE_NOT_FOUND");
+            }
+
+            logger.info(controller, "✅ Cambio de email cancelado", { userId });
+            const response = ResponseModel.success("Cambio de email cancelado exitosamente");
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error cancelando cambio de email", { userId, message: error.message });
+            return next(error);
+        }
+    }
+}
+
+module.exports = EmailChangeController;
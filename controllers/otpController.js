@@ -1,37 +1,119 @@
 const OtpServiceClient = require("../client/otpServiceClient");
 const ResponseModel = require("../models/ResponseModel");
+const { BadRequestError, NotFoundError, ExternalServiceError } = require("../errors");
+const { OtpPurpose, DEFAULT_OTP_PURPOSE } = require("../domain/otpPurpose");
+const { NotificationChannel, DEFAULT_NOTIFICATION_CHANNEL } = require("../domain/notificationChannel");
+const notificationsConfig = require("../config/notifications");
 const OtpRepository = require("../repositories/otpRepository");
+const UserRepository = require("../repositories/userRepository");
+const OtpDeliveryChannel = require("../notifications/otpDeliveryChannel");
+const EmailNormalizer = require("../domain/emailNormalizer");
 const logger = require("../logger/Logger");  // ← importa el logger
 
 class OtpController {
   constructor() {
     this.otpRepository = new OtpRepository();
+    this.userRepository = new UserRepository();
     this.otpServiceClient = new OtpServiceClient();
+    this.otpDeliveryChannel = new OtpDeliveryChannel();
+    this.emailNormalizer = new EmailNormalizer();
   }
 
-  async createOtp(req, res) {
+  /**
+   * Resuelve el destinatario del OTP según el canal, antes de generar el código.
+   * EMAIL usa la dirección normalizada; SMS, el teléfono guardado del usuario.
+   * @param {string} email - Email del usuario
+   * @param {string} channel - EMAIL | SMS
+   * @returns {Promise<string>} Email o teléfono
+   * @throws {NotFoundError} USER_NOT_FOUND
+   * @throws {BadRequestError} PHONE_NOT_AVAILABLE si el usuario no tiene teléfono
+   */
+  async _resolveRecipient(email, channel) {
+    if (channel !== NotificationChannel.SMS) return this.emailNormalizer.normalize(email);
+
+    const user = await this.userRepository.findByEmail(email);
+    if (!user) {
+      throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+    }
+    if (!user.phone) {
+      throw new BadRequestError("El usuario no tiene un teléfono registrado para recibir SMS", "PHONE_NOT_AVAILABLE");
+    }
+    return user.phone;
+  }
+
+  /**
+   * Entrega el código al usuario por el canal dedicado y registra el resultado en el OTP.
+   * Si la entrega falla, el OTP se revoca: nadie podría usarlo y bloquearía el reenvío.
+   * @param {OtpResponse} createdOtp - OTP persistido (se actualiza con el estado de entrega)
+   * @param {Object} recipient - { channel, to }
+   * @param {string} code - Código en texto plano
+   * @throws {ExternalServiceError} OTP_DELIVERY_ERROR
+   */
+  async _deliver(createdOtp, { channel, to }, code) {
+    try {
+      await this.otpDeliveryChannel.deliver({
+        channel,
+        to,
+        code,
+        purpose: createdOtp.purpose,
+        url: createdOtp.url,
+        otpId: createdOtp.id,
+      });
+    } catch (error) {
+      logger.error("OtpController", "❌ No se pudo entregar el OTP, se revoca", { otp_id: createdOtp.id, channel, message: error.message });
+      await this.otpRepository.recordDelivery(createdOtp.id, { status: "FAILED", channel, error: error.message }).catch(() => {});
+      await this.otpRepository.revoke(createdOtp.id).catch(() => {});
+      throw new ExternalServiceError("No se pudo entregar el OTP", "OTP_DELIVERY_ERROR", error);
+    }
+
+    await this.otpRepository.recordDelivery(createdOtp.id, { status: "SENT", channel });
+    createdOtp.delivery_status = "SENT";
+    createdOtp.delivery_channel = channel;
+  }
+
+  /**
+   * Construye la URL pública donde se canjea el OTP según su propósito (base en PUBLIC_BASE_URL)
+   * @param {number} userId - ID del usuario
+   * @param {string} purpose - Propósito del OTP
+   * @returns {string} Cadena vacía si el propósito no tiene URL asociada (LOGIN_2FA)
+   */
+  _buildActionUrl(userId, purpose) {
+    const baseUrl = notificationsConfig.publicBaseUrl;
+    const paths = {
+      [OtpPurpose.PASSWORD_RESET]: "password",
+      [OtpPurpose.EMAIL_VERIFICATION]: "account_status",
+    };
+    return paths[purpose] ? `${baseUrl}/api/v1/users/${userId}/${paths[purpose]}` : "";
+  }
+
+  /**
+   * POST /api/auth/otp
+   * Genera un OTP con servicio-otp y lo guarda para el usuario
+   */
+  async createOtp(req, res, next) {
     const controller = "OtpController";
     logger.info(controller, "🚀 Creando OTP...");
 
     try {
-      const { email } = req.body;
+      const { email, purpose = DEFAULT_OTP_PURPOSE, channel = DEFAULT_NOTIFICATION_CHANNEL } = req.body;
       if (!email) {
         logger.warn(controller, "Solicitud sin email proporcionado", { body: req.body });
         const response = ResponseModel.badRequest("El email del usuario es obligatorio");
         return response.send(res);
       }
 
+      const to = await this._resolveRecipient(email, channel);
+
       // ✅ Generamos OTP con el servicio externo
       logger.debug(controller, "Llamando a OtpServiceClient para generar OTP");
       const otpResponse = await this.otpServiceClient.createOtp();
 
       // Guardamos OTP en nuestra DB con el email
-      logger.debug(controller, "Guardando OTP en base de datos", { email });
-      const createdOtp = await this.otpRepository.create({ otp: otpResponse.otp, email });
+      logger.debug(controller, "Guardando OTP en base de datos", { email, purpose });
+      const createdOtp = await this.otpRepository.create({ otp: otpResponse.otp, email, purpose });
 
-      // Construimos URL para cambio de contraseña
-      const baseUrl = `http://localhost:8080`; // podrías mover esto a una env var
-      createdOtp.url = `${baseUrl}/api/v1/users/${createdOtp.user_id}/password`;
+      createdOtp.url = this._buildActionUrl(createdOtp.user_id, purpose);
+      await this._deliver(createdOtp, { channel, to }, otpResponse.otp);
 
       const response = ResponseModel.success(
         "OTP creado exitosamente",
@@ -48,8 +130,114 @@ class OtpController {
         stack: error.stack,
       });
 
-      const response = ResponseModel.internalError("Error al crear OTP");
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/otp/verify
+   * Valida y consume el OTP activo del usuario
+   */
+  async verifyOtp(req, res, next) {
+    const controller = "OtpController";
+    const { email, otp, purpose = DEFAULT_OTP_PURPOSE } = req.body;
+    logger.info(controller, "🚀 Verificando OTP...", { email, purpose });
+
+    try {
+      const verifiedOtp = await this.otpRepository.verifyByEmail(email, otp, purpose);
+
+      if (!verifiedOtp) {
+        throw new BadRequestError("El OTP es inválido o ha expirado", "INVALID_OTP");
+      }
+
+      logger.info(controller, "✅ OTP verificado", { email, otp_id: verifiedOtp.id });
+      const response = ResponseModel.success("OTP verificado exitosamente", {
+        verified: true,
+        otp_id: verifiedOtp.id,
+        user_id: verifiedOtp.user_id,
+        purpose: verifiedOtp.purpose,
+      });
       return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "⚠️ Error verificando OTP", { email, message: error.message });
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/otp/resend
+   * Reemplaza el OTP activo por uno nuevo respetando el cooldown
+   */
+  async resendOtp(req, res, next) {
+    const controller = "OtpController";
+    const { email, purpose = DEFAULT_OTP_PURPOSE, channel = DEFAULT_NOTIFICATION_CHANNEL } = req.body;
+    logger.info(controller, "🚀 Reenviando OTP...", { email, purpose, channel });
+
+    try {
+      const to = await this._resolveRecipient(email, channel);
+      // El cooldown se comprueba antes de pedir el código a servicio-otp
+      await this.otpRepository.assertResendAllowed(email, purpose);
+      const otpResponse = await this.otpServiceClient.createOtp();
+      const createdOtp = await this.otpRepository.resend({ otp: otpResponse.otp, email, purpose });
+      createdOtp.url = this._buildActionUrl(createdOtp.user_id, purpose);
+      await this._deliver(createdOtp, { channel, to }, otpResponse.otp);
+
+      logger.info(controller, "✅ OTP reenviado correctamente", { email, otp_id: createdOtp.id });
+      const response = ResponseModel.success("OTP reenviado exitosamente", createdOtp.toJSON(), 201);
+      return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "⚠️ Error reenviando OTP", { email, message: error.message });
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/auth/otp/:id
+   * Revoca un OTP activo
+   */
+  async revokeOtp(req, res, next) {
+    const controller = "OtpController";
+    const otpId = parseInt(req.params.id);
+    logger.info(controller, "🚀 Revocando OTP...", { otp_id: otpId });
+
+    try {
+      const revokedOtp = await this.otpRepository.revoke(otpId);
+
+      logger.info(controller, "✅ OTP revocado", { otp_id: otpId });
+      const response = ResponseModel.success("OTP revocado exitosamente", {
+        id: revokedOtp.id,
+        user_id: revokedOtp.user_id,
+        otp_status: revokedOtp.otp_status,
+        purpose: revokedOtp.purpose,
+      });
+      return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "⚠️ Error revocando OTP", { otp_id: otpId, message: error.message });
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/auth/otp/status?email=
+   * Estado del OTP más reciente del usuario (sin el código)
+   */
+  async getOtpStatus(req, res, next) {
+    const controller = "OtpController";
+    const { email, purpose = DEFAULT_OTP_PURPOSE } = req.query;
+    logger.info(controller, "🚀 Consultando estado de OTP...", { email, purpose });
+
+    try {
+      const status = await this.otpRepository.getStatus(email, purpose);
+
+      const response = ResponseModel.success("Estado del OTP obtenido exitosamente", status.toJSON());
+      return response.send(res);
+
+    } catch (error) {
+      logger.warn(controller, "⚠️ Error consultando estado de OTP", { email, message: error.message });
+      return next(error);
     }
   }
 }
@@ -0,0 +1,81 @@
+const ProfileRepository = require('../repositories/profileRepository');
+const UserRepository = require('../repositories/userRepository');
+const ProfileUpdate = require('../models/ProfileUpdate');
+const ProfileResponse = require('../models/ProfileResponse');
+const ResponseModel = require('../models/ResponseModel');
+const { NotFoundError } = require("../errors");
+const logger = require("../logger/Logger");
+
+class ProfileController {
+
+    constructor() {
+        this.profileRepository = new ProfileRepository();
+        this.userRepository = new UserRepository();
+    }
+
+    /**
+     * @private
+     * Verifica que el usuario exista y no esté eliminado
+     * @throws {NotFoundError} USER_NOT_FOUND
+     */
+    async _assertUserExists(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+        }
+        return user;
+    }
+
+    /**
+     * GET /api/users/{id}/profile
+     * Obtiene el perfil del usuario
+     */
+    async getProfile(req, res, next) {
+        const controller = "ProfileController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Obteniendo perfil...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const profile = await this.profileRepository.findByUserId(userId);
+            if (!profile) {
+                throw new NotFoundError("El usuario no tiene perfil", "PROFILE_NOT_FOUND");
+            }
+
+            logger.info(controller, "✅ Perfil obtenido exitosamente", { userId });
+            const response = ResponseModel.success("Perfil obtenido exitosamente", ProfileResponse.fromProfile(profile).toJSON());
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error obteniendo perfil", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/users/{id}/profile
+     * Actualiza los campos enviados del perfil (null o "" borra un campo)
+     */
+    async updateProfile(req, res, next) {
+        const controller = "ProfileController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Actualizando perfil...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const profile = await this.profileRepository.update(userId, new ProfileUpdate(req.body));
+
+            logger.info(controller, "✅ Perfil actualizado exitosamente", { userId });
+            const response = ResponseModel.success("Perfil actualizado exitosamente", ProfileResponse.fromProfile(profile).toJSON());
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error actualizando perfil", { userId, message: error.message });
+            return next(error);
+        }
+    }
+}
+
+module.exports = ProfileController;
@@ -0,0 +1,108 @@
+const SessionRepository = require('../repositories/sessionRepository');
+const UserRepository = require('../repositories/userRepository');
+const SessionResponse = require('../models/SessionResponse');
+const ResponseModel = require('../models/ResponseModel');
+const { NotFoundError } = require("../errors");
+const logger = require("../logger/Logger");
+
+class SessionController {
+
+    constructor() {
+        this.sessionRepository = new SessionRepository();
+        this.userRepository = new UserRepository();
+    }
+
+    /**
+     * @private
+     * Verifica que el usuario exista y no esté eliminado
+     * @throws {NotFoundError} USER_NOT_FOUND
+     */
+    async _assertUserExists(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+        }
+        return user;
+    }
+
+    /**
+     * GET /api/users/{id}/sessions
+     * Lista las sesiones vigentes del usuario
+     */
+    async listSessions(req, res, next) {
+        const controller = "SessionController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Listando sesiones...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const sessions = await this.sessionRepository.findActiveByUserId(userId);
+
+            logger.info(controller, "✅ Sesiones obtenidas", { userId, total: sessions.length });
+            const response = ResponseModel.success(
+                "Sesiones obtenidas exitosamente",
+                sessions.map((session) => SessionResponse.fromSession(session).toJSON())
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error listando sesiones", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/{id}/sessions/{sid}
+     * Revoca una sesión del usuario (cierre de sesión en un dispositivo)
+     */
+    async revokeSession(req, res, next) {
+        const controller = "SessionController";
+        const userId = parseInt(req.params.id);
+        const sessionId = parseInt(req.params.sid);
+        logger.info(controller, "🚀 Revocando sesión...", { userId, sessionId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const revoked = await this.sessionRepository.revoke(userId, sessionId);
+            if (!revoked) {
+                throw new NotFoundError("Sesión no encontrada o ya revocada", "SESSION_NOT_FOUND");
+            }
+
+            logger.info(controller, "✅ Sesión revocada", { userId, sessionId });
+            const response = ResponseModel.success("Sesión revocada exitosamente", { revoked: 1 });
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error revocando sesión", { userId, sessionId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/{id}/sessions
+     * Revoca todas las sesiones del usuario (cierre de sesión en todos los dispositivos)
+     */
+    async revokeAllSessions(req, res, next) {
+        const controller = "SessionController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Revocando todas las sesiones...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const revoked = await this.sessionRepository.revokeAllForUser(userId);
+
+            logger.info(controller, "✅ Sesiones revocadas", { userId, revoked });
+            const response = ResponseModel.success("Sesiones revocadas exitosamente", { revoked });
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error revocando sesiones", { userId, message: error.message });
+            return next(error);
+        }
+    }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,194 @@
+const TotpRepository = require('../repositories/totpRepository');
+const UserRepository = require('../repositories/userRepository');
+const TotpStatusResponse = require('../models/TotpStatusResponse');
+const TotpEnrollmentResponse = require('../models/TotpEnrollmentResponse');
+const ResponseModel = require('../models/ResponseModel');
+const { NotFoundError } = require("../errors");
+const logger = require("../logger/Logger");
+
+class TwoFactorController {
+
+    constructor() {
+        this.totpRepository = new TotpRepository();
+        this.userRepository = new UserRepository();
+    }
+
+    /**
+     * @private
+     * Verifica que el usuario exista y no esté eliminado
+     * @throws {NotFoundError} USER_NOT_FOUND
+     */
+    async _assertUserExists(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+        }
+        return user;
+    }
+
+    /**
+     * @private
+     * Código TOTP o de recuperación enviado en el body
+     */
+    _factor(body) {
+        return { code: body.code || null, recoveryCode: body.recovery_code || null };
+    }
+
+    /**
+     * GET /api/users/{id}/2fa/totp
+     * Estado del doble factor del usuario
+     */
+    async getStatus(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Consultando doble factor...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const status = await this.totpRepository.getStatus(userId);
+
+            const response = ResponseModel.success("Estado del doble factor obtenido", TotpStatusResponse.fromStatus(status).toJSON());
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error consultando doble factor", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/2fa/totp
+     * Inicia la inscripción: devuelve el secreto y la URI otpauth:// para la app autenticadora
+     */
+    async enroll(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Iniciando inscripción TOTP...", { userId });
+
+        try {
+            const user = await this._assertUserExists(userId);
+
+            const enrollment = await this.totpRepository.enroll(userId, user.email);
+
+            logger.info(controller, "✅ Inscripción TOTP iniciada", { userId });
+            const response = ResponseModel.success(
+                "Escanee el código con su app autenticadora y confirme con el primer código",
+                TotpEnrollmentResponse.fromEnrollment(enrollment).toJSON(),
+                201
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error iniciando inscripción TOTP", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/2fa/totp/confirm
+     * Activa el doble factor con el primer código y entrega los códigos de recuperación
+     */
+    async confirm(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Confirmando inscripción TOTP...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const recoveryCodes = await this.totpRepository.confirm(userId, req.body.code);
+
+            logger.info(controller, "🎉 Doble factor activado", { userId });
+            const response = ResponseModel.success(
+                "Doble factor activado. Guarde los códigos de recuperación: no se volverán a mostrar",
+                { recovery_codes: recoveryCodes }
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error confirmando inscripción TOTP", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/2fa/totp/recovery_codes
+     * Reemplaza los códigos de recuperación (exige un código vigente)
+     */
+    async regenerateRecoveryCodes(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Regenerando códigos de recuperación...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const recoveryCodes = await this.totpRepository.regenerateRecoveryCodes(userId, this._factor(req.body));
+
+            logger.info(controller, "✅ Códigos de recuperación regenerados", { userId });
+            const response = ResponseModel.success(
+                "Códigos de recuperación regenerados; los anteriores ya no son válidos",
+                { recovery_codes: recoveryCodes }
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error regenerando códigos de recuperación", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/{id}/2fa/totp
+     * Desactiva el doble factor (exige un código vigente)
+     */
+    async disable(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Desactivando doble factor...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            await this.totpRepository.disable(userId, this._factor(req.body));
+
+            logger.info(controller, "✅ Doble factor desactivado", { userId });
+            const response = ResponseModel.success("Doble factor desactivado exitosamente");
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error desactivando doble factor", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/{id}/2fa/totp/reset
+     * Elimina el doble factor sin código (soporte, cuando el usuario perdió el dispositivo y los códigos)
+     */
+    async reset(req, res, next) {
+        const controller = "TwoFactorController";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Restableciendo doble factor...", { userId });
+
+        try {
+            await this._assertUserExists(userId);
+
+            const removed = await this.totpRepository.reset(userId);
+            if (!removed) {
+                throw new NotFoundError("El usuario no tiene doble factor", "TOTP_NOT_ENROLLED");
+            }
+
+            logger.info(controller, "✅ Doble factor restablecido", { userId });
+            const response = ResponseModel.success("Doble factor restablecido; el usuario puede inscribirse de nuevo");
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error restableciendo doble factor", { userId, message: error.message });
+            return next(error);
+        }
+    }
+}
+
+module.exports = TwoFactorController;
@@ -2,50 +2,32 @@ const UserRegister = require('../models/UserRegister');
 const UserUpdate = require('../models/UserUpdate');
 const UserResponse = require('../models/UserResponse');
 const UserAuthResponse = require('../models/UserAuthResponse');
+const UserListFilters = require('../models/UserListFilters');
 const UserRepository = require('../repositories/userRepository');
+const ProfileRepository = require('../repositories/profileRepository');
+const ProfileResponse = require('../models/ProfileResponse');
 const ResponseModel = require('../models/ResponseModel');
 const OtpRepository = require("../repositories/otpRepository");
 const OtpServiceClient = require("../client/otpServiceClient");
 const AccountStatusResponse = require("../models/AccountStatusResponse");
+const { AccountStatus } = require("../domain/accountStatusMachine");
+const { OtpPurpose } = require("../domain/otpPurpose");
+const { BadRequestError } = require("../errors");
 const logger = require("../logger/Logger");
 
+// Estados desde los que PATCH account_status puede pasar a VERIFIED sin OTP
+const REACTIVATION_SOURCES = [AccountStatus.SUSPENDED, AccountStatus.LOCKED];
+
 class UserControllerDB {
 
     constructor() {
         this.userRepository = new UserRepository();
+        this.profileRepository = new ProfileRepository();
         this.otpRepository = new OtpRepository();
         this.otpServiceClient = new OtpServiceClient();
         
     }
 
-    /**
-     * Maneja errores específicos del controlador
-     * @param {Error} error - Error capturado
-     * @returns {ResponseModel} Respuesta formateada según el tipo de error
-     */
-    _handleControllerError(error) {
-        const controller = "UserControllerDB";
-        logger.error(controller, "❌ Error capturado en controlador", {
-            message: error.message,
-            code: error.code,
-            statusCode: error.statusCode,
-            stack: error.stack
-        });
-
-        // Manejar error de email duplicado
-        if (error.statusCode === 409 || error.code === "EMAIL_DUPLICATE") {
-            return ResponseModel.emailDuplicate("El email ya existe");
-        }
-
-        // Manejar errores de base de datos
-        if (error.statusCode === 500) {
-            return ResponseModel.databaseError("Error interno del servidor");
-        }
-
-        // Error genérico
-        return ResponseModel.internalError("Ocurrió un error inesperado");
-    }
-
     /**
      * Crea respuesta exitosa estandarizada
      * @param {string} message - Mensaje de éxito
@@ -64,8 +46,9 @@ class UserControllerDB {
      * Registra un nuevo usuario en la base de datos
      * @param {Object} req - Request object de Express
      * @param {Object} res - Response object de Express
+     * @param {Function} next - Delega errores al middleware central
      */
-    async registerUser(req, res) {
+    async registerUser(req, res, next) {
         const controller = "UserControllerDB";
         logger.info(controller, "🚀 Registrando nuevo usuario...");
 
@@ -87,10 +70,8 @@ class UserControllerDB {
             return response.send(res);
 
         } catch (error) {
-            const response = this._handleControllerError(error);
             logger.warn(controller, "⚠️ Error al registrar usuario", { email: req.body?.email });
-            response.log(`[${controller}]`);
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -99,7 +80,7 @@ class UserControllerDB {
     * PUT /api/users/{id}
     * Actualiza un usuario existente en la base de datos
     */
-    async updateUser(req, res) {
+    async updateUser(req, res, next) {
         const controller = "UserControllerDB";
         const userId = parseInt(req.params.id);
         logger.info(controller, "🚀 Actualizando usuario...", { userId });
@@ -136,17 +117,17 @@ class UserControllerDB {
                 message: error.message,
                 stack: error.stack,
             });
-            const response = this._handleControllerError(error);
-            response.log(`[${controller}]`);
-            return response.send(res);
+            return next(error);
         }
     }
 
     /**
      * GET /api/users?page=x&size=y
-     * Obtiene todos los usuarios paginados
+     * GET /api/users?mode=cursor&size=y | ?cursor=c&size=y[&includeTotal=true]
+     * Filtros opcionales: status, createdFrom, createdTo, search, sort, direction
+     * Obtiene todos los usuarios paginados (por página o por cursor)
      */
-    async getAllUsersPaginated(req, res) {
+    async getAllUsersPaginated(req, res, next) {
         const controller = "UserControllerDB";
         logger.info(controller, "🚀 Obteniendo usuarios paginados...");
 
@@ -169,7 +150,24 @@ class UserControllerDB {
                 return response.send(res);
             }
 
-            const paginatedUsers = await this.userRepository.findAllPaginated(page, size);
+            const filters = UserListFilters.fromQuery(req.query);
+
+            if (req.query.cursor || req.query.mode === "cursor") {
+                const includeTotal = req.query.includeTotal === "true";
+                const cursorPage = await this.userRepository.findAllByCursor(req.query.cursor || null, size, includeTotal, filters);
+                logger.info(controller, "✅ Usuarios obtenidos por cursor", {
+                    returnedUsers: cursorPage.users.length,
+                    hasNext: cursorPage.nextCursor !== null,
+                });
+
+                const response = this._createSuccessResponse(
+                    "Usuarios obtenidos exitosamente",
+                    cursorPage.toJSON()
+                );
+                return response.send(res);
+            }
+
+            const paginatedUsers = await this.userRepository.findAllPaginated(page, size, filters);
             logger.info(controller, "✅ Usuarios obtenidos exitosamente", {
                 totalItems: paginatedUsers.totalItems,
                 totalPages: paginatedUsers.totalPages,
@@ -187,9 +185,7 @@ class UserControllerDB {
                 message: error.message,
                 stack: error.stack,
             });
-            const response = this._handleControllerError(error);
-            response.log(`[${controller}]`);
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -197,7 +193,7 @@ class UserControllerDB {
      * GET /api/users/{id}
      * Obtiene un usuario específico por ID
      */
-    async getUserById(req, res) {
+    async getUserById(req, res, next) {
         const controller = "UserControllerDB";
         const userId = parseInt(req.params.id);
         logger.info(controller, "🚀 Obteniendo usuario por ID...", { userId });
@@ -214,10 +210,17 @@ class UserControllerDB {
 
             logger.info(controller, "✅ Usuario obtenido exitosamente", { userId: user.id });
 
-            const userResponse = UserResponse.fromUser(user);
+            const data = UserResponse.fromUser(user).toJSON();
+
+            // ?include=profile incrusta el perfil (null si el usuario no tiene uno)
+            if (req.query.include === "profile") {
+                const profile = await this.profileRepository.findByUserId(user.id);
+                data.profile = profile ? ProfileResponse.fromProfile(profile).toJSON() : null;
+            }
+
             const response = this._createSuccessResponse(
                 "Usuario obtenido exitosamente",
-                userResponse.toJSON()
+                data
             );
 
             return response.send(res);
@@ -228,9 +231,7 @@ class UserControllerDB {
                 message: error.message,
                 stack: error.stack,
             });
-            const response = this._handleControllerError(error);
-            response.log(`[${controller}]`);
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -238,7 +239,7 @@ class UserControllerDB {
  * GET /api/users/email/{email}
  * Obtiene un usuario específico por email
  */
-    async getUserByEmail(req, res) {
+    async getUserByEmail(req, res, next) {
         const userEmail = req.query.value;
         console.log(`🚀 [UserControllerDB] Iniciando búsqueda de usuario por email: ${userEmail}`);
 
@@ -271,9 +272,7 @@ class UserControllerDB {
 
         } catch (error) {
             console.error(`❌ [UserControllerDB] Error obteniendo usuario (${userEmail}):`, error.message);
-            const response = this._handleControllerError(error);
-            response.log('[UserControllerDB]');
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -281,13 +280,13 @@ class UserControllerDB {
      * DELETE /api/users/{id}
      * Elimina lógicamente un usuario (soft delete)
      */
-    async deleteUser(req, res) {
+    async deleteUser(req, res, next) {
         const userId = parseInt(req.params.id);
         console.log(`🚀 [UserControllerDB] Solicitando eliminación de usuario con ID: ${userId}`);
 
         try {
             console.log(`🗑️ [UserControllerDB] Ejecutando eliminación lógica...`);
-            const deletedUser = await this.userRepository.delete(userId);
+            const deletedUser = await this.userRepository.delete(userId, { changedBy: this._actor(req) });
 
             if (!deletedUser) {
                 console.warn(`🚫 [UserControllerDB] Usuario no encontrado o ya eliminado (ID: ${userId})`);
@@ -302,9 +301,7 @@ class UserControllerDB {
 
         } catch (error) {
             console.error(`❌ [UserControllerDB] Error eliminando usuario (${userId}):`, error.message);
-            const response = this._handleControllerError(error);
-            response.log('[UserControllerDB]');
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -312,13 +309,13 @@ class UserControllerDB {
      * PATCH /api/users/{id}/password
      * Verifica un OTP y reestablece contraseña
      */
-    async updatePassword(req, res) {
+    async updatePassword(req, res, next) {
         console.log('🚀 [UserControllerDB] Iniciando flujo de restablecimiento de contraseña...');
         const userId = parseInt(req.params.id);
 
         try {
             const { otp, email, password } = req.body;
-            console.log(`📩 [UserControllerDB] Datos recibidos -> OTP: ${otp}, Email: ${email}, ID: ${userId}`);
+            console.log(`📩 [UserControllerDB] Datos recibidos -> Email: ${email}, ID: ${userId}`);
 
             if (!otp || !email || !password) {
                 console.warn("⚠️ [UserControllerDB] Datos faltantes en la solicitud");
@@ -330,7 +327,7 @@ class UserControllerDB {
             const formatResponse = await this.otpServiceClient.checkOtpFormat({ otp });
 
             if (!formatResponse.isValidOtp) {
-                console.warn(`🚫 [UserControllerDB] OTP con formato inválido: ${otp}`);
+                console.warn(`🚫 [UserControllerDB] OTP con formato inválido para usuario: ${email}`);
                 const response = ResponseModel.badRequest('El formato del OTP es inválido');
                 return response.send(res);
             }
@@ -345,13 +342,16 @@ class UserControllerDB {
                 return response.send(res);
             }
 
+            // La política y el historial se validan antes de consumir el OTP para no invalidarlo con una contraseña rechazada
+            await this.userRepository.assertPasswordAllowed(userId, password);
+
+            // Un código incorrecto lanza INVALID_OTP / OTP_ATTEMPTS_EXCEEDED / OTP_LOCKED con los intentos restantes
             console.log(`✅ [UserControllerDB] Usuario encontrado, verificando OTP en base de datos...`);
-            const isVerified = await this.otpRepository.verify(userId, email, otp);
+            const isVerified = await this.otpRepository.verify(userId, email, otp, OtpPurpose.PASSWORD_RESET);
 
             if (!isVerified) {
-                console.warn(`🚫 [UserControllerDB] OTP inválido o expirado para usuario: ${email}`);
-                const response = ResponseModel.badRequest('El OTP es inválido o ha expirado');
-                return response.send(res);
+                console.warn(`🚫 [UserControllerDB] No hay OTP activo o expiró para usuario: ${email}`);
+                throw new BadRequestError('El OTP es inválido o ha expirado', 'INVALID_OTP');
             }
 
             console.log(`✅ [UserControllerDB] OTP verificado correctamente. Actualizando contraseña...`);
@@ -369,20 +369,147 @@ class UserControllerDB {
 
         } catch (error) {
             console.error(`❌ [UserControllerDB] Error en updatePassword:`, error.message);
-            const response = this._handleControllerError(error);
-            response.log('[UserControllerDB]');
+            return next(error);
+        }
+    }
+
+
+    /**
+     * POST /api/users/{id}/password/change
+     * Cambio de contraseña por el propio usuario: exige la contraseña actual y aplica la política de contraseñas
+     * @param {Object} req - Request object de Express
+     * @param {Object} res - Response object de Express
+     * @param {Function} next - Delega errores al middleware central
+     */
+    async changePassword(req, res, next) {
+        const controller = "UserControllerDB";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Cambiando contraseña...", { userId });
+
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const isChanged = await this.userRepository.changePassword(userId, currentPassword, newPassword);
+
+            if (!isChanged) {
+                logger.warn(controller, "⚠️ Usuario no encontrado para cambio de contraseña", { userId });
+                const response = ResponseModel.notFound("Usuario no encontrado");
+                response.log(`[${controller}]`);
+                return response.send(res);
+            }
+
+            logger.info(controller, "🎉 Contraseña cambiada exitosamente", { userId });
+            const response = this._createSuccessResponse("Contraseña actualizada exitosamente");
             return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error al cambiar la contraseña", { userId, message: error.message });
+            return next(error);
         }
     }
 
+    /**
+     * Identifica al principal autenticado para la auditoría (p. ej. "api_key:admin-console")
+     * @param {Object} req - Request object de Express
+     * @returns {string|null}
+     */
+    _actor(req) {
+        if (!req.auth) return null;
+        return `${req.auth.type}:${req.auth.subject ?? "anonymous"}`;
+    }
 
     /**
      * PATCH /api/users/{id}/account_status
-     * Verifica un usuario con estado PENDING_VALIDATION
+     * Con body { status, reason } aplica una transición de la máquina de estados (VERIFIED solo reactiva
+     * cuentas SUSPENDED o LOCKED y DELETED se rechaza: la eliminación va por DELETE, solo admin);
+     * con body { otp } verifica la cuenta (PENDING_VALIDATION → VERIFIED)
      * @param {Object} req - Request object de Express
      * @param {Object} res - Response object de Express
+     * @param {Function} next - Delega errores al middleware central
      */
-    async verifyUserAccount(req, res) {
+    async changeAccountStatus(req, res, next) {
+        const controller = "UserControllerDB";
+        const { status, reason } = req.body || {};
+
+        if (!status) {
+            return this.verifyUserAccount(req, res, next);
+        }
+
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Cambiando estado de cuenta...", { userId, status });
+
+        try {
+            // La eliminación solo se permite por DELETE /api/users/{id}, reservada al rol admin
+            if (status === AccountStatus.DELETED) {
+                throw new BadRequestError("Para eliminar la cuenta use DELETE /api/users/{id}", "USE_DELETE_ENDPOINT");
+            }
+
+            const result = await this.userRepository.changeStatus(userId, status, {
+                reason: reason.trim(),
+                changedBy: this._actor(req),
+                // Por esta vía VERIFIED solo reactiva; verificar una cuenta pendiente exige el OTP (body { otp })
+                allowedFrom: status === AccountStatus.VERIFIED ? REACTIVATION_SOURCES : null,
+            });
+
+            if (!result) {
+                logger.warn(controller, "⚠️ Usuario no encontrado para cambio de estado", { userId });
+                const response = ResponseModel.notFound("Usuario no encontrado");
+                response.log(`[${controller}]`);
+                return response.send(res);
+            }
+
+            logger.info(controller, "✅ Estado de cuenta actualizado", { userId, from: result.previousStatus, to: status });
+
+            const response = this._createSuccessResponse(
+                "Estado de la cuenta actualizado exitosamente",
+                AccountStatusResponse.fromDatabase({
+                    account_status: result.user.account_status,
+                    previous_status: result.previousStatus,
+                }).toJSON()
+            );
+            return response.send(res);
+
+        } catch (error) {
+            logger.warn(controller, "⚠️ Error al cambiar estado de cuenta", { userId, status, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * GET /api/users/{id}/account_status/history
+     * Historial de transiciones de estado de la cuenta
+     */
+    async getAccountStatusHistory(req, res, next) {
+        const controller = "UserControllerDB";
+        const userId = parseInt(req.params.id);
+        logger.info(controller, "🚀 Obteniendo historial de estados...", { userId });
+
+        try {
+            const history = await this.userRepository.findStatusHistory(userId);
+
+            if (!history) {
+                logger.warn(controller, "⚠️ Usuario no encontrado", { userId });
+                const response = ResponseModel.notFound("Usuario no encontrado");
+                response.log(`[${controller}]`);
+                return response.send(res);
+            }
+
+            const response = this._createSuccessResponse("Historial obtenido exitosamente", history);
+            return response.send(res);
+
+        } catch (error) {
+            logger.error(controller, "❌ Error al obtener historial de estados", { userId, message: error.message });
+            return next(error);
+        }
+    }
+
+    /**
+     * Verifica un usuario con estado PENDING_VALIDATION.
+     * Exige un OTP de propósito EMAIL_VERIFICATION como prueba de propiedad del email
+     * @param {Object} req - Request object de Express
+     * @param {Object} res - Response object de Express
+     * @param {Function} next - Delega errores al middleware central
+     */
+    async verifyUserAccount(req, res, next) {
         console.log('🚀 [UserControllerDB] Iniciando verificación de cuenta de usuario...');
         const userId = parseInt(req.params.id);
 
@@ -400,8 +527,19 @@ class UserControllerDB {
             console.log(`✅ [UserControllerDB] Usuario encontrado: ${user.email} (ID: ${user.id})`);
             console.log(`🔍 [UserControllerDB] Verificando estado de cuenta (actual: ${user.account_status})...`);
 
+            // Se comprueba antes de consumir el OTP para no gastarlo en una cuenta que no puede verificarse
+            if (user.account_status !== AccountStatus.PENDING_VALIDATION) {
+                throw new BadRequestError('El usuario ya ha sido verificado o borrado.', 'ACCOUNT_NOT_PENDING_VALIDATION');
+            }
+
+            const isOtpValid = await this.otpRepository.verify(user.id, user.email, req.body.otp, OtpPurpose.EMAIL_VERIFICATION);
+            if (!isOtpValid) {
+                console.warn(`🚫 [UserControllerDB] OTP de verificación inválido o expirado para usuario: ${user.email}`);
+                throw new BadRequestError('El OTP es inválido o ha expirado', 'INVALID_OTP');
+            }
+
             // Realiza la verificación del usuario (cambia el estado de PENDING_VALIDATION → VERIFIED)
-            const result = await this.userRepository.verifyAccount(user.id);
+            const result = await this.userRepository.verifyAccount(user.id, { changedBy: this._actor(req) });
 
             if (!result) {
                 console.warn(`🚫 [UserControllerDB] Fallo en la verificación. El usuario ya fue verificado o eliminado (ID: ${user.id})`);
@@ -422,9 +560,7 @@ class UserControllerDB {
 
         } catch (error) {
             console.error(`❌ [UserControllerDB] Error verificando cuenta del usuario (${userId}):`, error.message);
-            const response = this._handleControllerError(error);
-            response.log('[UserControllerDB]');
-            return response.send(res);
+            return next(error);
         }
     }
 
@@ -0,0 +1,66 @@
+const { ConflictError } = require("../errors");
+
+/**
+ * Máquina de estados de users.account_status.
+ * Toda transición de estado de una cuenta debe validarse aquí.
+ */
+
+const AccountStatus = Object.freeze({
+    PENDING_VALIDATION: "PENDING_VALIDATION",
+    VERIFIED: "VERIFIED",
+    SUSPENDED: "SUSPENDED",
+    LOCKED: "LOCKED",
+    DELETED: "DELETED",
+});
+
+// Estado origen → estados destino permitidos. DELETED es terminal.
+const TRANSITIONS = Object.freeze({
+    PENDING_VALIDATION: ["VERIFIED", "SUSPENDED", "DELETED"],
+    VERIFIED: ["SUSPENDED", "LOCKED", "DELETED"],
+    SUSPENDED: ["VERIFIED", "DELETED"],
+    LOCKED: ["VERIFIED", "SUSPENDED", "DELETED"],
+    DELETED: [],
+});
+
+/**
+ * Estados a los que se puede pasar desde un estado dado
+ * @param {string} from - Estado actual
+ * @returns {Array<string>}
+ */
+function allowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+}
+
+/**
+ * Indica si la transición está permitida
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Valida una transición y lanza un error de dominio si no está permitida
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @throws {ConflictError} INVALID_STATUS_TRANSITION con los estados permitidos
+ */
+function assertTransition(from, to) {
+    if (!canTransition(from, to)) {
+        throw new ConflictError(
+            `No se puede cambiar el estado de la cuenta de ${from} a ${to}`,
+            "INVALID_STATUS_TRANSITION",
+            { from, to, allowed: allowedTransitions(from) }
+        );
+    }
+}
+
+module.exports = {
+    AccountStatus,
+    ACCOUNT_STATUSES: Object.values(AccountStatus),
+    allowedTransitions,
+    canTransition,
+    assertTransition,
+};
@@ -0,0 +1,15 @@
+/**
+ * Estados de una solicitud de cambio de email (columna email_change_requests.status).
+ * Solo PENDING puede confirmarse; los demás son finales.
+ */
+const EmailChangeStatus = Object.freeze({
+    PENDING: "PENDING",
+    CONFIRMED: "CONFIRMED",
+    CANCELLED: "CANCELLED",
+    EXPIRED: "EXPIRED",
+});
+
+module.exports = {
+    EmailChangeStatus,
+    EMAIL_CHANGE_STATUSES: Object.values(EmailChangeStatus),
+};
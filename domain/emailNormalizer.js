@@ -0,0 +1,79 @@
+const { domainToASCII } = require("url");
+const emailNormalizationConfig = require("../config/emailNormalization");
+
+/**
+ * Reglas de proveedores que entregan en el mismo buzón variantes de una dirección.
+ * - ignoreDots: los puntos de la parte local no cuentan (Gmail)
+ * - subaddress: separador de la etiqueta que se descarta (juan+compras@ → juan@)
+ * - domain: dominio canónico cuando el proveedor tiene alias
+ */
+const PROVIDER_RULES = Object.freeze({
+    "gmail.com": { ignoreDots: true, subaddress: "+" },
+    "googlemail.com": { ignoreDots: true, subaddress: "+", domain: "gmail.com" },
+    "outlook.com": { subaddress: "+" },
+    "hotmail.com": { subaddress: "+" },
+    "live.com": { subaddress: "+" },
+    "icloud.com": { subaddress: "+" },
+    "fastmail.com": { subaddress: "+" },
+    "proton.me": { subaddress: "+" },
+    "protonmail.com": { subaddress: "+", domain: "proton.me" },
+    "yahoo.com": { subaddress: "-" },
+});
+
+class EmailNormalizer {
+    /**
+     * @param {Object} [config] - Por defecto config/emailNormalization.js
+     */
+    constructor(config = emailNormalizationConfig) {
+        this.providerRules = config.providerRules;
+    }
+
+    /**
+     * Forma con la que se guarda y se muestra el email: sin espacios alrededor, en minúsculas
+     * y con el dominio internacionalizado en punycode (ñandú.com → xn--and-6ma2c.com)
+     * @param {string} email
+     * @returns {string}
+     */
+    normalize(email) {
+        const value = String(email ?? "").trim().normalize("NFC");
+        const at = value.lastIndexOf("@");
+        if (at < 1) {
+            return value.toLowerCase();
+        }
+
+        const local = value.slice(0, at).toLowerCase();
+        const domain = value.slice(at + 1).toLowerCase();
+        // domainToASCII devuelve "" si el dominio no es válido: se conserva en minúsculas
+        return `${local}@${domainToASCII(domain) || domain}`;
+    }
+
+    /**
+     * Identidad del email: dos direcciones con la misma forma canónica son la misma cuenta.
+     * Aplica normalize() y, si están activas, las reglas del proveedor.
+     * @param {string} email
+     * @returns {string}
+     */
+    canonicalize(email) {
+        const normalized = this.normalize(email);
+        if (!this.providerRules) {
+            return normalized;
+        }
+
+        const at = normalized.lastIndexOf("@");
+        const rules = at > 0 ? PROVIDER_RULES[normalized.slice(at + 1)] : null;
+        if (!rules) {
+            return normalized;
+        }
+
+        let local = normalized.slice(0, at);
+        if (rules.subaddress && local.indexOf(rules.subaddress) > 0) {
+            local = local.slice(0, local.indexOf(rules.subaddress));
+        }
+        if (rules.ignoreDots) {
+            local = local.replace(/\./g, "");
+        }
+        return `${local}@${rules.domain || normalized.slice(at + 1)}`;
+    }
+}
+
+module.exports = EmailNormalizer;
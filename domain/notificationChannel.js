@@ -0,0 +1,16 @@
+/**
+ * Canales por los que se puede entregar un OTP. SMS usa el teléfono guardado del usuario.
+ */
+const NotificationChannel = Object.freeze({
+    EMAIL: "EMAIL",
+    SMS: "SMS",
+});
+
+// Canal asumido cuando el cliente no lo indica
+const DEFAULT_NOTIFICATION_CHANNEL = NotificationChannel.EMAIL;
+
+module.exports = {
+    NotificationChannel,
+    NOTIFICATION_CHANNELS: Object.values(NotificationChannel),
+    DEFAULT_NOTIFICATION_CHANNEL,
+};
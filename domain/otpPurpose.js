@@ -0,0 +1,17 @@
+/**
+ * Propósitos de un OTP. Un código solo puede verificarse para el propósito con el que se emitió.
+ */
+const OtpPurpose = Object.freeze({
+    PASSWORD_RESET: "PASSWORD_RESET",
+    EMAIL_VERIFICATION: "EMAIL_VERIFICATION",
+    LOGIN_2FA: "LOGIN_2FA",
+});
+
+// Propósito asumido cuando el cliente no lo indica (compatibilidad con el flujo original de contraseña)
+const DEFAULT_OTP_PURPOSE = OtpPurpose.PASSWORD_RESET;
+
+module.exports = {
+    OtpPurpose,
+    OTP_PURPOSES: Object.values(OtpPurpose),
+    DEFAULT_OTP_PURPOSE,
+};
@@ -0,0 +1,14 @@
+/**
+ * Motivos por los que se revoca una sesión (columna sessions.revoked_reason)
+ */
+const SessionRevocationReason = Object.freeze({
+    REVOKED_BY_USER: "REVOKED_BY_USER",
+    PASSWORD_CHANGED: "PASSWORD_CHANGED",
+    TOKEN_REUSE_DETECTED: "TOKEN_REUSE_DETECTED",
+    ACCOUNT_INACTIVE: "ACCOUNT_INACTIVE",
+});
+
+module.exports = {
+    SessionRevocationReason,
+    SESSION_REVOCATION_REASONS: Object.values(SessionRevocationReason),
+};
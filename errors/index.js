@@ -0,0 +1,115 @@
+/**
+ * Jerarquía de errores de dominio.
+ * Cada error lleva el código HTTP y un `type` estable que el middleware
+ * central (middleware/errorHandler.js) traduce a un ResponseModel.
+ */
+
+class AppError extends Error {
+    /**
+     * @param {string} message - Mensaje legible para el cliente
+     * @param {number} statusCode - Código de estado HTTP
+     * @param {string} type - Código estable del error
+     * @param {*} [details] - Información adicional para el cliente
+     */
+    constructor(message, statusCode = 500, type = "INTERNAL_ERROR", details = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.type = type;
+        this.details = details;
+    }
+}
+
+// 400 - Petición inválida
+class BadRequestError extends AppError {
+    constructor(message, type = "BAD_REQUEST", details = null) {
+        super(message, 400, type, details);
+    }
+}
+
+// 400 - Errores de validación por campo
+class ValidationError extends AppError {
+    /**
+     * @param {Array<Object>} errors - Errores por campo ({ field, rule, message })
+     * @param {string} [message]
+     */
+    constructor(errors, message = "Los datos proporcionados no son válidos") {
+        super(message, 400, "VALIDATION_ERROR", errors);
+    }
+}
+
+// 401 - Credenciales de acceso ausentes o inválidas
+class UnauthorizedError extends AppError {
+    constructor(message = "Autenticación requerida", type = "UNAUTHORIZED") {
+        super(message, 401, type);
+    }
+}
+
+// 403 - Autenticado pero sin permisos suficientes
+class ForbiddenError extends AppError {
+    constructor(message = "No tiene permisos para realizar esta acción", type = "FORBIDDEN", details = null) {
+        super(message, 403, type, details);
+    }
+}
+
+// 404 - Recurso no encontrado
+class NotFoundError extends AppError {
+    constructor(message, type = "NOT_FOUND", details = null) {
+        super(message, 404, type, details);
+    }
+}
+
+// 409 - Conflicto con el estado actual del recurso
+class ConflictError extends AppError {
+    constructor(message, type = "CONFLICT", details = null) {
+        super(message, 409, type, details);
+    }
+}
+
+// 409 - Email ya registrado
+class EmailDuplicateError extends ConflictError {
+    constructor(message = "El email ya existe", email = null) {
+        super(message, "EMAIL_DUPLICATE");
+        this.email = email;
+    }
+}
+
+// 429 - Demasiadas solicitudes; details.retryAfterSeconds indica cuándo reintentar
+class TooManyRequestsError extends AppError {
+    constructor(message, type = "TOO_MANY_REQUESTS", retryAfterSeconds = null, details = null) {
+        const mergedDetails = retryAfterSeconds !== null ? { ...details, retryAfterSeconds } : details;
+        super(message, 429, type, mergedDetails);
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// 502 - Falla de un servicio externo (p. ej. servicio-otp)
+class ExternalServiceError extends AppError {
+    constructor(message, type = "EXTERNAL_SERVICE_ERROR", originalError = null) {
+        super(message, 502, type);
+        this.originalError = originalError;
+    }
+}
+
+// 500 - Falla de base de datos; el mensaje original no se expone al cliente
+class DatabaseError extends AppError {
+    constructor(message, originalError = null, operation = null) {
+        super(message, 500, "DATABASE_ERROR");
+        this.originalError = originalError;
+        this.operation = operation;
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    EmailDuplicateError,
+    TooManyRequestsError,
+    ExternalServiceError,
+    DatabaseError,
+};
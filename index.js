@@ -1,6 +1,10 @@
 const express = require("express");
 const logger = require("./logger/Logger");
+const errorHandler = require("./middleware/errorHandler");
 const packageJson = require("./package.json");
+const otpConfig = require("./config/otp");
+const OtpSweeper = require("./jobs/otpSweeper");
+const OtpServiceClient = require("./client/otpServiceClient");
 
 const app = express();
 app.use(express.json());
@@ -27,10 +31,24 @@ const formatUptime = (seconds) => {
     }
 };
 
+// Barrido periódico de OTP (se programa solo al levantar el servidor)
+const otpSweeper = new OtpSweeper();
+app.locals.otpSweeper = otpSweeper;
+
 // Importar rutas
 const userRoutes = require('./routes/userRoutes');
 const authRoutes = require('./routes/authRoutes');
 
+// Circuito de servicio-otp: DOWN solo si está abierto y no hay respaldo local
+const otpServiceCheck = () => {
+    const data = OtpServiceClient.getHealth();
+    return {
+        data,
+        name: "OTP service circuit breaker",
+        status: data.state === "OPEN" && !data.fallbackEnabled ? "DOWN" : "UP"
+    };
+};
+
 // --- Health Check Endpoints ---
 app.get("/health", (req, res) => {
     const uptimeSeconds = Math.floor((Date.now() - START_TIME) / 1000);
@@ -54,7 +72,13 @@ app.get("/health", (req, res) => {
                 },
                 name: "Liveness check",
                 status: "UP"
-            }
+            },
+            {
+                data: otpSweeper.getMetrics(),
+                name: "OTP sweeper",
+                status: otpSweeper.metrics.lastError ? "DOWN" : "UP"
+            },
+            otpServiceCheck()
         ],
         version: VERSION,
         uptime: formatUptime(uptimeSeconds),
@@ -98,9 +122,35 @@ app.get("/actuator/health", (req, res) => {
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
 
+// Manejo central de errores (debe ir después de las rutas)
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 8082;
 
-app.listen(PORT, () => {
-    logger.info("[App]", "Data-service iniciado correctamente", { port: PORT });
-});
+// Aplica las migraciones pendientes antes de aceptar tráfico (RUN_MIGRATIONS=true)
+const runMigrations = async () => {
+    if (process.env.RUN_MIGRATIONS !== "true") return;
+    const MigrationRunner = require("./migrations/migrationRunner");
+    await new MigrationRunner().up();
+};
+
+// Solo se levanta el servidor al ejecutar el archivo directamente (npm start);
+// las pruebas importan la app sin llamar a listen.
+if (require.main === module) {
+    runMigrations()
+        .then(() => {
+            app.listen(PORT, () => {
+                logger.info("[App]", "Data-service iniciado correctamente", { port: PORT });
+            });
+            if (otpConfig.sweeper.enabled) {
+                otpSweeper.start();
+            }
+        })
+        .catch((error) => {
+            logger.error("[App]", "❌ Error aplicando migraciones. Cerrando aplicación...", { error: error.message });
+            process.exit(1);
+        });
+}
+
+module.exports = app;
 
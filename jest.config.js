@@ -0,0 +1,9 @@
+module.exports = {
+    testEnvironment: "node",
+    roots: ["<rootDir>/tests"],
+    testMatch: ["**/*.test.js"],
+    globalSetup: "<rootDir>/tests/setup/globalSetup.js",
+    globalTeardown: "<rootDir>/tests/setup/globalTeardown.js",
+    setupFiles: ["<rootDir>/tests/setup/env.js"],
+    testTimeout: 20000,
+};
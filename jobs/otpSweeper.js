@@ -0,0 +1,152 @@
+const otpConfig = require("../config/otp");
+const OtpRepository = require("../repositories/otpRepository");
+const logger = require("../logger/Logger");
+
+/**
+ * Barrido periódico en proceso de la tabla otp.
+ * Marca como EXPIRED los OTP activos vencidos y purga los OTP inactivos más antiguos que la retención,
+ * siempre en lotes, para que ninguna petición tenga que recorrer la tabla completa.
+ */
+class OtpSweeper {
+    /**
+     * @param {Object} [options]
+     * @param {OtpRepository} [options.otpRepository]
+     * @param {number} [options.intervalSeconds] - Segundos entre barridos
+     * @param {number} [options.batchSize] - Filas por lote
+     * @param {number} [options.retentionDays] - Días que se conservan los OTP inactivos
+     * @param {number} [options.maxBatchesPerRun] - Lotes máximos por fase en cada barrido
+     */
+    constructor({
+        otpRepository = new OtpRepository(),
+        intervalSeconds = otpConfig.sweeper.intervalSeconds,
+        batchSize = otpConfig.sweeper.batchSize,
+        retentionDays = otpConfig.sweeper.retentionDays,
+        maxBatchesPerRun = 20,
+    } = {}) {
+        this.otpRepository = otpRepository;
+        this.intervalSeconds = intervalSeconds;
+        this.batchSize = batchSize;
+        this.retentionDays = retentionDays;
+        this.maxBatchesPerRun = maxBatchesPerRun;
+
+        this.timer = null;
+        this.running = false;
+        this.metrics = {
+            runs: 0,
+            failures: 0,
+            totalExpired: 0,
+            totalPurged: 0,
+            lastRunAt: null,
+            lastDurationMs: null,
+            lastExpired: 0,
+            lastPurged: 0,
+            lastError: null,
+        };
+    }
+
+    /**
+     * @private
+     * Ejecuta lotes hasta que uno venga incompleto o se alcance el máximo por barrido
+     */
+    async _drain(runBatch) {
+        let total = 0;
+        for (let batch = 0; batch < this.maxBatchesPerRun; batch++) {
+            const affected = await runBatch();
+            total += affected;
+            if (affected < this.batchSize) break;
+        }
+        return total;
+    }
+
+    /**
+     * Ejecuta un barrido completo
+     * @returns {Promise<{expired: number, purged: number, durationMs: number}|null>} null si ya había un barrido en curso
+     */
+    async runOnce() {
+        if (this.running) {
+            logger.debug("[OtpSweeper]", "Barrido anterior en curso, se omite");
+            return null;
+        }
+
+        this.running = true;
+        const startedAt = Date.now();
+        try {
+            const expired = await this._drain(() => this.otpRepository.expireStaleBatch(this.batchSize));
+            const purged = await this._drain(() =>
+                this.otpRepository.purgeInactiveBatch(this.retentionDays, this.batchSize)
+            );
+            const durationMs = Date.now() - startedAt;
+
+            Object.assign(this.metrics, {
+                runs: this.metrics.runs + 1,
+                totalExpired: this.metrics.totalExpired + expired,
+                totalPurged: this.metrics.totalPurged + purged,
+                lastRunAt: new Date(startedAt).toISOString(),
+                lastDurationMs: durationMs,
+                lastExpired: expired,
+                lastPurged: purged,
+                lastError: null,
+            });
+
+            if (expired > 0 || purged > 0) {
+                logger.info("[OtpSweeper]", "🧹 Barrido de OTP completado", { expired, purged, durationMs });
+            } else {
+                logger.debug("[OtpSweeper]", "Barrido de OTP sin cambios", { durationMs });
+            }
+
+            return { expired, purged, durationMs };
+
+        } catch (error) {
+            Object.assign(this.metrics, {
+                runs: this.metrics.runs + 1,
+                failures: this.metrics.failures + 1,
+                lastRunAt: new Date(startedAt).toISOString(),
+                lastDurationMs: Date.now() - startedAt,
+                lastError: error.message,
+            });
+            logger.error("[OtpSweeper]", "❌ Error en el barrido de OTP", { error: error.message });
+            throw error;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Programa los barridos periódicos. El timer no mantiene vivo el proceso.
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(() => {});
+        }, this.intervalSeconds * 1000);
+        this.timer.unref();
+
+        logger.info("[OtpSweeper]", "Barrido de OTP programado", {
+            intervalSeconds: this.intervalSeconds,
+            batchSize: this.batchSize,
+            retentionDays: this.retentionDays,
+        });
+    }
+
+    // Detiene los barridos periódicos
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Métricas acumuladas para /health
+     * @returns {Object}
+     */
+    getMetrics() {
+        return {
+            scheduled: Boolean(this.timer),
+            intervalSeconds: this.intervalSeconds,
+            ...this.metrics,
+        };
+    }
+}
+
+module.exports = OtpSweeper;
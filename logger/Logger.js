@@ -1,4 +1,17 @@
 // ./lib/logger.js
+
+// Claves cuyo valor nunca debe llegar a los logs (códigos OTP, contraseñas y sus hashes)
+const REDACTED_KEYS = new Set(['otp', 'otp_hash', 'password', 'newPassword', 'currentPassword', 'refresh_token', 'token_hash', 'code', 'totp_code', 'recovery_code', 'secret']);
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) =>
+    [key, REDACTED_KEYS.has(key) ? '[REDACTED]' : redact(inner)]
+  ));
+}
+
 function log(level, logger, message, meta = {}) {
   const payload = {
     timestamp: new Date().toISOString(), // RFC3339-ish
@@ -6,7 +19,7 @@ function log(level, logger, message, meta = {}) {
     logger,
     message,
     thread: process.pid.toString(),
-    ...meta
+    ...redact(meta)
   };
   console.log(JSON.stringify(payload));
 }
@@ -0,0 +1,52 @@
+const ServiceAuthenticator = require("../security/serviceAuthenticator");
+const { ForbiddenError } = require("../errors");
+const logger = require("../logger/Logger");
+
+const authenticator = new ServiceAuthenticator();
+
+/**
+ * Middleware que exige un token de servicio o API key válidos.
+ * Deja el principal autenticado en req.auth.
+ */
+function authenticate(req, res, next) {
+    try {
+        req.auth = authenticator.authenticate(req);
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+}
+
+/**
+ * Crea un middleware que exige al menos uno de los roles o scopes indicados.
+ * Los scopes de un token de usuario (role user) solo valen sobre sus propios recursos.
+ * @param {Object} requirements
+ * @param {Array<string>} [requirements.roles] - Roles permitidos (p. ej. ["admin", "service"])
+ * @param {Array<string>} [requirements.scopes] - Scopes permitidos (p. ej. ["users:read"])
+ * @param {boolean} [requirements.self] - Permite además al usuario dueño del recurso (sub === :id)
+ * @returns {Function} Middleware de Express
+ */
+function authorize({ roles = [], scopes = [], self = false } = {}) {
+    return (req, res, next) => {
+        const principal = req.auth;
+        const hasRole = principal.roles.some((role) => roles.includes(role));
+        const isUser = principal.roles.includes("user");
+        const ownsResource = self && principal.subject !== null && principal.subject === String(req.params.id);
+        const isSelf = isUser && ownsResource;
+        const hasScope = principal.scopes.some((scope) => scopes.includes(scope)) && (!isUser || ownsResource);
+
+        if (hasRole || hasScope || isSelf) {
+            return next();
+        }
+
+        logger.warn("[Authorize]", "🚫 Acceso denegado", {
+            method: req.method,
+            path: req.originalUrl,
+            subject: principal.subject,
+            roles: principal.roles,
+        });
+        return next(new ForbiddenError("No tiene permisos para realizar esta acción", "FORBIDDEN", { roles, scopes }));
+    };
+}
+
+module.exports = { authenticate, authorize };
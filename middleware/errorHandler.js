@@ -0,0 +1,82 @@
+const ResponseModel = require("../models/ResponseModel");
+const {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    EmailDuplicateError,
+    TooManyRequestsError,
+    DatabaseError,
+} = require("../errors");
+const logger = require("../logger/Logger");
+
+/**
+ * Traduce un error de dominio a un ResponseModel
+ * @param {Error} error - Error capturado
+ * @returns {ResponseModel} Respuesta correspondiente
+ */
+function toResponse(error) {
+    if (error instanceof ValidationError) {
+        return ResponseModel.validationError(error.details, error.message);
+    }
+
+    if (error instanceof EmailDuplicateError) {
+        return ResponseModel.emailDuplicate(error.message);
+    }
+
+    if (error instanceof UnauthorizedError) {
+        return ResponseModel.unauthorized(error.message, { type: error.type });
+    }
+
+    if (error instanceof ForbiddenError) {
+        return ResponseModel.forbidden(error.message, error.details ? { type: error.type, details: error.details } : { type: error.type });
+    }
+
+    if (error instanceof DatabaseError) {
+        return ResponseModel.databaseError("Error interno del servidor");
+    }
+
+    if (error instanceof AppError) {
+        const errorBody = error.details ? { type: error.type, details: error.details } : { type: error.type };
+        return ResponseModel.error(error.message, errorBody, error.statusCode);
+    }
+
+    // JSON mal formado en el body (lanzado por express.json)
+    if (error.type === "entity.parse.failed") {
+        return ResponseModel.badRequest("El cuerpo de la petición no es un JSON válido", { type: "INVALID_JSON" });
+    }
+
+    return ResponseModel.internalError("Ocurrió un error inesperado", { type: "INTERNAL_ERROR" });
+}
+
+/**
+ * Middleware central de manejo de errores de Express.
+ * Debe registrarse después de todas las rutas.
+ */
+function errorHandler(error, req, res, next) {
+    const isServerError = !(error instanceof AppError) || error.statusCode >= 500;
+    const log = isServerError ? logger.error : logger.warn;
+
+    log("[ErrorHandler]", "❌ Error capturado", {
+        method: req.method,
+        path: req.originalUrl,
+        name: error.name,
+        type: error.type,
+        message: error.message,
+        originalError: error.originalError?.message,
+        stack: isServerError ? error.stack : undefined
+    });
+
+    if (error instanceof UnauthorizedError) {
+        res.set("WWW-Authenticate", 'Bearer realm="servicio-datos"');
+    }
+
+    if (error instanceof TooManyRequestsError && error.retryAfterSeconds !== null) {
+        res.set("Retry-After", String(error.retryAfterSeconds));
+    }
+
+    const response = toResponse(error);
+    return response.send(res);
+}
+
+module.exports = errorHandler;
@@ -0,0 +1,39 @@
+const { validate } = require("../validation/validator");
+const { ValidationError } = require("../errors");
+const logger = require("../logger/Logger");
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Crea un middleware de Express que valida la petición contra esquemas declarativos.
+ * Acumula los errores de todas las ubicaciones y los delega como ValidationError
+ * al middleware central de errores.
+ * @param {Object} schemas - Esquemas por ubicación: { params, query, body }
+ * @returns {Function} Middleware de Express
+ */
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+
+        LOCATIONS.forEach((location) => {
+            if (!schemas[location]) return;
+            validate(schemas[location], req[location]).forEach((error) => {
+                errors.push({ location, ...error });
+            });
+        });
+
+        if (errors.length === 0) {
+            return next();
+        }
+
+        logger.warn("[ValidateRequest]", "Petición con datos inválidos", {
+            method: req.method,
+            path: req.originalUrl,
+            errors: errors.map(({ location, field, rule }) => ({ location, field, rule }))
+        });
+
+        return next(new ValidationError(errors));
+    };
+}
+
+module.exports = validateRequest;
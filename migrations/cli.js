@@ -0,0 +1,49 @@
+/**
+ * CLI de migraciones.
+ * Uso:
+ *   node migrations/cli.js up [versión]   Aplica las migraciones pendientes (hasta la versión indicada)
+ *   node migrations/cli.js down [pasos]   Revierte las últimas migraciones (por defecto 1)
+ *   node migrations/cli.js status         Lista las migraciones y su estado
+ *   node migrations/cli.js normalize-emails   Recalcula users.email_normalized (p. ej. tras cambiar EMAIL_PROVIDER_RULES)
+ */
+const pool = require("../config/database");
+const MigrationRunner = require("./migrationRunner");
+const EmailNormalizationBackfill = require("./emailNormalizationBackfill");
+const { withTransaction } = require("../repositories/unitOfWork");
+const logger = require("../logger/Logger");
+
+async function main() {
+    const [command = "up", arg] = process.argv.slice(2);
+    const runner = new MigrationRunner();
+
+    switch (command) {
+        case "up":
+            await runner.up(arg || null);
+            break;
+        case "down":
+            await runner.down(parseInt(arg) || 1);
+            break;
+        case "status": {
+            const migrations = await runner.status();
+            migrations.forEach(({ version, name, applied }) => {
+                console.log(`${applied ? "✅" : "⏳"} ${version}_${name}`);
+            });
+            break;
+        }
+        case "normalize-emails": {
+            const { scanned, updated } = await withTransaction((client) => new EmailNormalizationBackfill().run(client));
+            console.log(`✅ ${scanned} usuarios revisados, ${updated} emails normalizados actualizados`);
+            break;
+        }
+        default:
+            throw new Error(`Comando desconocido: ${command}. Use up, down, status o normalize-emails`);
+    }
+}
+
+main()
+    .then(() => pool.end())
+    .catch(async (error) => {
+        logger.error("[Migrations]", "❌ Error ejecutando migraciones", { error: error.message });
+        await pool.end();
+        process.exit(1);
+    });
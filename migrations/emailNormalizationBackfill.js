@@ -0,0 +1,142 @@
+const EmailNormalizer = require("../domain/emailNormalizer");
+const emailNormalizationConfig = require("../config/emailNormalization");
+const logger = require("../logger/Logger");
+
+// Grupos de cuentas incluidos en el mensaje de error; el detalle completo queda en error.collisions
+const MAX_REPORTED_COLLISIONS = 50;
+
+/**
+ * Recalcula users.email_normalized con domain/emailNormalizer.js, el mismo que usa la aplicación al
+ * registrar y buscar, para que las filas existentes sigan siendo encontrables (dominios internacionalizados,
+ * reglas por proveedor). La usan la migración 016 y `node migrations/cli.js normalize-emails`.
+ *
+ * Las formas canónicas se calculan por lotes en una tabla temporal; si dos cuentas colisionan no se modifica
+ * nada y se lanza un error que las lista. Si no, se actualizan las filas que cambian y se recrea el índice único.
+ * Debe ejecutarse dentro de una transacción: bloquea las escrituras sobre users hasta terminar.
+ */
+class EmailNormalizationBackfill {
+    /**
+     * @param {Object} [options]
+     * @param {EmailNormalizer} [options.normalizer] - Por defecto usa config/emailNormalization.js
+     * @param {number} [options.batchSize] - Usuarios leídos por lote
+     */
+    constructor({
+        normalizer = new EmailNormalizer(),
+        batchSize = emailNormalizationConfig.backfillBatchSize,
+    } = {}) {
+        this.normalizer = normalizer;
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * @private
+     * Calcula la forma canónica de todos los usuarios (incluidos los eliminados) en la tabla temporal
+     * @returns {Promise<number>} Usuarios procesados
+     */
+    async _computeCanonicalForms(client) {
+        await client.query(`DROP TABLE IF EXISTS email_normalization_backfill`);
+        await client.query(`
+            CREATE TEMP TABLE email_normalization_backfill (
+                id INTEGER PRIMARY KEY,
+                email_normalized VARCHAR(255) NOT NULL
+            ) ON COMMIT DROP
+        `);
+
+        let scanned = 0;
+        let lastId = 0;
+        for (;;) {
+            const batch = await client.query(
+                `SELECT id, email FROM users WHERE id > $1 ORDER BY id LIMIT $2`,
+                [lastId, this.batchSize]
+            );
+            if (batch.rows.length === 0) break;
+
+            await client.query(
+                `INSERT INTO email_normalization_backfill (id, email_normalized)
+                 SELECT * FROM unnest($1::int[], $2::varchar[])`,
+                [batch.rows.map((row) => row.id), batch.rows.map((row) => this.normalizer.canonicalize(row.email))]
+            );
+
+            scanned += batch.rows.length;
+            lastId = batch.rows[batch.rows.length - 1].id;
+            if (batch.rows.length < this.batchSize) break;
+        }
+        return scanned;
+    }
+
+    /**
+     * @private
+     * Formas canónicas compartidas por más de una cuenta
+     * @returns {Promise<Array<{email: string, ids: Array<number>}>>}
+     */
+    async _findCollisions(client) {
+        const result = await client.query(`
+            SELECT email_normalized, array_agg(id ORDER BY id) AS ids
+            FROM email_normalization_backfill
+            GROUP BY email_normalized
+            HAVING COUNT(*) > 1
+            ORDER BY email_normalized
+        `);
+        return result.rows.map((row) => ({ email: row.email_normalized, ids: row.ids }));
+    }
+
+    /**
+     * @private
+     * Error con las cuentas que colisionan ("juan@example.com (ids: 1, 2)")
+     */
+    _createCollisionError(collisions) {
+        const listed = collisions
+            .slice(0, MAX_REPORTED_COLLISIONS)
+            .map(({ email, ids }) => `${email} (ids: ${ids.join(", ")})`);
+        if (collisions.length > MAX_REPORTED_COLLISIONS) {
+            listed.push(`y ${collisions.length - MAX_REPORTED_COLLISIONS} más`);
+        }
+
+        const error = new Error(
+            `Emails duplicados tras normalizar: ${listed.join("; ")}. ` +
+            "Cambie o elimine las cuentas repetidas (también las eliminadas con soft delete) y vuelva a ejecutar"
+        );
+        error.collisions = collisions;
+        return error;
+    }
+
+    /**
+     * Recalcula email_normalized de todos los usuarios y deja la columna NOT NULL con su índice único
+     * @param {import('pg').PoolClient} client - Cliente con una transacción abierta
+     * @returns {Promise<{scanned: number, updated: number}>}
+     * @throws {Error} Con `collisions` si dos cuentas pasarían a tener la misma forma canónica
+     */
+    async run(client) {
+        logger.info("[EmailNormalizationBackfill]", "Recalculando emails normalizados", {
+            providerRules: this.normalizer.providerRules,
+            batchSize: this.batchSize,
+        });
+
+        // Impide registros y cambios de email mientras se calcula; las lecturas siguen permitidas
+        await client.query(`LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE`);
+
+        const scanned = await this._computeCanonicalForms(client);
+        const collisions = await this._findCollisions(client);
+        if (collisions.length > 0) {
+            logger.error("[EmailNormalizationBackfill]", "Cuentas con el mismo email normalizado", { groups: collisions.length });
+            throw this._createCollisionError(collisions);
+        }
+
+        // Sin el índice la actualización no choca con valores que otra fila está por liberar
+        await client.query(`DROP INDEX IF EXISTS uq_users_email_normalized`);
+        const updated = await client.query(`
+            UPDATE users
+            SET email_normalized = backfill.email_normalized
+            FROM email_normalization_backfill backfill
+            WHERE users.id = backfill.id
+              AND users.email_normalized IS DISTINCT FROM backfill.email_normalized
+        `);
+        await client.query(`ALTER TABLE users ALTER COLUMN email_normalized SET NOT NULL`);
+        await client.query(`CREATE UNIQUE INDEX uq_users_email_normalized ON users (email_normalized)`);
+
+        logger.info("[EmailNormalizationBackfill]", "Emails normalizados recalculados", { scanned, updated: updated.rowCount });
+        return { scanned, updated: updated.rowCount };
+    }
+}
+
+module.exports = EmailNormalizationBackfill;
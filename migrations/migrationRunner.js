@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const pool = require("../config/database");
+const logger = require("../logger/Logger");
+
+// Formato de archivo: <versión>_<nombre>.<up|down>.<sql|js> (p. ej. 001_initial_schema.up.sql).
+// Un .js exporta async (client) => {} para los pasos que necesitan código de la aplicación.
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.(up|down)\.(sql|js)$/;
+
+// Clave arbitraria para pg_advisory_lock: evita que dos instancias migren a la vez
+const MIGRATION_LOCK_KEY = 427001;
+
+class MigrationRunner {
+    /**
+     * @param {Object} [options]
+     * @param {import('pg').Pool} [options.db] - Pool de conexiones (por defecto config/database)
+     * @param {string} [options.directory] - Carpeta con los archivos de migración
+     */
+    constructor({ db = pool, directory = path.join(__dirname, "sql") } = {}) {
+        this.db = db;
+        this.directory = directory;
+    }
+
+    /**
+     * @private
+     * Lee la carpeta de migraciones (archivos .sql y .js) y las agrupa por versión
+     * @returns {Array<{version: string, name: string, up: string, down: string|null}>}
+     */
+    _loadMigrations() {
+        const migrations = new Map();
+
+        fs.readdirSync(this.directory).forEach((file) => {
+            const match = MIGRATION_FILE_REGEX.exec(file);
+            if (!match) return;
+
+            const [, version, name, direction] = match;
+            const migration = migrations.get(version) || { version, name, up: null, down: null };
+            migration[direction] = path.join(this.directory, file);
+            migrations.set(version, migration);
+        });
+
+        return [...migrations.values()]
+            .filter((migration) => {
+                if (!migration.up) {
+                    logger.warn("[MigrationRunner]", "Migración sin archivo up, se ignora", { version: migration.version });
+                }
+                return Boolean(migration.up);
+            })
+            .sort((a, b) => Number(a.version) - Number(b.version));
+    }
+
+    /**
+     * @private
+     * Crea la tabla de control de versiones si no existe
+     */
+    async _ensureMigrationsTable(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(32) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * @private
+     * Obtiene las versiones ya aplicadas, ordenadas
+     */
+    async _getAppliedVersions(client) {
+        const result = await client.query(`SELECT version FROM schema_migrations ORDER BY version`);
+        return result.rows.map((row) => row.version);
+    }
+
+    /**
+     * @private
+     * Ejecuta una función con un cliente dedicado y el lock de migraciones tomado
+     */
+    async _withLock(fn) {
+        const client = await this.db.connect();
+        try {
+            await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+            await this._ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]).catch(() => {});
+            client.release();
+        }
+    }
+
+    /**
+     * @private
+     * Ejecuta un archivo de migración (SQL o módulo JS) y actualiza schema_migrations dentro de una transacción
+     */
+    async _runInTransaction(client, migrationFile, bookkeepingQuery, bookkeepingValues) {
+        try {
+            await client.query("BEGIN");
+            if (migrationFile.endsWith(".js")) {
+                await require(migrationFile)(client);
+            } else {
+                await client.query(fs.readFileSync(migrationFile, "utf8"));
+            }
+            await client.query(bookkeepingQuery, bookkeepingValues);
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+    }
+
+    /**
+     * Aplica las migraciones pendientes en orden
+     * @param {string} [targetVersion] - Última versión a aplicar (por defecto todas)
+     * @returns {Promise<Array<string>>} Versiones aplicadas
+     */
+    async up(targetVersion = null) {
+        return this._withLock(async (client) => {
+            const applied = new Set(await this._getAppliedVersions(client));
+            const pending = this._loadMigrations().filter((migration) =>
+                !applied.has(migration.version) &&
+                (targetVersion === null || Number(migration.version) <= Number(targetVersion))
+            );
+
+            if (pending.length === 0) {
+                logger.info("[MigrationRunner]", "✅ Esquema al día, no hay migraciones pendientes");
+                return [];
+            }
+
+            for (const migration of pending) {
+                logger.info("[MigrationRunner]", "⬆️ Aplicando migración", { version: migration.version, name: migration.name });
+                await this._runInTransaction(
+                    client,
+                    migration.up,
+                    `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+                    [migration.version, migration.name]
+                );
+            }
+
+            logger.info("[MigrationRunner]", "✅ Migraciones aplicadas", { count: pending.length });
+            return pending.map((migration) => migration.version);
+        });
+    }
+
+    /**
+     * Revierte las últimas migraciones aplicadas
+     * @param {number} [steps=1] - Cantidad de migraciones a revertir
+     * @returns {Promise<Array<string>>} Versiones revertidas
+     */
+    async down(steps = 1) {
+        return this._withLock(async (client) => {
+            const migrations = new Map(this._loadMigrations().map((migration) => [migration.version, migration]));
+            const toRevert = (await this._getAppliedVersions(client)).reverse().slice(0, steps);
+
+            for (const version of toRevert) {
+                const migration = migrations.get(version);
+                if (!migration || !migration.down) {
+                    throw new Error(`La migración ${version} no tiene archivo down`);
+                }
+
+                logger.info("[MigrationRunner]", "⬇️ Revirtiendo migración", { version, name: migration.name });
+                await this._runInTransaction(
+                    client,
+                    migration.down,
+                    `DELETE FROM schema_migrations WHERE version = $1`,
+                    [version]
+                );
+            }
+
+            logger.info("[MigrationRunner]", "✅ Migraciones revertidas", { count: toRevert.length });
+            return toRevert;
+        });
+    }
+
+    /**
+     * Lista todas las migraciones conocidas y si están aplicadas
+     * @returns {Promise<Array<{version: string, name: string, applied: boolean}>>}
+     */
+    async status() {
+        return this._withLock(async (client) => {
+            const applied = new Set(await this._getAppliedVersions(client));
+            return this._loadMigrations().map(({ version, name }) => ({
+                version,
+                name,
+                applied: applied.has(version)
+            }));
+        });
+    }
+}
+
+module.exports = MigrationRunner;
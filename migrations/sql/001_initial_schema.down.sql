@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS otp;
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS users;
+
+DROP TYPE IF EXISTS otp_status_enum;
+DROP TYPE IF EXISTS account_status_enum;
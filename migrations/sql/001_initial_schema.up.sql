@@ -0,0 +1,48 @@
+-- Esquema inicial: users, profiles y otp.
+-- Usa IF NOT EXISTS / duplicate_object para poder aplicarse sobre bases ya existentes.
+
+DO $$ BEGIN
+    CREATE TYPE account_status_enum AS ENUM ('PENDING_VALIDATION', 'VERIFIED', 'DELETED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE otp_status_enum AS ENUM ('CREATED', 'VERIFIED', 'EXPIRED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(150) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    account_status account_status_enum NOT NULL DEFAULT 'PENDING_VALIDATION',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_status_created_at
+    ON users (account_status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS profiles (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL UNIQUE REFERENCES users (id) ON DELETE CASCADE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS otp (
+    id SERIAL PRIMARY KEY,
+    otp VARCHAR(20) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    otp_status otp_status_enum NOT NULL DEFAULT 'CREATED',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_user_status
+    ON otp (user_id, otp_status);
+
+CREATE INDEX IF NOT EXISTS idx_otp_created_active
+    ON otp (created_at)
+    WHERE otp_status = 'CREATED';
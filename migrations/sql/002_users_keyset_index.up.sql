@@ -0,0 +1,4 @@
+-- Índice para la paginación por cursor (keyset) de GET /api/users
+CREATE INDEX IF NOT EXISTS idx_users_active_created_at_id
+    ON users (created_at DESC, id DESC)
+    WHERE account_status != 'DELETED';
@@ -0,0 +1,22 @@
+DROP TABLE IF EXISTS user_status_history;
+
+-- PostgreSQL no permite eliminar valores de un ENUM: se recrea el tipo sin SUSPENDED ni LOCKED
+DROP INDEX IF EXISTS idx_users_status_created_at;
+DROP INDEX IF EXISTS idx_users_active_created_at_id;
+
+UPDATE users SET account_status = 'VERIFIED' WHERE account_status IN ('SUSPENDED', 'LOCKED');
+
+ALTER TABLE users ALTER COLUMN account_status DROP DEFAULT;
+ALTER TYPE account_status_enum RENAME TO account_status_enum_old;
+CREATE TYPE account_status_enum AS ENUM ('PENDING_VALIDATION', 'VERIFIED', 'DELETED');
+ALTER TABLE users
+    ALTER COLUMN account_status TYPE account_status_enum
+    USING account_status::text::account_status_enum;
+ALTER TABLE users ALTER COLUMN account_status SET DEFAULT 'PENDING_VALIDATION';
+DROP TYPE account_status_enum_old;
+
+CREATE INDEX IF NOT EXISTS idx_users_status_created_at
+    ON users (account_status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_users_active_created_at_id
+    ON users (created_at DESC, id DESC)
+    WHERE account_status != 'DELETED';
@@ -0,0 +1,16 @@
+-- Nuevos estados de cuenta y auditoría de transiciones
+ALTER TYPE account_status_enum ADD VALUE IF NOT EXISTS 'SUSPENDED';
+ALTER TYPE account_status_enum ADD VALUE IF NOT EXISTS 'LOCKED';
+
+CREATE TABLE IF NOT EXISTS user_status_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    from_status account_status_enum NOT NULL,
+    to_status account_status_enum NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(150),
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_status_history_user
+    ON user_status_history (user_id, changed_at DESC);
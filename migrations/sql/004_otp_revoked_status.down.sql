@@ -0,0 +1,20 @@
+-- PostgreSQL no permite eliminar valores de un ENUM: se recrea el tipo sin REVOKED
+DROP INDEX IF EXISTS idx_otp_user_status;
+DROP INDEX IF EXISTS idx_otp_created_active;
+
+UPDATE otp SET otp_status = 'EXPIRED' WHERE otp_status = 'REVOKED';
+
+ALTER TABLE otp ALTER COLUMN otp_status DROP DEFAULT;
+ALTER TYPE otp_status_enum RENAME TO otp_status_enum_old;
+CREATE TYPE otp_status_enum AS ENUM ('CREATED', 'VERIFIED', 'EXPIRED');
+ALTER TABLE otp
+    ALTER COLUMN otp_status TYPE otp_status_enum
+    USING otp_status::text::otp_status_enum;
+ALTER TABLE otp ALTER COLUMN otp_status SET DEFAULT 'CREATED';
+DROP TYPE otp_status_enum_old;
+
+CREATE INDEX IF NOT EXISTS idx_otp_user_status
+    ON otp (user_id, otp_status);
+CREATE INDEX IF NOT EXISTS idx_otp_created_active
+    ON otp (created_at)
+    WHERE otp_status = 'CREATED';
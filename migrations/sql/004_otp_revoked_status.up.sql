@@ -0,0 +1,2 @@
+-- Estado REVOKED: OTP anulado manualmente o reemplazado por un reenvío
+ALTER TYPE otp_status_enum ADD VALUE IF NOT EXISTS 'REVOKED';
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS uq_otp_active_per_purpose;
+ALTER TABLE otp DROP COLUMN IF EXISTS purpose;
+DROP TYPE IF EXISTS otp_purpose_enum;
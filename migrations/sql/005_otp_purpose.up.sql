@@ -0,0 +1,24 @@
+-- Propósito de cada OTP: un código emitido para un flujo no sirve para otro
+DO $$ BEGIN
+    CREATE TYPE otp_purpose_enum AS ENUM ('PASSWORD_RESET', 'EMAIL_VERIFICATION', 'LOGIN_2FA');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Los OTP existentes se emitieron para restablecer contraseña
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS purpose otp_purpose_enum NOT NULL DEFAULT 'PASSWORD_RESET';
+
+-- Antes de exigir unicidad, deja activo solo el OTP más reciente de cada usuario y propósito
+UPDATE otp
+SET otp_status = 'REVOKED'
+WHERE otp_status = 'CREATED'
+  AND id NOT IN (
+      SELECT DISTINCT ON (user_id, purpose) id
+      FROM otp
+      WHERE otp_status = 'CREATED'
+      ORDER BY user_id, purpose, created_at DESC, id DESC
+  );
+
+-- Como máximo un OTP activo por usuario y propósito
+CREATE UNIQUE INDEX IF NOT EXISTS uq_otp_active_per_purpose
+    ON otp (user_id, purpose)
+    WHERE otp_status = 'CREATED';
@@ -0,0 +1,6 @@
+-- Los códigos originales no son recuperables: se anulan los OTP activos
+UPDATE otp SET otp_status = 'REVOKED' WHERE otp_status = 'CREATED';
+UPDATE otp SET otp_hash = 'scrubbed';
+
+ALTER TABLE otp ALTER COLUMN otp_hash TYPE VARCHAR(20);
+ALTER TABLE otp RENAME COLUMN otp_hash TO otp;
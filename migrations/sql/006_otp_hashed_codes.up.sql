@@ -0,0 +1,7 @@
+-- Los códigos OTP se guardan como hash con sal (ver security/otpHasher.js), nunca en texto plano
+ALTER TABLE otp RENAME COLUMN otp TO otp_hash;
+ALTER TABLE otp ALTER COLUMN otp_hash TYPE VARCHAR(255);
+
+-- Los códigos heredados no pueden convertirse: se anulan los activos y se depuran todos
+UPDATE otp SET otp_status = 'REVOKED' WHERE otp_status = 'CREATED';
+UPDATE otp SET otp_hash = 'scrubbed';
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS otp_user_lockouts;
+ALTER TABLE otp DROP COLUMN IF EXISTS failed_attempts;
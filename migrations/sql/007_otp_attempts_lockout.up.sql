@@ -0,0 +1,10 @@
+-- Intentos fallidos por OTP: al llegar al máximo el OTP se revoca
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0;
+
+-- Fallos acumulados por usuario (entre distintos OTP) y bloqueo temporal de la verificación
+CREATE TABLE IF NOT EXISTS otp_user_lockouts (
+    user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP
+);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_otp_inactive_created_at;
+DROP INDEX IF EXISTS idx_otp_active_expires_at;
+ALTER TABLE otp DROP COLUMN IF EXISTS expires_at;
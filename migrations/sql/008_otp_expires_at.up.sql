@@ -0,0 +1,12 @@
+-- Vencimiento explícito por OTP: la vigencia depende del propósito y se fija al crearlo
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- Los OTP existentes conservan la vigencia fija anterior (5 minutos)
+UPDATE otp SET expires_at = created_at + INTERVAL '5 minutes' WHERE expires_at IS NULL;
+
+ALTER TABLE otp ALTER COLUMN expires_at SET DEFAULT (CURRENT_TIMESTAMP + INTERVAL '5 minutes');
+ALTER TABLE otp ALTER COLUMN expires_at SET NOT NULL;
+
+-- El barrido periódico busca OTP activos vencidos y OTP inactivos antiguos
+CREATE INDEX IF NOT EXISTS idx_otp_active_expires_at ON otp (expires_at) WHERE otp_status = 'CREATED';
+CREATE INDEX IF NOT EXISTS idx_otp_inactive_created_at ON otp (created_at) WHERE otp_status <> 'CREATED';
@@ -0,0 +1,5 @@
+ALTER TABLE otp DROP COLUMN IF EXISTS delivery_error;
+ALTER TABLE otp DROP COLUMN IF EXISTS delivery_attempted_at;
+ALTER TABLE otp DROP COLUMN IF EXISTS delivery_channel;
+ALTER TABLE otp DROP COLUMN IF EXISTS delivery_status;
+DROP TYPE IF EXISTS otp_delivery_status_enum;
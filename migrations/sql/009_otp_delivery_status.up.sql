@@ -0,0 +1,10 @@
+-- Resultado de la entrega del código al usuario, registrado en la fila del OTP
+DO $$ BEGIN
+    CREATE TYPE otp_delivery_status_enum AS ENUM ('PENDING', 'SENT', 'FAILED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS delivery_status otp_delivery_status_enum NOT NULL DEFAULT 'PENDING';
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS delivery_channel VARCHAR(10);
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS delivery_attempted_at TIMESTAMP;
+ALTER TABLE otp ADD COLUMN IF NOT EXISTS delivery_error VARCHAR(500);
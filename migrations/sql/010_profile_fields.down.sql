@@ -0,0 +1,6 @@
+ALTER TABLE profiles DROP COLUMN IF EXISTS birthdate;
+ALTER TABLE profiles DROP COLUMN IF EXISTS timezone;
+ALTER TABLE profiles DROP COLUMN IF EXISTS locale;
+ALTER TABLE profiles DROP COLUMN IF EXISTS avatar_url;
+ALTER TABLE profiles DROP COLUMN IF EXISTS bio;
+ALTER TABLE profiles DROP COLUMN IF EXISTS display_name;
@@ -0,0 +1,7 @@
+-- Campos editables del perfil (PATCH /api/users/:id/profile); todos opcionales
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS display_name VARCHAR(100);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS bio VARCHAR(500);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS birthdate DATE;
@@ -0,0 +1,10 @@
+-- Hashes de contraseñas anteriores para impedir su reutilización (PASSWORD_HISTORY_SIZE)
+CREATE TABLE IF NOT EXISTS password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user
+    ON password_history (user_id, created_at DESC, id DESC);
@@ -0,0 +1,3 @@
+ALTER TABLE users DROP COLUMN IF EXISTS login_locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
+ALTER TABLE users DROP COLUMN IF EXISTS last_login_at;
@@ -0,0 +1,4 @@
+-- Seguimiento de inicios de sesión: último acceso, fallos consecutivos y bloqueo temporal
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS login_locked_until TIMESTAMP;
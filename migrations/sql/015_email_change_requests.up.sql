@@ -0,0 +1,17 @@
+-- Cambios de email pendientes: el código enviado a la dirección nueva se guarda con el mismo HMAC con sal que los OTP
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    new_email VARCHAR(150) NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    resolved_at TIMESTAMP
+);
+
+-- Como máximo un cambio pendiente por usuario: una solicitud nueva cancela la anterior
+CREATE UNIQUE INDEX IF NOT EXISTS uq_email_change_pending_per_user
+    ON email_change_requests (user_id)
+    WHERE status = 'PENDING';
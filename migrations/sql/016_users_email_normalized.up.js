@@ -0,0 +1,12 @@
+const EmailNormalizationBackfill = require("../emailNormalizationBackfill");
+
+/**
+ * Identidad del email sin distinguir mayúsculas: agrega users.email_normalized y lo calcula con el normalizador
+ * de la aplicación (domain/emailNormalizer.js). Si hay cuentas existentes que pasarían a ser la misma, la migración
+ * falla sin aplicar cambios y las lista para resolverlas antes de volver a ejecutarla.
+ * @param {import('pg').PoolClient} client - Cliente con la transacción de la migración
+ */
+module.exports = async (client) => {
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_normalized VARCHAR(255)`);
+    await new EmailNormalizationBackfill().run(client);
+};
@@ -1,6 +1,7 @@
 class AccountStatusResponse  {
     constructor(data) {
         this.account_status = data.account_status;
+        this.previous_status = data.previous_status || null;
     }
 
     static fromDatabase(data) {
@@ -8,9 +9,11 @@ class AccountStatusResponse  {
     }
 
     toJSON() {
-        return {
+        const json = {
             account_status: this.account_status,
         };
+        if (this.previous_status) json.previous_status = this.previous_status;
+        return json;
     }
 }
 
@@ -0,0 +1,30 @@
+class CredentialsVerificationResponse {
+    constructor(verified, user = null) {
+        this.verified = verified;
+        this.id = user ? user.id : null;
+        this.email = user ? user.email : null;
+        this.account_status = user ? user.account_status : null;
+    }
+
+    // Convertir a objeto plano para respuesta JSON
+    toJSON() {
+        return {
+            verified: this.verified,
+            id: this.id,
+            email: this.email,
+            account_status: this.account_status
+        };
+    }
+
+    // Credenciales válidas: expone solo identidad y estado del usuario
+    static verified(user) {
+        return new CredentialsVerificationResponse(true, user);
+    }
+
+    // Credenciales inválidas: no revela si el email existe
+    static rejected() {
+        return new CredentialsVerificationResponse(false);
+    }
+}
+
+module.exports = CredentialsVerificationResponse;
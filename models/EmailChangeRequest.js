@@ -0,0 +1,20 @@
+class EmailChangeRequest {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.new_email = data.new_email;
+        this.code_hash = data.code_hash;
+        this.status = data.status;
+        this.failed_attempts = data.failed_attempts;
+        this.created_at = data.created_at;
+        this.expires_at = data.expires_at;
+        this.resolved_at = data.resolved_at;
+    }
+
+    // Método estático para crear una instancia desde los datos de la BD
+    static fromDatabase(data) {
+        return new EmailChangeRequest(data);
+    }
+}
+
+module.exports = EmailChangeRequest;
@@ -0,0 +1,31 @@
+class EmailChangeResponse {
+    constructor(request) {
+        this.id = request.id;
+        this.user_id = request.user_id;
+        this.new_email = request.new_email;
+        this.status = request.status;
+        this.created_at = request.created_at;
+        this.expires_at = request.expires_at;
+        this.delivery_status = request.delivery_status ?? null;
+    }
+
+    // Convertir a objeto plano para respuesta JSON (nunca incluye el hash del código)
+    toJSON() {
+        return {
+            id: this.id,
+            user_id: this.user_id,
+            new_email: this.new_email,
+            status: this.status,
+            created_at: this.created_at,
+            expires_at: this.expires_at,
+            delivery_status: this.delivery_status,
+        };
+    }
+
+    // Método estático para crear desde un EmailChangeRequest
+    static fromRequest(request) {
+        return new EmailChangeResponse(request);
+    }
+}
+
+module.exports = EmailChangeResponse;
@@ -0,0 +1,31 @@
+const SessionTokenResponse = require("./SessionTokenResponse");
+
+class LoginResponse {
+    constructor(user, issuedSession) {
+        this.id = user.id;
+        this.email = user.email;
+        this.name = user.name;
+        this.account_status = user.account_status;
+        this.last_login_at = user.last_login_at;
+        this.session = SessionTokenResponse.fromIssued(issuedSession);
+    }
+
+    // Convertir a objeto plano para respuesta JSON
+    toJSON() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            account_status: this.account_status,
+            last_login_at: this.last_login_at,
+            session: this.session.toJSON()
+        };
+    }
+
+    // Método estático para crear desde el User devuelto por UserRepository.login y la sesión emitida
+    static fromUser(user, issuedSession) {
+        return new LoginResponse(user, issuedSession);
+    }
+}
+
+module.exports = LoginResponse;
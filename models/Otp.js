@@ -1,10 +1,15 @@
 class Otp {
     constructor(data) {
         this.id = data.id;
-        this.otp = data.otp;
+        this.otp_hash = data.otp_hash;
         this.user_id = data.user_id;
         this.created_at = data.created_at;
+        this.expires_at = data.expires_at;
         this.otp_status = data.otp_status;
+        this.purpose = data.purpose;
+        this.failed_attempts = data.failed_attempts;
+        this.delivery_status = data.delivery_status;
+        this.delivery_channel = data.delivery_channel;
     }
 
     // Crear instancia desde los datos de la BD
@@ -12,14 +17,17 @@ class Otp {
         return new Otp(data);
     }
 
-    // Convertir a objeto plano para JSON
+    // Convertir a objeto plano para JSON (nunca incluye otp_hash)
     toJSON() {
         return {
             id: this.id,
-            otp: this.otp,
             user_id: this.user_id,
             created_at: this.created_at,
-            otp_status: this.otp_status
+            expires_at: this.expires_at,
+            otp_status: this.otp_status,
+            purpose: this.purpose,
+            delivery_status: this.delivery_status,
+            delivery_channel: this.delivery_channel
         };
     }
 }
@@ -1,10 +1,13 @@
 class OtpResponse {
     constructor(otp) {
         this.id = otp.id;
-        this.otp = otp.otp;
         this.user_id = otp.user_id;
         this.created_at = otp.created_at;
+        this.expires_at = otp.expires_at;
         this.otp_status = otp.otp_status;
+        this.purpose = otp.purpose;
+        this.delivery_status = otp.delivery_status;
+        this.delivery_channel = otp.delivery_channel;
         this.url = "";
     }
 
@@ -12,10 +15,13 @@ class OtpResponse {
     toJSON() {
         return {
             id: this.id,
-            otp: this.otp,
             user_id: this.user_id,
             created_at: this.created_at,
+            expires_at: this.expires_at,
             otp_status: this.otp_status,
+            purpose: this.purpose,
+            delivery_status: this.delivery_status,
+            delivery_channel: this.delivery_channel,
             url: this.url,
         };
     }
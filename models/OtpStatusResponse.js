@@ -0,0 +1,84 @@
+/**
+ * Estado del OTP más reciente de un usuario para un propósito (GET /api/auth/otp/status).
+ * Nunca incluye el código.
+ */
+class OtpStatusResponse {
+    constructor(data) {
+        this.user_id = data.user_id;
+        this.purpose = data.purpose;
+        this.active = data.active;
+        this.otp_id = data.otp_id;
+        this.otp_status = data.otp_status;
+        this.created_at = data.created_at;
+        this.expires_at = data.expires_at;
+        this.resend_available_at = data.resend_available_at;
+        this.remaining_attempts = data.remaining_attempts;
+        this.locked_until = data.locked_until;
+        this.delivery_status = data.delivery_status;
+        this.delivery_channel = data.delivery_channel;
+    }
+
+    /**
+     * @param {number} userId - ID del usuario
+     * @param {string} purpose - Propósito consultado
+     * @param {Otp|null} otp - OTP más reciente (null si nunca se generó uno)
+     * @param {Object} options - { resendCooldownSeconds, maxAttempts, lockedUntil }
+     * @returns {OtpStatusResponse}
+     */
+    static fromOtp(userId, purpose, otp, { resendCooldownSeconds, maxAttempts, lockedUntil = null }) {
+        if (!otp) {
+            return new OtpStatusResponse({
+                user_id: userId,
+                purpose,
+                active: false,
+                otp_id: null,
+                otp_status: null,
+                created_at: null,
+                expires_at: null,
+                resend_available_at: null,
+                remaining_attempts: null,
+                locked_until: lockedUntil,
+                delivery_status: null,
+                delivery_channel: null,
+            });
+        }
+
+        const createdAt = new Date(otp.created_at);
+        const active = otp.otp_status === "CREATED";
+
+        return new OtpStatusResponse({
+            user_id: userId,
+            purpose,
+            active,
+            otp_id: otp.id,
+            otp_status: otp.otp_status,
+            created_at: otp.created_at,
+            expires_at: active ? otp.expires_at : null,
+            resend_available_at: active ? new Date(createdAt.getTime() + resendCooldownSeconds * 1000) : null,
+            remaining_attempts: active ? Math.max(0, maxAttempts - otp.failed_attempts) : null,
+            locked_until: lockedUntil,
+            delivery_status: otp.delivery_status,
+            delivery_channel: otp.delivery_channel,
+        });
+    }
+
+    // Convertir a objeto plano para JSON
+    toJSON() {
+        return {
+            user_id: this.user_id,
+            purpose: this.purpose,
+            active: this.active,
+            otp_id: this.otp_id,
+            otp_status: this.otp_status,
+            created_at: this.created_at,
+            expires_at: this.expires_at,
+            resend_available_at: this.resend_available_at,
+            remaining_attempts: this.remaining_attempts,
+            locked_until: this.locked_until,
+            delivery_status: this.delivery_status,
+            delivery_channel: this.delivery_channel,
+        };
+    }
+}
+
+module.exports = OtpStatusResponse;
@@ -44,18 +44,53 @@ class PaginatedUserResponse {
      * @param {number} totalItems - Total de usuarios en la base de datos
      * @param {number} currentPage - Página actual (base 1)
      * @param {number} pageSize - Tamaño de cada página
+     * @param {Object|null} [filters] - Filtros aplicados, devueltos tal cual al cliente
      * @returns {PaginatedUserResponse} Instancia del modelo
      */
-    static createPaginated(users, totalItems, currentPage, pageSize) {
+    static createPaginated(users, totalItems, currentPage, pageSize, filters = null) {
         const totalPages = Math.ceil(totalItems / pageSize);
         
-        return new PaginatedUserResponse(
+        const response = new PaginatedUserResponse(
             totalItems,
             totalPages,
             currentPage,
             pageSize,
             users
         );
+        response.filters = filters;
+        return response;
+    }
+
+    /**
+     * Crea una instancia para paginación por cursor (keyset)
+     * @param {Array} users - Lista de usuarios de la página actual
+     * @param {number} pageSize - Tamaño de cada página
+     * @param {string|null} nextCursor - Cursor opaco de la página siguiente (null si no hay más)
+     * @param {string|null} prevCursor - Cursor opaco de la página anterior (null si es la primera)
+     * @param {number|null} [totalItems] - Total de usuarios, solo si se solicitó explícitamente
+     * @param {Object|null} [filters] - Filtros aplicados, devueltos tal cual al cliente
+     * @returns {PaginatedUserResponse} Instancia del modelo
+     */
+    static createCursorPage(users, pageSize, nextCursor, prevCursor, totalItems = null, filters = null) {
+        const response = new PaginatedUserResponse(
+            totalItems,
+            null,
+            null,
+            pageSize,
+            users
+        );
+        response.nextCursor = nextCursor;
+        response.prevCursor = prevCursor;
+        response.filters = filters;
+        return response;
+    }
+
+    /**
+     * Indica si la respuesta corresponde a paginación por cursor
+     * @returns {boolean}
+     */
+    isCursorPage() {
+        return this.nextCursor !== undefined;
     }
 
     /**
@@ -63,13 +98,33 @@ class PaginatedUserResponse {
      * @returns {Object} Objeto plano con los datos de paginación
      */
     toJSON() {
-        return {
+        if (this.isCursorPage()) {
+            const json = {
+                pageSize: this.pageSize,
+                nextCursor: this.nextCursor,
+                prevCursor: this.prevCursor,
+                users: this.users
+            };
+            if (this.totalItems !== null) {
+                json.totalItems = this.totalItems;
+            }
+            if (this.filters) {
+                json.filters = this.filters;
+            }
+            return json;
+        }
+
+        const json = {
             totalItems: this.totalItems,
             totalPages: this.totalPages,
             currentPage: this.currentPage,
             pageSize: this.pageSize,
             users: this.users
         };
+        if (this.filters) {
+            json.filters = this.filters;
+        }
+        return json;
     }
 }
 
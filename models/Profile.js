@@ -0,0 +1,21 @@
+class Profile {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.display_name = data.display_name;
+        this.bio = data.bio;
+        this.avatar_url = data.avatar_url;
+        this.locale = data.locale;
+        this.timezone = data.timezone;
+        this.birthdate = data.birthdate;
+        this.created_at = data.created_at;
+        this.updated_at = data.updated_at;
+    }
+
+    // Crear instancia desde los datos de la BD (birthdate llega como texto AAAA-MM-DD)
+    static fromDatabase(data) {
+        return new Profile(data);
+    }
+}
+
+module.exports = Profile;
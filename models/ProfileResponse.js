@@ -0,0 +1,33 @@
+class ProfileResponse {
+    constructor(profile) {
+        this.user_id = profile.user_id;
+        this.display_name = profile.display_name ?? null;
+        this.bio = profile.bio ?? null;
+        this.avatar_url = profile.avatar_url ?? null;
+        this.locale = profile.locale ?? null;
+        this.timezone = profile.timezone ?? null;
+        this.birthdate = profile.birthdate ?? null;
+        this.updated_at = profile.updated_at;
+    }
+
+    // Convertir a objeto plano para respuesta JSON
+    toJSON() {
+        return {
+            user_id: this.user_id,
+            display_name: this.display_name,
+            bio: this.bio,
+            avatar_url: this.avatar_url,
+            locale: this.locale,
+            timezone: this.timezone,
+            birthdate: this.birthdate,
+            updated_at: this.updated_at,
+        };
+    }
+
+    // Método estático para crear desde un Profile
+    static fromProfile(profile) {
+        return new ProfileResponse(profile);
+    }
+}
+
+module.exports = ProfileResponse;
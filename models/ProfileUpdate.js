@@ -0,0 +1,25 @@
+/**
+ * Datos de PATCH /api/users/:id/profile.
+ * Solo conserva los campos enviados: un campo ausente no se modifica y uno con null o "" se borra.
+ */
+class ProfileUpdate {
+    constructor(data = {}) {
+        ProfileUpdate.FIELDS.forEach((field) => {
+            if (data[field] === undefined) return;
+            const value = typeof data[field] === "string" ? data[field].trim() : data[field];
+            this[field] = value === "" ? null : value;
+        });
+    }
+
+    // Campos enviados, listos para el UPDATE
+    toJSON() {
+        return ProfileUpdate.FIELDS.reduce((json, field) => {
+            if (this[field] !== undefined) json[field] = this[field];
+            return json;
+        }, {});
+    }
+}
+
+ProfileUpdate.FIELDS = ["display_name", "bio", "avatar_url", "locale", "timezone", "birthdate"];
+
+module.exports = ProfileUpdate;
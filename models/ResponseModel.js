@@ -28,6 +28,16 @@ class ResponseModel {
         return new ResponseModel(false, message, null, error, 400);
     }
 
+    // Método estático para respuestas de no autenticado (401)
+    static unauthorized(message = 'Authentication required', error = null) {
+        return new ResponseModel(false, message, null, error, 401);
+    }
+
+    // Método estático para respuestas de acceso denegado (403)
+    static forbidden(message = 'Forbidden', error = null) {
+        return new ResponseModel(false, message, null, error, 403);
+    }
+
     // Método estático para respuestas de conflicto (409)
     static conflict(message, error = null) {
         return new ResponseModel(false, message, null, error, 409);
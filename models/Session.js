@@ -0,0 +1,21 @@
+class Session {
+    constructor(data) {
+        this.id = data.id;
+        this.user_id = data.user_id;
+        this.device_name = data.device_name;
+        this.user_agent = data.user_agent;
+        this.ip_address = data.ip_address;
+        this.created_at = data.created_at;
+        this.last_used_at = data.last_used_at;
+        this.expires_at = data.expires_at;
+        this.revoked_at = data.revoked_at;
+        this.revoked_reason = data.revoked_reason;
+    }
+
+    // Método estático para crear una instancia desde los datos de la BD
+    static fromDatabase(data) {
+        return new Session(data);
+    }
+}
+
+module.exports = Session;
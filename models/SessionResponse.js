@@ -0,0 +1,31 @@
+class SessionResponse {
+    constructor(session) {
+        this.id = session.id;
+        this.device_name = session.device_name ?? null;
+        this.user_agent = session.user_agent ?? null;
+        this.ip_address = session.ip_address ?? null;
+        this.created_at = session.created_at;
+        this.last_used_at = session.last_used_at;
+        this.expires_at = session.expires_at;
+    }
+
+    // Convertir a objeto plano para respuesta JSON (nunca incluye el refresh token)
+    toJSON() {
+        return {
+            id: this.id,
+            device_name: this.device_name,
+            user_agent: this.user_agent,
+            ip_address: this.ip_address,
+            created_at: this.created_at,
+            last_used_at: this.last_used_at,
+            expires_at: this.expires_at,
+        };
+    }
+
+    // Método estático para crear desde un Session
+    static fromSession(session) {
+        return new SessionResponse(session);
+    }
+}
+
+module.exports = SessionResponse;
@@ -0,0 +1,25 @@
+class SessionTokenResponse {
+    constructor(session, refreshToken) {
+        this.session_id = session.id;
+        this.user_id = session.user_id;
+        this.refresh_token = refreshToken;
+        this.expires_at = session.expires_at;
+    }
+
+    // Convertir a objeto plano para respuesta JSON; el refresh token solo se entrega aquí, una vez
+    toJSON() {
+        return {
+            session_id: this.session_id,
+            user_id: this.user_id,
+            refresh_token: this.refresh_token,
+            expires_at: this.expires_at,
+        };
+    }
+
+    // Método estático para crear desde el resultado de SessionRepository.create / rotate
+    static fromIssued({ session, refreshToken }) {
+        return new SessionTokenResponse(session, refreshToken);
+    }
+}
+
+module.exports = SessionTokenResponse;
@@ -0,0 +1,21 @@
+class TotpEnrollmentResponse {
+    constructor({ secret, otpauthUrl }) {
+        this.secret = secret;
+        this.otpauth_url = otpauthUrl;
+    }
+
+    // Convertir a objeto plano para respuesta JSON; el secreto solo se entrega al inscribirse
+    toJSON() {
+        return {
+            secret: this.secret,
+            otpauth_url: this.otpauth_url,
+        };
+    }
+
+    // Método estático para crear desde TotpRepository.enroll
+    static fromEnrollment(enrollment) {
+        return new TotpEnrollmentResponse(enrollment);
+    }
+}
+
+module.exports = TotpEnrollmentResponse;
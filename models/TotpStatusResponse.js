@@ -0,0 +1,25 @@
+class TotpStatusResponse {
+    constructor(status) {
+        this.enabled = status.enabled;
+        this.pending = status.pending;
+        this.confirmed_at = status.confirmed_at ?? null;
+        this.recovery_codes_remaining = status.recovery_codes_remaining;
+    }
+
+    // Convertir a objeto plano para respuesta JSON
+    toJSON() {
+        return {
+            enabled: this.enabled,
+            pending: this.pending,
+            confirmed_at: this.confirmed_at,
+            recovery_codes_remaining: this.recovery_codes_remaining,
+        };
+    }
+
+    // Método estático para crear desde TotpRepository.getStatus
+    static fromStatus(status) {
+        return new TotpStatusResponse(status);
+    }
+}
+
+module.exports = TotpStatusResponse;
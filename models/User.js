@@ -7,6 +7,9 @@ class User {
         this.created_at = data.created_at;
         this.phone = data.phone;
         this.account_status = data.account_status;
+        this.last_login_at = data.last_login_at ?? null;
+        this.failed_login_attempts = data.failed_login_attempts ?? 0;
+        this.login_locked_until = data.login_locked_until ?? null;
     }
 
     // Método estático para crear una instancia desde los datos de la BD
@@ -22,7 +25,8 @@ class User {
             email: this.email,
             phone: this.phone,
             created_at: this.created_at,
-            account_status: this.account_status
+            account_status: this.account_status,
+            last_login_at: this.last_login_at
         };
     }
 
@@ -4,7 +4,7 @@ class UserAuthResponse {
         this.email = user.email;
         this.name = user.name;
         this.phone = user.phone;
-        this.password = user.password; // Incluir password para autenticación
+        this.account_status = user.account_status;
     }
 
     // Convertir a objeto plano para respuesta JSON
@@ -14,7 +14,7 @@ class UserAuthResponse {
             email: this.email,
             name: this.name,
             phone: this.phone,
-            password: this.password
+            account_status: this.account_status
         };
     }
 
@@ -25,4 +25,3 @@ class UserAuthResponse {
 }
 
 module.exports = UserAuthResponse;
-
@@ -0,0 +1,72 @@
+const { ValidationError } = require("../errors");
+
+/**
+ * Filtros, búsqueda y ordenamiento del listado de usuarios (GET /api/users)
+ */
+class UserListFilters {
+    /**
+     * @param {Object} data
+     * @param {string} [data.status] - account_status exacto
+     * @param {string} [data.createdFrom] - Fecha ISO mínima de created_at (inclusive)
+     * @param {string} [data.createdTo] - Fecha ISO máxima de created_at (inclusive)
+     * @param {string} [data.search] - Texto a buscar en nombre, email y teléfono (sin distinguir mayúsculas)
+     * @param {string} [data.sort] - Campo de ordenamiento (ver UserListFilters.SORT_FIELDS)
+     * @param {string} [data.direction] - asc | desc
+     */
+    constructor(data = {}) {
+        this.status = data.status || null;
+        this.createdFrom = data.createdFrom || null;
+        this.createdTo = data.createdTo || null;
+        this.search = data.search ? data.search.trim() : null;
+        this.sort = data.sort || UserListFilters.DEFAULT_SORT;
+        this.direction = (data.direction || UserListFilters.DEFAULT_DIRECTION).toLowerCase();
+    }
+
+    /**
+     * Crea una instancia desde la query string, validando el rango de fechas
+     * @param {Object} query - req.query
+     * @returns {UserListFilters}
+     * @throws {ValidationError} Si createdFrom es posterior a createdTo
+     */
+    static fromQuery(query = {}) {
+        const filters = new UserListFilters(query);
+
+        if (filters.createdFrom && filters.createdTo && new Date(filters.createdFrom) > new Date(filters.createdTo)) {
+            throw new ValidationError([{
+                field: "createdFrom",
+                rule: "range",
+                message: "createdFrom no puede ser posterior a createdTo"
+            }]);
+        }
+
+        return filters;
+    }
+
+    /**
+     * Indica si el ordenamiento es el por defecto (created_at DESC), requerido por el modo cursor
+     * @returns {boolean}
+     */
+    usesDefaultSort() {
+        return this.sort === UserListFilters.DEFAULT_SORT && this.direction === UserListFilters.DEFAULT_DIRECTION;
+    }
+
+    // Convertir a objeto plano: solo los filtros aplicados, siempre con el ordenamiento
+    toJSON() {
+        const json = {};
+        if (this.status) json.status = this.status;
+        if (this.createdFrom) json.createdFrom = this.createdFrom;
+        if (this.createdTo) json.createdTo = this.createdTo;
+        if (this.search) json.search = this.search;
+        json.sort = this.sort;
+        json.direction = this.direction;
+        return json;
+    }
+}
+
+UserListFilters.SORT_FIELDS = ["created_at", "name", "email", "id"];
+UserListFilters.DIRECTIONS = ["asc", "desc"];
+UserListFilters.STATUSES = ["PENDING_VALIDATION", "VERIFIED", "SUSPENDED", "LOCKED"];
+UserListFilters.DEFAULT_SORT = "created_at";
+UserListFilters.DEFAULT_DIRECTION = "desc";
+
+module.exports = UserListFilters;
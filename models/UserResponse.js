@@ -5,6 +5,7 @@ class UserResponse {
         this.name = user.name;
         this.phone = user.phone;
         this.account_status = user.account_status;
+        this.last_login_at = user.last_login_at ?? null;
     }
 
     // Convertir a objeto plano para respuesta JSON
@@ -15,6 +16,7 @@ class UserResponse {
             name: this.name,
             phone: this.phone,
             account_status: this.account_status,
+            last_login_at: this.last_login_at,
         };
     }
 
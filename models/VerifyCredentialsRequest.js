@@ -0,0 +1,21 @@
+class VerifyCredentialsRequest {
+    constructor(data) {
+        this.email = data.email;
+        this.password = data.password;
+        this.totpCode = data.totp_code || null;
+        this.recoveryCode = data.recovery_code || null;
+    }
+
+    static fromBody(data) {
+        return new VerifyCredentialsRequest(data);
+    }
+
+    // No se exponen la contraseña ni los códigos al serializar
+    toJSON() {
+        return {
+            email: this.email
+        };
+    }
+}
+
+module.exports = VerifyCredentialsRequest;
@@ -0,0 +1,15 @@
+/**
+ * Transporte de desarrollo: imprime el mensaje en la salida estándar, fuera del logger estructurado.
+ * No usar en producción: el código queda visible en la consola del proceso.
+ */
+class ConsoleTransport {
+    /**
+     * @param {Object} message - { to, subject, body }
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+        console.log(`📨 [ConsoleTransport] Para: ${message.to} | ${message.subject}\n${message.body}`);
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,31 @@
+const fs = require("fs");
+const path = require("path");
+const notificationsConfig = require("../config/notifications");
+
+/**
+ * Transporte de pruebas locales: agrega cada mensaje como una línea JSON a un archivo.
+ * No usar en producción: el código queda guardado en texto plano.
+ */
+class FileTransport {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Archivo destino (por defecto NOTIFICATIONS_FILE_PATH)
+     * @param {string} [options.channel] - Canal que atiende (EMAIL o SMS), se registra en cada línea
+     */
+    constructor({ filePath = notificationsConfig.filePath, channel = null } = {}) {
+        this.filePath = path.resolve(filePath);
+        this.channel = channel;
+    }
+
+    /**
+     * @param {Object} message - { to, subject, body }
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+        const line = JSON.stringify({ sentAt: new Date().toISOString(), channel: this.channel, ...message });
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${line}\n`, "utf8");
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,117 @@
+const otpConfig = require("../config/otp");
+const notificationsConfig = require("../config/notifications");
+const { NotificationChannel, DEFAULT_NOTIFICATION_CHANNEL } = require("../domain/notificationChannel");
+const ConsoleTransport = require("./consoleTransport");
+const FileTransport = require("./fileTransport");
+const SmtpTransport = require("./smtpTransport");
+const SmsTransport = require("./smsTransport");
+const { renderOtpMessage, renderNoticeMessage } = require("./templates");
+const logger = require("../logger/Logger");
+
+// Transportes disponibles, seleccionados por canal con EMAIL_TRANSPORT y SMS_TRANSPORT
+const TRANSPORTS = {
+    console: ConsoleTransport,
+    file: FileTransport,
+    smtp: SmtpTransport,
+    sms: SmsTransport,
+};
+
+// Transportes que puede usar cada canal
+const CHANNEL_TRANSPORTS = {
+    [NotificationChannel.EMAIL]: ["console", "file", "smtp"],
+    [NotificationChannel.SMS]: ["console", "file", "sms"],
+};
+
+// Transportes que escriben los códigos en claro (stdout o archivo): no se permiten en producción
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+/**
+ * Canal dedicado de entrega de códigos OTP al usuario.
+ * Es el único lugar donde el código viaja en texto plano: nunca se devuelve en la API ni se registra en logs.
+ */
+class OtpDeliveryChannel {
+    /**
+     * @param {Object} [transports] - { EMAIL, SMS }: objetos con send({ to, subject, body });
+     *   los que falten se crean según config/notifications.js al usarlos por primera vez
+     */
+    constructor(transports = {}) {
+        this.transports = { ...transports };
+    }
+
+    /**
+     * Instancia un transporte para un canal
+     * @param {string} channel - EMAIL | SMS
+     * @param {string|null} name - Nombre del transporte (null si el canal no está configurado)
+     * @param {Object} [options]
+     * @param {boolean} [options.production] - Rechaza console y file (por defecto NODE_ENV=production)
+     * @returns {Object}
+     */
+    static createTransport(channel, name, { production = notificationsConfig.production } = {}) {
+        if (!name) {
+            throw new Error(`No hay transporte de entrega configurado para ${channel} (${channel}_TRANSPORT)`);
+        }
+        if (production && DEVELOPMENT_TRANSPORTS.includes(name)) {
+            throw new Error(`El transporte ${name} escribe los códigos en claro y no se permite en producción (${channel}_TRANSPORT)`);
+        }
+
+        const Transport = TRANSPORTS[name];
+        if (!Transport || !CHANNEL_TRANSPORTS[channel].includes(name)) {
+            throw new Error(`Transporte de entrega de OTP desconocido para ${channel}: ${name}`);
+        }
+        return new Transport({ channel });
+    }
+
+    /**
+     * @private
+     * Transporte del canal, creado de forma diferida para no exigir configuración de canales sin uso
+     */
+    _getTransport(channel) {
+        if (!this.transports[channel]) {
+            this.transports[channel] = OtpDeliveryChannel.createTransport(channel, notificationsConfig.transports[channel]);
+        }
+        return this.transports[channel];
+    }
+
+    /**
+     * Entrega un OTP a su destinatario
+     * @param {Object} delivery
+     * @param {string} [delivery.channel] - EMAIL (por defecto) o SMS
+     * @param {string} delivery.to - Email o teléfono del usuario, según el canal
+     * @param {string} delivery.code - Código OTP en texto plano
+     * @param {string} delivery.purpose - Propósito del OTP
+     * @param {string} [delivery.url] - URL donde se canjea el código
+     * @param {number} [delivery.otpId] - ID del OTP (solo para trazas)
+     * @param {number} [delivery.ttlMinutes] - Vigencia mostrada (por defecto la del propósito en config/otp.js)
+     * @returns {Promise<void>}
+     */
+    async deliver({ channel = DEFAULT_NOTIFICATION_CHANNEL, to, code, purpose, url = "", otpId = null, ttlMinutes = null }) {
+        const message = renderOtpMessage(purpose, channel, {
+            code,
+            url,
+            ttlMinutes: ttlMinutes || otpConfig.ttlMinutesByPurpose[purpose] || otpConfig.ttlMinutes,
+        });
+
+        await this._getTransport(channel).send({ to, ...message });
+
+        logger.info("[OtpDeliveryChannel]", "📨 OTP entregado", { channel, to, purpose, otpId });
+    }
+
+    /**
+     * Envía un aviso sin código (p. ej. al email anterior tras un cambio de email)
+     * @param {Object} notification
+     * @param {string} [notification.channel] - EMAIL (por defecto) o SMS
+     * @param {string} notification.to - Destinatario
+     * @param {string} notification.notice - Tipo de aviso
+     * @param {Object} [notification.variables] - Variables de la plantilla
+     * @returns {Promise<void>}
+     */
+    async notify({ channel = DEFAULT_NOTIFICATION_CHANNEL, to, notice, variables = {} }) {
+        const message = renderNoticeMessage(notice, channel, variables);
+
+        await this._getTransport(channel).send({ to, ...message });
+
+        logger.info("[OtpDeliveryChannel]", "📨 Aviso entregado", { channel, to, notice });
+    }
+}
+
+module.exports = OtpDeliveryChannel;
@@ -0,0 +1,45 @@
+const axios = require("axios");
+const notificationsConfig = require("../config/notifications");
+
+/**
+ * Transporte de SMS a través de una pasarela HTTP (SMS_GATEWAY_URL).
+ * El asunto no se envía: el SMS solo lleva el cuerpo.
+ */
+class SmsTransport {
+    /**
+     * @param {Object} [options] - Por defecto config/notifications.js (sms)
+     */
+    constructor({
+        gatewayUrl = notificationsConfig.sms.gatewayUrl,
+        apiKey = notificationsConfig.sms.apiKey,
+        sender = notificationsConfig.sms.sender,
+        timeoutMs = notificationsConfig.sms.timeoutMs,
+        http = axios,
+    } = {}) {
+        if (!gatewayUrl) {
+            throw new Error("SMS_GATEWAY_URL es obligatorio para el transporte sms");
+        }
+        this.gatewayUrl = gatewayUrl;
+        this.apiKey = apiKey;
+        this.sender = sender;
+        this.timeoutMs = timeoutMs;
+        this.http = http;
+    }
+
+    /**
+     * @param {Object} message - { to, body }
+     * @returns {Promise<void>}
+     */
+    async send({ to, body }) {
+        await this.http.post(
+            this.gatewayUrl,
+            { from: this.sender, to, message: body },
+            {
+                timeout: this.timeoutMs,
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+            }
+        );
+    }
+}
+
+module.exports = SmsTransport;
@@ -0,0 +1,33 @@
+const nodemailer = require("nodemailer");
+const notificationsConfig = require("../config/notifications");
+
+/**
+ * Transporte de email por SMTP (nodemailer)
+ */
+class SmtpTransport {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.mailer] - Transporter de nodemailer ya creado (por defecto según SMTP_*)
+     * @param {string} [options.from] - Remitente
+     */
+    constructor({ mailer = null, from = notificationsConfig.smtp.from } = {}) {
+        const { host, port, secure, user, password } = notificationsConfig.smtp;
+        this.mailer = mailer || nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass: password } : undefined,
+        });
+        this.from = from;
+    }
+
+    /**
+     * @param {Object} message - { to, subject, body }
+     * @returns {Promise<void>}
+     */
+    async send({ to, subject, body }) {
+        await this.mailer.sendMail({ from: this.from, to, subject, text: body });
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,142 @@
+const { OtpPurpose } = require("../domain/otpPurpose");
+const { NotificationChannel } = require("../domain/notificationChannel");
+
+/**
+ * Plantillas de los mensajes de OTP por propósito y canal.
+ * Variables disponibles: {{code}}, {{url}}, {{ttlMinutes}}. Las líneas que quedan con una variable vacía se omiten.
+ */
+const TEMPLATES = {
+    [OtpPurpose.PASSWORD_RESET]: {
+        [NotificationChannel.EMAIL]: {
+            subject: "Restablecimiento de contraseña",
+            body: [
+                "Recibimos una solicitud para restablecer su contraseña.",
+                "Su código es: {{code}}",
+                "Úselo en: {{url}}",
+                "El código vence en {{ttlMinutes}} minutos. Si no lo solicitó, ignore este mensaje.",
+            ],
+        },
+        [NotificationChannel.SMS]: {
+            body: ["Su código para restablecer la contraseña es {{code}}. Vence en {{ttlMinutes}} min."],
+        },
+    },
+    [OtpPurpose.EMAIL_VERIFICATION]: {
+        [NotificationChannel.EMAIL]: {
+            subject: "Verificación de email",
+            body: [
+                "Confirme su dirección de email para activar la cuenta.",
+                "Su código es: {{code}}",
+                "Úselo en: {{url}}",
+                "El código vence en {{ttlMinutes}} minutos.",
+            ],
+        },
+        [NotificationChannel.SMS]: {
+            body: ["Su código de verificación es {{code}}. Vence en {{ttlMinutes}} min."],
+        },
+    },
+    [OtpPurpose.LOGIN_2FA]: {
+        [NotificationChannel.EMAIL]: {
+            subject: "Código de inicio de sesión",
+            body: [
+                "Su código de inicio de sesión es: {{code}}",
+                "El código vence en {{ttlMinutes}} minutos. Si no intentó iniciar sesión, cambie su contraseña.",
+            ],
+        },
+        [NotificationChannel.SMS]: {
+            body: ["Su código de inicio de sesión es {{code}}. Vence en {{ttlMinutes}} min."],
+        },
+    },
+    // Cambio de email: no es un propósito de la tabla otp, el código se envía solo a la dirección nueva
+    EMAIL_CHANGE: {
+        [NotificationChannel.EMAIL]: {
+            subject: "Confirme su nuevo email",
+            body: [
+                "Recibimos una solicitud para usar esta dirección en su cuenta.",
+                "Su código es: {{code}}",
+                "Úselo en: {{url}}",
+                "El código vence en {{ttlMinutes}} minutos. Si no lo solicitó, ignore este mensaje.",
+            ],
+        },
+    },
+};
+
+/**
+ * Plantillas de avisos sin código, por tipo de aviso y canal.
+ * Variables disponibles: {{newEmail}}.
+ */
+const NOTICE_TEMPLATES = {
+    EMAIL_CHANGED: {
+        [NotificationChannel.EMAIL]: {
+            subject: "Su email fue cambiado",
+            body: [
+                "El email de su cuenta se cambió a {{newEmail}}.",
+                "Si no fue usted, contacte a soporte de inmediato.",
+            ],
+        },
+    },
+};
+
+const PLACEHOLDER_REGEX = /\{\{(\w+)\}\}/g;
+
+/**
+ * @private
+ * Reemplaza las variables de una línea; devuelve null si alguna quedó vacía
+ */
+const renderLine = (line, variables) => {
+    let missing = false;
+    const rendered = line.replace(PLACEHOLDER_REGEX, (_, name) => {
+        const value = variables[name];
+        if (value === undefined || value === null || value === "") {
+            missing = true;
+            return "";
+        }
+        return String(value);
+    });
+    return missing ? null : rendered;
+};
+
+/**
+ * @private
+ * Renderiza el asunto y las líneas de una plantilla
+ */
+const renderTemplate = (template, variables) => ({
+    subject: template.subject ? renderLine(template.subject, variables) : "",
+    body: template.body
+        .map((line) => renderLine(line, variables))
+        .filter((line) => line !== null)
+        .join("\n"),
+});
+
+/**
+ * Renderiza el mensaje de un OTP
+ * @param {string} purpose - Propósito del OTP
+ * @param {string} channel - Canal de entrega
+ * @param {Object} variables - { code, url, ttlMinutes }
+ * @returns {{subject: string, body: string}}
+ * @throws {Error} Si no hay plantilla para el propósito y canal
+ */
+const renderOtpMessage = (purpose, channel, variables) => {
+    const template = TEMPLATES[purpose] && TEMPLATES[purpose][channel];
+    if (!template) {
+        throw new Error(`No hay plantilla de OTP para ${purpose}/${channel}`);
+    }
+    return renderTemplate(template, variables);
+};
+
+/**
+ * Renderiza un aviso sin código
+ * @param {string} notice - Tipo de aviso (p. ej. EMAIL_CHANGED)
+ * @param {string} channel - Canal de entrega
+ * @param {Object} variables - Variables del aviso
+ * @returns {{subject: string, body: string}}
+ * @throws {Error} Si no hay plantilla para el aviso y canal
+ */
+const renderNoticeMessage = (notice, channel, variables) => {
+    const template = NOTICE_TEMPLATES[notice] && NOTICE_TEMPLATES[notice][channel];
+    if (!template) {
+        throw new Error(`No hay plantilla de aviso para ${notice}/${channel}`);
+    }
+    return renderTemplate(template, variables);
+};
+
+module.exports = { renderOtpMessage, renderNoticeMessage };
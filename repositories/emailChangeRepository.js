@@ -0,0 +1,254 @@
+const pool = require("../config/database");
+const User = require("../models/User");
+const UserResponse = require("../models/UserResponse");
+const EmailChangeRequest = require("../models/EmailChangeRequest");
+const OtpHasher = require("../security/otpHasher");
+const EmailNormalizer = require("../domain/emailNormalizer");
+const securityConfig = require("../config/security");
+const { withTransaction } = require("./unitOfWork");
+const { EmailChangeStatus } = require("../domain/emailChangeStatus");
+const {
+    AppError, BadRequestError, DatabaseError, EmailDuplicateError, NotFoundError
+} = require("../errors");
+const logger = require("../logger/Logger");
+
+// Restricciones únicas del email (incluyen cuentas eliminadas): la original y la de su forma canónica
+const EMAIL_UNIQUE_CONSTRAINTS = ["users_email_key", "uq_users_email_normalized"];
+const UNIQUE_VIOLATION = "23505";
+
+class EmailChangeRepository {
+    constructor() {
+        this.codeHasher = new OtpHasher();
+        this.emailNormalizer = new EmailNormalizer();
+        this.ttlMinutes = securityConfig.emailChange.ttlMinutes;
+        this.maxAttempts = securityConfig.emailChange.maxAttempts;
+    }
+
+    /**
+     * @private
+     * Traduce errores inesperados a DatabaseError; la restricción única de users.email a EMAIL_DUPLICATE
+     */
+    _handleDatabaseError(error, operation, { userId, email = null }) {
+        if (error.code === UNIQUE_VIOLATION && EMAIL_UNIQUE_CONSTRAINTS.includes(error.constraint)) {
+            return new EmailDuplicateError("El email ya existe en otro usuario", email);
+        }
+        if (error instanceof AppError) return error;
+
+        logger.error("[EmailChangeRepository]", `Error ${operation}`, { userId, error: error.message });
+        return new DatabaseError(`Error ${operation}: ${error.message}`, error, operation);
+    }
+
+    /**
+     * @private
+     * Bloquea la fila del usuario activo; también ordena las solicitudes concurrentes del mismo usuario
+     */
+    async _lockActiveUser(userId, db) {
+        const result = await db.query(
+            `SELECT id, email, email_normalized FROM users WHERE id = $1 AND account_status != 'DELETED' FOR UPDATE`,
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @private
+     * Indica si otro usuario (incluidas las cuentas eliminadas) ya usa el email, comparando la forma canónica
+     */
+    async _isEmailTaken(email, userId, db) {
+        const result = await db.query(
+            `SELECT 1 FROM users WHERE email_normalized = $1 AND id != $2`,
+            [this.emailNormalizer.canonicalize(email), userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * @private
+     * Marca como EXPIRED la solicitud pendiente vencida del usuario
+     */
+    async _expireStale(userId, db = pool) {
+        await db.query(
+            `UPDATE email_change_requests
+             SET status = $2, resolved_at = NOW()
+             WHERE user_id = $1 AND status = $3 AND expires_at <= NOW()`,
+            [userId, EmailChangeStatus.EXPIRED, EmailChangeStatus.PENDING]
+        );
+    }
+
+    /**
+     * @private
+     * Cierra la solicitud pendiente del usuario con el estado indicado
+     * @returns {Promise<boolean>} false si no había solicitud pendiente
+     */
+    async _resolvePending(userId, status, db = pool) {
+        const result = await db.query(
+            `UPDATE email_change_requests
+             SET status = $2, resolved_at = NOW()
+             WHERE user_id = $1 AND status = $3`,
+            [userId, status, EmailChangeStatus.PENDING]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * CREATE - Registra un cambio de email pendiente; reemplaza (CANCELLED) el que hubiera.
+     * Solo se guarda el hash del código que se envía a la dirección nueva.
+     * @param {number} userId - ID del usuario
+     * @param {string} requestedEmail - Dirección nueva (se guarda normalizada)
+     * @param {string} code - Código en texto plano
+     * @returns {Promise<EmailChangeRequest>}
+     * @throws {NotFoundError} USER_NOT_FOUND
+     * @throws {BadRequestError} EMAIL_UNCHANGED si es el email actual
+     * @throws {EmailDuplicateError} Si otro usuario ya usa la dirección
+     */
+    async request(userId, requestedEmail, code) {
+        const newEmail = this.emailNormalizer.normalize(requestedEmail);
+        logger.info("[EmailChangeRepository]", "Solicitando cambio de email", { userId, newEmail });
+
+        try {
+            const request = await withTransaction(async (client) => {
+                const user = await this._lockActiveUser(userId, client);
+                if (!user) {
+                    throw new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND");
+                }
+                if (user.email_normalized === this.emailNormalizer.canonicalize(newEmail)) {
+                    throw new BadRequestError("El email nuevo es igual al actual", "EMAIL_UNCHANGED");
+                }
+                if (await this._isEmailTaken(newEmail, userId, client)) {
+                    throw new EmailDuplicateError("El email ya existe en otro usuario", newEmail);
+                }
+
+                await this._resolvePending(userId, EmailChangeStatus.CANCELLED, client);
+                const inserted = await client.query(
+                    `INSERT INTO email_change_requests (user_id, new_email, code_hash, expires_at)
+                     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+                     RETURNING *`,
+                    [userId, newEmail, this.codeHasher.hash(code), this.ttlMinutes]
+                );
+                return EmailChangeRequest.fromDatabase(inserted.rows[0]);
+            });
+
+            logger.info("[EmailChangeRepository]", "Cambio de email pendiente de confirmación", { userId, requestId: request.id });
+            return request;
+
+        } catch (error) {
+            throw this._handleDatabaseError(error, "solicitando cambio de email", { userId, email: newEmail });
+        }
+    }
+
+    /**
+     * READ - Cambio de email pendiente y vigente del usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<EmailChangeRequest|null>}
+     */
+    async findPending(userId) {
+        logger.debug("[EmailChangeRepository]", "Buscando cambio de email pendiente", { userId });
+
+        try {
+            await this._expireStale(userId);
+            const result = await pool.query(
+                `SELECT * FROM email_change_requests WHERE user_id = $1 AND status = $2`,
+                [userId, EmailChangeStatus.PENDING]
+            );
+            return result.rows.length > 0 ? EmailChangeRequest.fromDatabase(result.rows[0]) : null;
+
+        } catch (error) {
+            throw this._handleDatabaseError(error, "buscando cambio de email", { userId });
+        }
+    }
+
+    /**
+     * Confirma el cambio pendiente con el código recibido en la dirección nueva y reemplaza el email.
+     * La unicidad se vuelve a comprobar dentro de la transacción: otro usuario pudo tomar la dirección mientras tanto.
+     * Los fallos de código se confirman aunque la petición termine en error; al agotar los intentos la solicitud se cancela.
+     * @param {number} userId - ID del usuario
+     * @param {string} code - Código recibido
+     * @returns {Promise<{user: UserResponse, previousEmail: string}>}
+     * @throws {NotFoundError} EMAIL_CHANGE_NOT_FOUND si no hay cambio pendiente o venció
+     * @throws {BadRequestError} INVALID_OTP (con remainingAttempts) u OTP_ATTEMPTS_EXCEEDED
+     * @throws {EmailDuplicateError} Si la dirección dejó de estar disponible (la solicitud se cancela)
+     */
+    async confirm(userId, code) {
+        logger.info("[EmailChangeRepository]", "Confirmando cambio de email", { userId });
+
+        try {
+            const outcome = await withTransaction(async (client) => {
+                const user = await this._lockActiveUser(userId, client);
+                if (!user) {
+                    return { error: new NotFoundError("Usuario no encontrado", "USER_NOT_FOUND") };
+                }
+
+                await this._expireStale(userId, client);
+                const found = await client.query(
+                    `SELECT * FROM email_change_requests WHERE user_id = $1 AND status = $2`,
+                    [userId, EmailChangeStatus.PENDING]
+                );
+                if (found.rows.length === 0) {
+                    return { error: new NotFoundError("No hay un cambio de email pendiente o ya venció", "EMAIL_CHANGE_NOT_FOUND") };
+                }
+                const pending = EmailChangeRequest.fromDatabase(found.rows[0]);
+
+                if (!this.codeHasher.verify(code, pending.code_hash)) {
+                    const attempts = await client.query(
+                        `UPDATE email_change_requests
+                         SET failed_attempts = failed_attempts + 1,
+                             status = CASE WHEN failed_attempts + 1 >= $2 THEN $3 ELSE status END,
+                             resolved_at = CASE WHEN failed_attempts + 1 >= $2 THEN NOW() ELSE resolved_at END
+                         WHERE id = $1
+                         RETURNING failed_attempts`,
+                        [pending.id, this.maxAttempts, EmailChangeStatus.CANCELLED]
+                    );
+                    const remainingAttempts = Math.max(0, this.maxAttempts - attempts.rows[0].failed_attempts);
+                    return {
+                        error: remainingAttempts === 0
+                            ? new BadRequestError("Se agotaron los intentos para este cambio de email. Solicítelo de nuevo", "OTP_ATTEMPTS_EXCEEDED", { remainingAttempts })
+                            : new BadRequestError("El código es inválido o ha expirado", "INVALID_OTP", { remainingAttempts }),
+                    };
+                }
+
+                if (await this._isEmailTaken(pending.new_email, userId, client)) {
+                    await this._resolvePending(userId, EmailChangeStatus.CANCELLED, client);
+                    return { error: new EmailDuplicateError("El email ya existe en otro usuario", pending.new_email) };
+                }
+
+                const updated = await client.query(
+                    `UPDATE users SET email = $2, email_normalized = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+                    [userId, pending.new_email, this.emailNormalizer.canonicalize(pending.new_email)]
+                );
+                await this._resolvePending(userId, EmailChangeStatus.CONFIRMED, client);
+
+                return { user: UserResponse.fromUser(User.fromDatabase(updated.rows[0])), previousEmail: user.email };
+            });
+
+            if (outcome.error) {
+                logger.warn("[EmailChangeRepository]", "Confirmación de cambio de email rechazada", { userId, type: outcome.error.type });
+                throw outcome.error;
+            }
+
+            logger.info("[EmailChangeRepository]", "Email actualizado", { userId });
+            return outcome;
+
+        } catch (error) {
+            throw this._handleDatabaseError(error, "confirmando cambio de email", { userId });
+        }
+    }
+
+    /**
+     * Cancela el cambio de email pendiente del usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<boolean>} false si no había cambio pendiente
+     */
+    async cancel(userId) {
+        logger.info("[EmailChangeRepository]", "Cancelando cambio de email", { userId });
+
+        try {
+            await this._expireStale(userId);
+            return await this._resolvePending(userId, EmailChangeStatus.CANCELLED);
+
+        } catch (error) {
+            throw this._handleDatabaseError(error, "cancelando cambio de email", { userId });
+        }
+    }
+}
+
+module.exports = EmailChangeRepository;
@@ -0,0 +1,76 @@
+const pool = require("../config/database");
+const securityConfig = require("../config/security");
+const { TooManyRequestsError } = require("../errors");
+const logger = require("../logger/Logger");
+
+/**
+ * Contador de fallos consecutivos y bloqueo temporal de la cuenta (users.failed_login_attempts / login_locked_until).
+ * Lo comparten el inicio de sesión, verify-credentials y las operaciones que exigen un código TOTP,
+ * para que ninguna de ellas sirva como atajo de fuerza bruta.
+ */
+class LoginLockoutRepository {
+    constructor() {
+        this.maxFailedAttempts = securityConfig.login.maxFailedAttempts;
+        this.lockoutMinutes = securityConfig.login.lockoutMinutes;
+    }
+
+    /**
+     * Lanza LOGIN_LOCKED si la cuenta tiene un bloqueo vigente
+     * @param {number} userId - ID del usuario
+     * @throws {TooManyRequestsError} LOGIN_LOCKED
+     */
+    async assertNotLocked(userId) {
+        const result = await pool.query(
+            `SELECT login_locked_until FROM users WHERE id = $1 AND login_locked_until > NOW()`,
+            [userId]
+        );
+        if (result.rows.length > 0) {
+            this.throwLocked(result.rows[0].login_locked_until);
+        }
+    }
+
+    /**
+     * Suma un fallo consecutivo; al alcanzar el máximo reinicia el contador y bloquea la cuenta.
+     * Se hace en una sola sentencia para que los intentos concurrentes no se pierdan.
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Date|null>} Fin del bloqueo si este fallo lo activó
+     */
+    async registerFailure(userId) {
+        const result = await pool.query(
+            `UPDATE users SET
+                 failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END,
+                 login_locked_until = CASE
+                     WHEN failed_login_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3)
+                     ELSE login_locked_until
+                 END
+             WHERE id = $1
+             RETURNING failed_login_attempts, login_locked_until, login_locked_until > NOW() AS is_locked`,
+            [userId, this.maxFailedAttempts, this.lockoutMinutes]
+        );
+
+        const { failed_login_attempts: failedAttempts, login_locked_until: lockedUntil, is_locked: isLocked } = result.rows[0];
+        if (!isLocked) {
+            logger.warn("[LoginLockoutRepository]", "Intento fallido registrado", { userId, failedAttempts });
+            return null;
+        }
+
+        logger.warn("[LoginLockoutRepository]", "Cuenta bloqueada por intentos fallidos", { userId, lockedUntil });
+        return lockedUntil;
+    }
+
+    /**
+     * @param {Date} lockedUntil - Fin del bloqueo
+     * @throws {TooManyRequestsError} LOGIN_LOCKED con Retry-After hasta el fin del bloqueo
+     */
+    throwLocked(lockedUntil) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+        throw new TooManyRequestsError(
+            "Demasiados intentos fallidos. El inicio de sesión está bloqueado temporalmente",
+            "LOGIN_LOCKED",
+            retryAfterSeconds,
+            { lockedUntil }
+        );
+    }
+}
+
+module.exports = LoginLockoutRepository;
@@ -2,11 +2,18 @@ const pool = require('../config/database');
 const Otp = require('../models/Otp');
 const UserRepository = require('../repositories/userRepository');
 const OtpResponse = require('../models/OtpResponse');
+const OtpStatusResponse = require('../models/OtpStatusResponse');
+const OtpHasher = require('../security/otpHasher');
+const otpConfig = require('../config/otp');
+const { DEFAULT_OTP_PURPOSE } = require('../domain/otpPurpose');
+const { withTransaction } = require('./unitOfWork');
+const { AppError, BadRequestError, ConflictError, DatabaseError, NotFoundError, TooManyRequestsError } = require('../errors');
 const logger = require("../logger/Logger");
 
 class OtpRepository {
     constructor() {
         this.userRepository = new UserRepository();
+        this.otpHasher = new OtpHasher();
     }
 
     /**
@@ -14,13 +21,22 @@ class OtpRepository {
      * Maneja y mejora errores de base de datos
      */
     _handleDatabaseError(error, operation) {
-        if (error.statusCode) return error;
+        if (error instanceof AppError) return error;
 
-        const enhancedError = new Error(`Error ${operation} OTP: ${error.message}`);
-        enhancedError.statusCode = 500;
-        enhancedError.originalError = error;
-        enhancedError.operation = operation;
-        return enhancedError;
+        // Carrera entre dos creaciones: el índice único solo admite un OTP activo por usuario y propósito
+        if (error.code === '23505' && error.constraint === 'uq_otp_active_per_purpose') {
+            return this._createActiveOtpExistsError();
+        }
+
+        return new DatabaseError(`Error ${operation} OTP: ${error.message}`, error, operation);
+    }
+
+    /**
+     * @private
+     * Error de dominio cuando ya hay un OTP activo para el mismo propósito
+     */
+    _createActiveOtpExistsError() {
+        return new ConflictError('Ya existe un OTP activo para este usuario. Inténtelo de nuevo más tarde.', "OTP_ACTIVE_EXISTS");
     }
 
     /**
@@ -34,66 +50,285 @@ class OtpRepository {
 
     /**
      * @private
-     * Verifica si ya existe un OTP activo para un usuario específico.
+     * Vigencia en minutos de un OTP según su propósito
+     */
+    _ttlMinutes(purpose) {
+        return otpConfig.ttlMinutesByPurpose[purpose] || otpConfig.ttlMinutes;
+    }
+
+    /**
+     * @private
+     * Marca como EXPIRED los OTP vencidos de un usuario y propósito.
+     * Acotado a una fila como máximo (índice único parcial); la limpieza global la hace jobs/otpSweeper.js.
+     */
+    async _expireStaleOtpsFor(userId, purpose, db = pool) {
+        const expireQuery = `
+            UPDATE otp
+            SET otp_status = 'EXPIRED'
+            WHERE user_id = $1 AND purpose = $2
+              AND otp_status = 'CREATED'
+              AND expires_at <= NOW()
+        `;
+        await db.query(expireQuery, [userId, purpose]);
+    }
+
+    /**
+     * @private
+     * Busca el usuario activo dueño del email o lanza USER_NOT_FOUND
      */
-    async _checkExistingActiveOtp(userId) {
+    async _getUserByEmailOrFail(email) {
+        const user = await this.userRepository.findByEmail(email);
+        if (!user) {
+            logger.warn("[OtpRepository]", "Usuario no encontrado por email", { email });
+            throw new NotFoundError(`Usuario con email ${email} no encontrado`, "USER_NOT_FOUND");
+        }
+        return user;
+    }
+
+    /**
+     * @private
+     * Obtiene el OTP activo (CREATED y vigente) de un usuario para un propósito
+     */
+    async _findActiveOtp(userId, purpose, db = pool) {
+        await this._expireStaleOtpsFor(userId, purpose, db);
+
+        const query = `
+            SELECT *
+            FROM otp
+            WHERE user_id = $1 AND purpose = $2 AND otp_status = 'CREATED'
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `;
+        const result = await db.query(query, [userId, purpose]);
+        return result.rows.length > 0 ? Otp.fromDatabase(result.rows[0]) : null;
+    }
+
+    /**
+     * @private
+     * Lanza OTP_RESEND_COOLDOWN si el OTP activo se creó hace menos de resendCooldownSeconds.
+     */
+    _assertResendCooldownElapsed(activeOtp) {
+        const elapsedSeconds = Math.floor((Date.now() - new Date(activeOtp.created_at).getTime()) / 1000);
+        const retryAfterSeconds = otpConfig.resendCooldownSeconds - elapsedSeconds;
+
+        if (retryAfterSeconds > 0) {
+            logger.warn("[OtpRepository]", "Reenvío de OTP en cooldown", { userId: activeOtp.user_id, retryAfterSeconds });
+            throw new TooManyRequestsError(
+                `Debe esperar ${retryAfterSeconds} segundos antes de solicitar un nuevo OTP`,
+                "OTP_RESEND_COOLDOWN",
+                retryAfterSeconds
+            );
+        }
+    }
+
+    /**
+     * @private
+     * Verifica si ya existe un OTP activo para un usuario y propósito.
+     */
+    async _checkExistingActiveOtp(userId, purpose) {
         try {
-            const expireQuery = `
-                UPDATE otp
-                SET otp_status = 'EXPIRED'
-                WHERE otp_status = 'CREATED'
-                  AND created_at <= NOW() - INTERVAL '5 minutes'
-            `;
-            await pool.query(expireQuery);
+            return (await this._findActiveOtp(userId, purpose)) !== null;
+        } catch (error) {
+            throw this._handleDatabaseError(error, 'verificando existencia de OTP');
+        }
+    }
 
-            const query = `
-                SELECT 1
+    /**
+     * @private
+     * Bloqueo vigente de verificación de OTP para un usuario
+     * @returns {Promise<Date|null>} Fin del bloqueo o null si no está bloqueado
+     */
+    async _getLockedUntil(userId, db = pool) {
+        const result = await db.query(
+            `SELECT locked_until FROM otp_user_lockouts WHERE user_id = $1 AND locked_until > NOW()`,
+            [userId]
+        );
+        return result.rows.length > 0 ? result.rows[0].locked_until : null;
+    }
+
+    /**
+     * @private
+     * Error OTP_LOCKED con el tiempo restante del bloqueo
+     */
+    _createLockedError(lockedUntil) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+        return new TooManyRequestsError(
+            "Demasiados intentos fallidos. La verificación de OTP está bloqueada temporalmente",
+            "OTP_LOCKED",
+            retryAfterSeconds,
+            { lockedUntil }
+        );
+    }
+
+    /**
+     * @private
+     * Registra un intento fallido sobre un OTP activo: revoca el OTP al agotar sus intentos
+     * y bloquea al usuario si acumula demasiados fallos en la ventana configurada.
+     * @returns {Promise<{remainingAttempts: number, lockedUntil: Date|null}>}
+     */
+    async _registerFailedAttempt(otpToVerify, db = pool) {
+        const { maxAttempts, lockout } = otpConfig;
+
+        const attempts = await db.query(
+            `UPDATE otp SET failed_attempts = failed_attempts + 1 WHERE id = $1 RETURNING failed_attempts`,
+            [otpToVerify.id]
+        );
+        const failedAttempts = attempts.rows[0].failed_attempts;
+        const remainingAttempts = Math.max(0, maxAttempts - failedAttempts);
+
+        if (remainingAttempts === 0) {
+            logger.warn("[OtpRepository]", "OTP revocado por exceso de intentos", { otpId: otpToVerify.id });
+            await db.query(`UPDATE otp SET otp_status = 'REVOKED' WHERE id = $1 AND otp_status = 'CREATED'`, [otpToVerify.id]);
+        }
+
+        // Ventana deslizante simple: si la ventana anterior venció se reinicia el conteo
+        const userFailures = await db.query(
+            `INSERT INTO otp_user_lockouts (user_id, failed_attempts, window_started_at)
+             VALUES ($1, 1, NOW())
+             ON CONFLICT (user_id) DO UPDATE SET
+                 failed_attempts = CASE
+                     WHEN otp_user_lockouts.window_started_at <= NOW() - make_interval(mins => $2) THEN 1
+                     ELSE otp_user_lockouts.failed_attempts + 1
+                 END,
+                 window_started_at = CASE
+                     WHEN otp_user_lockouts.window_started_at <= NOW() - make_interval(mins => $2) THEN NOW()
+                     ELSE otp_user_lockouts.window_started_at
+                 END
+             RETURNING failed_attempts`,
+            [otpToVerify.user_id, lockout.windowMinutes]
+        );
+
+        if (userFailures.rows[0].failed_attempts < lockout.maxFailures) {
+            return { remainingAttempts, lockedUntil: null };
+        }
+
+        const locked = await db.query(
+            `UPDATE otp_user_lockouts
+             SET locked_until = NOW() + make_interval(mins => $2), failed_attempts = 0, window_started_at = NOW()
+             WHERE user_id = $1
+             RETURNING locked_until`,
+            [otpToVerify.user_id, lockout.durationMinutes]
+        );
+        await db.query(`UPDATE otp SET otp_status = 'REVOKED' WHERE user_id = $1 AND otp_status = 'CREATED'`, [otpToVerify.user_id]);
+
+        logger.warn("[OtpRepository]", "Usuario bloqueado por intentos fallidos de OTP", {
+            userId: otpToVerify.user_id,
+            lockedUntil: locked.rows[0].locked_until,
+        });
+        return { remainingAttempts: 0, lockedUntil: locked.rows[0].locked_until };
+    }
+
+    /**
+     * @private
+     * Consume un OTP activo del usuario para el propósito indicado: si coincide y está vigente pasa a VERIFIED.
+     * Hay como máximo un OTP activo por usuario y propósito; el código se compara contra su hash en tiempo constante.
+     * Las verificaciones del mismo usuario se serializan (bloqueo de su fila) para que los intentos concurrentes no
+     * superen el límite; los fallos se confirman aunque la petición termine en error.
+     * @returns {Promise<Otp|null>} OTP verificado o null si no hay OTP activo / expiró
+     * @throws {BadRequestError} INVALID_OTP (con remainingAttempts) u OTP_ATTEMPTS_EXCEEDED si el código no coincide
+     * @throws {TooManyRequestsError} OTP_LOCKED si el usuario tiene la verificación bloqueada
+     */
+    async _consume(userId, otp, purpose) {
+        const outcome = await withTransaction(async (client) => {
+            await client.query(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+
+            const lockedUntil = await this._getLockedUntil(userId, client);
+            if (lockedUntil) {
+                logger.warn("[OtpRepository]", "Verificación de OTP bloqueada", { userId, lockedUntil });
+                return { error: this._createLockedError(lockedUntil) };
+            }
+
+            const findQuery = `
+                SELECT *, expires_at <= NOW() AS is_expired
                 FROM otp
-                WHERE user_id = $1 AND otp_status = 'CREATED'
-                LIMIT 1
+                WHERE user_id = $1 AND purpose = $2 AND otp_status = 'CREATED'
             `;
-            const result = await pool.query(query, [userId]);
-            return result.rows.length > 0;
-        } catch (error) {
-            throw this._handleDatabaseError(error, 'verificando existencia de OTP');
+            const found = await client.query(findQuery, [userId, purpose]);
+
+            if (found.rows.length === 0) {
+                logger.warn("[OtpRepository]", "No hay OTP activo para el propósito", { userId, purpose });
+                return { otp: null };
+            }
+
+            const otpToVerify = Otp.fromDatabase(found.rows[0]);
+
+            // Verificar expiración (se compara en la base para no depender del reloj de la aplicación)
+            if (found.rows[0].is_expired) {
+                logger.warn("[OtpRepository]", "OTP expirado", { userId, otpId: otpToVerify.id });
+                await client.query(`UPDATE otp SET otp_status = 'EXPIRED' WHERE id = $1`, [otpToVerify.id]);
+                return { otp: null };
+            }
+
+            if (!this.otpHasher.verify(otp, otpToVerify.otp_hash)) {
+                logger.warn("[OtpRepository]", "OTP no coincide", { userId, otpId: otpToVerify.id });
+                const failure = await this._registerFailedAttempt(otpToVerify, client);
+
+                if (failure.lockedUntil) {
+                    return { error: this._createLockedError(failure.lockedUntil) };
+                }
+                if (failure.remainingAttempts === 0) {
+                    return {
+                        error: new BadRequestError(
+                            "Se agotaron los intentos para este OTP. Solicite uno nuevo",
+                            "OTP_ATTEMPTS_EXCEEDED",
+                            { remainingAttempts: 0 }
+                        ),
+                    };
+                }
+                return {
+                    error: new BadRequestError("El OTP es inválido o ha expirado", "INVALID_OTP", { remainingAttempts: failure.remainingAttempts }),
+                };
+            }
+
+            const updated = await client.query(
+                `UPDATE otp SET otp_status = 'VERIFIED' WHERE id = $1 AND otp_status = 'CREATED' RETURNING *`,
+                [otpToVerify.id]
+            );
+
+            // Un acierto reinicia el conteo de fallos del usuario
+            await client.query(`DELETE FROM otp_user_lockouts WHERE user_id = $1 AND (locked_until IS NULL OR locked_until <= NOW())`, [userId]);
+
+            return { otp: Otp.fromDatabase(updated.rows[0]) };
+        });
+
+        if (outcome.error) {
+            throw outcome.error;
+        }
+        if (outcome.otp) {
+            logger.info("[OtpRepository]", "OTP verificado exitosamente", { userId, otpId: outcome.otp.id });
         }
+        return outcome.otp;
     }
 
     /**
      * CREATE - Crea un nuevo OTP para un usuario.
+     * @param {Object} otpData - { otp, email, purpose } (purpose por defecto PASSWORD_RESET)
+     * @throws {ConflictError} OTP_ACTIVE_EXISTS si ya hay un OTP activo para ese propósito
      */
     async create(otpData) {
-        logger.info("[OtpRepository]", "Intento de crear OTP", { email: otpData.email });
+        logger.info("[OtpRepository]", "Intento de crear OTP", { email: otpData.email, purpose: otpData.purpose });
         try {
-            const { otp, email } = otpData;
+            const { otp, email, purpose = DEFAULT_OTP_PURPOSE } = otpData;
 
             // Buscar usuario por email
-            const user = await this.userRepository.findByEmail(email);
-            if (!user) {
-                const error = new Error(`Usuario con email ${email} no encontrado`);
-                error.statusCode = 404;
-                logger.warn("[OtpRepository]", "Usuario no encontrado al crear OTP", { email });
-                throw error;
-            }
+            const user = await this._getUserByEmailOrFail(email);
 
             const user_id = user.id;
 
             // Verificar si ya existe un OTP activo
-            const hasActiveOtp = await this._checkExistingActiveOtp(user_id);
+            const hasActiveOtp = await this._checkExistingActiveOtp(user_id, purpose);
             if (hasActiveOtp) {
-                const error = new Error('Ya existe un OTP activo para este usuario. Inténtelo de nuevo más tarde.');
-                error.statusCode = 409;
-                logger.warn("[OtpRepository]", "OTP activo detectado", { userId: user_id, email });
-                throw error;
+                logger.warn("[OtpRepository]", "OTP activo detectado", { userId: user_id, email, purpose });
+                throw this._createActiveOtpExistsError();
             }
 
-            // Crear nuevo OTP
+            // Crear nuevo OTP (solo se persiste el hash del código)
             const query = `
-                INSERT INTO otp (otp, user_id)
-                VALUES ($1, $2)
+                INSERT INTO otp (otp_hash, user_id, purpose, expires_at)
+                VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
                 RETURNING *
             `;
-            const values = [otp, user_id];
+            const values = [this.otpHasher.hash(otp), user_id, purpose, this._ttlMinutes(purpose)];
             const createdOtp = await this._executeQueryAndReturnOtp(query, values);
 
             logger.info("[OtpRepository]", "OTP creado exitosamente", { otpId: createdOtp.id, userId: user_id });
@@ -107,8 +342,9 @@ class OtpRepository {
 
     /**
      * VERIFY - Valida un OTP para un usuario.
+     * @param {string} [purpose] - Propósito con el que se emitió (por defecto PASSWORD_RESET)
      */
-    async verify(userId, email, otp) {
+    async verify(userId, email, otp, purpose = DEFAULT_OTP_PURPOSE) {
         try {
             const user = await this.userRepository.findByIdAndEmail(userId, email);
             if (!user) {
@@ -116,55 +352,240 @@ class OtpRepository {
                 return false;
             }
 
-            logger.info("[OtpRepository]", "Intento de verificar OTP", { userId, email, otp });
+            logger.info("[OtpRepository]", "Intento de verificar OTP", { userId, email, purpose });
+            return (await this._consume(userId, otp, purpose)) !== null;
 
-            // Buscar OTP activo
-            const findQuery = `
-                SELECT *
-                FROM otp
-                WHERE user_id = $1 AND otp = $2 AND otp_status = 'CREATED'
-            `;
-            const otpToVerify = await this._executeQueryAndReturnOtp(findQuery, [userId, otp]);
+        } catch (error) {
+            logger.error("[OtpRepository]", "Error verificando OTP", { error: error.message, userId, email });
+            throw this._handleDatabaseError(error, 'verificando');
+        }
+    }
 
-            if (!otpToVerify) {
-                logger.warn("[OtpRepository]", "OTP no encontrado o ya inactivo", { userId });
-                return false;
-            }
+    /**
+     * VERIFY - Valida un OTP a partir del email del usuario (POST /api/auth/otp/verify)
+     * @param {string} email - Email del usuario
+     * @param {string} otp - Código recibido
+     * @param {string} [purpose] - Propósito con el que se emitió (por defecto PASSWORD_RESET)
+     * @returns {Promise<Otp|null>} OTP verificado o null si es inválido o expiró
+     * @throws {NotFoundError} USER_NOT_FOUND si el email no pertenece a un usuario activo
+     */
+    async verifyByEmail(email, otp, purpose = DEFAULT_OTP_PURPOSE) {
+        try {
+            const user = await this._getUserByEmailOrFail(email);
+            logger.info("[OtpRepository]", "Intento de verificar OTP por email", { userId: user.id, email, purpose });
+            return await this._consume(user.id, otp, purpose);
 
-            // Verificar expiración
-            const FIVE_MINUTES_IN_MS = 5 * 60 * 1000;
-            const now = new Date();
-            const createdTime = new Date(otpToVerify.created_at);
+        } catch (error) {
+            logger.error("[OtpRepository]", "Error verificando OTP por email", { error: error.message, email });
+            throw this._handleDatabaseError(error, 'verificando');
+        }
+    }
 
-            if (now.getTime() - createdTime.getTime() > FIVE_MINUTES_IN_MS) {
-                logger.warn("[OtpRepository]", "OTP expirado", { userId, otpId: otpToVerify.id });
+    /**
+     * Comprueba el cooldown de reenvío sin crear nada, para no pedir un código a servicio-otp
+     * que se descartaría. resend repite la comprobación dentro de su transacción.
+     * @param {string} email
+     * @param {string} [purpose] - PASSWORD_RESET por defecto
+     * @throws {NotFoundError} USER_NOT_FOUND
+     * @throws {TooManyRequestsError} OTP_RESEND_COOLDOWN si el último OTP es demasiado reciente
+     */
+    async assertResendAllowed(email, purpose = DEFAULT_OTP_PURPOSE) {
+        try {
+            const user = await this._getUserByEmailOrFail(email);
+            const activeOtp = await this._findActiveOtp(user.id, purpose);
+            if (activeOtp) this._assertResendCooldownElapsed(activeOtp);
+        } catch (error) {
+            throw this._handleDatabaseError(error, 'comprobando reenvío de');
+        }
+    }
 
-                const updateExpiredQuery = `
-                    UPDATE otp SET otp_status = 'EXPIRED' WHERE id = $1
-                `;
-                await pool.query(updateExpiredQuery, [otpToVerify.id]);
-                return false;
-            }
+    /**
+     * RESEND - Reemplaza el OTP activo por uno nuevo respetando el cooldown de reenvío.
+     * El OTP anterior queda REVOKED. Si no hay OTP activo se comporta como create.
+     * @param {Object} otpData - { otp, email, purpose } (purpose por defecto PASSWORD_RESET)
+     * @returns {Promise<OtpResponse>} Nuevo OTP
+     * @throws {TooManyRequestsError} OTP_RESEND_COOLDOWN si el último OTP es demasiado reciente
+     */
+    async resend(otpData) {
+        const { otp, email, purpose = DEFAULT_OTP_PURPOSE } = otpData;
+        logger.info("[OtpRepository]", "Intento de reenviar OTP", { email, purpose });
 
-            // Actualizar a VERIFIED
-            const updateQuery = `
-                UPDATE otp
-                SET otp_status = 'VERIFIED'
-                WHERE id = $1
-                RETURNING *
-            `;
-            const updatedOtp = await this._executeQueryAndReturnOtp(updateQuery, [otpToVerify.id]);
+        try {
+            const user = await this._getUserByEmailOrFail(email);
+
+            const { createdOtp, replacedOtpId } = await withTransaction(async (client) => {
+                // Serializa reenvíos concurrentes del mismo usuario
+                await client.query(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [user.id]);
+
+                const activeOtp = await this._findActiveOtp(user.id, purpose, client);
+                if (activeOtp) {
+                    this._assertResendCooldownElapsed(activeOtp);
 
-            if (updatedOtp) {
-                logger.info("[OtpRepository]", "OTP verificado exitosamente", { userId, otpId: updatedOtp.id });
-                return true;
+                    await client.query(
+                        `UPDATE otp SET otp_status = 'REVOKED' WHERE user_id = $1 AND purpose = $2 AND otp_status = 'CREATED'`,
+                        [user.id, purpose]
+                    );
+                }
+
+                const result = await client.query(
+                    `INSERT INTO otp (otp_hash, user_id, purpose, expires_at)
+                     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+                     RETURNING *`,
+                    [this.otpHasher.hash(otp), user.id, purpose, this._ttlMinutes(purpose)]
+                );
+                return { createdOtp: Otp.fromDatabase(result.rows[0]), replacedOtpId: activeOtp?.id };
+            });
+
+            logger.info("[OtpRepository]", "OTP reenviado exitosamente", { otpId: createdOtp.id, userId: user.id, replaced: replacedOtpId });
+            return OtpResponse.fromOtp(createdOtp);
+
+        } catch (error) {
+            logger.error("[OtpRepository]", "Error reenviando OTP", { error: error.message, email });
+            throw this._handleDatabaseError(error, 'reenviando');
+        }
+    }
+
+    /**
+     * DELIVERY - Registra el resultado de la entrega del código
+     * @param {number} id - ID del OTP
+     * @param {Object} delivery
+     * @param {string} delivery.status - SENT | FAILED
+     * @param {string} delivery.channel - Canal usado (EMAIL | SMS)
+     * @param {string} [delivery.error] - Motivo del fallo
+     * @returns {Promise<Otp|null>} OTP actualizado
+     */
+    async recordDelivery(id, { status, channel, error = null }) {
+        try {
+            return await this._executeQueryAndReturnOtp(
+                `UPDATE otp
+                 SET delivery_status = $2, delivery_channel = $3, delivery_error = $4, delivery_attempted_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [id, status, channel, error ? error.slice(0, 500) : null]
+            );
+        } catch (err) {
+            logger.error("[OtpRepository]", "Error registrando entrega de OTP", { id, error: err.message });
+            throw this._handleDatabaseError(err, 'registrando entrega de');
+        }
+    }
+
+    /**
+     * REVOKE - Anula un OTP activo (pasa a REVOKED)
+     * @param {number} id - ID del OTP
+     * @returns {Promise<Otp>} OTP revocado
+     * @throws {NotFoundError} OTP_NOT_FOUND si no existe
+     * @throws {ConflictError} OTP_NOT_ACTIVE si ya fue verificado, expiró o fue revocado
+     */
+    async revoke(id) {
+        logger.info("[OtpRepository]", "Intento de revocar OTP", { otpId: id });
+        try {
+            await pool.query(
+                `UPDATE otp SET otp_status = 'EXPIRED' WHERE id = $1 AND otp_status = 'CREATED' AND expires_at <= NOW()`,
+                [id]
+            );
+
+            const revoked = await this._executeQueryAndReturnOtp(
+                `UPDATE otp SET otp_status = 'REVOKED' WHERE id = $1 AND otp_status = 'CREATED' RETURNING *`,
+                [id]
+            );
+            if (revoked) {
+                logger.info("[OtpRepository]", "OTP revocado", { otpId: id, userId: revoked.user_id });
+                return revoked;
             }
 
-            logger.warn("[OtpRepository]", "No se pudo actualizar OTP a VERIFIED", { userId, otp });
-            return false;
+            const existing = await this._executeQueryAndReturnOtp(`SELECT * FROM otp WHERE id = $1`, [id]);
+            if (!existing) {
+                throw new NotFoundError("OTP no encontrado", "OTP_NOT_FOUND");
+            }
+
+            throw new ConflictError(
+                `El OTP no está activo (estado actual: ${existing.otp_status})`,
+                "OTP_NOT_ACTIVE",
+                { otp_status: existing.otp_status }
+            );
+
         } catch (error) {
-            logger.error("[OtpRepository]", "Error verificando OTP", { error: error.message, userId, email });
-            throw this._handleDatabaseError(error, 'verificando');
+            logger.error("[OtpRepository]", "Error revocando OTP", { error: error.message, otpId: id });
+            throw this._handleDatabaseError(error, 'revocando');
+        }
+    }
+
+    /**
+     * STATUS - Estado del OTP más reciente de un usuario para un propósito, sin exponer el código
+     * @param {string} email - Email del usuario
+     * @param {string} [purpose] - Propósito consultado (por defecto PASSWORD_RESET)
+     * @returns {Promise<OtpStatusResponse>}
+     * @throws {NotFoundError} USER_NOT_FOUND si el email no pertenece a un usuario activo
+     */
+    async getStatus(email, purpose = DEFAULT_OTP_PURPOSE) {
+        try {
+            const user = await this._getUserByEmailOrFail(email);
+            await this._expireStaleOtpsFor(user.id, purpose);
+
+            const latest = await this._executeQueryAndReturnOtp(
+                `SELECT * FROM otp WHERE user_id = $1 AND purpose = $2 ORDER BY created_at DESC, id DESC LIMIT 1`,
+                [user.id, purpose]
+            );
+
+            return OtpStatusResponse.fromOtp(user.id, purpose, latest, {
+                resendCooldownSeconds: otpConfig.resendCooldownSeconds,
+                maxAttempts: otpConfig.maxAttempts,
+                lockedUntil: await this._getLockedUntil(user.id),
+            });
+
+        } catch (error) {
+            logger.error("[OtpRepository]", "Error obteniendo estado de OTP", { error: error.message, email });
+            throw this._handleDatabaseError(error, 'consultando estado de');
+        }
+    }
+
+    /**
+     * SWEEP - Marca como EXPIRED un lote de OTP activos vencidos (usado por jobs/otpSweeper.js)
+     * @param {number} limit - Tamaño máximo del lote
+     * @returns {Promise<number>} Filas expiradas
+     */
+    async expireStaleBatch(limit) {
+        try {
+            const result = await pool.query(
+                `UPDATE otp
+                 SET otp_status = 'EXPIRED'
+                 WHERE id IN (
+                     SELECT id FROM otp
+                     WHERE otp_status = 'CREATED' AND expires_at <= NOW()
+                     ORDER BY expires_at
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                 )`,
+                [limit]
+            );
+            return result.rowCount;
+        } catch (error) {
+            throw this._handleDatabaseError(error, 'expirando lote de');
+        }
+    }
+
+    /**
+     * SWEEP - Elimina un lote de OTP inactivos más antiguos que la retención (usado por jobs/otpSweeper.js)
+     * @param {number} retentionDays - Días que se conservan los OTP inactivos
+     * @param {number} limit - Tamaño máximo del lote
+     * @returns {Promise<number>} Filas eliminadas
+     */
+    async purgeInactiveBatch(retentionDays, limit) {
+        try {
+            const result = await pool.query(
+                `DELETE FROM otp
+                 WHERE id IN (
+                     SELECT id FROM otp
+                     WHERE otp_status <> 'CREATED' AND created_at < NOW() - make_interval(days => $1)
+                     ORDER BY created_at
+                     LIMIT $2
+                     FOR UPDATE SKIP LOCKED
+                 )`,
+                [retentionDays, limit]
+            );
+            return result.rowCount;
+        } catch (error) {
+            throw this._handleDatabaseError(error, 'purgando lote de');
         }
     }
 }
@@ -1,51 +1,60 @@
 const pool = require("../config/database");
+const Profile = require("../models/Profile");
+const { AppError, DatabaseError } = require("../errors");
 const logger = require("../logger/Logger");
 
+// Columnas devueltas; birthdate se formatea como texto para no depender de la zona horaria del proceso
+const PROFILE_COLUMNS = `
+    id, user_id, display_name, bio, avatar_url, locale, timezone,
+    to_char(birthdate, 'YYYY-MM-DD') AS birthdate, created_at, updated_at
+`;
+
 class ProfileRepository {
     /**
      * CREATE - Crear un nuevo perfil para un usuario
      * @param {number} userId - ID del usuario
-     * @returns {Promise<Object>} Perfil creado
+     * @param {import('pg').Pool|import('pg').PoolClient} [db] - Cliente transaccional (ver unitOfWork.js)
+     * @returns {Promise<Profile>} Perfil creado
      * @throws {Error} Si hay un error en la base de datos
      */
-    async create(userId) {
+    async create(userId, db = pool) {
         logger.info("[ProfileRepository]", "Intentando crear nuevo perfil", { userId });
 
         try {
             const query = `
                 INSERT INTO profiles (user_id)
                 VALUES ($1)
-                RETURNING *
+                RETURNING ${PROFILE_COLUMNS}
             `;
             const values = [userId];
-            const result = await pool.query(query, values);
+            const result = await db.query(query, values);
 
             if (result.rows.length === 0) {
                 logger.error("[ProfileRepository]", "Error inesperado: no se devolvió perfil tras INSERT", { userId });
-                throw new Error("Error al crear el perfil, sin datos devueltos");
+                throw new DatabaseError("Error al crear el perfil, sin datos devueltos", null, "creando perfil");
             }
 
-            const createdProfile = result.rows[0];
+            const createdProfile = Profile.fromDatabase(result.rows[0]);
             logger.info("[ProfileRepository]", "Perfil creado exitosamente", { id: createdProfile.id, userId });
             return createdProfile;
 
         } catch (error) {
             logger.error("[ProfileRepository]", "Error creando perfil", { userId, error: error.message });
-            throw error;
+            throw error instanceof AppError ? error : new DatabaseError(`Error creando perfil: ${error.message}`, error, "creando perfil");
         }
     }
 
     /**
      * READ - Obtener perfil por user_id
      * @param {number} userId - ID del usuario
-     * @returns {Promise<Object|null>} Perfil encontrado o null si no existe
+     * @returns {Promise<Profile|null>} Perfil encontrado o null si no existe
      */
     async findByUserId(userId) {
         logger.info("[ProfileRepository]", "Buscando perfil por user_id", { userId });
 
         try {
             const query = `
-                SELECT * FROM profiles
+                SELECT ${PROFILE_COLUMNS} FROM profiles
                 WHERE user_id = $1
             `;
             const result = await pool.query(query, [userId]);
@@ -56,14 +65,48 @@ class ProfileRepository {
             }
 
             logger.info("[ProfileRepository]", "Perfil encontrado", { userId, profileId: result.rows[0].id });
-            return result.rows[0];
+            return Profile.fromDatabase(result.rows[0]);
 
         } catch (error) {
             logger.error("[ProfileRepository]", "Error buscando perfil", { userId, error: error.message });
-            throw error;
+            throw new DatabaseError(`Error buscando perfil: ${error.message}`, error, "buscando perfil");
+        }
+    }
+
+    /**
+     * UPDATE - Actualiza los campos enviados del perfil.
+     * Si el usuario no tiene perfil (cuentas anteriores al registro transaccional) se crea con esos campos.
+     * @param {number} userId - ID del usuario
+     * @param {ProfileUpdate} profileUpdate - Campos a modificar (null borra el valor)
+     * @returns {Promise<Profile>} Perfil actualizado
+     */
+    async update(userId, profileUpdate) {
+        const fields = profileUpdate.toJSON();
+        const columns = Object.keys(fields);
+        logger.info("[ProfileRepository]", "Intento de actualizar perfil", { userId, fields: columns });
+
+        try {
+            const values = [userId, ...columns.map((column) => fields[column])];
+            const placeholders = columns.map((_, index) => `$${index + 2}`);
+            const assignments = columns.map((column) => `${column} = EXCLUDED.${column}`);
+
+            const query = `
+                INSERT INTO profiles (user_id${columns.map((column) => `, ${column}`).join("")})
+                VALUES ($1${placeholders.map((placeholder) => `, ${placeholder}`).join("")})
+                ON CONFLICT (user_id) DO UPDATE
+                SET ${[...assignments, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+                RETURNING ${PROFILE_COLUMNS}
+            `;
+            const result = await pool.query(query, values);
+
+            logger.info("[ProfileRepository]", "Perfil actualizado", { userId, profileId: result.rows[0].id });
+            return Profile.fromDatabase(result.rows[0]);
+
+        } catch (error) {
+            logger.error("[ProfileRepository]", "Error actualizando perfil", { userId, error: error.message });
+            throw new DatabaseError(`Error actualizando perfil: ${error.message}`, error, "actualizando perfil");
         }
     }
 }
 
 module.exports = ProfileRepository;
-
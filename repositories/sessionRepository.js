@@ -0,0 +1,227 @@
+const pool = require("../config/database");
+const Session = require("../models/Session");
+const RefreshTokenGenerator = require("../security/refreshTokenGenerator");
+const securityConfig = require("../config/security");
+const { withTransaction } = require("./unitOfWork");
+const { SessionRevocationReason } = require("../domain/sessionRevocationReason");
+const { AccountStatus } = require("../domain/accountStatusMachine");
+const { AppError, DatabaseError, UnauthorizedError } = require("../errors");
+const logger = require("../logger/Logger");
+
+class SessionRepository {
+    constructor() {
+        this.refreshTokenGenerator = new RefreshTokenGenerator();
+        this.refreshTokenTtlDays = securityConfig.sessions.refreshTokenTtlDays;
+    }
+
+    /**
+     * @private
+     * Genera un refresh token y guarda su hash asociado a la sesión
+     * @returns {Promise<string>} Token en claro (solo se entrega al cliente)
+     */
+    async _issueRefreshToken(sessionId, db) {
+        const { token, tokenHash } = this.refreshTokenGenerator.generate();
+        await db.query(
+            `INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)`,
+            [sessionId, tokenHash]
+        );
+        return token;
+    }
+
+    /**
+     * CREATE - Abre una sesión para el usuario y emite su primer refresh token
+     * @param {number} userId - ID del usuario
+     * @param {Object} [client] - Datos del dispositivo
+     * @param {string} [client.deviceName] - Nombre del dispositivo
+     * @param {string} [client.userAgent] - User-Agent del cliente final
+     * @param {string} [client.ipAddress] - IP del cliente final
+     * @returns {Promise<{session: Session, refreshToken: string}>}
+     */
+    async create(userId, { deviceName = null, userAgent = null, ipAddress = null } = {}) {
+        logger.info("[SessionRepository]", "Creando sesión", { userId, deviceName, ipAddress });
+
+        try {
+            const issued = await withTransaction(async (client) => {
+                const result = await client.query(
+                    `INSERT INTO sessions (user_id, device_name, user_agent, ip_address, expires_at)
+                     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+                     RETURNING *`,
+                    [userId, deviceName, userAgent, ipAddress, this.refreshTokenTtlDays]
+                );
+                const session = Session.fromDatabase(result.rows[0]);
+                const refreshToken = await this._issueRefreshToken(session.id, client);
+                return { session, refreshToken };
+            });
+
+            logger.info("[SessionRepository]", "Sesión creada", { userId, sessionId: issued.session.id });
+            return issued;
+
+        } catch (error) {
+            logger.error("[SessionRepository]", "Error creando sesión", { userId, error: error.message });
+            throw new DatabaseError(`Error creando sesión: ${error.message}`, error, "creando sesión");
+        }
+    }
+
+    /**
+     * Rota un refresh token: marca el presentado como usado y emite uno nuevo para la misma sesión.
+     * Si se presenta un token ya usado se asume que fue robado y se revoca la sesión completa.
+     * @param {string} refreshToken - Token presentado por el cliente
+     * @param {Object} [client] - Datos actuales del cliente final (se actualizan en la sesión si se envían)
+     * @param {string} [client.userAgent]
+     * @param {string} [client.ipAddress]
+     * @returns {Promise<{session: Session, refreshToken: string}>}
+     * @throws {UnauthorizedError} INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED, SESSION_REVOKED o SESSION_EXPIRED
+     */
+    async rotate(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+        const tokenHash = this.refreshTokenGenerator.hash(refreshToken);
+        logger.info("[SessionRepository]", "Rotando refresh token");
+
+        try {
+            const outcome = await withTransaction(async (client) => {
+                // Bloquea el token para que dos rotaciones concurrentes no emitan dos sucesores
+                const found = await client.query(
+                    `SELECT rt.id AS token_id, rt.used_at, s.*, s.expires_at <= NOW() AS is_expired, u.account_status
+                     FROM refresh_tokens rt
+                     JOIN sessions s ON s.id = rt.session_id
+                     JOIN users u ON u.id = s.user_id
+                     WHERE rt.token_hash = $1
+                     FOR UPDATE OF rt, s`,
+                    [tokenHash]
+                );
+
+                if (found.rows.length === 0) {
+                    return { error: ["Refresh token inválido", "INVALID_REFRESH_TOKEN"] };
+                }
+
+                const row = found.rows[0];
+                if (row.revoked_at) {
+                    return { error: ["La sesión fue revocada", "SESSION_REVOKED"], sessionId: row.id };
+                }
+
+                if (row.used_at) {
+                    // La revocación debe persistir aunque la petición termine en error: se confirma la transacción
+                    await this._revokeWhere(client, `id = $1`, [row.id], SessionRevocationReason.TOKEN_REUSE_DETECTED);
+                    return { error: ["Refresh token reutilizado; la sesión fue revocada", "REFRESH_TOKEN_REUSED"], sessionId: row.id, reuse: true };
+                }
+
+                if (row.is_expired) {
+                    return { error: ["La sesión expiró", "SESSION_EXPIRED"], sessionId: row.id };
+                }
+
+                if (row.account_status !== AccountStatus.VERIFIED) {
+                    await this._revokeWhere(client, `id = $1`, [row.id], SessionRevocationReason.ACCOUNT_INACTIVE);
+                    return { error: ["La sesión fue revocada", "SESSION_REVOKED"], sessionId: row.id };
+                }
+
+                await client.query(`UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1`, [row.token_id]);
+                const updated = await client.query(
+                    `UPDATE sessions
+                     SET last_used_at = NOW(),
+                         expires_at = NOW() + make_interval(days => $2),
+                         user_agent = COALESCE($3, user_agent),
+                         ip_address = COALESCE($4, ip_address)
+                     WHERE id = $1
+                     RETURNING *`,
+                    [row.id, this.refreshTokenTtlDays, userAgent, ipAddress]
+                );
+                const newToken = await this._issueRefreshToken(row.id, client);
+                return { session: Session.fromDatabase(updated.rows[0]), refreshToken: newToken };
+            });
+
+            if (outcome.error) {
+                const log = outcome.reuse ? logger.error : logger.warn;
+                log("[SessionRepository]", "Rotación de refresh token rechazada", { sessionId: outcome.sessionId, type: outcome.error[1] });
+                throw new UnauthorizedError(...outcome.error);
+            }
+
+            logger.info("[SessionRepository]", "Refresh token rotado", { sessionId: outcome.session.id });
+            return outcome;
+
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error("[SessionRepository]", "Error rotando refresh token", { error: error.message });
+            throw new DatabaseError(`Error rotando refresh token: ${error.message}`, error, "rotando refresh token");
+        }
+    }
+
+    /**
+     * READ - Sesiones vigentes del usuario, de la más reciente a la más antigua
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Array<Session>>}
+     */
+    async findActiveByUserId(userId) {
+        logger.info("[SessionRepository]", "Listando sesiones activas", { userId });
+
+        try {
+            const result = await pool.query(
+                `SELECT * FROM sessions
+                 WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+                 ORDER BY last_used_at DESC, id DESC`,
+                [userId]
+            );
+            return result.rows.map((row) => Session.fromDatabase(row));
+
+        } catch (error) {
+            logger.error("[SessionRepository]", "Error listando sesiones", { userId, error: error.message });
+            throw new DatabaseError(`Error listando sesiones: ${error.message}`, error, "listando sesiones");
+        }
+    }
+
+    /**
+     * @private
+     * Revoca las sesiones activas que cumplan la condición
+     * @returns {Promise<number>} Cantidad de sesiones revocadas
+     */
+    async _revokeWhere(db, condition, values, reason) {
+        const result = await db.query(
+            `UPDATE sessions
+             SET revoked_at = NOW(), revoked_reason = $${values.length + 1}
+             WHERE ${condition} AND revoked_at IS NULL`,
+            [...values, reason]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * DELETE - Revoca una sesión del usuario
+     * @param {number} userId - ID del usuario dueño de la sesión
+     * @param {number} sessionId - ID de la sesión
+     * @param {string} [reason] - Motivo (SessionRevocationReason)
+     * @returns {Promise<boolean>} false si la sesión no existe, es de otro usuario o ya estaba revocada
+     */
+    async revoke(userId, sessionId, reason = SessionRevocationReason.REVOKED_BY_USER) {
+        logger.info("[SessionRepository]", "Revocando sesión", { userId, sessionId, reason });
+
+        try {
+            const revoked = await this._revokeWhere(pool, `id = $1 AND user_id = $2`, [sessionId, userId], reason);
+            return revoked > 0;
+
+        } catch (error) {
+            logger.error("[SessionRepository]", "Error revocando sesión", { userId, sessionId, error: error.message });
+            throw new DatabaseError(`Error revocando sesión: ${error.message}`, error, "revocando sesión");
+        }
+    }
+
+    /**
+     * DELETE - Revoca todas las sesiones activas del usuario
+     * @param {number} userId - ID del usuario
+     * @param {string} [reason] - Motivo (SessionRevocationReason)
+     * @param {import('pg').Pool|import('pg').PoolClient} [db] - Cliente transaccional (ver unitOfWork.js)
+     * @returns {Promise<number>} Cantidad de sesiones revocadas
+     */
+    async revokeAllForUser(userId, reason = SessionRevocationReason.REVOKED_BY_USER, db = pool) {
+        logger.info("[SessionRepository]", "Revocando todas las sesiones del usuario", { userId, reason });
+
+        try {
+            const revoked = await this._revokeWhere(db, `user_id = $1`, [userId], reason);
+            logger.info("[SessionRepository]", "Sesiones revocadas", { userId, revoked });
+            return revoked;
+
+        } catch (error) {
+            logger.error("[SessionRepository]", "Error revocando sesiones", { userId, error: error.message });
+            throw new DatabaseError(`Error revocando sesiones: ${error.message}`, error, "revocando sesiones");
+        }
+    }
+}
+
+module.exports = SessionRepository;
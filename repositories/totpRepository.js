@@ -0,0 +1,333 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const Totp = require("../security/totp");
+const SecretCipher = require("../security/secretCipher");
+const OtpHasher = require("../security/otpHasher");
+const securityConfig = require("../config/security");
+const LoginLockoutRepository = require("./loginLockoutRepository");
+const { withTransaction } = require("./unitOfWork");
+const { AppError, BadRequestError, ConflictError, DatabaseError, NotFoundError } = require("../errors");
+const logger = require("../logger/Logger");
+
+/**
+ * @private
+ * Normaliza un código de recuperación: sin guiones ni espacios y en minúsculas
+ */
+const normalizeRecoveryCode = (code) => String(code ?? "").replace(/[\s-]/g, "").toLowerCase();
+
+class TotpRepository {
+    constructor() {
+        this.totp = new Totp();
+        this.secretCipher = new SecretCipher();
+        this.codeHasher = new OtpHasher();
+        this.recoveryCodeCount = securityConfig.totp.recoveryCodeCount;
+        this.loginLockout = new LoginLockoutRepository();
+    }
+
+    /**
+     * @private
+     * Cuenta el código inválido como intento fallido de inicio de sesión, para que estas operaciones
+     * no permitan probar códigos sin límite. El contador se actualiza fuera de cualquier transacción en curso.
+     * @throws {TooManyRequestsError} LOGIN_LOCKED si este fallo activó el bloqueo
+     * @throws {BadRequestError} INVALID_TOTP_CODE en otro caso
+     */
+    async _rejectInvalidCode(userId) {
+        const lockedUntil = await this.loginLockout.registerFailure(userId);
+        if (lockedUntil) {
+            this.loginLockout.throwLocked(lockedUntil);
+        }
+        throw new BadRequestError("El código de verificación es inválido", "INVALID_TOTP_CODE");
+    }
+
+    /**
+     * @private
+     * Fila de user_totp del usuario, opcionalmente bloqueada
+     */
+    async _find(userId, db = pool, { forUpdate = false } = {}) {
+        const result = await db.query(
+            `SELECT * FROM user_totp WHERE user_id = $1${forUpdate ? " FOR UPDATE" : ""}`,
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @private
+     * Ejecuta la operación traduciendo errores inesperados a DatabaseError
+     */
+    async _run(operation, context, work) {
+        try {
+            return await work();
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logger.error("[TotpRepository]", `Error ${operation}`, { ...context, error: error.message });
+            throw new DatabaseError(`Error ${operation}: ${error.message}`, error, operation);
+        }
+    }
+
+    /**
+     * Estado del doble factor del usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<{enabled: boolean, pending: boolean, confirmed_at: Date|null, recovery_codes_remaining: number}>}
+     */
+    async getStatus(userId) {
+        return this._run("consultando TOTP", { userId }, async () => {
+            const row = await this._find(userId);
+            const remaining = await pool.query(
+                `SELECT COUNT(*)::int AS total FROM user_totp_recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+                [userId]
+            );
+            return {
+                enabled: Boolean(row?.confirmed_at),
+                pending: Boolean(row && !row.confirmed_at),
+                confirmed_at: row?.confirmed_at ?? null,
+                recovery_codes_remaining: remaining.rows[0].total,
+            };
+        });
+    }
+
+    /**
+     * Indica si el usuario tiene el doble factor confirmado (se exige en el inicio de sesión)
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<boolean>}
+     */
+    async isEnabled(userId) {
+        return this._run("consultando TOTP", { userId }, async () => {
+            const row = await this._find(userId);
+            return Boolean(row?.confirmed_at);
+        });
+    }
+
+    /**
+     * Inicia (o reinicia, si aún no se confirmó) la inscripción: genera un secreto nuevo y lo guarda cifrado
+     * @param {number} userId - ID del usuario
+     * @param {string} accountName - Cuenta mostrada en la app autenticadora (email)
+     * @returns {Promise<{secret: string, otpauthUrl: string}>} El secreto solo se entrega en esta respuesta
+     * @throws {ConflictError} TOTP_ALREADY_ENABLED si ya hay un doble factor confirmado
+     */
+    async enroll(userId, accountName) {
+        logger.info("[TotpRepository]", "Iniciando inscripción TOTP", { userId });
+
+        return this._run("inscribiendo TOTP", { userId }, async () => {
+            const secret = this.totp.generateSecret();
+            const result = await pool.query(
+                `INSERT INTO user_totp (user_id, secret_encrypted)
+                 VALUES ($1, $2)
+                 ON CONFLICT (user_id) DO UPDATE
+                 SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL,
+                     created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_totp.confirmed_at IS NULL
+                 RETURNING user_id`,
+                [userId, this.secretCipher.encrypt(secret)]
+            );
+
+            if (result.rows.length === 0) {
+                throw new ConflictError("El doble factor ya está activo", "TOTP_ALREADY_ENABLED");
+            }
+
+            logger.info("[TotpRepository]", "Secreto TOTP generado, pendiente de confirmación", { userId });
+            return { secret, otpauthUrl: this.totp.provisioningUri(secret, accountName) };
+        });
+    }
+
+    /**
+     * Confirma la inscripción con un primer código válido y emite los códigos de recuperación
+     * @param {number} userId - ID del usuario
+     * @param {string} code - Código de la app autenticadora
+     * @returns {Promise<Array<string>>} Códigos de recuperación en claro (solo se entregan aquí)
+     * @throws {NotFoundError} TOTP_NOT_ENROLLED si no hay inscripción iniciada
+     * @throws {ConflictError} TOTP_ALREADY_ENABLED si ya estaba confirmado
+     * @throws {BadRequestError} INVALID_TOTP_CODE si el código no coincide (cuenta como intento fallido)
+     * @throws {TooManyRequestsError} LOGIN_LOCKED mientras la cuenta está bloqueada por intentos fallidos
+     */
+    async confirm(userId, code) {
+        logger.info("[TotpRepository]", "Confirmando inscripción TOTP", { userId });
+
+        return this._run("confirmando TOTP", { userId }, async () => {
+            await this.loginLockout.assertNotLocked(userId);
+            return withTransaction((client) => this._confirmEnrollment(userId, code, client));
+        });
+    }
+
+    /**
+     * @private
+     * Marca la inscripción como confirmada y emite los códigos de recuperación, ver confirm
+     */
+    async _confirmEnrollment(userId, code, client) {
+        const row = await this._find(userId, client, { forUpdate: true });
+        if (!row) {
+            throw new NotFoundError("No hay una inscripción de doble factor iniciada", "TOTP_NOT_ENROLLED");
+        }
+        if (row.confirmed_at) {
+            throw new ConflictError("El doble factor ya está activo", "TOTP_ALREADY_ENABLED");
+        }
+
+        const step = this.totp.verify(this.secretCipher.decrypt(row.secret_encrypted), code);
+        if (step === null) {
+            logger.warn("[TotpRepository]", "Código TOTP inválido al confirmar", { userId });
+            await this._rejectInvalidCode(userId);
+        }
+
+        await client.query(
+            `UPDATE user_totp
+             SET confirmed_at = CURRENT_TIMESTAMP, last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = $1`,
+            [userId, step]
+        );
+        const recoveryCodes = await this._replaceRecoveryCodes(userId, client);
+
+        logger.info("[TotpRepository]", "Doble factor TOTP activado", { userId });
+        return recoveryCodes;
+    }
+
+    /**
+     * Verifica un código TOTP o, en su lugar, consume un código de recuperación.
+     * Un código TOTP ya usado (mismo paso o anterior) se rechaza para impedir su repetición.
+     * @param {number} userId - ID del usuario
+     * @param {Object} factor
+     * @param {string} [factor.code] - Código de la app autenticadora
+     * @param {string} [factor.recoveryCode] - Código de recuperación
+     * @returns {Promise<boolean>} false si no hay doble factor activo o el código no es válido
+     */
+    async verify(userId, { code = null, recoveryCode = null } = {}) {
+        return this._run("verificando TOTP", { userId }, async () => {
+            const row = await this._find(userId);
+            if (!row?.confirmed_at) {
+                return false;
+            }
+
+            if (recoveryCode) {
+                return this._consumeRecoveryCode(userId, recoveryCode);
+            }
+
+            const step = this.totp.verify(this.secretCipher.decrypt(row.secret_encrypted), code);
+            if (step === null) {
+                logger.warn("[TotpRepository]", "Código TOTP inválido", { userId });
+                return false;
+            }
+
+            // Avanza last_used_step de forma atómica: dos peticiones con el mismo código no pueden ganar ambas
+            const advanced = await pool.query(
+                `UPDATE user_totp SET last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+                [userId, step]
+            );
+            if (advanced.rowCount === 0) {
+                logger.warn("[TotpRepository]", "Código TOTP reutilizado", { userId, step });
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * @private
+     * Marca como usado el código de recuperación que coincida
+     */
+    async _consumeRecoveryCode(userId, recoveryCode) {
+        const normalized = normalizeRecoveryCode(recoveryCode);
+        const unused = await pool.query(
+            `SELECT id, code_hash FROM user_totp_recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+            [userId]
+        );
+
+        const match = unused.rows.find((row) => this.codeHasher.verify(normalized, row.code_hash));
+        if (!match) {
+            logger.warn("[TotpRepository]", "Código de recuperación inválido", { userId });
+            return false;
+        }
+
+        const consumed = await pool.query(
+            `UPDATE user_totp_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL`,
+            [match.id]
+        );
+        logger.info("[TotpRepository]", "Código de recuperación usado", { userId, consumed: consumed.rowCount });
+        return consumed.rowCount === 1;
+    }
+
+    /**
+     * @private
+     * Reemplaza los códigos de recuperación del usuario por un juego nuevo
+     * @returns {Promise<Array<string>>} Códigos en claro con el formato xxxxx-xxxxx
+     */
+    async _replaceRecoveryCodes(userId, db) {
+        await db.query(`DELETE FROM user_totp_recovery_codes WHERE user_id = $1`, [userId]);
+
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+            const raw = crypto.randomBytes(5).toString("hex");
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        for (const code of codes) {
+            await db.query(
+                `INSERT INTO user_totp_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+                [userId, this.codeHasher.hash(normalizeRecoveryCode(code))]
+            );
+        }
+        return codes;
+    }
+
+    /**
+     * @private
+     * Exige un código válido (TOTP o de recuperación) para operar sobre un doble factor activo.
+     * Comparte con el inicio de sesión el contador de fallos y el bloqueo temporal.
+     * @throws {ConflictError} TOTP_NOT_ENABLED
+     * @throws {TooManyRequestsError} LOGIN_LOCKED mientras la cuenta está bloqueada (o si este fallo la bloquea)
+     * @throws {BadRequestError} INVALID_TOTP_CODE
+     */
+    async _assertVerified(userId, factor) {
+        if (!(await this.isEnabled(userId))) {
+            throw new ConflictError("El doble factor no está activo", "TOTP_NOT_ENABLED");
+        }
+        await this.loginLockout.assertNotLocked(userId);
+        if (!(await this.verify(userId, factor))) {
+            await this._rejectInvalidCode(userId);
+        }
+    }
+
+    /**
+     * Genera un juego nuevo de códigos de recuperación; los anteriores dejan de servir
+     * @param {number} userId - ID del usuario
+     * @param {Object} factor - { code } o { recoveryCode } vigente
+     * @returns {Promise<Array<string>>}
+     */
+    async regenerateRecoveryCodes(userId, factor) {
+        logger.info("[TotpRepository]", "Regenerando códigos de recuperación", { userId });
+
+        return this._run("regenerando códigos de recuperación", { userId }, async () => {
+            await this._assertVerified(userId, factor);
+            return withTransaction((client) => this._replaceRecoveryCodes(userId, client));
+        });
+    }
+
+    /**
+     * Desactiva el doble factor tras verificar un código del usuario
+     * @param {number} userId - ID del usuario
+     * @param {Object} factor - { code } o { recoveryCode } vigente
+     */
+    async disable(userId, factor) {
+        logger.info("[TotpRepository]", "Desactivando doble factor", { userId });
+
+        return this._run("desactivando TOTP", { userId }, async () => {
+            await this._assertVerified(userId, factor);
+            await this.reset(userId);
+        });
+    }
+
+    /**
+     * Elimina el secreto y los códigos de recuperación sin pedir código (restablecimiento administrativo)
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<boolean>} false si el usuario no tenía doble factor
+     */
+    async reset(userId) {
+        logger.info("[TotpRepository]", "Eliminando doble factor", { userId });
+
+        return this._run("eliminando TOTP", { userId }, () => withTransaction(async (client) => {
+            await client.query(`DELETE FROM user_totp_recovery_codes WHERE user_id = $1`, [userId]);
+            const deleted = await client.query(`DELETE FROM user_totp WHERE user_id = $1`, [userId]);
+            return deleted.rowCount > 0;
+        }));
+    }
+}
+
+module.exports = TotpRepository;
@@ -0,0 +1,30 @@
+const pool = require("../config/database");
+const logger = require("../logger/Logger");
+
+/**
+ * Ejecuta una unidad de trabajo dentro de una transacción con un cliente dedicado del pool.
+ * Los repositorios reciben ese cliente como parámetro `db` para que todas sus consultas compartan la transacción.
+ * Si `work` lanza, se hace ROLLBACK y se relanza el error original; si termina, se hace COMMIT.
+ * @template T
+ * @param {function(import('pg').PoolClient): Promise<T>} work - Trabajo a ejecutar con el cliente transaccional
+ * @param {import('pg').Pool} [db] - Pool del que se toma el cliente (por defecto config/database)
+ * @returns {Promise<T>} Resultado de `work`
+ */
+async function withTransaction(work, db = pool) {
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await work(client);
+        await client.query("COMMIT");
+        return result;
+    } catch (error) {
+        await client.query("ROLLBACK").catch((rollbackError) => {
+            logger.error("[UnitOfWork]", "Error haciendo ROLLBACK", { error: rollbackError.message });
+        });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { withTransaction };
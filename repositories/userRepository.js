@@ -2,11 +2,62 @@ const pool = require('../config/database');
 const User = require('../models/User');
 const UserResponse = require('../models/UserResponse');
 const AccountStatusResponse = require('../models/AccountStatusResponse');
+const UserListFilters = require('../models/UserListFilters');
 const ProfileRepository = require('./profileRepository');
+const SessionRepository = require('./sessionRepository');
+const TotpRepository = require('./totpRepository');
+const LoginLockoutRepository = require('./loginLockoutRepository');
+const { withTransaction } = require('./unitOfWork');
+const PasswordHasher = require('../security/passwordHasher');
+const PasswordPolicy = require('../security/passwordPolicy');
+const EmailNormalizer = require('../domain/emailNormalizer');
+const passwordPolicyConfig = require('../config/passwordPolicy');
+const {
+    AppError, BadRequestError, ConflictError, DatabaseError, EmailDuplicateError, ForbiddenError,
+    UnauthorizedError, ValidationError
+} = require('../errors');
+const { AccountStatus, assertTransition } = require('../domain/accountStatusMachine');
+const { SessionRevocationReason } = require('../domain/sessionRevocationReason');
 const logger = require("../logger/Logger");
 
+// Campos de ordenamiento permitidos → columna SQL
+const SORT_COLUMNS = {
+    created_at: "created_at",
+    name: "name",
+    email: "email",
+    id: "id",
+};
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Formato de created_at::text que se guarda en los cursores (timestamp sin zona, hasta microsegundos)
+const CURSOR_TIMESTAMP_REGEX = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/;
+
+// Restricciones únicas del email (incluyen cuentas eliminadas): la original y la de su forma canónica
+const EMAIL_UNIQUE_CONSTRAINTS = ["users_email_key", "uq_users_email_normalized"];
+const UNIQUE_VIOLATION = "23505";
+
+// Estados de cuenta que no pueden iniciar sesión: [mensaje, error.type]
+const LOGIN_REJECTIONS = Object.freeze({
+    [AccountStatus.DELETED]: ["La cuenta fue eliminada", "ACCOUNT_DELETED"],
+    [AccountStatus.PENDING_VALIDATION]: ["La cuenta aún no ha sido verificada", "ACCOUNT_PENDING_VALIDATION"],
+    [AccountStatus.SUSPENDED]: ["La cuenta está suspendida", "ACCOUNT_SUSPENDED"],
+    [AccountStatus.LOCKED]: ["La cuenta está bloqueada", "ACCOUNT_LOCKED"],
+});
+
 class UserRepository {
 
+    constructor() {
+        this.passwordHasher = new PasswordHasher();
+        this.passwordPolicy = new PasswordPolicy();
+        this.emailNormalizer = new EmailNormalizer();
+        this.passwordHistorySize = passwordPolicyConfig.historySize;
+        this.profileRepository = new ProfileRepository();
+        this.sessionRepository = new SessionRepository();
+        this.totpRepository = new TotpRepository();
+        this.loginLockout = new LoginLockoutRepository();
+    }
+
     /**
     * Verifica si un email está disponible para uso
     * @param {string} email - Email a verificar
@@ -44,7 +95,7 @@ class UserRepository {
                 email,
                 error: error.message
             });
-            throw new Error(`Error verificando disponibilidad del email: ${error.message}`);
+            throw this._handleDatabaseError(error, "verificando disponibilidad del email de");
         }
     }
 
@@ -52,37 +103,36 @@ class UserRepository {
      * Crea un error personalizado para email duplicado
      * @param {string} message - Mensaje del error
      * @param {string} email - Email que causó el conflicto
-     * @returns {Error} Error personalizado con código 409
+     * @returns {EmailDuplicateError} Error de dominio con código 409
      */
     _createDuplicateEmailError(message, email) {
         logger.warn("[UserRepository]", "Email duplicado detectado", { email, message });
-        const error = new Error(message);
-        error.statusCode = 409;
-        error.code = 'EMAIL_DUPLICATE';
-        error.email = email;
-        return error;
+        return new EmailDuplicateError(message, email);
     }
 
     /**
      * Maneja y mejora errores de base de datos
      * @param {Error} error - Error original
      * @param {string} operation - Operación que falló (crear, actualizar, etc.)
-     * @returns {Error} Error mejorado con información adicional
+     * @param {Object} [context] - { email } para el error de email duplicado
+     * @returns {AppError} Error de dominio (DatabaseError si el original no lo era)
      */
-    _handleDatabaseError(error, operation) {
-        if (error.statusCode) {
-            logger.debug("[UserRepository]", "Re-lanzando error personalizado", {
+    _handleDatabaseError(error, operation, { email = null } = {}) {
+        // La restricción única es la fuente de verdad ante registros o cambios de email concurrentes
+        if (error.code === UNIQUE_VIOLATION && EMAIL_UNIQUE_CONSTRAINTS.includes(error.constraint)) {
+            return this._createDuplicateEmailError("El email ya existe", email);
+        }
+
+        if (error instanceof AppError) {
+            logger.debug("[UserRepository]", "Re-lanzando error de dominio", {
                 operation,
-                statusCode: error.statusCode,
+                type: error.type,
                 message: error.message
             });
             return error;
         }
 
-        const enhancedError = new Error(`Error ${operation} usuario: ${error.message}`);
-        enhancedError.statusCode = 500;
-        enhancedError.originalError = error;
-        enhancedError.operation = operation;
+        const enhancedError = new DatabaseError(`Error ${operation} usuario: ${error.message}`, error, operation);
 
         logger.error("[UserRepository]", "Error interno en base de datos", {
             operation,
@@ -98,13 +148,14 @@ class UserRepository {
     * Ejecuta una query y retorna el usuario resultante
     * @param {string} query - Query SQL a ejecutar
     * @param {Array} values - Valores para la query
+    * @param {import('pg').Pool|import('pg').PoolClient} [db] - Cliente transaccional (ver unitOfWork.js)
     * @returns {User|null} Usuario encontrado o null si no existe
     */
-    async _executeQueryAndReturnUser(query, values) {
+    async _executeQueryAndReturnUser(query, values, db = pool) {
         logger.debug("[UserRepository]", "Ejecutando query SQL", { query, valuesCount: values.length });
 
         try {
-            const result = await pool.query(query, values);
+            const result = await db.query(query, values);
 
             if (result.rows.length === 0) {
                 logger.info("[UserRepository]", "No se encontró usuario para los parámetros dados", { query });
@@ -120,66 +171,61 @@ class UserRepository {
                 stack: error.stack,
                 query
             });
+            if (error.code === UNIQUE_VIOLATION) throw error;
             throw this._handleDatabaseError(error, "ejecutando query");
         }
     }
 
     /**
-     * CREATE - Crear un nuevo usuario
+     * CREATE - Crear un nuevo usuario junto con su perfil, en una sola transacción:
+     * se crean ambas filas o ninguna. El email duplicado lo detecta la restricción única (sin carrera)
      * @param {Object} userData - Datos del usuario a crear
      * @param {string} userData.name - Nombre del usuario
-     * @param {string} userData.email - Email del usuario (debe ser único)
-     * @param {string} userData.password - Contraseña del usuario (ya encriptada)
+     * @param {string} userData.email - Email del usuario (único sin distinguir mayúsculas; se guarda normalizado)
+     * @param {string} userData.password - Contraseña del usuario en texto plano (se guarda con bcrypt)
      * @param {string} userData.phone - Teléfono del usuario
      * @returns {Promise<UserResponse>} Usuario creado (sin información sensible)
-     * @throws {Error} Si hay un error en la base de datos o el email ya existe
+     * @throws {ValidationError} Si la contraseña no cumple la política (un error por regla)
+     * @throws {EmailDuplicateError} Si el email ya existe (incluidas cuentas eliminadas)
+     * @throws {DatabaseError} Si falla la inserción del usuario o del perfil
      */
     async create(userData) {
         logger.info("[UserRepository]", "Intentando crear nuevo usuario", { email: userData.email });
+        const { name, password, phone } = userData;
+        const email = this.emailNormalizer.normalize(userData.email);
 
         try {
-            const { name, email, password, phone } = userData;
-
-            // 🔍 Verificar disponibilidad del email
-            const isEmailAvailable = await this._checkEmailAvailability(email);
-            if (!isEmailAvailable) {
-                logger.warn("[UserRepository]", "Intento de creación con email duplicado", { email });
-                throw this._createDuplicateEmailError("El email ya existe", email);
-            }
-
-            // 🚀 Insertar nuevo usuario
-            const query = `
-                INSERT INTO users (name, email, password, phone)
-                VALUES ($1, $2, $3, $4)
-                RETURNING *
-            `;
-            const values = [name, email, password, phone];
-            const createdUser = await this._executeQueryAndReturnUser(query, values);
-
-            if (!createdUser) {
-                logger.error("[UserRepository]", "Error inesperado: no se devolvió usuario tras INSERT", { email });
-                throw new Error("Error al crear el usuario, sin datos devueltos");
-            }
+            this.passwordPolicy.assertValid(password);
+
+            // 🔐 Encriptar contraseña antes de abrir la transacción (no retener la conexión durante bcrypt)
+            const hashedPassword = await this.passwordHasher.hash(password);
+
+            const createdUser = await withTransaction(async (client) => {
+                // 🚀 Insertar nuevo usuario
+                const query = `
+                    INSERT INTO users (name, email, email_normalized, password, phone)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING *
+                `;
+                const values = [name, email, this.emailNormalizer.canonicalize(email), hashedPassword, phone];
+                const user = await this._executeQueryAndReturnUser(query, values, client);
+
+                if (!user) {
+                    logger.error("[UserRepository]", "Error inesperado: no se devolvió usuario tras INSERT", { email });
+                    throw new DatabaseError("Error al crear el usuario, sin datos devueltos", null, "creando");
+                }
 
-            // Crear perfil asociado al usuario
-            try {
-                const profileRepository = new ProfileRepository();
-                await profileRepository.create(createdUser.id);
-                logger.info("[UserRepository]", "Perfil creado para el usuario", { userId: createdUser.id });
-            } catch (profileError) {
-                logger.error("[UserRepository]", "Error creando perfil, pero usuario ya fue creado", { 
-                    userId: createdUser.id, 
-                    error: profileError.message 
-                });
-                // No lanzamos error para no afectar la creación del usuario
-            }
+                // Crear perfil asociado al usuario en la misma transacción
+                await this.profileRepository.create(user.id, client);
+                return user;
+            });
 
-            logger.info("[UserRepository]", "Usuario creado exitosamente", { id: createdUser.id, email });
+            logger.info("[UserRepository]", "Usuario creado exitosamente con su perfil", { id: createdUser.id, email });
             return UserResponse.fromUser(createdUser);
 
         } catch (error) {
-            logger.error("[UserRepository]", "Error creando usuario", { email: userData.email, error: error.message });
-            throw this._handleDatabaseError(error, "creando");
+            logger.error("[UserRepository]", "Error creando usuario", { email, error: error.message });
+            throw this._handleDatabaseError(error, "creando", { email });
         }
     }
 
@@ -221,10 +267,10 @@ class UserRepository {
         try {
             const query = `
                 SELECT * FROM users 
-                WHERE id = $1 AND email = $2 AND account_status != 'DELETED'
+                WHERE id = $1 AND email_normalized = $2 AND account_status != 'DELETED'
             `;
 
-            const result = await pool.query(query, [id, email]);
+            const result = await pool.query(query, [id, this.emailNormalizer.canonicalize(email)]);
 
             if (result.rows.length === 0) {
                 logger.info("[UserRepository]", "Usuario no encontrado o eliminado", { id, email });
@@ -243,16 +289,22 @@ class UserRepository {
         }
     }
 
-    // READ - Obtener usuario por email
-    async findByEmail(email) {
-        logger.debug("[UserRepository]", "Buscando usuario por Email", { email });
+    /**
+     * READ - Obtener usuario por email (compara la forma canónica: sin distinguir mayúsculas ni espacios)
+     * @param {string} email - Email del usuario
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeleted] - Incluye cuentas eliminadas (el email sigue reservado)
+     * @returns {Promise<User|null>} Usuario encontrado o null si no existe
+     */
+    async findByEmail(email, { includeDeleted = false } = {}) {
+        logger.debug("[UserRepository]", "Buscando usuario por Email", { email, includeDeleted });
 
         try {
             const query = `
                 SELECT * FROM users 
-                WHERE email = $1 AND account_status != 'DELETED'
+                WHERE email_normalized = $1${includeDeleted ? "" : " AND account_status != 'DELETED'"}
             `;
-            const result = await pool.query(query, [email]);
+            const result = await pool.query(query, [this.emailNormalizer.canonicalize(email)]);
 
             if (result.rows.length === 0) {
                 logger.info("[UserRepository]", "Usuario no encontrado o eliminado", { email });
@@ -275,22 +327,24 @@ class UserRepository {
      * READ - Obtener usuarios paginados
      * @param {number} page - Número de página (base 1)
      * @param {number} size - Tamaño de cada página
+     * @param {UserListFilters} [filters] - Filtros, búsqueda y ordenamiento
      * @returns {Promise<PaginatedUserResponse>} Respuesta paginada con usuarios
      * @throws {Error} Si hay un error en la base de datos
      */
-    async findAllPaginated(page = 1, size = 10) {
-        logger.debug("[UserRepository]", "Consultando usuarios paginados", { page, size });
+    async findAllPaginated(page = 1, size = 10, filters = new UserListFilters()) {
+        logger.debug("[UserRepository]", "Consultando usuarios paginados", { page, size, filters: filters.toJSON() });
 
         try {
             const { validatedPage, validatedSize, offset } = this._validateAndCalculatePagination(page, size);
-            const { totalItems, users } = await this._fetchPaginatedData(validatedSize, offset);
+            const { totalItems, users } = await this._fetchPaginatedData(validatedSize, offset, filters);
 
             const PaginatedUserResponse = require("../models/PaginatedUserResponse");
             const paginatedResponse = PaginatedUserResponse.createPaginated(
                 users,
                 totalItems,
                 validatedPage,
-                validatedSize
+                validatedSize,
+                filters.toJSON()
             );
 
             logger.info("[UserRepository]", "Usuarios paginados obtenidos exitosamente", {
@@ -330,32 +384,27 @@ class UserRepository {
     * Obtiene datos paginados de la base de datos
     * @param {number} size - Tamaño de página validado
     * @param {number} offset - Offset calculado
+    * @param {UserListFilters} filters - Filtros y ordenamiento
     * @returns {Promise<Object>} Total de items y usuarios de la página
     */
-    async _fetchPaginatedData(size, offset) {
+    async _fetchPaginatedData(size, offset, filters) {
         logger.debug("[UserRepository]", "Iniciando consulta paginada de usuarios", { size, offset });
 
         try {
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM users 
-                WHERE account_status != 'DELETED'
-            `;
-
+            const { conditions, values } = this._buildFilterConditions(filters);
             const usersQuery = `
                 SELECT * FROM users 
-                WHERE account_status != 'DELETED'
-                ORDER BY created_at DESC
-                LIMIT $1 OFFSET $2
+                WHERE ${conditions.join(" AND ")}
+                ORDER BY ${this._buildOrderBy(filters)}
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
             `;
 
             // Ejecutar ambas consultas en paralelo
-            const [countResult, usersResult] = await Promise.all([
-                pool.query(countQuery),
-                pool.query(usersQuery, [size, offset])
+            const [totalItems, usersResult] = await Promise.all([
+                this._countActiveUsers(filters),
+                pool.query(usersQuery, [...values, size, offset])
             ]);
 
-            const totalItems = parseInt(countResult.rows[0].total);
             const users = usersResult.rows.map(row =>
                 UserResponse.fromUser(User.fromDatabase(row))
             );
@@ -377,6 +426,211 @@ class UserRepository {
         }
     }
 
+    /**
+     * READ - Obtener usuarios paginados por cursor (keyset sobre created_at, id)
+     * Estable ante inserciones concurrentes: no repite ni omite filas entre páginas.
+     * @param {string|null} cursor - Cursor opaco devuelto en nextCursor/prevCursor (null para la primera página)
+     * @param {number} size - Tamaño de cada página
+     * @param {boolean} [includeTotal=false] - Si se ejecuta el COUNT(*) de usuarios
+     * @param {UserListFilters} [filters] - Filtros y búsqueda (el orden debe ser el por defecto)
+     * @returns {Promise<PaginatedUserResponse>} Página con nextCursor y prevCursor
+     * @throws {BadRequestError} Si el cursor no es válido o se pide otro ordenamiento
+     */
+    async findAllByCursor(cursor = null, size = 10, includeTotal = false, filters = new UserListFilters()) {
+        logger.debug("[UserRepository]", "Consultando usuarios por cursor", { hasCursor: Boolean(cursor), size, includeTotal });
+
+        try {
+            if (!filters.usesDefaultSort()) {
+                throw new BadRequestError(
+                    "La paginación por cursor solo admite el orden por defecto (created_at desc)",
+                    "UNSUPPORTED_CURSOR_SORT"
+                );
+            }
+
+            const { validatedSize } = this._validateAndCalculatePagination(1, size);
+            const position = cursor ? this._decodeCursor(cursor) : null;
+            const isBackward = position !== null && position.direction === "prev";
+
+            const { conditions, values } = this._buildFilterConditions(filters);
+            if (position) {
+                values.push(position.createdAt, position.id);
+                conditions.push(`(created_at, id) ${isBackward ? ">" : "<"} ($${values.length - 1}::timestamp, $${values.length})`);
+            }
+            values.push(validatedSize + 1);
+
+            const order = isBackward ? "ASC" : "DESC";
+            const usersQuery = `
+                SELECT *, created_at::text AS cursor_created_at
+                FROM users
+                WHERE ${conditions.join(" AND ")}
+                ORDER BY created_at ${order}, id ${order}
+                LIMIT $${values.length}
+            `;
+
+            const [usersResult, totalItems] = await Promise.all([
+                pool.query(usersQuery, values),
+                includeTotal ? this._countActiveUsers(filters) : Promise.resolve(null)
+            ]);
+
+            const hasMore = usersResult.rows.length > validatedSize;
+            const rows = usersResult.rows.slice(0, validatedSize);
+            if (isBackward) rows.reverse();
+
+            const first = rows[0];
+            const last = rows[rows.length - 1];
+            let nextCursor = null;
+            let prevCursor = null;
+
+            if (rows.length > 0) {
+                // Hacia adelante: hay siguiente si sobró una fila; hay anterior si se llegó con cursor
+                // Hacia atrás: hay anterior si sobró una fila; siempre hay siguiente (de ahí se vino)
+                const hasNext = isBackward ? true : hasMore;
+                const hasPrev = isBackward ? hasMore : position !== null;
+                nextCursor = hasNext ? this._encodeCursor(last, "next") : null;
+                prevCursor = hasPrev ? this._encodeCursor(first, "prev") : null;
+            }
+
+            const users = rows.map(row => UserResponse.fromUser(User.fromDatabase(row)));
+
+            const PaginatedUserResponse = require("../models/PaginatedUserResponse");
+            const page = PaginatedUserResponse.createCursorPage(
+                users, validatedSize, nextCursor, prevCursor, totalItems, filters.toJSON()
+            );
+
+            logger.info("[UserRepository]", "Usuarios por cursor obtenidos exitosamente", {
+                returnedUsers: users.length,
+                size: validatedSize,
+                hasNext: nextCursor !== null,
+                hasPrev: prevCursor !== null
+            });
+
+            return page;
+
+        } catch (error) {
+            logger.error("[UserRepository]", "Error obteniendo usuarios por cursor", {
+                size, error: error.message, stack: error.stack
+            });
+            throw this._handleDatabaseError(error, "obteniendo por cursor");
+        }
+    }
+
+    /**
+     * Cuenta los usuarios no eliminados que cumplen los filtros
+     * @param {UserListFilters} [filters] - Filtros a aplicar
+     * @returns {Promise<number>} Total de usuarios
+     */
+    async _countActiveUsers(filters = new UserListFilters()) {
+        const { conditions, values } = this._buildFilterConditions(filters);
+        const result = await pool.query(`
+            SELECT COUNT(*) as total
+            FROM users
+            WHERE ${conditions.join(" AND ")}
+        `, values);
+        return parseInt(result.rows[0].total);
+    }
+
+    /**
+     * Construye las condiciones WHERE parametrizadas del listado.
+     * Los valores del cliente nunca se interpolan en el SQL.
+     * @param {UserListFilters} filters - Filtros a aplicar
+     * @returns {{conditions: Array<string>, values: Array}} Condiciones (unidas con AND) y sus valores
+     */
+    _buildFilterConditions(filters) {
+        const conditions = ["account_status != 'DELETED'"];
+        const values = [];
+
+        if (filters.status) {
+            values.push(filters.status);
+            conditions.push(`account_status = $${values.length}`);
+        }
+
+        if (filters.createdFrom) {
+            values.push(filters.createdFrom);
+            conditions.push(`created_at >= $${values.length}::timestamp`);
+        }
+
+        if (filters.createdTo) {
+            values.push(filters.createdTo);
+            // Una fecha sin hora incluye todo ese día
+            conditions.push(DATE_ONLY_REGEX.test(filters.createdTo)
+                ? `created_at < $${values.length}::date + INTERVAL '1 day'`
+                : `created_at <= $${values.length}::timestamp`);
+        }
+
+        if (filters.search) {
+            values.push(`%${this._escapeLikePattern(filters.search)}%`);
+            const param = `$${values.length}`;
+            conditions.push(`(name ILIKE ${param} OR email ILIKE ${param} OR phone ILIKE ${param})`);
+        }
+
+        return { conditions, values };
+    }
+
+    /**
+     * Construye el ORDER BY a partir de la lista blanca de campos
+     * @param {UserListFilters} filters - Filtros con sort y direction
+     * @returns {string} Cláusula ORDER BY (sin la palabra clave)
+     */
+    _buildOrderBy(filters) {
+        const column = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.created_at;
+        const direction = filters.direction === "asc" ? "ASC" : "DESC";
+        return column === "id" ? `id ${direction}` : `${column} ${direction}, id ${direction}`;
+    }
+
+    /**
+     * Escapa los comodines de LIKE (%, _ y \) para búsquedas literales
+     * @param {string} text - Texto de búsqueda
+     * @returns {string} Texto escapado
+     */
+    _escapeLikePattern(text) {
+        return text.replace(/[\\%_]/g, (char) => `\\${char}`);
+    }
+
+    /**
+     * Codifica la posición de una fila como cursor opaco (base64url)
+     * @param {Object} row - Fila con cursor_created_at (texto, precisión de microsegundos) e id
+     * @param {string} direction - "next" o "prev"
+     * @returns {string} Cursor opaco
+     */
+    _encodeCursor(row, direction) {
+        const payload = JSON.stringify({ c: row.cursor_created_at, i: row.id, d: direction });
+        return Buffer.from(payload, "utf8").toString("base64url");
+    }
+
+    /**
+     * @private
+     * Indica si el valor tiene el formato de created_at::text y es una fecha y hora reales
+     * (Date.parse acepta textos como "1" que PostgreSQL no puede convertir a timestamp)
+     */
+    _isCursorTimestamp(value) {
+        const match = typeof value === "string" ? CURSOR_TIMESTAMP_REGEX.exec(value) : null;
+        if (!match) return false;
+
+        const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+            && date.getUTCHours() === hours && date.getUTCMinutes() === minutes && date.getUTCSeconds() === seconds;
+    }
+
+    /**
+     * Decodifica un cursor opaco
+     * @param {string} cursor - Cursor recibido del cliente
+     * @returns {{createdAt: string, id: number, direction: string}} Posición decodificada
+     * @throws {BadRequestError} Si el cursor está mal formado
+     */
+    _decodeCursor(cursor) {
+        try {
+            const { c, i, d } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+            if (!this._isCursorTimestamp(c) || !Number.isInteger(i) || !["next", "prev"].includes(d)) {
+                throw new Error("Estructura de cursor inválida");
+            }
+            return { createdAt: c, id: i, direction: d };
+        } catch (error) {
+            logger.warn("[UserRepository]", "Cursor inválido recibido", { error: error.message });
+            throw new BadRequestError("El cursor de paginación no es válido", "INVALID_CURSOR");
+        }
+    }
+
     /**
      * Construye la query de actualización dinámicamente
      * @param {Object} updateData - Datos a actualizar
@@ -417,7 +671,7 @@ class UserRepository {
         // Validación final
         if (updateFields.length === 0) {
             logger.warn("[UserRepository]", "Intento de actualización sin campos válidos", { updateData });
-            throw new Error("No hay campos válidos para actualizar");
+            throw new ValidationError([], "No hay campos válidos para actualizar");
         }
 
         logger.debug("[UserRepository]", "Query dinámica de actualización generada correctamente", {
@@ -432,6 +686,7 @@ class UserRepository {
 
     /**
    * UPDATE - Actualizar usuario
+   * @throws {BadRequestError} EMAIL_CHANGE_REQUIRES_VERIFICATION si se envía un email distinto del actual
    */
     async update(id, updateData) {
         logger.info("[UserRepository]", "Intento de actualizar usuario", { id, updateData });
@@ -444,18 +699,22 @@ class UserRepository {
                 return null;
             }
 
-            // 2️⃣ Validar email si se intenta actualizar
-            const { email } = updateData;
-            if (email) {
-                const isEmailAvailable = await this._checkEmailAvailability(email, id);
-                if (!isEmailAvailable) {
-                    logger.warn("[UserRepository]", "Intento de usar email duplicado en actualización", { id, email });
-                    throw this._createDuplicateEmailError("El email ya existe en otro usuario", email);
-                }
+            // 2️⃣ El email solo cambia verificando la dirección nueva (POST /api/users/:id/email_change);
+            //     reenviar el email actual junto con otros campos se acepta y se ignora
+            const { email, ...fields } = updateData.toJSON();
+            if (email !== undefined && this.emailNormalizer.canonicalize(email) !== this.emailNormalizer.canonicalize(existingUser.email)) {
+                logger.warn("[UserRepository]", "Intento de cambiar el email sin verificación", { id });
+                throw new BadRequestError(
+                    "El email se cambia con POST /api/users/{id}/email_change, que verifica la dirección nueva",
+                    "EMAIL_CHANGE_REQUIRES_VERIFICATION"
+                );
+            }
+            if (Object.values(fields).every((value) => value === undefined)) {
+                return existingUser;
             }
 
             // 3️⃣ Construir query dinámica
-            const { updateFields, values, paramCount } = this._buildUpdateQuery(updateData);
+            const { updateFields, values, paramCount } = this._buildUpdateQuery(fields);
             values.push(id);
 
             const query = `
@@ -477,112 +736,505 @@ class UserRepository {
 
         } catch (error) {
             logger.error("[UserRepository]", "Error actualizando usuario", { id, error: error.message, stack: error.stack });
-            throw this._handleDatabaseError(error, "actualizando");
+            throw this._handleDatabaseError(error, "actualizando", { email: updateData.email });
         }
     }
 
 
     /**
-     * UPDATE - Actualizar contraseña del usuario
+     * UPDATE - Restablecer la contraseña del usuario (flujo OTP PASSWORD_RESET)
+     * @param {number} id - ID del usuario
+     * @param {string} password - Nueva contraseña en texto plano
+     * @returns {Promise<boolean>} false si el usuario no existe o fue eliminado
+     * @throws {ValidationError} Si la contraseña no cumple la política o está en el historial
      */
     async updatePassword(id, password) {
         logger.info("[UserRepository]", "Intento de actualizar contraseña del usuario", { id });
 
         try {
-            const existingUser = await this.findById(id);
-            if (!existingUser) {
-                logger.warn("[UserRepository]", "Usuario no encontrado para actualización de contraseña", { id });
-                return false;
+            this.passwordPolicy.assertValid(password);
+
+            const isUpdated = await withTransaction(async (client) => {
+                const user = await this._findActiveUserRow(client, id);
+                if (!user) {
+                    logger.warn("[UserRepository]", "Usuario no encontrado o eliminado al intentar cambiar contraseña", { id });
+                    return false;
+                }
+
+                await this._replacePasswordInTransaction(client, user, password, "password");
+                return true;
+            });
+
+            if (isUpdated) {
+                logger.info("[UserRepository]", "Contraseña actualizada correctamente", { id });
             }
+            return isUpdated;
 
-            const { updateFields, values, paramCount } = this._buildUpdateQuery({ password });
-            values.push(id);
+        } catch (error) {
+            logger.error("[UserRepository]", "Error actualizando contraseña", { id, error: error.message, stack: error.stack });
+            throw this._handleDatabaseError(error, "actualizando contraseña");
+        }
+    }
 
-            const query = `
-                UPDATE users
-                SET ${updateFields}, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $${paramCount + 1} AND account_status != 'DELETED'
-                RETURNING *
-            `;
+    /**
+     * UPDATE - Cambio de contraseña por el propio usuario, verificando la contraseña actual
+     * @param {number} id - ID del usuario
+     * @param {string} currentPassword - Contraseña actual en texto plano
+     * @param {string} newPassword - Nueva contraseña en texto plano
+     * @returns {Promise<boolean>} false si el usuario no existe o fue eliminado
+     * @throws {BadRequestError} INVALID_CURRENT_PASSWORD si la contraseña actual no coincide
+     * @throws {ValidationError} Si la nueva contraseña no cumple la política o está en el historial
+     */
+    async changePassword(id, currentPassword, newPassword) {
+        logger.info("[UserRepository]", "Intento de cambio de contraseña por el usuario", { id });
 
-            const updatedUser = await this._executeQueryAndReturnUser(query, values);
+        try {
+            this.passwordPolicy.assertValid(newPassword, "newPassword");
 
-            if (!updatedUser) {
-                logger.warn("[UserRepository]", "Usuario no encontrado o eliminado al intentar cambiar contraseña", { id });
-                return false;
+            const isChanged = await withTransaction(async (client) => {
+                const user = await this._findActiveUserRow(client, id);
+                if (!user) {
+                    logger.warn("[UserRepository]", "Usuario no encontrado o eliminado al cambiar contraseña", { id });
+                    return false;
+                }
+
+                const { valid } = await this.passwordHasher.verify(currentPassword, user.password);
+                if (!valid) {
+                    logger.warn("[UserRepository]", "Contraseña actual incorrecta", { id });
+                    throw new BadRequestError("La contraseña actual es incorrecta", "INVALID_CURRENT_PASSWORD");
+                }
+
+                await this._replacePasswordInTransaction(client, user, newPassword, "newPassword");
+                return true;
+            });
+
+            if (isChanged) {
+                logger.info("[UserRepository]", "Contraseña cambiada correctamente", { id });
             }
+            return isChanged;
 
-            logger.info("[UserRepository]", "Contraseña actualizada correctamente", { id: updatedUser.id });
-            return true;
+        } catch (error) {
+            logger.error("[UserRepository]", "Error cambiando contraseña", { id, error: error.message });
+            throw this._handleDatabaseError(error, "cambiando contraseña de");
+        }
+    }
 
+    /**
+     * Valida una nueva contraseña contra la política y el historial sin modificarla.
+     * Permite rechazarla antes de consumir el OTP del restablecimiento.
+     * @param {number} id - ID del usuario
+     * @param {string} password - Nueva contraseña en texto plano
+     * @throws {ValidationError} Si la contraseña no cumple la política o está en el historial
+     */
+    async assertPasswordAllowed(id, password) {
+        this.passwordPolicy.assertValid(password);
+
+        try {
+            const user = await this._findActiveUserRow(pool, id, { forUpdate: false });
+            if (user) {
+                await this._assertNotReused(pool, user, password, "password");
+            }
         } catch (error) {
-            logger.error("[UserRepository]", "Error actualizando contraseña", { id, error: error.message, stack: error.stack });
-            throw this._handleDatabaseError(error, "actualizando contraseña");
+            throw this._handleDatabaseError(error, "validando contraseña de");
         }
     }
 
+    /**
+     * @private
+     * Obtiene id y contraseña del usuario activo, bloqueando la fila por defecto hasta el fin de la transacción
+     * @returns {Promise<{id: number, password: string}|null>}
+     */
+    async _findActiveUserRow(db, id, { forUpdate = true } = {}) {
+        const result = await db.query(
+            `SELECT id, password FROM users
+             WHERE id = $1 AND account_status != 'DELETED'${forUpdate ? " FOR UPDATE" : ""}`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
 
     /**
-     * DELETE - Eliminación lógica (cambia account_status a DELETED)
+     * @private
+     * Rechaza la contraseña si coincide con la actual o con alguna de las últimas (historySize - 1) del historial
+     * @throws {ValidationError} Regla "history"
      */
-    async delete(id) {
-        logger.info("[UserRepository]", "Intento de eliminar usuario", { id });
+    async _assertNotReused(db, user, password, field) {
+        if (this.passwordHistorySize <= 0) return;
+
+        const history = await db.query(
+            `SELECT password_hash FROM password_history
+             WHERE user_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2`,
+            [user.id, this.passwordHistorySize - 1]
+        );
+
+        for (const stored of [user.password, ...history.rows.map((row) => row.password_hash)]) {
+            const { valid } = await this.passwordHasher.verify(password, stored);
+            if (valid) {
+                logger.warn("[UserRepository]", "Contraseña reutilizada rechazada", { id: user.id });
+                throw new ValidationError([{
+                    field,
+                    rule: "history",
+                    message: `La contraseña no puede ser igual a ninguna de las últimas ${this.passwordHistorySize}`
+                }], "La contraseña no cumple la política de seguridad");
+            }
+        }
+    }
+
+    /**
+     * @private
+     * Guarda la contraseña anterior en password_history, aplica la nueva, descarta el historial sobrante
+     * y revoca todas las sesiones del usuario. Debe ejecutarse con la fila del usuario bloqueada (ver _findActiveUserRow).
+     */
+    async _replacePasswordInTransaction(client, user, password, field) {
+        await this._assertNotReused(client, user, password, field);
+
+        const hashedPassword = await this.passwordHasher.hash(password);
+        await client.query(
+            `UPDATE users SET password = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [user.id, hashedPassword]
+        );
+        await this.sessionRepository.revokeAllForUser(user.id, SessionRevocationReason.PASSWORD_CHANGED, client);
+
+        if (this.passwordHistorySize <= 1) {
+            await client.query(`DELETE FROM password_history WHERE user_id = $1`, [user.id]);
+            return;
+        }
+
+        // Las filas heredadas en texto plano se guardan ya hasheadas
+        const previousHash = this.passwordHasher.isHashed(user.password)
+            ? user.password
+            : await this.passwordHasher.hash(user.password);
+        await client.query(
+            `INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)`,
+            [user.id, previousHash]
+        );
+        await client.query(
+            `DELETE FROM password_history
+             WHERE user_id = $1 AND id NOT IN (
+                 SELECT id FROM password_history
+                 WHERE user_id = $1
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $2
+             )`,
+            [user.id, this.passwordHistorySize - 1]
+        );
+    }
+
+
+    /**
+     * Verifica las credenciales de un usuario.
+     * Comparte con login el bloqueo por intentos fallidos y el doble factor, para que no sirva como atajo de fuerza bruta.
+     * Si la contraseña almacenada está en texto plano (filas heredadas) o fue
+     * generada con un costo distinto al configurado, se regenera el hash.
+     * @param {string} email - Email del usuario
+     * @param {string} password - Contraseña en texto plano
+     * @param {Object} [secondFactor] - totpCode o recoveryCode, ver login
+     * @returns {Promise<User|null>} Usuario si las credenciales son válidas, null en caso contrario
+     * @throws {TooManyRequestsError} LOGIN_LOCKED mientras la cuenta está bloqueada (o si este fallo la bloquea)
+     * @throws {UnauthorizedError} TOTP_REQUIRED o INVALID_TOTP_CODE si falta o falla el doble factor
+     */
+    async verifyCredentials(email, password, { totpCode = null, recoveryCode = null } = {}) {
+        logger.debug("[UserRepository]", "Verificando credenciales", { email });
 
         try {
-            const query = `
-                UPDATE users 
-                SET account_status = 'DELETED', updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1 AND account_status != 'DELETED'
-                RETURNING *
-            `;
+            const user = await this.findByEmail(email);
+            if (!user) {
+                // Misma comparación bcrypt que con una contraseña incorrecta: el tiempo no revela si el email existe
+                await this.passwordHasher.simulateVerify(password);
+                return null;
+            }
 
-            const result = await pool.query(query, [id]);
+            await this.loginLockout.assertNotLocked(user.id);
 
-            if (result.rows.length === 0) {
-                logger.warn("[UserRepository]", "Intento de eliminar usuario inexistente o ya eliminado", { id });
+            const { valid, needsRehash } = await this.passwordHasher.verify(password, user.password);
+            if (!valid) {
+                logger.warn("[UserRepository]", "Credenciales inválidas", { id: user.id });
+                const lockedUntil = await this.loginLockout.registerFailure(user.id);
+                if (lockedUntil) {
+                    this.loginLockout.throwLocked(lockedUntil);
+                }
                 return null;
             }
 
-            const deletedUser = User.fromDatabase(result.rows[0]);
-            logger.info("[UserRepository]", "Usuario eliminado lógicamente con éxito", { id: deletedUser.id });
+            await this._assertSecondFactor(user, { totpCode, recoveryCode });
 
-            return deletedUser;
+            if (needsRehash) {
+                await this._rehashPassword(user.id, password);
+            }
+
+            await pool.query(`UPDATE users SET failed_login_attempts = 0 WHERE id = $1 AND failed_login_attempts > 0`, [user.id]);
+            return user;
 
         } catch (error) {
-            logger.error("[UserRepository]", "Error eliminando usuario", { id, error: error.message, stack: error.stack });
-            throw this._handleDatabaseError(error, "eliminando");
+            logger.error("[UserRepository]", "Error verificando credenciales", { email, error: error.message });
+            throw this._handleDatabaseError(error, "verificando credenciales de");
         }
     }
 
-    // Verificar cuenta - Cambia account_status de PENDING_VALIDATION a VERIFIED
-    async verifyAccount(id) {
-        logger.info('UserRepository', `Intentando verificar cuenta con ID: ${id}`);
+    /**
+     * @private
+     * Regenera el hash de la contraseña sin afectar el flujo que la verificó
+     * @param {number} id - ID del usuario
+     * @param {string} password - Contraseña en texto plano ya verificada
+     */
+    async _rehashPassword(id, password) {
+        try {
+            const hashedPassword = await this.passwordHasher.hash(password);
+            await pool.query(`UPDATE users SET password = $1 WHERE id = $2`, [hashedPassword, id]);
+            logger.info("[UserRepository]", "Hash de contraseña regenerado", { id });
+        } catch (error) {
+            logger.error("[UserRepository]", "No se pudo regenerar el hash de la contraseña", { id, error: error.message });
+        }
+    }
+
+
+    /**
+     * Inicio de sesión con email y contraseña.
+     * Cuenta los fallos consecutivos y bloquea la cuenta temporalmente al alcanzar LOGIN_MAX_FAILED_ATTEMPTS;
+     * el estado de la cuenta solo se revela tras verificar la contraseña, para no exponer qué emails existen.
+     * Con el doble factor activo se exige además un código TOTP o de recuperación; un código inválido cuenta como fallo.
+     * @param {string} email - Email del usuario
+     * @param {string} password - Contraseña en texto plano
+     * @param {Object} [secondFactor]
+     * @param {string} [secondFactor.totpCode] - Código de la app autenticadora
+     * @param {string} [secondFactor.recoveryCode] - Código de recuperación
+     * @returns {Promise<User>} Usuario con last_login_at actualizado
+     * @throws {UnauthorizedError} INVALID_CREDENTIALS si el email no existe o la contraseña no coincide
+     * @throws {UnauthorizedError} TOTP_REQUIRED o INVALID_TOTP_CODE si falta o falla el doble factor
+     * @throws {TooManyRequestsError} LOGIN_LOCKED mientras la cuenta está bloqueada por intentos fallidos
+     * @throws {ForbiddenError} ACCOUNT_DELETED, ACCOUNT_PENDING_VALIDATION, ACCOUNT_SUSPENDED o ACCOUNT_LOCKED
+     */
+    async login(email, password, { totpCode = null, recoveryCode = null } = {}) {
+        logger.info("[UserRepository]", "Intento de inicio de sesión", { email });
 
         try {
-            const query = `
-                UPDATE users 
-                SET account_status = 'VERIFIED'
-                WHERE id = $1 AND account_status = 'PENDING_VALIDATION'
-                RETURNING *
-            `;
+            const user = await this.findByEmail(email, { includeDeleted: true });
+            if (!user) {
+                logger.warn("[UserRepository]", "Inicio de sesión con email desconocido", { email });
+                await this.passwordHasher.simulateVerify(password);
+                throw new UnauthorizedError("Credenciales inválidas", "INVALID_CREDENTIALS");
+            }
 
-            const result = await pool.query(query, [id]);
+            await this.loginLockout.assertNotLocked(user.id);
 
-            if (result.rows.length === 0) {
-                logger.warn('UserRepository', `No se pudo verificar el usuario con ID ${id}. Posiblemente no existe o no está en estado PENDING_VALIDATION.`);
-                throw new Error(`No se pudo verificar el usuario con ID ${id}`);
+            const { valid, needsRehash } = await this.passwordHasher.verify(password, user.password);
+            if (!valid) {
+                await this._rejectFailedLogin(user.id, "Credenciales inválidas", "INVALID_CREDENTIALS");
+            }
+
+            this._assertCanLogin(user);
+            await this._assertSecondFactor(user, { totpCode, recoveryCode });
+
+            if (needsRehash) {
+                await this._rehashPassword(user.id, password);
             }
 
-            const user = result.rows[0];
-            logger.info('UserRepository', `Usuario con ID ${id} verificado correctamente. Estado actual: ${user.account_status}`);
+            const result = await pool.query(
+                `UPDATE users
+                 SET last_login_at = NOW(), failed_login_attempts = 0, login_locked_until = NULL
+                 WHERE id = $1
+                 RETURNING *`,
+                [user.id]
+            );
 
-            return { account_status: user.account_status };
+            logger.info("[UserRepository]", "Inicio de sesión exitoso", { id: user.id });
+            return User.fromDatabase(result.rows[0]);
 
         } catch (error) {
-            logger.error('UserRepository', `Error al verificar el usuario con ID ${id}: ${error.message}`, { stack: error.stack });
-            throw new Error(`Error verifying user: ${error.message}`);
+            logger.warn("[UserRepository]", "Inicio de sesión rechazado", { email, error: error.message });
+            throw this._handleDatabaseError(error, "iniciando sesión de");
         }
     }
+
+    /**
+     * @private
+     * Con el doble factor activo exige un código TOTP o de recuperación; un código inválido cuenta como fallo
+     * @throws {UnauthorizedError} TOTP_REQUIRED o INVALID_TOTP_CODE
+     * @throws {TooManyRequestsError} LOGIN_LOCKED si este fallo activó el bloqueo
+     */
+    async _assertSecondFactor(user, { totpCode, recoveryCode }) {
+        if (!(await this.totpRepository.isEnabled(user.id))) return;
+
+        if (!totpCode && !recoveryCode) {
+            logger.info("[UserRepository]", "Credenciales pendientes del doble factor", { id: user.id });
+            throw new UnauthorizedError("Se requiere el código de verificación en dos pasos", "TOTP_REQUIRED");
+        }
+        if (!(await this.totpRepository.verify(user.id, { code: totpCode, recoveryCode }))) {
+            await this._rejectFailedLogin(user.id, "El código de verificación es inválido", "INVALID_TOTP_CODE");
+        }
+    }
+
+    /**
+     * @private
+     * Registra el fallo y lo rechaza: LOGIN_LOCKED si este fallo activó el bloqueo, si no el tipo indicado
+     * @throws {TooManyRequestsError|UnauthorizedError}
+     */
+    async _rejectFailedLogin(id, message, type) {
+        const lockedUntil = await this.loginLockout.registerFailure(id);
+        if (lockedUntil) {
+            this.loginLockout.throwLocked(lockedUntil);
+        }
+        throw new UnauthorizedError(message, type);
+    }
+
+    /**
+     * @private
+     * Solo las cuentas VERIFIED pueden iniciar sesión; cada estado restante tiene su propio tipo de error
+     * @throws {ForbiddenError}
+     */
+    _assertCanLogin(user) {
+        const rejection = LOGIN_REJECTIONS[user.account_status];
+        if (rejection) {
+            logger.warn("[UserRepository]", "Inicio de sesión rechazado por estado de cuenta", { id: user.id, status: user.account_status });
+            throw new ForbiddenError(...rejection);
+        }
+    }
+
+
+    /**
+     * Cambia el estado de la cuenta validando la transición y registrándola en user_status_history.
+     * Bloquea la fila (FOR UPDATE) para que dos cambios concurrentes no partan del mismo estado.
+     * @param {number} id - ID del usuario
+     * @param {string} targetStatus - Estado destino
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Motivo del cambio
+     * @param {string} [options.changedBy] - Principal que realiza el cambio (p. ej. "api_key:admin-console")
+     * @param {Array<string>} [options.allowedFrom] - Restringe adicionalmente los estados de origen aceptados
+     * @returns {Promise<{user: User, previousStatus: string}|null>} null si el usuario no existe o ya fue eliminado
+     * @throws {ConflictError} INVALID_STATUS_TRANSITION si la transición no está permitida
+     */
+    async changeStatus(id, targetStatus, { reason = null, changedBy = null, allowedFrom = null } = {}) {
+        logger.info("[UserRepository]", "Intento de cambiar estado de cuenta", { id, targetStatus, changedBy });
+
+        try {
+            return await withTransaction((client) => this._changeStatusInTransaction(client, id, targetStatus, { reason, changedBy, allowedFrom }));
+        } catch (error) {
+            logger.error("[UserRepository]", "Error cambiando estado de cuenta", { id, targetStatus, error: error.message });
+            throw this._handleDatabaseError(error, "cambiando estado de");
+        }
+    }
+
+    /**
+     * @private
+     * Cuerpo de changeStatus sobre el cliente transaccional
+     */
+    async _changeStatusInTransaction(client, id, targetStatus, { reason, changedBy, allowedFrom }) {
+        const current = await client.query(
+            `SELECT account_status FROM users WHERE id = $1 AND account_status != 'DELETED' FOR UPDATE`,
+            [id]
+        );
+
+        if (current.rows.length === 0) {
+            logger.warn("[UserRepository]", "Cambio de estado sobre usuario inexistente o eliminado", { id });
+            return null;
+        }
+
+        const previousStatus = current.rows[0].account_status;
+        if (allowedFrom && !allowedFrom.includes(previousStatus)) {
+            throw new ConflictError(
+                `No se puede cambiar el estado de la cuenta de ${previousStatus} a ${targetStatus}`,
+                "INVALID_STATUS_TRANSITION",
+                { from: previousStatus, to: targetStatus, allowedFrom }
+            );
+        }
+        assertTransition(previousStatus, targetStatus);
+
+        const updated = await client.query(
+            `UPDATE users
+             SET account_status = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [id, targetStatus]
+        );
+
+        await client.query(
+            `INSERT INTO user_status_history (user_id, from_status, to_status, reason, changed_by)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [id, previousStatus, targetStatus, reason, changedBy]
+        );
+
+        logger.info("[UserRepository]", "Estado de cuenta actualizado", { id, from: previousStatus, to: targetStatus });
+        return { user: User.fromDatabase(updated.rows[0]), previousStatus };
+    }
+
+    /**
+     * Historial de cambios de estado de la cuenta, del más reciente al más antiguo
+     * @param {number} id - ID del usuario
+     * @returns {Promise<Array<Object>|null>} null si el usuario no existe o fue eliminado
+     */
+    async findStatusHistory(id) {
+        try {
+            const user = await pool.query(`SELECT id FROM users WHERE id = $1 AND account_status != 'DELETED'`, [id]);
+            if (user.rows.length === 0) {
+                return null;
+            }
+
+            const result = await pool.query(
+                `SELECT from_status, to_status, reason, changed_by, changed_at
+                 FROM user_status_history
+                 WHERE user_id = $1
+                 ORDER BY changed_at DESC, id DESC`,
+                [id]
+            );
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error("[UserRepository]", "Error obteniendo historial de estados", { id, error: error.message });
+            throw this._handleDatabaseError(error, "obteniendo historial de estados de");
+        }
+    }
+
+    /**
+     * DELETE - Eliminación lógica (transición a DELETED)
+     * @param {number} id - ID del usuario
+     * @param {Object} [options] - reason y changedBy, ver changeStatus
+     * @returns {Promise<User|null>} null si el usuario no existe o ya fue eliminado
+     */
+    async delete(id, { reason = "Eliminación de la cuenta", changedBy = null } = {}) {
+        logger.info("[UserRepository]", "Intento de eliminar usuario", { id });
+
+        const result = await this.changeStatus(id, AccountStatus.DELETED, { reason, changedBy });
+        if (!result) {
+            return null;
+        }
+
+        logger.info("[UserRepository]", "Usuario eliminado lógicamente con éxito", { id: result.user.id });
+        return result.user;
+    }
+
+    /**
+     * Verificar cuenta - Cambia account_status de PENDING_VALIDATION a VERIFIED
+     * @param {number} id - ID del usuario
+     * @param {Object} [options] - changedBy, ver changeStatus
+     * @returns {Promise<{account_status: string}>}
+     * @throws {BadRequestError} ACCOUNT_NOT_PENDING_VALIDATION si la cuenta no está pendiente
+     */
+    async verifyAccount(id, { changedBy = null } = {}) {
+        logger.info('UserRepository', `Intentando verificar cuenta con ID: ${id}`);
+
+        let result;
+        try {
+            result = await this.changeStatus(id, AccountStatus.VERIFIED, {
+                reason: "Verificación de la cuenta",
+                changedBy,
+                allowedFrom: [AccountStatus.PENDING_VALIDATION],
+            });
+        } catch (error) {
+            if (error.type !== "INVALID_STATUS_TRANSITION") throw error;
+            result = null;
+        }
+
+        if (!result) {
+            logger.warn('UserRepository', `No se pudo verificar el usuario con ID ${id}. Posiblemente no existe o no está en estado PENDING_VALIDATION.`);
+            throw new BadRequestError('El usuario ya ha sido verificado o borrado.', 'ACCOUNT_NOT_PENDING_VALIDATION');
+        }
+
+        logger.info('UserRepository', `Usuario con ID ${id} verificado correctamente. Estado actual: ${result.user.account_status}`);
+        return { account_status: result.user.account_status };
+    }
 }
 
 module.exports = UserRepository;
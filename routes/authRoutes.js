@@ -1,17 +1,82 @@
 const express = require('express');
 const OtpController = require('../controllers/otpController');
+const AuthController = require('../controllers/authController');
+const validateRequest = require('../middleware/validateRequest');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const {
+    otpCreationSchema,
+    otpVerifySchema,
+    otpIdParamsSchema,
+    otpStatusQuerySchema,
+    verifyCredentialsSchema,
+    loginSchema,
+    refreshTokenSchema,
+} = require('../validation/schemas');
 
 const router = express.Router();
 const otpController = new OtpController();
+const authController = new AuthController();
 
 // Middleware para parsear JSON
 router.use(express.json());
 
+// Todas las rutas requieren un token de servicio o API key
+router.use(authenticate);
+
 /**
  * @route   POST /api/auth/otp
  * @desc    Crear un nuevo OTP para un usuario
- * @access  Public
+ * @access  Roles: service, admin
+ */
+router.post('/otp', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: otpCreationSchema }), otpController.createOtp.bind(otpController));
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Verificar y consumir el OTP activo de un usuario
+ * @access  Roles: service, admin
+ */
+router.post('/otp/verify', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: otpVerifySchema }), otpController.verifyOtp.bind(otpController));
+
+/**
+ * @route   POST /api/auth/otp/resend
+ * @desc    Reemplazar el OTP activo por uno nuevo (sujeto a cooldown)
+ * @access  Roles: service, admin
+ */
+router.post('/otp/resend', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: otpCreationSchema }), otpController.resendOtp.bind(otpController));
+
+/**
+ * @route   GET /api/auth/otp/status
+ * @desc    Consultar el estado del OTP más reciente de un usuario
+ * @access  Roles: service, admin
+ */
+router.get('/otp/status', authorize({ roles: ['service', 'admin'] }), validateRequest({ query: otpStatusQuerySchema }), otpController.getOtpStatus.bind(otpController));
+
+/**
+ * @route   DELETE /api/auth/otp/:id
+ * @desc    Revocar un OTP activo
+ * @access  Roles: service, admin
+ */
+router.delete('/otp/:id', authorize({ roles: ['service', 'admin'] }), validateRequest({ params: otpIdParamsSchema }), otpController.revokeOtp.bind(otpController));
+
+/**
+ * @route   POST /api/auth/verify-credentials
+ * @desc    Verificar email y contraseña sin exponer el hash de la contraseña
+ * @access  Roles: service, admin
+ */
+router.post('/verify-credentials', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: verifyCredentialsSchema }), authController.verifyCredentials.bind(authController));
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Iniciar sesión con email y contraseña (cuenta fallos y bloquea la cuenta temporalmente)
+ * @access  Roles: service, admin
+ */
+router.post('/login', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: loginSchema }), authController.login.bind(authController));
+
+/**
+ * @route   POST /api/auth/token/refresh
+ * @desc    Rotar el refresh token de una sesión (detecta reutilización y revoca la sesión)
+ * @access  Roles: service, admin
  */
-router.post('/otp', otpController.createOtp.bind(otpController));
+router.post('/token/refresh', authorize({ roles: ['service', 'admin'] }), validateRequest({ body: refreshTokenSchema }), authController.refreshToken.bind(authController));
 
 module.exports = router;
\ No newline at end of file
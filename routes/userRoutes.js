@@ -1,66 +1,215 @@
 const express = require('express');
 const UserControllerDB = require('../controllers/userControllerDB');
+const ProfileController = require('../controllers/profileController');
+const SessionController = require('../controllers/sessionController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const EmailChangeController = require('../controllers/emailChangeController');
+const validateRequest = require('../middleware/validateRequest');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const {
+    idParamsSchema,
+    userRegisterSchema,
+    userUpdateSchema,
+    paginationQuerySchema,
+    emailQuerySchema,
+    passwordResetSchema,
+    passwordChangeSchema,
+    accountStatusChangeSchema,
+    profileUpdateSchema,
+    userIncludeQuerySchema,
+    sessionParamsSchema,
+    totpConfirmSchema,
+    totpFactorSchema,
+    emailChangeRequestSchema,
+    emailChangeConfirmSchema,
+} = require('../validation/schemas');
 
 const router = express.Router();
 const userController = new UserControllerDB();
+const profileController = new ProfileController();
+const sessionController = new SessionController();
+const twoFactorController = new TwoFactorController();
+const emailChangeController = new EmailChangeController();
 
 // Middleware para parsear JSON
 router.use(express.json());
 
+// Todas las rutas requieren un token de servicio o API key
+router.use(authenticate);
+
 /**
  * @route   POST /api/users/register
  * @desc    Registrar un nuevo usuario
- * @access  Public
+ * @access  Roles: service, admin | Scope: users:write
  */
-router.post('/register', userController.registerUser.bind(userController));
+router.post('/register', authorize({ roles: ['service', 'admin'], scopes: ['users:write'] }), validateRequest({ body: userRegisterSchema }), userController.registerUser.bind(userController));
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Actualizar un usuario existente
- * @access  Public
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
  */
-router.put('/:id', userController.updateUser.bind(userController));
+router.put('/:id', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: userUpdateSchema }), userController.updateUser.bind(userController));
 
 /**
  * @route   GET /api/users
  * @desc    Obtener todos los usuarios paginados
- * @access  Public
+ * @access  Roles: admin | Scope: users:read
  */
-router.get('/', userController.getAllUsersPaginated.bind(userController));
+router.get('/', authorize({ roles: ['admin'], scopes: ['users:read'] }), validateRequest({ query: paginationQuerySchema }), userController.getAllUsersPaginated.bind(userController));
 
 /**
  * @route   GET /api/users/email
  * @desc    Obtener un usuario específico por email
- * @access  Public
+ * @access  Roles: service, admin
  */
-router.get('/email', (req, res) => userController.getUserByEmail(req, res));
+router.get('/email', authorize({ roles: ['service', 'admin'] }), validateRequest({ query: emailQuerySchema }), (req, res, next) => userController.getUserByEmail(req, res, next));
 
 /**
  * @route   GET /api/users/:id
- * @desc    Obtener un usuario específico por ID
- * @access  Public
+ * @desc    Obtener un usuario específico por ID (?include=profile incrusta el perfil)
+ * @access  Roles: service, admin, el propio usuario | Scope: users:read
+ */
+router.get('/:id', authorize({ roles: ['service', 'admin'], scopes: ['users:read'], self: true }), validateRequest({ params: idParamsSchema, query: userIncludeQuerySchema }), userController.getUserById.bind(userController));
+
+/**
+ * @route   GET /api/users/:id/profile
+ * @desc    Obtener el perfil del usuario
+ * @access  Roles: service, admin, el propio usuario | Scope: users:read
+ */
+router.get('/:id/profile', authorize({ roles: ['service', 'admin'], scopes: ['users:read'], self: true }), validateRequest({ params: idParamsSchema }), profileController.getProfile.bind(profileController));
+
+/**
+ * @route   PATCH /api/users/:id/profile
+ * @desc    Actualizar los campos del perfil (display_name, bio, avatar_url, locale, timezone, birthdate)
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.patch('/:id/profile', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: profileUpdateSchema }), profileController.updateProfile.bind(profileController));
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Listar las sesiones vigentes del usuario
+ * @access  Roles: service, admin, el propio usuario | Scope: users:read
+ */
+router.get('/:id/sessions', authorize({ roles: ['service', 'admin'], scopes: ['users:read'], self: true }), validateRequest({ params: idParamsSchema }), sessionController.listSessions.bind(sessionController));
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revocar todas las sesiones del usuario
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.delete('/:id/sessions', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema }), sessionController.revokeAllSessions.bind(sessionController));
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sid
+ * @desc    Revocar una sesión del usuario
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.delete('/:id/sessions/:sid', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: sessionParamsSchema }), sessionController.revokeSession.bind(sessionController));
+
+/**
+ * @route   POST /api/users/:id/email_change
+ * @desc    Solicitar un cambio de email (envía un código a la dirección nueva)
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/email_change', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: emailChangeRequestSchema }), emailChangeController.requestChange.bind(emailChangeController));
+
+/**
+ * @route   GET /api/users/:id/email_change
+ * @desc    Obtener el cambio de email pendiente
+ * @access  Roles: service, admin, el propio usuario | Scope: users:read
+ */
+router.get('/:id/email_change', authorize({ roles: ['service', 'admin'], scopes: ['users:read'], self: true }), validateRequest({ params: idParamsSchema }), emailChangeController.getPending.bind(emailChangeController));
+
+/**
+ * @route   POST /api/users/:id/email_change/confirm
+ * @desc    Confirmar el cambio de email con el código recibido en la dirección nueva
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/email_change/confirm', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: emailChangeConfirmSchema }), emailChangeController.confirmChange.bind(emailChangeController));
+
+/**
+ * @route   DELETE /api/users/:id/email_change
+ * @desc    Cancelar el cambio de email pendiente
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.delete('/:id/email_change', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema }), emailChangeController.cancelChange.bind(emailChangeController));
+
+/**
+ * @route   GET /api/users/:id/2fa/totp
+ * @desc    Estado del doble factor TOTP
+ * @access  Roles: service, admin, el propio usuario | Scope: users:read
+ */
+router.get('/:id/2fa/totp', authorize({ roles: ['service', 'admin'], scopes: ['users:read'], self: true }), validateRequest({ params: idParamsSchema }), twoFactorController.getStatus.bind(twoFactorController));
+
+/**
+ * @route   POST /api/users/:id/2fa/totp
+ * @desc    Iniciar la inscripción TOTP (secreto y URI otpauth://)
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/2fa/totp', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema }), twoFactorController.enroll.bind(twoFactorController));
+
+/**
+ * @route   POST /api/users/:id/2fa/totp/confirm
+ * @desc    Confirmar la inscripción con el primer código y obtener los códigos de recuperación
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/2fa/totp/confirm', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: totpConfirmSchema }), twoFactorController.confirm.bind(twoFactorController));
+
+/**
+ * @route   POST /api/users/:id/2fa/totp/recovery_codes
+ * @desc    Regenerar los códigos de recuperación
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/2fa/totp/recovery_codes', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: totpFactorSchema }), twoFactorController.regenerateRecoveryCodes.bind(twoFactorController));
+
+/**
+ * @route   DELETE /api/users/:id/2fa/totp
+ * @desc    Desactivar el doble factor con un código vigente
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.delete('/:id/2fa/totp', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: totpFactorSchema }), twoFactorController.disable.bind(twoFactorController));
+
+/**
+ * @route   POST /api/users/:id/2fa/totp/reset
+ * @desc    Eliminar el doble factor sin código (soporte)
+ * @access  Roles: admin
  */
-router.get('/:id', userController.getUserById.bind(userController));
+router.post('/:id/2fa/totp/reset', authorize({ roles: ['admin'] }), validateRequest({ params: idParamsSchema }), twoFactorController.reset.bind(twoFactorController));
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Eliminar lógicamente un usuario (soft delete)
- * @access  Public
+ * @access  Roles: admin
  */
-router.delete('/:id', userController.deleteUser.bind(userController));
+router.delete('/:id', authorize({ roles: ['admin'] }), validateRequest({ params: idParamsSchema }), userController.deleteUser.bind(userController));
 
 /**
  * @route   PATCH /api/users/:id/password
  * @desc    Actualizar la contraseña de un usuario
- * @access  Public
+ * @access  Roles: service, admin
  */
-router.patch('/:id/password', userController.updatePassword.bind(userController));
+router.patch('/:id/password', authorize({ roles: ['service', 'admin'] }), validateRequest({ params: idParamsSchema, body: passwordResetSchema }), userController.updatePassword.bind(userController));
+
+/**
+ * @route   POST /api/users/:id/password/change
+ * @desc    Cambiar la contraseña verificando la contraseña actual
+ * @access  Roles: service, admin, el propio usuario | Scope: users:write
+ */
+router.post('/:id/password/change', authorize({ roles: ['service', 'admin'], scopes: ['users:write'], self: true }), validateRequest({ params: idParamsSchema, body: passwordChangeSchema }), userController.changePassword.bind(userController));
 
 /**
  * @route   PATCH /api/users/:id/account_status
- * @desc    Verificar el usuario
- * @access  Public
+ * @desc    Cambiar el estado de la cuenta ({ status, reason }); sin body verifica el usuario
+ * @access  Roles: service, admin
+ */
+router.patch('/:id/account_status', authorize({ roles: ['service', 'admin'] }), validateRequest({ params: idParamsSchema, body: accountStatusChangeSchema }), userController.changeAccountStatus.bind(userController));
+
+/**
+ * @route   GET /api/users/:id/account_status/history
+ * @desc    Historial de cambios de estado de la cuenta
+ * @access  Roles: admin
  */
-router.patch('/:id/account_status', userController.verifyUserAccount.bind(userController));
+router.get('/:id/account_status/history', authorize({ roles: ['admin'] }), validateRequest({ params: idParamsSchema }), userController.getAccountStatusHistory.bind(userController));
 
 module.exports = router;
@@ -0,0 +1,12 @@
+// Contraseñas más comunes en filtraciones públicas (en minúsculas); la comparación ignora mayúsculas
+module.exports = [
+    "123456", "12345678", "123456789", "1234567890", "12345", "1234567", "111111", "000000",
+    "password", "password1", "password12", "password123", "passw0rd", "p@ssw0rd", "p@ssword1",
+    "qwerty", "qwerty123", "qwertyuiop", "abc123", "abcd1234", "1q2w3e4r", "1qaz2wsx", "asdfghjk",
+    "iloveyou", "welcome", "welcome1", "welcome123", "admin", "admin123", "administrator", "letmein",
+    "monkey", "dragon", "football", "baseball", "sunshine", "princess", "master", "superman", "trustno1",
+    "changeme", "secret", "login", "starwars", "whatever", "shadow", "michael", "liverpool",
+    "contraseña", "contrasena", "contraseña1", "contrasena1", "contrasena123", "clave", "clave123",
+    "micontraseña", "micontrasena", "colombia", "colombia1", "colombia123", "teamo", "teamo123",
+    "tequiero", "bogota", "medellin", "america", "futbol", "hola123", "holamundo", "usuario", "usuario123",
+];
@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const securityConfig = require("../config/security");
+
+// Formato almacenado en otp.otp_hash: hmac-sha256$<sal hex>$<digest hex>
+const OTP_HASH_SCHEME = "hmac-sha256";
+const OTP_HASH_REGEX = /^hmac-sha256\$([0-9a-f]{32})\$([0-9a-f]{64})$/;
+
+class OtpHasher {
+    /**
+     * @param {string} [pepper] - Secreto del servidor mezclado en el HMAC (por defecto OTP_HASH_PEPPER)
+     * @param {Object} [options]
+     * @param {boolean} [options.production] - Exige el pepper (por defecto NODE_ENV=production)
+     */
+    constructor(pepper = securityConfig.otpHashPepper, { production = securityConfig.production } = {}) {
+        this.pepper = pepper || null;
+        this.production = production;
+    }
+
+    /**
+     * @private
+     * Sin pepper el HMAC no protege nada en un volcado de la tabla: en producción falla en el primer uso,
+     * fuera de ella se usa una clave vacía para no exigir configuración en desarrollo
+     */
+    _requirePepper() {
+        if (this.pepper) return this.pepper;
+        if (this.production) {
+            throw new Error("OTP_HASH_PEPPER no está configurado y es obligatorio en producción");
+        }
+        return "";
+    }
+
+    /**
+     * Genera el hash con sal de un código OTP
+     * @param {string} code - Código en texto plano
+     * @returns {string} Valor para otp.otp_hash
+     */
+    hash(code) {
+        const salt = crypto.randomBytes(16).toString("hex");
+        return `${OTP_HASH_SCHEME}$${salt}$${this._digest(salt, code)}`;
+    }
+
+    /**
+     * Compara un código con el hash almacenado en tiempo constante.
+     * Un valor con formato desconocido (p. ej. filas heredadas depuradas) nunca coincide.
+     * @param {string} code - Código recibido
+     * @param {string} stored - Valor de otp.otp_hash
+     * @returns {boolean}
+     */
+    verify(code, stored) {
+        const match = typeof stored === "string" ? OTP_HASH_REGEX.exec(stored) : null;
+        if (typeof code !== "string" || !match) {
+            return false;
+        }
+
+        const [, salt, expectedHex] = match;
+        const expected = Buffer.from(expectedHex, "hex");
+        const actual = Buffer.from(this._digest(salt, code), "hex");
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * @private
+     * HMAC-SHA256(pepper, sal:código)
+     */
+    _digest(salt, code) {
+        return crypto.createHmac("sha256", this._requirePepper()).update(`${salt}:${code}`).digest("hex");
+    }
+}
+
+module.exports = OtpHasher;
@@ -0,0 +1,87 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const securityConfig = require("../config/security");
+const logger = require("../logger/Logger");
+
+// Formato de un hash bcrypt: $2a$, $2b$ o $2y$ seguido del costo y 53 caracteres
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Hashes ficticios por costo, generados una sola vez (ver simulateVerify)
+const dummyHashes = new Map();
+
+class PasswordHasher {
+    /**
+     * @param {number} [saltRounds] - Factor de costo de bcrypt (por defecto BCRYPT_SALT_ROUNDS)
+     */
+    constructor(saltRounds = securityConfig.bcryptSaltRounds) {
+        this.saltRounds = saltRounds;
+    }
+
+    /**
+     * Indica si un valor almacenado ya es un hash bcrypt
+     * @param {string} stored - Valor de la columna users.password
+     * @returns {boolean}
+     */
+    isHashed(stored) {
+        return typeof stored === "string" && BCRYPT_HASH_REGEX.test(stored);
+    }
+
+    /**
+     * Genera el hash bcrypt de una contraseña en texto plano
+     * @param {string} plainPassword - Contraseña en texto plano
+     * @returns {Promise<string>} Hash bcrypt
+     */
+    async hash(plainPassword) {
+        return bcrypt.hash(plainPassword, this.saltRounds);
+    }
+
+    /**
+     * Compara una contraseña con el valor almacenado.
+     * Soporta filas heredadas en texto plano (comparación en tiempo constante)
+     * e indica si el valor almacenado debe regenerarse con el costo actual.
+     * @param {string} plainPassword - Contraseña recibida
+     * @param {string} stored - Valor almacenado (hash bcrypt o texto plano heredado)
+     * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+     */
+    async verify(plainPassword, stored) {
+        if (typeof plainPassword !== "string" || typeof stored !== "string") {
+            return { valid: false, needsRehash: false };
+        }
+
+        if (!this.isHashed(stored)) {
+            logger.warn("[PasswordHasher]", "Contraseña almacenada en texto plano detectada");
+            const valid = this._safeEqual(plainPassword, stored);
+            return { valid, needsRehash: valid };
+        }
+
+        const valid = await bcrypt.compare(plainPassword, stored);
+        const needsRehash = valid && bcrypt.getRounds(stored) !== this.saltRounds;
+        return { valid, needsRehash };
+    }
+
+    /**
+     * Compara la contraseña contra un hash ficticio con el costo configurado y la rechaza.
+     * Se usa cuando el email no existe, para que la respuesta tarde lo mismo que con una contraseña incorrecta.
+     * @param {string} plainPassword - Contraseña recibida
+     * @returns {Promise<{valid: boolean, needsRehash: boolean}>} Siempre inválida
+     */
+    async simulateVerify(plainPassword) {
+        if (!dummyHashes.has(this.saltRounds)) {
+            dummyHashes.set(this.saltRounds, bcrypt.hash(crypto.randomBytes(16).toString("hex"), this.saltRounds));
+        }
+        await bcrypt.compare(typeof plainPassword === "string" ? plainPassword : "", await dummyHashes.get(this.saltRounds));
+        return { valid: false, needsRehash: false };
+    }
+
+    /**
+     * @private
+     * Comparación en tiempo constante de dos cadenas
+     */
+    _safeEqual(a, b) {
+        const digestA = crypto.createHash("sha256").update(a).digest();
+        const digestB = crypto.createHash("sha256").update(b).digest();
+        return crypto.timingSafeEqual(digestA, digestB);
+    }
+}
+
+module.exports = PasswordHasher;
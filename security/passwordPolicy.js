@@ -0,0 +1,52 @@
+const passwordPolicyConfig = require("../config/passwordPolicy");
+const commonPasswords = require("./commonPasswords");
+const { ValidationError } = require("../errors");
+
+class PasswordPolicy {
+    /**
+     * @param {Object} [config] - Reglas de la política (por defecto config/passwordPolicy.js)
+     */
+    constructor(config = passwordPolicyConfig) {
+        this.config = config;
+        this.denylist = new Set([...commonPasswords, ...config.denylist].map((entry) => entry.toLowerCase()));
+    }
+
+    /**
+     * Evalúa la contraseña contra cada regla de la política.
+     * El historial de contraseñas se valida en el repositorio, que tiene acceso a los hashes anteriores.
+     * @param {string} password - Contraseña en texto plano
+     * @param {string} [field] - Campo reportado en los errores (p. ej. "newPassword")
+     * @returns {Array<{field: string, rule: string, message: string}>} Una entrada por regla incumplida
+     */
+    validate(password, field = "password") {
+        const { minLength, maxLength, requireUppercase, requireLowercase, requireDigit, requireSymbol } = this.config;
+        const value = typeof password === "string" ? password : "";
+        const violations = [];
+        const violation = (rule, message) => violations.push({ field, rule, message });
+
+        if (value.length < minLength) violation("minLength", `La contraseña debe tener al menos ${minLength} caracteres`);
+        if (Buffer.byteLength(value, "utf8") > maxLength) violation("maxLength", `La contraseña no puede superar ${maxLength} bytes`);
+        if (requireUppercase && !/\p{Lu}/u.test(value)) violation("uppercase", "La contraseña debe incluir al menos una letra mayúscula");
+        if (requireLowercase && !/\p{Ll}/u.test(value)) violation("lowercase", "La contraseña debe incluir al menos una letra minúscula");
+        if (requireDigit && !/\d/.test(value)) violation("digit", "La contraseña debe incluir al menos un número");
+        if (requireSymbol && !/[^\p{L}\p{N}]/u.test(value)) violation("symbol", "La contraseña debe incluir al menos un símbolo");
+        if (this.denylist.has(value.toLowerCase())) violation("denylist", "La contraseña es demasiado común");
+
+        return violations;
+    }
+
+    /**
+     * Lanza un ValidationError con todas las reglas incumplidas
+     * @param {string} password - Contraseña en texto plano
+     * @param {string} [field] - Campo reportado en los errores
+     * @throws {ValidationError}
+     */
+    assertValid(password, field = "password") {
+        const violations = this.validate(password, field);
+        if (violations.length > 0) {
+            throw new ValidationError(violations, "La contraseña no cumple la política de seguridad");
+        }
+    }
+}
+
+module.exports = PasswordPolicy;
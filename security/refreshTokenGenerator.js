@@ -0,0 +1,24 @@
+const crypto = require("crypto");
+
+class RefreshTokenGenerator {
+    /**
+     * Genera un refresh token opaco de 256 bits y el hash que se guarda en refresh_tokens.token_hash
+     * @returns {{token: string, tokenHash: string}}
+     */
+    generate() {
+        const token = crypto.randomBytes(32).toString("base64url");
+        return { token, tokenHash: this.hash(token) };
+    }
+
+    /**
+     * SHA-256 del token. Al ser aleatorio y de alta entropía no necesita sal ni un hash lento,
+     * y el hash determinista permite buscarlo por índice único.
+     * @param {string} token - Refresh token recibido
+     * @returns {string} Hash hexadecimal de 64 caracteres
+     */
+    hash(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+}
+
+module.exports = RefreshTokenGenerator;
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const securityConfig = require("../config/security");
+
+// Formato almacenado: v1:<iv base64>:<tag base64>:<cifrado base64>
+const CIPHER_VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+
+/**
+ * Interpreta la clave configurada como 32 bytes en hex (64 caracteres) o base64
+ */
+const parseKey = (raw) => {
+    if (!raw) return null;
+    const key = /^[0-9a-fA-F]{64}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+    if (key.length !== 32) {
+        throw new Error("TOTP_ENCRYPTION_KEY debe tener 32 bytes (64 caracteres hex o base64)");
+    }
+    return key;
+};
+
+class SecretCipher {
+    /**
+     * @param {string} [rawKey] - Clave de 32 bytes en hex o base64 (por defecto TOTP_ENCRYPTION_KEY)
+     */
+    constructor(rawKey = securityConfig.totp.encryptionKey) {
+        this.key = parseKey(rawKey);
+    }
+
+    /**
+     * @private
+     * Sin clave no se guardan ni se leen secretos: falla en el primer uso, no al iniciar el servicio
+     */
+    _requireKey() {
+        if (!this.key) {
+            throw new Error("TOTP_ENCRYPTION_KEY no está configurada");
+        }
+        return this.key;
+    }
+
+    /**
+     * Cifra un secreto con AES-256-GCM y un IV aleatorio
+     * @param {string} plainText - Secreto en claro
+     * @returns {string} Valor para almacenar
+     */
+    encrypt(plainText) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this._requireKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return [CIPHER_VERSION, iv.toString("base64"), tag.toString("base64"), encrypted.toString("base64")].join(":");
+    }
+
+    /**
+     * Descifra un valor generado por encrypt; el tag GCM detecta cualquier alteración
+     * @param {string} stored - Valor almacenado
+     * @returns {string} Secreto en claro
+     */
+    decrypt(stored) {
+        const [version, iv, tag, encrypted] = String(stored).split(":");
+        if (version !== CIPHER_VERSION || !iv || !tag || !encrypted) {
+            throw new Error("Formato de secreto cifrado desconocido");
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, this._requireKey(), Buffer.from(iv, "base64"));
+        decipher.setAuthTag(Buffer.from(tag, "base64"));
+        return Buffer.concat([decipher.update(Buffer.from(encrypted, "base64")), decipher.final()]).toString("utf8");
+    }
+}
+
+module.exports = SecretCipher;
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const securityConfig = require("../config/security");
+const { UnauthorizedError } = require("../errors");
+const logger = require("../logger/Logger");
+
+class ServiceAuthenticator {
+    /**
+     * @param {Object} [config] - Configuración de seguridad (por defecto config/security)
+     */
+    constructor(config = securityConfig) {
+        this.jwtConfig = config.jwt;
+        this.apiKeys = config.apiKeys.map((apiKey) => ({ ...apiKey, digest: this._digest(apiKey.key) }));
+    }
+
+    /**
+     * Autentica una petición a partir de "Authorization: Bearer <jwt>" o "X-API-Key: <clave>"
+     * @param {Object} req - Request object de Express
+     * @returns {{type: string, subject: string, roles: Array<string>, scopes: Array<string>}} Principal autenticado
+     * @throws {UnauthorizedError} Si no hay credenciales o no son válidas
+     */
+    authenticate(req) {
+        const apiKey = req.get("X-API-Key");
+        if (apiKey) {
+            return this._authenticateApiKey(apiKey);
+        }
+
+        const authorization = req.get("Authorization") || "";
+        const [scheme, token] = authorization.split(" ");
+        if (scheme === "Bearer" && token) {
+            return this._authenticateJwt(token);
+        }
+
+        throw new UnauthorizedError("Autenticación requerida", "UNAUTHORIZED");
+    }
+
+    /**
+     * @private
+     * Busca la API key en tiempo constante
+     */
+    _authenticateApiKey(apiKey) {
+        const digest = this._digest(apiKey);
+        const match = this.apiKeys.find((candidate) => crypto.timingSafeEqual(candidate.digest, digest));
+
+        if (!match) {
+            logger.warn("[ServiceAuthenticator]", "API key inválida");
+            throw new UnauthorizedError("API key inválida", "INVALID_API_KEY");
+        }
+
+        return { type: "api_key", subject: match.name, roles: match.roles, scopes: [] };
+    }
+
+    /**
+     * @private
+     * Verifica un JWT HS256 (JWT_SECRET) o RS256 (clave pública local)
+     */
+    _authenticateJwt(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        const algorithm = decoded?.header?.alg;
+        const key = algorithm === "HS256" ? this.jwtConfig.secret
+            : algorithm === "RS256" ? this.jwtConfig.publicKey
+                : null;
+
+        if (!key) {
+            logger.warn("[ServiceAuthenticator]", "Token con algoritmo no soportado o sin clave configurada", { algorithm });
+            throw new UnauthorizedError("Token inválido", "INVALID_TOKEN");
+        }
+
+        try {
+            const payload = jwt.verify(token, key, {
+                algorithms: [algorithm],
+                issuer: this.jwtConfig.issuer,
+                audience: this.jwtConfig.audience,
+            });
+
+            return {
+                type: "jwt",
+                subject: payload.sub !== undefined ? String(payload.sub) : null,
+                roles: Array.isArray(payload.roles) ? payload.roles : (payload.role ? [payload.role] : []),
+                scopes: typeof payload.scope === "string" ? payload.scope.split(" ").filter(Boolean) : [],
+            };
+        } catch (error) {
+            logger.warn("[ServiceAuthenticator]", "Token rechazado", { error: error.message });
+            if (error instanceof jwt.TokenExpiredError) {
+                throw new UnauthorizedError("El token ha expirado", "TOKEN_EXPIRED");
+            }
+            throw new UnauthorizedError("Token inválido", "INVALID_TOKEN");
+        }
+    }
+
+    /**
+     * @private
+     * Digest de longitud fija para comparar claves con timingSafeEqual
+     */
+    _digest(value) {
+        return crypto.createHash("sha256").update(value).digest();
+    }
+}
+
+module.exports = ServiceAuthenticator;
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const securityConfig = require("../config/security");
+
+// Alfabeto base32 (RFC 4648), el que esperan las apps autenticadoras
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * @private
+ * Codifica bytes en base32 sin relleno
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * @private
+ * Decodifica base32 ignorando relleno, espacios y mayúsculas/minúsculas
+ */
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Secreto base32 inválido");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+class Totp {
+    /**
+     * @param {Object} [options] - Por defecto securityConfig.totp
+     */
+    constructor({
+        issuer = securityConfig.totp.issuer,
+        digits = securityConfig.totp.digits,
+        periodSeconds = securityConfig.totp.periodSeconds,
+        window = securityConfig.totp.window,
+    } = {}) {
+        this.issuer = issuer;
+        this.digits = digits;
+        this.periodSeconds = periodSeconds;
+        this.window = window;
+    }
+
+    /**
+     * Genera un secreto aleatorio de 160 bits (tamaño recomendado para HMAC-SHA1) en base32
+     * @returns {string}
+     */
+    generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Paso de tiempo (contador T de RFC 6238) para un instante
+     * @param {number} [now] - Milisegundos desde epoch
+     * @returns {number}
+     */
+    timeStep(now = Date.now()) {
+        return Math.floor(now / 1000 / this.periodSeconds);
+    }
+
+    /**
+     * Código HOTP (RFC 4226) del secreto para un paso de tiempo
+     * @param {string} secret - Secreto en base32
+     * @param {number} step - Paso de tiempo
+     * @returns {string} Código con ceros a la izquierda
+     */
+    generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 10 ** this.digits).padStart(this.digits, "0");
+    }
+
+    /**
+     * Verifica un código contra el paso actual y los `window` pasos adyacentes
+     * @param {string} secret - Secreto en base32
+     * @param {string} code - Código recibido
+     * @param {number} [now] - Milisegundos desde epoch
+     * @returns {number|null} Paso que coincidió (para impedir su reutilización) o null
+     */
+    verify(secret, code, now = Date.now()) {
+        const candidate = String(code ?? "").replace(/\s/g, "");
+        if (!new RegExp(`^\\d{${this.digits}}$`).test(candidate)) {
+            return null;
+        }
+
+        const current = this.timeStep(now);
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const step = current + offset;
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * URI otpauth:// para registrar el secreto en una app autenticadora (normalmente como código QR)
+     * @param {string} secret - Secreto en base32
+     * @param {string} accountName - Cuenta mostrada en la app (el email del usuario)
+     * @returns {string}
+     */
+    provisioningUri(secret, accountName) {
+        const label = `${encodeURIComponent(this.issuer)}:${encodeURIComponent(accountName)}`;
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: "SHA1",
+            digits: String(this.digits),
+            period: String(this.periodSeconds),
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+}
+
+module.exports = Totp;
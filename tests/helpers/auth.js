@@ -0,0 +1,28 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+
+// Deben coincidir con API_KEYS en tests/setup/env.js
+const API_KEYS = {
+    admin: "test-admin-key",
+    service: "test-service-key",
+};
+
+/**
+ * Agente de supertest que envía la API key del rol indicado en cada petición
+ * @param {Object} app - App de Express
+ * @param {string} role - "admin" o "service"
+ */
+function apiAs(app, role) {
+    return request.agent(app).set("X-API-Key", API_KEYS[role]);
+}
+
+/**
+ * Firma un JWT HS256 con el secreto de pruebas
+ * @param {Object} payload - Claims (sub, roles, scope...)
+ * @param {Object} [options] - Opciones de jsonwebtoken (expiresIn...)
+ */
+function signToken(payload, options = {}) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { algorithm: "HS256", expiresIn: "5m", ...options });
+}
+
+module.exports = { API_KEYS, apiAs, signToken };
@@ -0,0 +1,66 @@
+const pool = require("../../config/database");
+const PasswordHasher = require("../../security/passwordHasher");
+const OtpHasher = require("../../security/otpHasher");
+const EmailNormalizer = require("../../domain/emailNormalizer");
+
+const passwordHasher = new PasswordHasher();
+const otpHasher = new OtpHasher();
+const emailNormalizer = new EmailNormalizer();
+
+/**
+ * Vacía todas las tablas de datos y reinicia las secuencias
+ */
+async function resetDatabase() {
+    await pool.query(`TRUNCATE email_change_requests, user_totp_recovery_codes, user_totp, otp_user_lockouts, user_status_history, password_history, refresh_tokens, sessions, otp, profiles, users RESTART IDENTITY CASCADE`);
+}
+
+/**
+ * Inserta un usuario directamente en la base de datos
+ * @param {Object} [overrides] - Campos a sobrescribir
+ * @param {boolean} [overrides.plainPassword] - Guarda la contraseña sin hash (fila heredada)
+ * @returns {Promise<Object>} Fila insertada (incluye la contraseña en texto plano como `rawPassword`)
+ */
+async function insertUser(overrides = {}) {
+    const {
+        name = "Test User",
+        email = "test@example.com",
+        password = "password123",
+        phone = "3001234567",
+        account_status = "PENDING_VALIDATION",
+        plainPassword = false,
+    } = overrides;
+
+    const storedPassword = plainPassword ? password : await passwordHasher.hash(password);
+    const result = await pool.query(
+        `INSERT INTO users (name, email, email_normalized, password, phone, account_status)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [name, email, emailNormalizer.canonicalize(email), storedPassword, phone, account_status]
+    );
+    await pool.query(`INSERT INTO profiles (user_id) VALUES ($1)`, [result.rows[0].id]);
+
+    return { ...result.rows[0], rawPassword: password };
+}
+
+/**
+ * Inserta un OTP para un usuario (el código se guarda con hash, como en OtpRepository)
+ * @param {number} userId - ID del usuario
+ * @param {Object} [overrides] - Campos a sobrescribir (otp, otp_status, created_at, purpose)
+ */
+async function insertOtp(userId, overrides = {}) {
+    const { otp = "123456", otp_status = "CREATED", created_at = new Date(), purpose = "PASSWORD_RESET" } = overrides;
+    const { expires_at = new Date(created_at.getTime() + 5 * 60 * 1000) } = overrides;
+    const result = await pool.query(
+        `INSERT INTO otp (otp_hash, user_id, otp_status, created_at, purpose, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [otpHasher.hash(otp), userId, otp_status, created_at, purpose, expires_at]
+    );
+    return result.rows[0];
+}
+
+async function closeDatabase() {
+    await pool.end();
+}
+
+module.exports = { pool, resetDatabase, insertUser, insertOtp, closeDatabase };
@@ -0,0 +1,38 @@
+/**
+ * Controla el doble de prueba de client/otpServiceClient.
+ * Uso en cada archivo de prueba (antes de importar la app):
+ *   jest.mock("../../client/otpServiceClient", () => require("../helpers/otpServiceClientStub").OtpServiceClientStub);
+ */
+const { ExternalServiceError } = require("../../errors");
+
+const state = {
+    nextOtp: "123456",
+    isValidOtp: true,
+    available: true,
+};
+
+const unavailable = () => new ExternalServiceError("El servicio de OTP no está disponible", "OTP_SERVICE_ERROR");
+
+class OtpServiceClientStub {
+    static getHealth() {
+        return { state: state.available ? "CLOSED" : "OPEN", fallbackEnabled: false };
+    }
+
+    async createOtp() {
+        if (!state.available) throw unavailable();
+        return { otp: state.nextOtp };
+    }
+
+    async checkOtpFormat() {
+        if (!state.available) throw unavailable();
+        return { isValidOtp: state.isValidOtp };
+    }
+}
+
+function resetOtpServiceStub() {
+    state.nextOtp = "123456";
+    state.isValidOtp = true;
+    state.available = true;
+}
+
+module.exports = { OtpServiceClientStub, otpServiceStub: state, resetOtpServiceStub };
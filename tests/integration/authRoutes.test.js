@@ -0,0 +1,796 @@
+jest.mock("../../client/otpServiceClient", () => require("../helpers/otpServiceClientStub").OtpServiceClientStub);
+
+const bcrypt = require("bcrypt");
+const app = require("../../index");
+const { pool, resetDatabase, insertUser, insertOtp, closeDatabase } = require("../helpers/database");
+const { OtpServiceClientStub, otpServiceStub, resetOtpServiceStub } = require("../helpers/otpServiceClientStub");
+const { apiAs } = require("../helpers/auth");
+const OtpDeliveryChannel = require("../../notifications/otpDeliveryChannel");
+const TotpRepository = require("../../repositories/totpRepository");
+const Totp = require("../../security/totp");
+
+const service = apiAs(app, "service");
+
+describe("/api/auth", () => {
+    let deliverSpy;
+
+    beforeEach(async () => {
+        await resetDatabase();
+        resetOtpServiceStub();
+        deliverSpy = jest.spyOn(OtpDeliveryChannel.prototype, "deliver").mockResolvedValue();
+    });
+
+    afterEach(() => {
+        deliverSpy.mockRestore();
+    });
+
+    afterAll(closeDatabase);
+
+    describe("POST /api/auth/otp", () => {
+        it("genera y guarda un OTP para el usuario", async () => {
+            const user = await insertUser();
+            otpServiceStub.nextOtp = "111222";
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ user_id: user.id, otp_status: "CREATED" });
+
+            const { rows } = await pool.query(`SELECT * FROM otp WHERE user_id = $1`, [user.id]);
+            expect(rows).toHaveLength(1);
+        });
+
+        it("encuentra al usuario aunque el email llegue con otras mayúsculas", async () => {
+            const user = await insertUser();
+
+            const res = await service.post("/api/auth/otp").send({ email: "Test@EXAMPLE.com" });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.user_id).toBe(user.id);
+        });
+
+        it("entrega el código por el canal dedicado y solo guarda su hash", async () => {
+            const user = await insertUser();
+            otpServiceStub.nextOtp = "111222";
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).not.toHaveProperty("otp");
+            expect(JSON.stringify(res.body)).not.toContain("111222");
+            expect(deliverSpy).toHaveBeenCalledWith(expect.objectContaining({
+                to: user.email,
+                code: "111222",
+                purpose: "PASSWORD_RESET",
+                otpId: res.body.data.id,
+            }));
+
+            const { rows } = await pool.query(`SELECT otp_hash FROM otp WHERE id = $1`, [res.body.data.id]);
+            expect(rows[0].otp_hash).toMatch(/^hmac-sha256\$/);
+            expect(rows[0].otp_hash).not.toContain("111222");
+        });
+
+        it("registra el estado de la entrega en el OTP", async () => {
+            const user = await insertUser();
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.body.data).toMatchObject({ delivery_status: "SENT", delivery_channel: "EMAIL" });
+            const { rows } = await pool.query(
+                `SELECT delivery_status, delivery_channel, delivery_attempted_at FROM otp WHERE id = $1`,
+                [res.body.data.id]
+            );
+            expect(rows[0]).toMatchObject({ delivery_status: "SENT", delivery_channel: "EMAIL" });
+            expect(rows[0].delivery_attempted_at).not.toBeNull();
+        });
+
+        it("construye el enlace con la URL pública configurada", async () => {
+            const user = await insertUser();
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.body.data.url).toBe(`https://app.example.com/api/v1/users/${user.id}/password`);
+        });
+
+        it("entrega por SMS al teléfono guardado del usuario", async () => {
+            const user = await insertUser({ phone: "3009876543" });
+            otpServiceStub.nextOtp = "555666";
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email, channel: "SMS" });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.delivery_channel).toBe("SMS");
+            expect(deliverSpy).toHaveBeenCalledWith(expect.objectContaining({
+                channel: "SMS",
+                to: "3009876543",
+                code: "555666",
+            }));
+        });
+
+        it("responde 400 PHONE_NOT_AVAILABLE si pide SMS sin teléfono registrado", async () => {
+            const user = await insertUser({ phone: null });
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email, channel: "SMS" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("PHONE_NOT_AVAILABLE");
+            const { rows } = await pool.query(`SELECT id FROM otp WHERE user_id = $1`, [user.id]);
+            expect(rows).toHaveLength(0);
+        });
+
+        it("revoca el OTP y responde 502 OTP_DELIVERY_ERROR si la entrega falla", async () => {
+            const user = await insertUser();
+            deliverSpy.mockRejectedValue(new Error("SMTP caído"));
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(502);
+            expect(res.body.error.type).toBe("OTP_DELIVERY_ERROR");
+            const { rows } = await pool.query(
+                `SELECT otp_status, delivery_status, delivery_error FROM otp WHERE user_id = $1`,
+                [user.id]
+            );
+            expect(rows).toEqual([{ otp_status: "REVOKED", delivery_status: "FAILED", delivery_error: "SMTP caído" }]);
+        });
+
+        it("responde 404 USER_NOT_FOUND si el email no existe", async () => {
+            const res = await service.post("/api/auth/otp").send({ email: "nadie@example.com" });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("USER_NOT_FOUND");
+        });
+
+        it("responde 409 OTP_ACTIVE_EXISTS si ya hay un OTP activo", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id);
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("OTP_ACTIVE_EXISTS");
+        });
+
+        it("permite un OTP activo por propósito", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { purpose: "PASSWORD_RESET" });
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email, purpose: "EMAIL_VERIFICATION" });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.purpose).toBe("EMAIL_VERIFICATION");
+            expect(res.body.data.url).toMatch(new RegExp(`/users/${user.id}/account_status$`));
+        });
+
+        it("fija expires_at según la vigencia configurada para el propósito", async () => {
+            const user = await insertUser();
+
+            const reset = await service.post("/api/auth/otp").send({ email: user.email });
+            const verification = await service
+                .post("/api/auth/otp")
+                .send({ email: user.email, purpose: "EMAIL_VERIFICATION" });
+
+            const ttlMinutes = (otp) => (new Date(otp.expires_at) - new Date(otp.created_at)) / 60000;
+            expect(ttlMinutes(reset.body.data)).toBeCloseTo(5, 1);
+            expect(ttlMinutes(verification.body.data)).toBeCloseTo(60, 1);
+        });
+
+        it("permite crear un OTP nuevo cuando el activo ya venció", async () => {
+            const user = await insertUser();
+            const stale = await insertOtp(user.id, { expires_at: new Date(Date.now() - 1000) });
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(201);
+            const { rows } = await pool.query(`SELECT otp_status FROM otp WHERE id = $1`, [stale.id]);
+            expect(rows[0].otp_status).toBe("EXPIRED");
+        });
+
+        it("no expira OTP vencidos de otros usuarios en la petición", async () => {
+            const user = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const otherStale = await insertOtp(other.id, { expires_at: new Date(Date.now() - 1000) });
+
+            await service.post("/api/auth/otp").send({ email: user.email });
+
+            const { rows } = await pool.query(`SELECT otp_status FROM otp WHERE id = $1`, [otherStale.id]);
+            expect(rows[0].otp_status).toBe("CREATED");
+        });
+
+        it("responde 400 ante un propósito desconocido", async () => {
+            const user = await insertUser();
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email, purpose: "OTRO" });
+
+            expect(res.status).toBe(400);
+        });
+
+        it("responde 502 si el servicio-otp no está disponible", async () => {
+            const user = await insertUser();
+            otpServiceStub.available = false;
+
+            const res = await service.post("/api/auth/otp").send({ email: user.email });
+
+            expect(res.status).toBe(502);
+        });
+
+        it("responde 400 si falta el email", async () => {
+            const res = await service.post("/api/auth/otp").send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+        });
+    });
+
+    describe("POST /api/auth/otp/verify", () => {
+        it("verifica y consume el OTP activo", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { otp: "424242" });
+
+            const res = await service.post("/api/auth/otp/verify").send({ email: user.email, otp: "424242" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({ verified: true, otp_id: otp.id, user_id: user.id, purpose: "PASSWORD_RESET" });
+
+            const again = await service.post("/api/auth/otp/verify").send({ email: user.email, otp: "424242" });
+            expect(again.status).toBe(400);
+            expect(again.body.error.type).toBe("INVALID_OTP");
+        });
+
+        it("no acepta un OTP de otro propósito", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "424242", purpose: "LOGIN_2FA" });
+
+            const res = await service
+                .post("/api/auth/otp/verify")
+                .send({ email: user.email, otp: "424242", purpose: "EMAIL_VERIFICATION" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("INVALID_OTP");
+        });
+
+        it("rechaza un OTP expirado y lo marca como EXPIRED", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { otp: "424242", created_at: new Date(Date.now() - 10 * 60 * 1000) });
+
+            const res = await service.post("/api/auth/otp/verify").send({ email: user.email, otp: "424242" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("INVALID_OTP");
+            const { rows } = await pool.query(`SELECT otp_status FROM otp WHERE id = $1`, [otp.id]);
+            expect(rows[0].otp_status).toBe("EXPIRED");
+        });
+
+        it("responde 404 USER_NOT_FOUND si el email no existe", async () => {
+            const res = await service.post("/api/auth/otp/verify").send({ email: "nadie@example.com", otp: "424242" });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("USER_NOT_FOUND");
+        });
+    });
+
+    describe("POST /api/auth/otp/resend", () => {
+        it("responde 429 OTP_RESEND_COOLDOWN si el OTP activo es reciente", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id);
+
+            const res = await service.post("/api/auth/otp/resend").send({ email: user.email });
+
+            expect(res.status).toBe(429);
+            expect(res.body.error.type).toBe("OTP_RESEND_COOLDOWN");
+            expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+            expect(res.body.error.details.retryAfterSeconds).toBe(Number(res.headers["retry-after"]));
+        });
+
+        it("no pide un código a servicio-otp mientras dura el cooldown", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id);
+            const createOtpSpy = jest.spyOn(OtpServiceClientStub.prototype, "createOtp");
+
+            const res = await service.post("/api/auth/otp/resend").send({ email: user.email });
+
+            expect(res.status).toBe(429);
+            expect(createOtpSpy).not.toHaveBeenCalled();
+            createOtpSpy.mockRestore();
+        });
+
+        it("revoca el OTP anterior y crea uno nuevo pasado el cooldown", async () => {
+            const user = await insertUser();
+            const previous = await insertOtp(user.id, { created_at: new Date(Date.now() - 2 * 60 * 1000) });
+            otpServiceStub.nextOtp = "333444";
+
+            const res = await service.post("/api/auth/otp/resend").send({ email: user.email });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ user_id: user.id, otp_status: "CREATED" });
+
+            const { rows } = await pool.query(`SELECT id, otp_status FROM otp WHERE user_id = $1 ORDER BY id`, [user.id]);
+            expect(rows).toEqual([
+                { id: previous.id, otp_status: "REVOKED" },
+                { id: res.body.data.id, otp_status: "CREATED" },
+            ]);
+        });
+
+        it("crea un OTP si el usuario no tiene uno activo", async () => {
+            const user = await insertUser();
+
+            const res = await service.post("/api/auth/otp/resend").send({ email: user.email });
+
+            expect(res.status).toBe(201);
+        });
+    });
+
+    describe("DELETE /api/auth/otp/:id", () => {
+        it("revoca un OTP activo", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id);
+
+            const res = await service.delete(`/api/auth/otp/${otp.id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({ id: otp.id, user_id: user.id, otp_status: "REVOKED", purpose: "PASSWORD_RESET" });
+        });
+
+        it("responde 409 OTP_NOT_ACTIVE si el OTP ya fue usado", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { otp_status: "VERIFIED" });
+
+            const res = await service.delete(`/api/auth/otp/${otp.id}`);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("OTP_NOT_ACTIVE");
+        });
+
+        it("responde 409 OTP_NOT_ACTIVE si el OTP ya venció", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { expires_at: new Date(Date.now() - 1000) });
+
+            const res = await service.delete(`/api/auth/otp/${otp.id}`);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("OTP_NOT_ACTIVE");
+            const { rows } = await pool.query(`SELECT otp_status FROM otp WHERE id = $1`, [otp.id]);
+            expect(rows[0].otp_status).toBe("EXPIRED");
+        });
+
+        it("responde 404 OTP_NOT_FOUND si el OTP no existe", async () => {
+            const res = await service.delete("/api/auth/otp/999");
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("OTP_NOT_FOUND");
+        });
+
+        it("responde 400 con un ID fuera del rango de INTEGER", async () => {
+            const res = await service.delete("/api/auth/otp/99999999999");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+            expect(res.body.error.details).toEqual([expect.objectContaining({ field: "id", rule: "max" })]);
+        });
+    });
+
+    describe("GET /api/auth/otp/status", () => {
+        it("informa el OTP activo sin exponer el código", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id);
+
+            const res = await service.get("/api/auth/otp/status").query({ email: user.email });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                user_id: user.id,
+                active: true,
+                otp_id: otp.id,
+                otp_status: "CREATED",
+                remaining_attempts: 3,
+                locked_until: null,
+                delivery_status: "PENDING",
+            });
+            expect(new Date(res.body.data.expires_at)).toEqual(otp.expires_at);
+            expect(res.body.data).not.toHaveProperty("otp");
+        });
+
+        it("informa que no hay OTP activo", async () => {
+            const user = await insertUser();
+
+            const res = await service.get("/api/auth/otp/status").query({ email: user.email });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ active: false, otp_id: null });
+        });
+
+        it("responde 400 si falta el email", async () => {
+            const res = await service.get("/api/auth/otp/status");
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe("POST /api/auth/verify-credentials", () => {
+        it("verifica credenciales correctas sin exponer la contraseña", async () => {
+            const user = await insertUser();
+
+            const res = await service
+                .post("/api/auth/verify-credentials")
+                .send({ email: user.email, password: user.rawPassword });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({
+                verified: true,
+                id: user.id,
+                email: user.email,
+                account_status: "PENDING_VALIDATION",
+            });
+        });
+
+        it("rechaza una contraseña incorrecta", async () => {
+            const user = await insertUser();
+
+            const res = await service
+                .post("/api/auth/verify-credentials")
+                .send({ email: user.email, password: "incorrecta" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({ verified: false, id: null, email: null, account_status: null });
+        });
+
+        it("rechaza un email inexistente con la misma respuesta y el mismo costo de bcrypt", async () => {
+            const compareSpy = jest.spyOn(bcrypt, "compare");
+
+            try {
+                const res = await service
+                    .post("/api/auth/verify-credentials")
+                    .send({ email: "nadie@example.com", password: "password123" });
+
+                expect(res.status).toBe(200);
+                expect(res.body.data.verified).toBe(false);
+                expect(compareSpy).toHaveBeenCalledTimes(1);
+            } finally {
+                compareSpy.mockRestore();
+            }
+        });
+
+        it("comparte el bloqueo por intentos fallidos con el inicio de sesión", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+            const verify = (password) => service.post("/api/auth/verify-credentials").send({ email: user.email, password });
+
+            await verify("incorrecta");
+            await service.post("/api/auth/login").send({ email: user.email, password: "incorrecta" });
+            const locked = await verify("incorrecta");
+            const stillLocked = await verify(user.rawPassword);
+            const loginLocked = await service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword });
+
+            expect(locked.status).toBe(429);
+            expect(locked.body.error.type).toBe("LOGIN_LOCKED");
+            expect(stillLocked.status).toBe(429);
+            expect(loginLocked.status).toBe(429);
+        });
+
+        it("reinicia los fallos consecutivos al verificar credenciales correctas", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+            await pool.query(`UPDATE users SET failed_login_attempts = 2 WHERE id = $1`, [user.id]);
+
+            const res = await service.post("/api/auth/verify-credentials").send({ email: user.email, password: user.rawPassword });
+
+            expect(res.body.data.verified).toBe(true);
+            const { rows } = await pool.query(`SELECT failed_login_attempts FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].failed_login_attempts).toBe(0);
+        });
+
+        it("exige el doble factor si el usuario lo tiene activo", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+            const totpRepository = new TotpRepository();
+            const totp = new Totp();
+            const { secret } = await totpRepository.enroll(user.id, user.email);
+            await totpRepository.confirm(user.id, totp.generateCode(secret, totp.timeStep()));
+            const verify = (body) => service.post("/api/auth/verify-credentials").send({ email: user.email, password: user.rawPassword, ...body });
+
+            const missing = await verify({});
+            const wrong = await verify({ totp_code: totp.generateCode(secret, totp.timeStep() + 5) });
+            const res = await verify({ totp_code: totp.generateCode(secret, totp.timeStep() + 1) });
+
+            expect(missing.status).toBe(401);
+            expect(missing.body.error.type).toBe("TOTP_REQUIRED");
+            expect(wrong.status).toBe(401);
+            expect(wrong.body.error.type).toBe("INVALID_TOTP_CODE");
+            expect(res.body.data).toMatchObject({ verified: true, id: user.id });
+        });
+
+        it("regenera con bcrypt una contraseña heredada en texto plano", async () => {
+            const user = await insertUser({ plainPassword: true });
+
+            const res = await service
+                .post("/api/auth/verify-credentials")
+                .send({ email: user.email, password: user.rawPassword });
+
+            expect(res.body.data.verified).toBe(true);
+            const { rows } = await pool.query(`SELECT password FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].password).toMatch(/^\$2[aby]\$/);
+        });
+
+        it("responde 400 si faltan campos", async () => {
+            const res = await service.post("/api/auth/verify-credentials").send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toHaveLength(2);
+        });
+    });
+
+    describe("POST /api/auth/login", () => {
+        const login = (email, password) => service.post("/api/auth/login").send({ email, password });
+
+        it("inicia sesión con una cuenta verificada y registra last_login_at", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const res = await login(user.email, user.rawPassword);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ id: user.id, email: user.email, account_status: "VERIFIED" });
+            expect(res.body.data.last_login_at).not.toBeNull();
+            expect(res.body.data).not.toHaveProperty("password");
+            expect(res.body.data.session).toMatchObject({ user_id: user.id, refresh_token: expect.any(String) });
+
+            const { rows } = await pool.query(`SELECT last_login_at FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].last_login_at).not.toBeNull();
+        });
+
+        it("acepta el email con otras mayúsculas o espacios", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const res = await login(` ${user.email.toUpperCase()} `, user.rawPassword);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.id).toBe(user.id);
+        });
+
+        it("responde 401 INVALID_CREDENTIALS con la contraseña incorrecta o un email desconocido", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const wrongPassword = await login(user.email, "incorrecta");
+            const unknownEmail = await login("nadie@example.com", "password123");
+
+            expect(wrongPassword.status).toBe(401);
+            expect(wrongPassword.body.error.type).toBe("INVALID_CREDENTIALS");
+            expect(unknownEmail.status).toBe(401);
+            expect(unknownEmail.body.error.type).toBe("INVALID_CREDENTIALS");
+
+            const { rows } = await pool.query(`SELECT failed_login_attempts FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].failed_login_attempts).toBe(1);
+        });
+
+        it("compara la contraseña contra un hash ficticio si el email no existe", async () => {
+            const compareSpy = jest.spyOn(bcrypt, "compare");
+
+            try {
+                const res = await login("nadie@example.com", "password123");
+
+                expect(res.status).toBe(401);
+                expect(compareSpy).toHaveBeenCalledTimes(1);
+                expect(compareSpy).toHaveBeenCalledWith("password123", expect.stringMatching(/^\$2[aby]\$/));
+            } finally {
+                compareSpy.mockRestore();
+            }
+        });
+
+        it("distingue las cuentas eliminadas y pendientes de validación", async () => {
+            const deleted = await insertUser({ email: "eliminado@example.com", account_status: "DELETED" });
+            const pending = await insertUser({ email: "pendiente@example.com" });
+            const suspended = await insertUser({ email: "suspendido@example.com", account_status: "SUSPENDED" });
+
+            const deletedRes = await login(deleted.email, deleted.rawPassword);
+            const pendingRes = await login(pending.email, pending.rawPassword);
+            const suspendedRes = await login(suspended.email, suspended.rawPassword);
+
+            expect(deletedRes.status).toBe(403);
+            expect(deletedRes.body.error.type).toBe("ACCOUNT_DELETED");
+            expect(pendingRes.status).toBe(403);
+            expect(pendingRes.body.error.type).toBe("ACCOUNT_PENDING_VALIDATION");
+            expect(suspendedRes.body.error.type).toBe("ACCOUNT_SUSPENDED");
+        });
+
+        it("no revela el estado de la cuenta si la contraseña es incorrecta", async () => {
+            const deleted = await insertUser({ account_status: "DELETED" });
+
+            const res = await login(deleted.email, "incorrecta");
+
+            expect(res.status).toBe(401);
+            expect(res.body.error.type).toBe("INVALID_CREDENTIALS");
+        });
+
+        it("bloquea la cuenta temporalmente tras los fallos configurados", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            await login(user.email, "incorrecta");
+            await login(user.email, "incorrecta");
+            const locked = await login(user.email, "incorrecta");
+
+            expect(locked.status).toBe(429);
+            expect(locked.body.error.type).toBe("LOGIN_LOCKED");
+            expect(new Date(locked.body.error.details.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+            expect(Number(locked.headers["retry-after"])).toBeGreaterThan(0);
+
+            // Durante el bloqueo ni siquiera la contraseña correcta se acepta
+            const stillLocked = await login(user.email, user.rawPassword);
+            expect(stillLocked.status).toBe(429);
+        });
+
+        it("permite iniciar sesión cuando vence el bloqueo y reinicia los fallos", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+            await login(user.email, "incorrecta");
+            await pool.query(
+                `UPDATE users SET login_locked_until = NOW() - INTERVAL '1 minute', failed_login_attempts = 2 WHERE id = $1`,
+                [user.id]
+            );
+
+            const res = await login(user.email, user.rawPassword);
+
+            expect(res.status).toBe(200);
+            const { rows } = await pool.query(`SELECT failed_login_attempts, login_locked_until FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0]).toEqual({ failed_login_attempts: 0, login_locked_until: null });
+        });
+
+        describe("con doble factor TOTP", () => {
+            const totpRepository = new TotpRepository();
+            const totp = new Totp();
+
+            const enableTotp = async (user) => {
+                const { secret } = await totpRepository.enroll(user.id, user.email);
+                const recoveryCodes = await totpRepository.confirm(user.id, totp.generateCode(secret, totp.timeStep()));
+                return { secret, recoveryCodes };
+            };
+
+            it("exige el código tras validar la contraseña y lo acepta una sola vez", async () => {
+                const user = await insertUser({ account_status: "VERIFIED" });
+                const { secret } = await enableTotp(user);
+                const code = totp.generateCode(secret, totp.timeStep() + 1);
+
+                const missing = await login(user.email, user.rawPassword);
+                const res = await service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword, totp_code: code });
+                const replayed = await service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword, totp_code: code });
+
+                expect(missing.status).toBe(401);
+                expect(missing.body.error.type).toBe("TOTP_REQUIRED");
+                expect(res.status).toBe(200);
+                expect(res.body.data.session).toMatchObject({ user_id: user.id });
+                expect(replayed.status).toBe(401);
+                expect(replayed.body.error.type).toBe("INVALID_TOTP_CODE");
+            });
+
+            it("no pide el código si la contraseña es incorrecta", async () => {
+                const user = await insertUser({ account_status: "VERIFIED" });
+                await enableTotp(user);
+
+                const res = await login(user.email, "incorrecta");
+
+                expect(res.body.error.type).toBe("INVALID_CREDENTIALS");
+            });
+
+            it("acepta un código de recuperación en lugar del TOTP", async () => {
+                const user = await insertUser({ account_status: "VERIFIED" });
+                const { recoveryCodes } = await enableTotp(user);
+
+                const res = await service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword, recovery_code: recoveryCodes[3] });
+                const reused = await service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword, recovery_code: recoveryCodes[3] });
+
+                expect(res.status).toBe(200);
+                expect(reused.body.error.type).toBe("INVALID_TOTP_CODE");
+            });
+
+            it("cuenta los códigos inválidos como fallos de inicio de sesión", async () => {
+                const user = await insertUser({ account_status: "VERIFIED" });
+                const { secret } = await enableTotp(user);
+                const wrongCode = totp.generateCode(secret, totp.timeStep() + 5);
+                const attempt = () => service.post("/api/auth/login").send({ email: user.email, password: user.rawPassword, totp_code: wrongCode });
+
+                await attempt();
+                await attempt();
+                const locked = await attempt();
+
+                expect(locked.status).toBe(429);
+                expect(locked.body.error.type).toBe("LOGIN_LOCKED");
+            });
+        });
+
+        it("responde 400 si faltan campos", async () => {
+            const res = await service.post("/api/auth/login").send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toHaveLength(2);
+        });
+    });
+
+    describe("POST /api/auth/token/refresh", () => {
+        const openSession = async (overrides = {}) => {
+            const user = await insertUser({ account_status: "VERIFIED", ...overrides });
+            const res = await service.post("/api/auth/login").send({
+                email: user.email,
+                password: user.rawPassword,
+                device_name: "Portátil",
+                user_agent: "Mozilla/5.0",
+                ip_address: "203.0.113.7",
+            });
+            return { user, session: res.body.data.session };
+        };
+        const refresh = (refreshToken, extra = {}) => service
+            .post("/api/auth/token/refresh")
+            .send({ refresh_token: refreshToken, ...extra });
+
+        it("guarda la sesión con los datos del cliente y solo el hash del refresh token", async () => {
+            const { user, session } = await openSession();
+
+            const { rows } = await pool.query(
+                `SELECT s.user_id, s.device_name, s.user_agent, host(s.ip_address) AS ip, rt.token_hash
+                 FROM sessions s JOIN refresh_tokens rt ON rt.session_id = s.id
+                 WHERE s.id = $1`,
+                [session.session_id]
+            );
+            expect(rows).toHaveLength(1);
+            expect(rows[0]).toMatchObject({ user_id: user.id, device_name: "Portátil", user_agent: "Mozilla/5.0", ip: "203.0.113.7" });
+            expect(rows[0].token_hash).toMatch(/^[0-9a-f]{64}$/);
+            expect(rows[0].token_hash).not.toBe(session.refresh_token);
+        });
+
+        it("rota el refresh token dentro de la misma sesión", async () => {
+            const { session } = await openSession();
+
+            const res = await refresh(session.refresh_token, { ip_address: "198.51.100.4" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.session_id).toBe(session.session_id);
+            expect(res.body.data.refresh_token).not.toBe(session.refresh_token);
+
+            const next = await refresh(res.body.data.refresh_token);
+            expect(next.status).toBe(200);
+
+            const { rows } = await pool.query(`SELECT host(ip_address) AS ip FROM sessions WHERE id = $1`, [session.session_id]);
+            expect(rows[0].ip).toBe("198.51.100.4");
+        });
+
+        it("revoca la sesión si se reutiliza un refresh token ya rotado", async () => {
+            const { session } = await openSession();
+            const rotated = await refresh(session.refresh_token);
+
+            const reused = await refresh(session.refresh_token);
+            const successor = await refresh(rotated.body.data.refresh_token);
+
+            expect(reused.status).toBe(401);
+            expect(reused.body.error.type).toBe("REFRESH_TOKEN_REUSED");
+            expect(successor.status).toBe(401);
+            expect(successor.body.error.type).toBe("SESSION_REVOKED");
+
+            const { rows } = await pool.query(`SELECT revoked_reason FROM sessions WHERE id = $1`, [session.session_id]);
+            expect(rows[0].revoked_reason).toBe("TOKEN_REUSE_DETECTED");
+        });
+
+        it("rechaza tokens desconocidos y sesiones expiradas", async () => {
+            const { session } = await openSession();
+            await pool.query(`UPDATE sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [session.session_id]);
+
+            const unknown = await refresh("no-es-un-token");
+            const expired = await refresh(session.refresh_token);
+
+            expect(unknown.status).toBe(401);
+            expect(unknown.body.error.type).toBe("INVALID_REFRESH_TOKEN");
+            expect(expired.status).toBe(401);
+            expect(expired.body.error.type).toBe("SESSION_EXPIRED");
+        });
+
+        it("revoca la sesión si la cuenta dejó de estar activa", async () => {
+            const { user, session } = await openSession();
+            await pool.query(`UPDATE users SET account_status = 'SUSPENDED' WHERE id = $1`, [user.id]);
+
+            const res = await refresh(session.refresh_token);
+
+            expect(res.status).toBe(401);
+            expect(res.body.error.type).toBe("SESSION_REVOKED");
+            const { rows } = await pool.query(`SELECT revoked_reason FROM sessions WHERE id = $1`, [session.session_id]);
+            expect(rows[0].revoked_reason).toBe("ACCOUNT_INACTIVE");
+        });
+
+        it("valida la IP del cliente", async () => {
+            const res = await refresh("token", { ip_address: "999.1.1.1" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details[0]).toMatchObject({ field: "ip_address", rule: "custom" });
+        });
+    });
+});
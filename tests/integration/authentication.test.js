@@ -0,0 +1,129 @@
+jest.mock("../../client/otpServiceClient", () => require("../helpers/otpServiceClientStub").OtpServiceClientStub);
+
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const app = require("../../index");
+const { pool, resetDatabase, insertUser, closeDatabase } = require("../helpers/database");
+const { apiAs, signToken } = require("../helpers/auth");
+
+describe("Autenticación y autorización", () => {
+    beforeEach(resetDatabase);
+
+    afterAll(closeDatabase);
+
+    it("los health checks no requieren credenciales", async () => {
+        const res = await request(app).get("/health");
+
+        expect(res.status).toBe(200);
+        expect(res.body.checks).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: "OTP sweeper", data: expect.objectContaining({ runs: expect.any(Number) }) }),
+            expect.objectContaining({ name: "OTP service circuit breaker", status: "UP" }),
+        ]));
+    });
+
+    it("responde 401 sin credenciales", async () => {
+        const res = await request(app).get("/api/users/1");
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.type).toBe("UNAUTHORIZED");
+        expect(res.headers["www-authenticate"]).toMatch(/^Bearer/);
+    });
+
+    it("responde 401 INVALID_API_KEY con una API key desconocida", async () => {
+        const res = await request(app).get("/api/users/1").set("X-API-Key", "no-existe");
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.type).toBe("INVALID_API_KEY");
+    });
+
+    it("responde 403 si el rol no está permitido en la ruta", async () => {
+        const user = await insertUser();
+
+        const res = await apiAs(app, "service").delete(`/api/users/${user.id}`);
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.type).toBe("FORBIDDEN");
+    });
+
+    describe("JWT", () => {
+        it("acepta un token HS256 con el rol requerido", async () => {
+            const token = signToken({ sub: "admin-console", roles: ["admin"] });
+
+            const res = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+
+            expect(res.status).toBe(200);
+        });
+
+        it("acepta un token RS256 verificado con la clave pública local", async () => {
+            const token = jwt.sign({ sub: "auth-service", roles: ["service"] }, process.env.TEST_JWT_PRIVATE_KEY, {
+                algorithm: "RS256",
+                expiresIn: "5m",
+            });
+
+            const res = await request(app)
+                .post("/api/auth/verify-credentials")
+                .set("Authorization", `Bearer ${token}`)
+                .send({ email: "nadie@example.com", password: "password123" });
+
+            expect(res.status).toBe(200);
+        });
+
+        it("acepta un scope en lugar de un rol cuando la ruta lo declara", async () => {
+            const token = signToken({ sub: "reporting", scope: "users:read" });
+
+            const res = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+
+            expect(res.status).toBe(200);
+        });
+
+        it("responde 401 TOKEN_EXPIRED con un token vencido", async () => {
+            const token = signToken({ sub: "admin-console", roles: ["admin"] }, { expiresIn: -10 });
+
+            const res = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+
+            expect(res.status).toBe(401);
+            expect(res.body.error.type).toBe("TOKEN_EXPIRED");
+        });
+
+        it("responde 401 INVALID_TOKEN con una firma incorrecta o algoritmo no soportado", async () => {
+            const wrongSecret = jwt.sign({ roles: ["admin"] }, "otro-secreto", { algorithm: "HS256" });
+            const unsigned = jwt.sign({ roles: ["admin"] }, null, { algorithm: "none" });
+
+            for (const token of [wrongSecret, unsigned]) {
+                const res = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+                expect(res.status).toBe(401);
+                expect(res.body.error.type).toBe("INVALID_TOKEN");
+            }
+        });
+
+        it("permite a un usuario leer su propio recurso pero no el de otro", async () => {
+            const owner = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const token = signToken({ sub: String(owner.id), roles: ["user"] });
+
+            const own = await request(app).get(`/api/users/${owner.id}`).set("Authorization", `Bearer ${token}`);
+            const foreign = await request(app).get(`/api/users/${other.id}`).set("Authorization", `Bearer ${token}`);
+
+            expect(own.status).toBe(200);
+            expect(foreign.status).toBe(403);
+        });
+
+        it("no deja que un token de usuario use sus scopes sobre otro usuario", async () => {
+            const owner = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const token = signToken({ sub: String(owner.id), roles: ["user"], scope: "users:read users:write" });
+
+            const own = await request(app).put(`/api/users/${owner.id}`).set("Authorization", `Bearer ${token}`).send({ name: "Propio" });
+            const foreign = await request(app).put(`/api/users/${other.id}`).set("Authorization", `Bearer ${token}`).send({ name: "Ajeno" });
+            const list = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+
+            expect(own.status).toBe(200);
+            expect(foreign.status).toBe(403);
+            expect(foreign.body.error.type).toBe("FORBIDDEN");
+            expect(list.status).toBe(403);
+
+            const { rows } = await pool.query(`SELECT name FROM users WHERE id = $1`, [other.id]);
+            expect(rows[0].name).toBe(other.name);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const EmailNormalizer = require("../../domain/emailNormalizer");
+const EmailNormalizationBackfill = require("../../migrations/emailNormalizationBackfill");
+const { pool, resetDatabase, insertUser, closeDatabase } = require("../helpers/database");
+
+const migrationsDir = path.join(__dirname, "../../migrations/sql");
+const readMigration = (file) => fs.readFileSync(path.join(migrationsDir, file), "utf8");
+
+describe("EmailNormalizer", () => {
+    it("quita espacios, pasa a minúsculas y convierte el dominio internacionalizado a punycode", () => {
+        const normalizer = new EmailNormalizer({ providerRules: false });
+
+        expect(normalizer.normalize("  Juan.Perez@Example.COM ")).toBe("juan.perez@example.com");
+        expect(normalizer.normalize("Ana@Ñandú.com")).toBe("ana@xn--and-6ma2c.com");
+        expect(normalizer.canonicalize("Juan.Perez+Compras@Gmail.com")).toBe("juan.perez+compras@gmail.com");
+    });
+
+    it("aplica las reglas de proveedor solo si están activas", () => {
+        const normalizer = new EmailNormalizer({ providerRules: true });
+
+        expect(normalizer.canonicalize("Juan.Perez+Compras@Gmail.com")).toBe("juanperez@gmail.com");
+        expect(normalizer.canonicalize("juan.perez@googlemail.com")).toBe("juanperez@gmail.com");
+        expect(normalizer.canonicalize("ana+trabajo@outlook.com")).toBe("ana@outlook.com");
+        expect(normalizer.canonicalize("ana-ventas@yahoo.com")).toBe("ana@yahoo.com");
+        // Fuera de los proveedores conocidos los puntos y las etiquetas son parte de la dirección
+        expect(normalizer.canonicalize("ana.maria+x@example.com")).toBe("ana.maria+x@example.com");
+    });
+});
+
+describe("migración 016_users_email_normalized y EmailNormalizationBackfill", () => {
+    const migrateUp = require(path.join(migrationsDir, "016_users_email_normalized.up.js"));
+
+    /**
+     * Ejecuta el trabajo en una transacción que siempre se revierte, para no alterar el esquema de las demás pruebas
+     */
+    const inRolledBackTransaction = async (work) => {
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            return await work(client);
+        } finally {
+            await client.query("ROLLBACK");
+            client.release();
+        }
+    };
+
+    const insertLegacyUser = async (client, email) => {
+        const { rows } = await client.query(`INSERT INTO users (name, email, password) VALUES ('Juan', $1, 'x') RETURNING id`, [email]);
+        return rows[0].id;
+    };
+
+    beforeEach(resetDatabase);
+
+    afterAll(closeDatabase);
+
+    it("calcula el email normalizado de las filas existentes con el normalizador de la aplicación", async () => {
+        await inRolledBackTransaction(async (client) => {
+            await client.query(readMigration("016_users_email_normalized.down.sql"));
+            const id = await insertLegacyUser(client, " Juan@Ñandú.com");
+
+            await migrateUp(client);
+
+            const { rows } = await client.query(`SELECT email_normalized FROM users WHERE id = $1`, [id]);
+            expect(rows[0].email_normalized).toBe("juan@xn--and-6ma2c.com");
+            const index = await client.query(`SELECT indexname FROM pg_indexes WHERE indexname = 'uq_users_email_normalized'`);
+            expect(index.rows).toHaveLength(1);
+        });
+    });
+
+    it("informa las cuentas que colisionan y no aplica la migración", async () => {
+        await inRolledBackTransaction(async (client) => {
+            await client.query(readMigration("016_users_email_normalized.down.sql"));
+            const punycode = await insertLegacyUser(client, "juan@xn--and-6ma2c.com");
+            const unicode = await insertLegacyUser(client, "Juan@Ñandú.com");
+            const lower = await insertLegacyUser(client, "ana@example.com");
+            const upper = await insertLegacyUser(client, "ANA@example.com");
+
+            await expect(migrateUp(client)).rejects.toMatchObject({
+                message: expect.stringContaining(`ana@example.com (ids: ${lower}, ${upper}); juan@xn--and-6ma2c.com (ids: ${punycode}, ${unicode})`),
+                collisions: [
+                    { email: "ana@example.com", ids: [lower, upper] },
+                    { email: "juan@xn--and-6ma2c.com", ids: [punycode, unicode] },
+                ],
+            });
+        });
+    });
+
+    it("recalcula por lotes al activar las reglas por proveedor", async () => {
+        const dotted = await insertUser({ email: "juan.perez@gmail.com" });
+        const plain = await insertUser({ email: "ana@example.com" });
+        const backfill = new EmailNormalizationBackfill({ normalizer: new EmailNormalizer({ providerRules: true }), batchSize: 1 });
+
+        await inRolledBackTransaction(async (client) => {
+            await expect(backfill.run(client)).resolves.toEqual({ scanned: 2, updated: 1 });
+
+            const { rows } = await client.query(`SELECT id, email, email_normalized FROM users ORDER BY id`);
+            expect(rows).toEqual([
+                { id: dotted.id, email: "juan.perez@gmail.com", email_normalized: "juanperez@gmail.com" },
+                { id: plain.id, email: "ana@example.com", email_normalized: "ana@example.com" },
+            ]);
+        });
+    });
+
+    it("no modifica nada si las reglas por proveedor unen dos cuentas", async () => {
+        const dotted = await insertUser({ email: "juan.perez@gmail.com" });
+        const tagged = await insertUser({ email: "juanperez+compras@gmail.com" });
+        const backfill = new EmailNormalizationBackfill({ normalizer: new EmailNormalizer({ providerRules: true }) });
+
+        await inRolledBackTransaction(async (client) => {
+            await expect(backfill.run(client)).rejects.toMatchObject({
+                collisions: [{ email: "juanperez@gmail.com", ids: [dotted.id, tagged.id] }],
+            });
+        });
+
+        const { rows } = await pool.query(`SELECT email_normalized FROM users ORDER BY id`);
+        expect(rows.map((row) => row.email_normalized)).toEqual(["juan.perez@gmail.com", "juanperez+compras@gmail.com"]);
+    });
+});
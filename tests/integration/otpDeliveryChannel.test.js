@@ -0,0 +1,128 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const OtpDeliveryChannel = require("../../notifications/otpDeliveryChannel");
+const FileTransport = require("../../notifications/fileTransport");
+const SmtpTransport = require("../../notifications/smtpTransport");
+const SmsTransport = require("../../notifications/smsTransport");
+
+describe("OtpDeliveryChannel", () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("renderiza la plantilla del propósito y la escribe con el transporte file", async () => {
+        const filePath = path.join(tmpDir, "outbox.log");
+        const channel = new OtpDeliveryChannel({ EMAIL: new FileTransport({ filePath, channel: "EMAIL" }) });
+
+        await channel.deliver({
+            to: "ana@example.com",
+            code: "123456",
+            purpose: "EMAIL_VERIFICATION",
+            url: "https://app.example.com/api/v1/users/1/account_status",
+        });
+
+        const [line] = fs.readFileSync(filePath, "utf8").trim().split("\n");
+        const message = JSON.parse(line);
+        expect(message).toMatchObject({ channel: "EMAIL", to: "ana@example.com", subject: "Verificación de email" });
+        expect(message.body).toContain("Su código es: 123456");
+        expect(message.body).toContain("Úselo en: https://app.example.com/api/v1/users/1/account_status");
+        expect(message.body).toContain("vence en 60 minutos");
+    });
+
+    it("omite las líneas cuya variable no tiene valor", async () => {
+        const transport = { send: jest.fn().mockResolvedValue() };
+        const channel = new OtpDeliveryChannel({ EMAIL: transport });
+
+        await channel.deliver({ to: "ana@example.com", code: "123456", purpose: "PASSWORD_RESET" });
+
+        const { body } = transport.send.mock.calls[0][0];
+        expect(body).not.toContain("Úselo en");
+        expect(body).toContain("vence en 5 minutos");
+    });
+
+    it("usa la plantilla corta y el transporte del canal SMS", async () => {
+        const email = { send: jest.fn() };
+        const sms = { send: jest.fn().mockResolvedValue() };
+        const channel = new OtpDeliveryChannel({ EMAIL: email, SMS: sms });
+
+        await channel.deliver({ channel: "SMS", to: "3001234567", code: "654321", purpose: "LOGIN_2FA" });
+
+        expect(email.send).not.toHaveBeenCalled();
+        expect(sms.send).toHaveBeenCalledWith({
+            to: "3001234567",
+            subject: "",
+            body: "Su código de inicio de sesión es 654321. Vence en 5 min.",
+        });
+    });
+
+    it("envía avisos sin código con su propia plantilla", async () => {
+        const transport = { send: jest.fn().mockResolvedValue() };
+        const channel = new OtpDeliveryChannel({ EMAIL: transport });
+
+        await channel.notify({ to: "ana@example.com", notice: "EMAIL_CHANGED", variables: { newEmail: "nu***@example.com" } });
+
+        const message = transport.send.mock.calls[0][0];
+        expect(message).toMatchObject({ to: "ana@example.com", subject: "Su email fue cambiado" });
+        expect(message.body).toContain("se cambió a nu***@example.com");
+        await expect(channel.notify({ to: "x", notice: "DESCONOCIDO" })).rejects.toThrow(/plantilla de aviso/);
+    });
+
+    it("rechaza un transporte que no corresponde al canal", () => {
+        expect(() => OtpDeliveryChannel.createTransport("SMS", "smtp")).toThrow(/desconocido para SMS/);
+        expect(() => OtpDeliveryChannel.createTransport("EMAIL", "carrier-pigeon")).toThrow(/desconocido/);
+    });
+
+    it("exige un transporte configurado y rechaza console y file en producción", () => {
+        expect(() => OtpDeliveryChannel.createTransport("EMAIL", null)).toThrow(/EMAIL_TRANSPORT/);
+        expect(() => OtpDeliveryChannel.createTransport("EMAIL", "console", { production: true })).toThrow(/producción/);
+        expect(() => OtpDeliveryChannel.createTransport("SMS", "file", { production: true })).toThrow(/SMS_TRANSPORT/);
+        expect(OtpDeliveryChannel.createTransport("EMAIL", "smtp", { production: true })).toBeInstanceOf(SmtpTransport);
+        expect(OtpDeliveryChannel.createTransport("EMAIL", "console", { production: false })).toBeDefined();
+    });
+
+    it("envía el email por SMTP con el remitente configurado", async () => {
+        const mailer = nodemailer.createTransport({ jsonTransport: true });
+        const sendMail = jest.spyOn(mailer, "sendMail");
+        const transport = new SmtpTransport({ mailer, from: "seguridad@example.com" });
+
+        await transport.send({ to: "ana@example.com", subject: "Asunto", body: "Cuerpo" });
+
+        expect(sendMail).toHaveBeenCalledWith({
+            from: "seguridad@example.com",
+            to: "ana@example.com",
+            subject: "Asunto",
+            text: "Cuerpo",
+        });
+    });
+
+    it("envía el SMS a la pasarela HTTP con su API key", async () => {
+        const http = { post: jest.fn().mockResolvedValue({ status: 202 }) };
+        const transport = new SmsTransport({
+            gatewayUrl: "https://sms.example.com/messages",
+            apiKey: "sms-key",
+            sender: "Servicio",
+            timeoutMs: 1000,
+            http,
+        });
+
+        await transport.send({ to: "3001234567", subject: "", body: "Hola" });
+
+        expect(http.post).toHaveBeenCalledWith(
+            "https://sms.example.com/messages",
+            { from: "Servicio", to: "3001234567", message: "Hola" },
+            { timeout: 1000, headers: { Authorization: "Bearer sms-key" } }
+        );
+    });
+
+    it("exige SMS_GATEWAY_URL para el transporte sms", () => {
+        expect(() => new SmsTransport({ gatewayUrl: null })).toThrow(/SMS_GATEWAY_URL/);
+    });
+});
@@ -0,0 +1,145 @@
+const express = require("express");
+const OtpServiceClient = require("../../client/otpServiceClient");
+const { CircuitBreaker } = require("../../client/circuitBreaker");
+const { backoffDelay } = require("../../client/retry");
+
+/**
+ * servicio-otp falso: cada ruta responde según la cola de comportamientos configurada en la prueba
+ */
+const startFakeOtpService = async () => {
+    const calls = { create: 0, check: 0 };
+    const behaviors = { create: [], check: [] };
+
+    const respond = (kind, req, res) => {
+        calls[kind] += 1;
+        const behavior = behaviors[kind].shift() || { status: 200 };
+        setTimeout(() => {
+            if (behavior.status !== 200) return res.status(behavior.status).json({ error: "falla" });
+            return res.json(kind === "create" ? { otp: "987654" } : { isValidOtp: req.body.otp === "987654" });
+        }, behavior.delayMs || 0);
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post("/api/otp", (req, res) => respond("create", req, res));
+    app.post("/api/otp/check", (req, res) => respond("check", req, res));
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+
+    return {
+        calls,
+        behaviors,
+        baseUrl: `http://127.0.0.1:${server.address().port}/api/otp`,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+describe("OtpServiceClient", () => {
+    let fakeService;
+    let clock;
+
+    const buildClient = (overrides = {}) => new OtpServiceClient({
+        baseUrl: fakeService.baseUrl,
+        timeoutMs: 200,
+        retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+        fallback: { enabled: false, length: 6 },
+        circuitBreaker: new CircuitBreaker({
+            name: "servicio-otp",
+            failureThreshold: 2,
+            resetTimeoutMs: 1000,
+            now: () => clock,
+        }),
+        wait: () => Promise.resolve(),
+        ...overrides,
+    });
+
+    beforeEach(async () => {
+        clock = 0;
+        fakeService = await startFakeOtpService();
+    });
+
+    afterEach(() => fakeService.close());
+
+    it("crea y valida OTP contra servicio-otp", async () => {
+        const client = buildClient();
+
+        await expect(client.createOtp()).resolves.toEqual({ otp: "987654" });
+        await expect(client.checkOtpFormat({ otp: "987654" })).resolves.toEqual({ isValidOtp: true });
+    });
+
+    it("reintenta la validación de formato ante un 5xx", async () => {
+        const client = buildClient();
+        fakeService.behaviors.check.push({ status: 503 }, { status: 503 });
+
+        await expect(client.checkOtpFormat({ otp: "987654" })).resolves.toEqual({ isValidOtp: true });
+        expect(fakeService.calls.check).toBe(3);
+    });
+
+    it("corta la llamada por timeout y responde OTP_SERVICE_ERROR", async () => {
+        const client = buildClient();
+        fakeService.behaviors.check.push({ status: 200, delayMs: 500 }, { status: 200, delayMs: 500 }, { status: 200, delayMs: 500 });
+
+        await expect(client.checkOtpFormat({ otp: "987654" })).rejects.toMatchObject({
+            statusCode: 502,
+            type: "OTP_SERVICE_ERROR",
+        });
+        expect(fakeService.calls.check).toBe(3);
+    });
+
+    it("no reintenta la creación si el servicio recibió la petición", async () => {
+        const client = buildClient();
+        fakeService.behaviors.create.push({ status: 500 });
+
+        await expect(client.createOtp()).rejects.toMatchObject({ type: "OTP_SERVICE_ERROR" });
+        expect(fakeService.calls.create).toBe(1);
+    });
+
+    it("abre el circuito tras fallos seguidos y lo cierra con una prueba exitosa", async () => {
+        const client = buildClient();
+        fakeService.behaviors.create.push({ status: 500 }, { status: 500 });
+
+        await expect(client.createOtp()).rejects.toThrow();
+        await expect(client.createOtp()).rejects.toThrow();
+        expect(client.circuitBreaker.getState()).toMatchObject({ state: "OPEN", consecutiveFailures: 2 });
+
+        await expect(client.createOtp()).rejects.toMatchObject({ type: "OTP_SERVICE_ERROR" });
+        expect(fakeService.calls.create).toBe(2);
+
+        clock = 1000;
+        await expect(client.createOtp()).resolves.toEqual({ otp: "987654" });
+        expect(client.circuitBreaker.getState()).toMatchObject({ state: "CLOSED", consecutiveFailures: 0 });
+    });
+
+    it("no cuenta las respuestas 4xx como fallas del servicio", async () => {
+        const client = buildClient();
+        fakeService.behaviors.check.push({ status: 400 }, { status: 400 });
+
+        await expect(client.checkOtpFormat({ otp: "x" })).rejects.toThrow();
+        await expect(client.checkOtpFormat({ otp: "x" })).rejects.toThrow();
+
+        expect(fakeService.calls.check).toBe(2);
+        expect(client.circuitBreaker.getState().state).toBe("CLOSED");
+    });
+
+    it("usa el respaldo local si está habilitado y el servicio no responde", async () => {
+        const client = buildClient({ fallback: { enabled: true, length: 6 } });
+        fakeService.behaviors.create.push({ status: 503 });
+        fakeService.behaviors.check.push({ status: 503 }, { status: 503 }, { status: 503 });
+
+        const created = await client.createOtp();
+
+        expect(created.otp).toMatch(/^\d{6}$/);
+        await expect(client.checkOtpFormat({ otp: "12345a" })).resolves.toEqual({ isValidOtp: false });
+    });
+
+    it("calcula el backoff con jitter acotado", () => {
+        const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+        expect(backoffDelay(1, options, () => 0.999)).toBe(99);
+        expect(backoffDelay(3, options, () => 0.5)).toBe(200);
+        expect(backoffDelay(10, options, () => 0.999)).toBe(999);
+        expect(backoffDelay(2, options, () => 0)).toBe(0);
+    });
+});
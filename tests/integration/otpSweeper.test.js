@@ -0,0 +1,74 @@
+const OtpSweeper = require("../../jobs/otpSweeper");
+const { pool, resetDatabase, insertUser, insertOtp, closeDatabase } = require("../helpers/database");
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+const daysAgo = (days) => minutesAgo(days * 24 * 60);
+
+describe("OtpSweeper", () => {
+    beforeEach(resetDatabase);
+
+    afterAll(closeDatabase);
+
+    it("expira en lotes los OTP activos vencidos sin tocar los vigentes", async () => {
+        const user = await insertUser();
+        const stale = await insertOtp(user.id, { created_at: minutesAgo(10), expires_at: minutesAgo(5) });
+        const stale2 = await insertOtp(user.id, { purpose: "LOGIN_2FA", created_at: minutesAgo(10), expires_at: minutesAgo(5) });
+        const fresh = await insertOtp(user.id, { purpose: "EMAIL_VERIFICATION" });
+
+        const sweeper = new OtpSweeper({ batchSize: 1 });
+        const result = await sweeper.runOnce();
+
+        expect(result).toMatchObject({ expired: 2, purged: 0 });
+        const { rows } = await pool.query(`SELECT id, otp_status FROM otp ORDER BY id`);
+        expect(rows).toEqual([
+            { id: stale.id, otp_status: "EXPIRED" },
+            { id: stale2.id, otp_status: "EXPIRED" },
+            { id: fresh.id, otp_status: "CREATED" },
+        ]);
+    });
+
+    it("purga los OTP inactivos más antiguos que la retención", async () => {
+        const user = await insertUser();
+        await insertOtp(user.id, { otp_status: "VERIFIED", created_at: daysAgo(40) });
+        await insertOtp(user.id, { otp_status: "REVOKED", created_at: daysAgo(31) });
+        const recent = await insertOtp(user.id, { otp_status: "EXPIRED", created_at: daysAgo(2) });
+
+        const sweeper = new OtpSweeper({ retentionDays: 30 });
+        const result = await sweeper.runOnce();
+
+        expect(result).toMatchObject({ expired: 0, purged: 2 });
+        const { rows } = await pool.query(`SELECT id FROM otp`);
+        expect(rows).toEqual([{ id: recent.id }]);
+    });
+
+    it("acumula métricas y registra el último error", async () => {
+        const user = await insertUser();
+        await insertOtp(user.id, { expires_at: minutesAgo(1) });
+
+        const sweeper = new OtpSweeper();
+        await sweeper.runOnce();
+        await sweeper.runOnce();
+
+        expect(sweeper.getMetrics()).toMatchObject({
+            scheduled: false,
+            runs: 2,
+            failures: 0,
+            totalExpired: 1,
+            lastExpired: 0,
+            lastError: null,
+        });
+
+        jest.spyOn(sweeper.otpRepository, "expireStaleBatch").mockRejectedValue(new Error("conexión perdida"));
+        await expect(sweeper.runOnce()).rejects.toThrow("conexión perdida");
+        expect(sweeper.getMetrics()).toMatchObject({ runs: 3, failures: 1, lastError: "conexión perdida" });
+    });
+
+    it("no solapa barridos", async () => {
+        const sweeper = new OtpSweeper();
+
+        const [first, second] = await Promise.all([sweeper.runOnce(), sweeper.runOnce()]);
+
+        expect(first).not.toBeNull();
+        expect(second).toBeNull();
+    });
+});
@@ -0,0 +1,92 @@
+const Totp = require("../../security/totp");
+const SecretCipher = require("../../security/secretCipher");
+const OtpHasher = require("../../security/otpHasher");
+
+// Secreto ASCII "12345678901234567890" de los vectores de prueba de RFC 6238
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("Totp", () => {
+    it("reproduce los vectores SHA1 de RFC 6238", () => {
+        const totp = new Totp({ digits: 8, periodSeconds: 30 });
+
+        expect(totp.generateCode(RFC_SECRET, totp.timeStep(59 * 1000))).toBe("94287082");
+        expect(totp.generateCode(RFC_SECRET, totp.timeStep(1111111109 * 1000))).toBe("07081804");
+        expect(totp.generateCode(RFC_SECRET, totp.timeStep(2000000000 * 1000))).toBe("69279037");
+    });
+
+    it("acepta el paso adyacente dentro de la ventana y devuelve el paso que coincidió", () => {
+        const totp = new Totp({ digits: 6, periodSeconds: 30, window: 1 });
+        const now = 1700000000 * 1000;
+        const step = totp.timeStep(now);
+
+        expect(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+        expect(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+        expect(totp.verify(RFC_SECRET, "12a456", now)).toBeNull();
+    });
+
+    it("genera la URI otpauth:// con emisor, cuenta y parámetros", () => {
+        const totp = new Totp({ issuer: "Servicio Datos", digits: 6, periodSeconds: 30 });
+
+        const uri = totp.provisioningUri(RFC_SECRET, "ana@example.com");
+
+        expect(uri.startsWith("otpauth://totp/Servicio%20Datos:ana%40example.com?")).toBe(true);
+        const params = new URL(uri).searchParams;
+        expect(Object.fromEntries(params)).toEqual({
+            secret: RFC_SECRET,
+            issuer: "Servicio Datos",
+            algorithm: "SHA1",
+            digits: "6",
+            period: "30",
+        });
+    });
+});
+
+describe("SecretCipher", () => {
+    const key = "ab".repeat(32);
+
+    it("cifra con IV aleatorio y descifra el mismo secreto", () => {
+        const cipher = new SecretCipher(key);
+
+        const first = cipher.encrypt(RFC_SECRET);
+        const second = cipher.encrypt(RFC_SECRET);
+
+        expect(first).toMatch(/^v1:/);
+        expect(first).not.toContain(RFC_SECRET);
+        expect(first).not.toBe(second);
+        expect(cipher.decrypt(first)).toBe(RFC_SECRET);
+    });
+
+    it("rechaza un valor alterado o cifrado con otra clave", () => {
+        const stored = new SecretCipher(key).encrypt(RFC_SECRET);
+        const [version, iv, tag, data] = stored.split(":");
+        const flipped = Buffer.from(data, "base64");
+        flipped[0] ^= 0xff;
+        const tampered = [version, iv, tag, flipped.toString("base64")].join(":");
+
+        expect(() => new SecretCipher(key).decrypt(tampered)).toThrow();
+        expect(() => new SecretCipher("cd".repeat(32)).decrypt(stored)).toThrow();
+    });
+
+    it("exige una clave de 32 bytes y falla al usarse sin clave", () => {
+        expect(() => new SecretCipher("corta")).toThrow(/32 bytes/);
+        expect(() => new SecretCipher(null).encrypt(RFC_SECRET)).toThrow(/TOTP_ENCRYPTION_KEY/);
+    });
+});
+
+describe("OtpHasher", () => {
+    it("verifica solo con el mismo pepper", () => {
+        const stored = new OtpHasher("pepper-a").hash("123456");
+
+        expect(stored).toMatch(/^hmac-sha256\$/);
+        expect(new OtpHasher("pepper-a").verify("123456", stored)).toBe(true);
+        expect(new OtpHasher("pepper-b").verify("123456", stored)).toBe(false);
+    });
+
+    it("exige OTP_HASH_PEPPER en producción", () => {
+        const hasher = new OtpHasher(null, { production: true });
+
+        expect(() => hasher.hash("123456")).toThrow(/OTP_HASH_PEPPER/);
+        expect(() => hasher.verify("123456", new OtpHasher(null).hash("123456"))).toThrow(/OTP_HASH_PEPPER/);
+        expect(new OtpHasher("pepper", { production: true }).hash("123456")).toMatch(/^hmac-sha256\$/);
+    });
+});
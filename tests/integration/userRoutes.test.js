@@ -0,0 +1,1396 @@
+jest.mock("../../client/otpServiceClient", () => require("../helpers/otpServiceClientStub").OtpServiceClientStub);
+
+const app = require("../../index");
+const { pool, resetDatabase, insertUser, insertOtp, closeDatabase } = require("../helpers/database");
+const { otpServiceStub, resetOtpServiceStub } = require("../helpers/otpServiceClientStub");
+const request = require("supertest");
+const { apiAs, signToken } = require("../helpers/auth");
+const ProfileRepository = require("../../repositories/profileRepository");
+const SessionRepository = require("../../repositories/sessionRepository");
+const Totp = require("../../security/totp");
+const OtpDeliveryChannel = require("../../notifications/otpDeliveryChannel");
+
+const admin = apiAs(app, "admin");
+const sessionRepository = new SessionRepository();
+const totp = new Totp();
+
+describe("/api/users", () => {
+    beforeEach(async () => {
+        await resetDatabase();
+        resetOtpServiceStub();
+    });
+
+    afterAll(closeDatabase);
+
+    describe("POST /api/users/register", () => {
+        const payload = { name: "Juan Pérez", email: "juan@example.com", password: "Clave-Segura-2024", phone: "3001234567" };
+
+        it("registra el usuario con la contraseña hasheada y crea su perfil", async () => {
+            const res = await admin.post("/api/users/register").send(payload);
+
+            expect(res.status).toBe(201);
+            expect(res.body.success).toBe(true);
+            expect(res.body.data).toMatchObject({ name: payload.name, email: payload.email, account_status: "PENDING_VALIDATION" });
+            expect(res.body.data.password).toBeUndefined();
+
+            const { rows } = await pool.query(`SELECT password FROM users WHERE id = $1`, [res.body.data.id]);
+            expect(rows[0].password).toMatch(/^\$2[aby]\$/);
+
+            const profiles = await pool.query(`SELECT * FROM profiles WHERE user_id = $1`, [res.body.data.id]);
+            expect(profiles.rows).toHaveLength(1);
+        });
+
+        it("responde 409 EMAIL_DUPLICATE si el email ya existe", async () => {
+            await insertUser({ email: payload.email });
+
+            const res = await admin.post("/api/users/register").send(payload);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("EMAIL_DUPLICATE");
+        });
+
+        it("guarda el email normalizado y no admite la misma dirección con otras mayúsculas", async () => {
+            const created = await admin.post("/api/users/register").send({ ...payload, email: "  Juan@Example.COM " });
+            const duplicated = await admin.post("/api/users/register").send({ ...payload, email: "JUAN@example.com" });
+
+            expect(created.status).toBe(201);
+            expect(created.body.data.email).toBe("juan@example.com");
+            expect(duplicated.status).toBe(409);
+            expect(duplicated.body.error.type).toBe("EMAIL_DUPLICATE");
+
+            const { rows } = await pool.query(`SELECT email, email_normalized FROM users`);
+            expect(rows).toEqual([{ email: "juan@example.com", email_normalized: "juan@example.com" }]);
+        });
+
+        it("responde 409 EMAIL_DUPLICATE si el email pertenece a una cuenta eliminada", async () => {
+            await insertUser({ email: payload.email, account_status: "DELETED" });
+
+            const res = await admin.post("/api/users/register").send(payload);
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("EMAIL_DUPLICATE");
+        });
+
+        it("acepta solo uno de dos registros concurrentes con el mismo email", async () => {
+            const responses = await Promise.all([
+                admin.post("/api/users/register").send(payload),
+                admin.post("/api/users/register").send(payload),
+            ]);
+
+            expect(responses.map((res) => res.status).sort()).toEqual([201, 409]);
+            const { rows } = await pool.query(`SELECT id FROM users WHERE email = $1`, [payload.email]);
+            expect(rows).toHaveLength(1);
+        });
+
+        it("no deja el usuario creado si falla la creación del perfil", async () => {
+            const profileSpy = jest
+                .spyOn(ProfileRepository.prototype, "create")
+                .mockRejectedValue(new Error("perfil no disponible"));
+
+            const res = await admin.post("/api/users/register").send(payload);
+            profileSpy.mockRestore();
+
+            expect(res.status).toBe(500);
+            const { rows } = await pool.query(`SELECT id FROM users WHERE email = $1`, [payload.email]);
+            expect(rows).toHaveLength(0);
+        });
+
+        it("responde 400 con todos los errores de validación", async () => {
+            const res = await admin.post("/api/users/register").send({ email: "no-es-email", phone: "abc" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+            const fields = res.body.error.details.map((detail) => detail.field);
+            expect(fields).toEqual(expect.arrayContaining(["name", "email", "password", "phone"]));
+        });
+
+        it("reporta cada regla de la política de contraseñas que se incumple", async () => {
+            const res = await admin.post("/api/users/register").send({ ...payload, password: "abc" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+            expect(res.body.error.details.map((detail) => detail.rule)).toEqual(["minLength", "uppercase", "digit"]);
+        });
+
+        it("rechaza contraseñas comunes aunque cumplan las clases de caracteres", async () => {
+            const res = await admin.post("/api/users/register").send({ ...payload, password: "Password123" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toEqual([expect.objectContaining({ field: "password", rule: "denylist" })]);
+        });
+
+        it("responde 400 INVALID_JSON con un body mal formado", async () => {
+            const res = await admin
+                .post("/api/users/register")
+                .set("Content-Type", "application/json")
+                .send("{mal json");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("INVALID_JSON");
+        });
+    });
+
+    describe("PUT /api/users/:id", () => {
+        it("actualiza los campos enviados", async () => {
+            const user = await insertUser();
+
+            const res = await admin.put(`/api/users/${user.id}`).send({ name: "Nuevo Nombre" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ id: user.id, name: "Nuevo Nombre", email: user.email });
+        });
+
+        it("responde 404 si el usuario no existe", async () => {
+            const res = await admin.put("/api/users/999").send({ name: "Nadie" });
+
+            expect(res.status).toBe(404);
+        });
+
+        it("rechaza un email distinto del actual y acepta reenviar el mismo", async () => {
+            const user = await insertUser();
+
+            const res = await admin.put(`/api/users/${user.id}`).send({ email: "nuevo@example.com" });
+            const same = await admin.put(`/api/users/${user.id}`).send({ email: user.email, name: "Mismo Email" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("EMAIL_CHANGE_REQUIRES_VERIFICATION");
+            expect(same.status).toBe(200);
+            expect(same.body.data).toMatchObject({ email: user.email, name: "Mismo Email" });
+        });
+
+        it("responde 400 si no se envía ningún campo o el ID es inválido", async () => {
+            const res = await admin.put("/api/users/abc").send({});
+
+            expect(res.status).toBe(400);
+            const fields = res.body.error.details.map((detail) => detail.field);
+            expect(fields).toEqual(expect.arrayContaining(["id", "name|email|phone"]));
+        });
+    });
+
+    describe("GET /api/users", () => {
+        it("lista los usuarios no eliminados con metadatos de paginación", async () => {
+            await insertUser({ email: "a@example.com" });
+            await insertUser({ email: "b@example.com" });
+            await insertUser({ email: "c@example.com", account_status: "DELETED" });
+
+            const res = await admin.get("/api/users?page=1&size=1");
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ totalItems: 2, totalPages: 2, currentPage: 1, pageSize: 1 });
+            expect(res.body.data.users).toHaveLength(1);
+        });
+
+        describe("modo cursor", () => {
+            const insertUsers = async (count) => {
+                const users = [];
+                for (let i = 0; i < count; i++) {
+                    users.push(await insertUser({ email: `user${i}@example.com` }));
+                }
+                return users;
+            };
+
+            it("recorre todas las páginas hacia adelante y hacia atrás sin repetir usuarios", async () => {
+                const users = await insertUsers(5);
+                const expectedIds = users.map((user) => user.id).reverse();
+
+                const first = await admin.get("/api/users?mode=cursor&size=2");
+                expect(first.status).toBe(200);
+                expect(first.body.data.prevCursor).toBeNull();
+                expect(first.body.data).not.toHaveProperty("totalItems");
+
+                const second = await admin.get(`/api/users?cursor=${first.body.data.nextCursor}&size=2`);
+                const third = await admin.get(`/api/users?cursor=${second.body.data.nextCursor}&size=2`);
+                expect(third.body.data.nextCursor).toBeNull();
+
+                const seenIds = [first, second, third].flatMap((res) => res.body.data.users.map((user) => user.id));
+                expect(seenIds).toEqual(expectedIds);
+
+                const back = await admin.get(`/api/users?cursor=${third.body.data.prevCursor}&size=2`);
+                expect(back.body.data.users.map((user) => user.id)).toEqual(expectedIds.slice(2, 4));
+            });
+
+            it("no repite usuarios si se registran nuevos entre páginas", async () => {
+                await insertUsers(4);
+
+                const first = await admin.get("/api/users?mode=cursor&size=2");
+                await insertUser({ email: "nuevo@example.com" });
+                const second = await admin.get(`/api/users?cursor=${first.body.data.nextCursor}&size=2`);
+
+                const firstIds = first.body.data.users.map((user) => user.id);
+                const secondIds = second.body.data.users.map((user) => user.id);
+                expect(secondIds.filter((id) => firstIds.includes(id))).toHaveLength(0);
+                expect(secondIds).toHaveLength(2);
+            });
+
+            it("incluye el total solo cuando se solicita", async () => {
+                await insertUsers(3);
+
+                const res = await admin.get("/api/users?mode=cursor&size=2&includeTotal=true");
+
+                expect(res.body.data.totalItems).toBe(3);
+            });
+
+            it("responde 400 INVALID_CURSOR con un cursor manipulado", async () => {
+                const res = await admin.get("/api/users?cursor=no-es-un-cursor");
+
+                expect(res.status).toBe(400);
+                expect(res.body.error.type).toBe("INVALID_CURSOR");
+            });
+
+            it("responde 400 INVALID_CURSOR si la fecha del cursor fue alterada", async () => {
+                const encode = (payload) => Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+
+                for (const c of ["1", "hello 5", "2026-02-30 10:00:00", "2026-01-15 24:00:00"]) {
+                    const res = await admin.get(`/api/users?cursor=${encode({ c, i: 1, d: "next" })}`);
+
+                    expect(res.status).toBe(400);
+                    expect(res.body.error.type).toBe("INVALID_CURSOR");
+                }
+            });
+        });
+
+        describe("filtros, búsqueda y ordenamiento", () => {
+            beforeEach(async () => {
+                await insertUser({ name: "Ana Gómez", email: "ana@example.com", phone: "3000000001", account_status: "VERIFIED" });
+                await insertUser({ name: "Bruno Díaz", email: "bruno@test.org", phone: "3000000002" });
+                await insertUser({ name: "Carla 100%", email: "carla@example.com", phone: "3110000003", account_status: "VERIFIED" });
+            });
+
+            it("filtra por estado de cuenta y devuelve los filtros aplicados", async () => {
+                const res = await admin.get("/api/users?status=VERIFIED");
+
+                expect(res.status).toBe(200);
+                expect(res.body.data.totalItems).toBe(2);
+                expect(res.body.data.filters).toEqual({ status: "VERIFIED", sort: "created_at", direction: "desc" });
+            });
+
+            it("busca sin distinguir mayúsculas en nombre, email y teléfono", async () => {
+                const byName = await admin.get("/api/users?search=BRUNO");
+                const byEmail = await admin.get("/api/users?search=example.COM");
+                const byPhone = await admin.get("/api/users?search=311");
+
+                expect(byName.body.data.users.map((user) => user.email)).toEqual(["bruno@test.org"]);
+                expect(byEmail.body.data.totalItems).toBe(2);
+                expect(byPhone.body.data.users.map((user) => user.email)).toEqual(["carla@example.com"]);
+            });
+
+            it("trata los comodines de la búsqueda como texto literal", async () => {
+                const res = await admin.get(`/api/users?search=${encodeURIComponent("100%")}`);
+
+                expect(res.body.data.users.map((user) => user.name)).toEqual(["Carla 100%"]);
+            });
+
+            it("ordena por un campo permitido y dirección", async () => {
+                const res = await admin.get("/api/users?sort=name&direction=asc");
+
+                expect(res.body.data.users.map((user) => user.name)).toEqual(["Ana Gómez", "Bruno Díaz", "Carla 100%"]);
+            });
+
+            it("filtra por rango de fechas de creación (fecha sin hora incluye el día)", async () => {
+                await pool.query(`UPDATE users SET created_at = '2024-01-15 10:00:00' WHERE email = 'ana@example.com'`);
+                await pool.query(`UPDATE users SET created_at = '2024-02-20 23:59:00' WHERE email = 'bruno@test.org'`);
+
+                const res = await admin.get("/api/users?createdFrom=2024-01-01&createdTo=2024-02-20");
+
+                expect(res.body.data.users.map((user) => user.email).sort()).toEqual(["ana@example.com", "bruno@test.org"]);
+            });
+
+            it("aplica los filtros en modo cursor", async () => {
+                const res = await admin.get("/api/users?mode=cursor&status=VERIFIED&includeTotal=true");
+
+                expect(res.body.data.totalItems).toBe(2);
+                expect(res.body.data.users).toHaveLength(2);
+                expect(res.body.data.filters.status).toBe("VERIFIED");
+            });
+
+            it("rechaza un ordenamiento distinto al por defecto en modo cursor", async () => {
+                const res = await admin.get("/api/users?mode=cursor&sort=name");
+
+                expect(res.status).toBe(400);
+                expect(res.body.error.type).toBe("UNSUPPORTED_CURSOR_SORT");
+            });
+
+            it("responde 400 con campos de orden no permitidos, fechas inválidas o rango invertido", async () => {
+                const invalid = await admin.get("/api/users?sort=password&createdFrom=ayer&status=DELETED");
+                expect(invalid.status).toBe(400);
+                expect(invalid.body.error.details.map((detail) => detail.field).sort()).toEqual(["createdFrom", "sort", "status"]);
+
+                const inverted = await admin.get("/api/users?createdFrom=2024-03-01&createdTo=2024-01-01");
+                expect(inverted.status).toBe(400);
+                expect(inverted.body.error.details[0].rule).toBe("range");
+            });
+
+            it("responde 400 con fechas que no existen en el calendario", async () => {
+                const res = await admin.get("/api/users?createdFrom=2026-02-30&createdTo=2026-04-31T10:00:00Z");
+
+                expect(res.status).toBe(400);
+                expect(res.body.error.type).toBe("VALIDATION_ERROR");
+                expect(res.body.error.details.map((detail) => detail.field).sort()).toEqual(["createdFrom", "createdTo"]);
+            });
+        });
+
+        it("responde 400 con parámetros de paginación fuera de rango", async () => {
+            const res = await admin.get("/api/users?page=0&size=500");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details.map((detail) => detail.field)).toEqual(["page", "size"]);
+        });
+    });
+
+    describe("GET /api/users/email", () => {
+        it("devuelve el usuario sin el campo password", async () => {
+            const user = await insertUser();
+
+            const res = await admin.get(`/api/users/email?value=${user.email}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ id: user.id, email: user.email });
+            expect(res.body.data).not.toHaveProperty("password");
+        });
+
+        it("encuentra el usuario sin distinguir mayúsculas ni espacios", async () => {
+            const user = await insertUser({ email: "juan@example.com" });
+
+            const res = await admin.get(`/api/users/email?value=${encodeURIComponent(" Juan@EXAMPLE.com")}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.id).toBe(user.id);
+        });
+
+        it("responde 404 si el email no existe", async () => {
+            const res = await admin.get("/api/users/email?value=nadie@example.com");
+
+            expect(res.status).toBe(404);
+        });
+
+        it("responde 400 si falta el email", async () => {
+            const res = await admin.get("/api/users/email");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+        });
+    });
+
+    describe("GET /api/users/:id", () => {
+        it("devuelve el usuario", async () => {
+            const user = await insertUser();
+
+            const res = await admin.get(`/api/users/${user.id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.email).toBe(user.email);
+        });
+
+        it("responde 404 para usuarios eliminados", async () => {
+            const user = await insertUser({ account_status: "DELETED" });
+
+            const res = await admin.get(`/api/users/${user.id}`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it("responde 400 con un ID no numérico", async () => {
+            const res = await admin.get("/api/users/abc");
+
+            expect(res.status).toBe(400);
+        });
+
+        it("responde 400 con un ID fuera del rango de INTEGER", async () => {
+            const res = await admin.get("/api/users/99999999999");
+            const session = await admin.delete("/api/users/1/sessions/2147483648");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toEqual([expect.objectContaining({ field: "id", rule: "max" })]);
+            expect(session.status).toBe(400);
+            expect(session.body.error.details).toEqual([expect.objectContaining({ field: "sid", rule: "max" })]);
+        });
+
+        it("incrusta el perfil con ?include=profile", async () => {
+            const user = await insertUser();
+            await pool.query(`UPDATE profiles SET display_name = 'Juanito' WHERE user_id = $1`, [user.id]);
+
+            const res = await admin.get(`/api/users/${user.id}`).query({ include: "profile" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.profile).toMatchObject({ user_id: user.id, display_name: "Juanito", bio: null });
+        });
+
+        it("no incluye el perfil por defecto y rechaza otros valores de include", async () => {
+            const user = await insertUser();
+
+            const plain = await admin.get(`/api/users/${user.id}`);
+            const invalid = await admin.get(`/api/users/${user.id}`).query({ include: "otp" });
+
+            expect(plain.body.data).not.toHaveProperty("profile");
+            expect(invalid.status).toBe(400);
+        });
+    });
+
+    describe("/api/users/:id/profile", () => {
+        const profilePayload = {
+            display_name: "Juanito",
+            bio: "Desarrollador",
+            avatar_url: "https://cdn.example.com/avatar.png",
+            locale: "es-CO",
+            timezone: "America/Bogota",
+            birthdate: "1990-05-17",
+        };
+
+        it("devuelve el perfil vacío creado en el registro", async () => {
+            const user = await insertUser();
+
+            const res = await admin.get(`/api/users/${user.id}/profile`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ user_id: user.id, display_name: null, birthdate: null });
+        });
+
+        it("actualiza los campos enviados", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send(profilePayload);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ user_id: user.id, ...profilePayload });
+
+            const again = await admin.get(`/api/users/${user.id}/profile`);
+            expect(again.body.data).toMatchObject(profilePayload);
+        });
+
+        it("conserva los campos ausentes y borra los enviados con null", async () => {
+            const user = await insertUser();
+            await admin.patch(`/api/users/${user.id}/profile`).send(profilePayload);
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({ bio: null, locale: "en" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ display_name: "Juanito", bio: null, locale: "en" });
+        });
+
+        it("crea el perfil si el usuario no tenía uno", async () => {
+            const user = await insertUser();
+            await pool.query(`DELETE FROM profiles WHERE user_id = $1`, [user.id]);
+
+            const missing = await admin.get(`/api/users/${user.id}/profile`);
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({ display_name: "Nuevo" });
+
+            expect(missing.status).toBe(404);
+            expect(missing.body.error.type).toBe("PROFILE_NOT_FOUND");
+            expect(res.status).toBe(200);
+            expect(res.body.data.display_name).toBe("Nuevo");
+        });
+
+        it("responde 400 con todos los campos inválidos", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({
+                display_name: "x".repeat(101),
+                avatar_url: "javascript:alert(1)",
+                locale: "español",
+                timezone: "Marte/Olympus",
+                birthdate: "2999-01-01",
+            });
+
+            expect(res.status).toBe(400);
+            const fields = res.body.error.details.map((detail) => detail.field);
+            expect(fields).toEqual(["display_name", "avatar_url", "locale", "timezone", "birthdate"]);
+        });
+
+        it("responde 400 con una fecha de nacimiento que no existe en el calendario", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({ birthdate: "2001-02-30" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toEqual([expect.objectContaining({ field: "birthdate", rule: "type" })]);
+            const { rows } = await pool.query(`SELECT birthdate FROM profiles WHERE user_id = $1`, [user.id]);
+            expect(rows.every((row) => row.birthdate === null)).toBe(true);
+        });
+
+        it("responde 400 si no se envía ningún campo del perfil", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({ user_id: 99 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details[0].rule).toBe("atLeastOne");
+        });
+
+        it("responde 404 USER_NOT_FOUND para usuarios eliminados", async () => {
+            const user = await insertUser({ account_status: "DELETED" });
+
+            const res = await admin.patch(`/api/users/${user.id}/profile`).send({ bio: "hola" });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("USER_NOT_FOUND");
+        });
+
+        it("permite al propio usuario editar su perfil, pero no el de otro", async () => {
+            const owner = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const token = signToken({ sub: String(owner.id), roles: ["user"] });
+
+            const own = await request(app)
+                .patch(`/api/users/${owner.id}/profile`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ bio: "mío" });
+            const foreign = await request(app)
+                .patch(`/api/users/${other.id}/profile`)
+                .set("Authorization", `Bearer ${token}`)
+                .send({ bio: "ajeno" });
+
+            expect(own.status).toBe(200);
+            expect(foreign.status).toBe(403);
+        });
+    });
+
+    describe("/api/users/:id/sessions", () => {
+        it("lista las sesiones vigentes sin exponer los refresh tokens", async () => {
+            const user = await insertUser();
+            const { session } = await sessionRepository.create(user.id, { deviceName: "Teléfono", ipAddress: "203.0.113.7" });
+            const revoked = await sessionRepository.create(user.id, { deviceName: "Viejo" });
+            await sessionRepository.revoke(user.id, revoked.session.id);
+
+            const res = await admin.get(`/api/users/${user.id}/sessions`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveLength(1);
+            expect(res.body.data[0]).toMatchObject({ id: session.id, device_name: "Teléfono", ip_address: "203.0.113.7" });
+            expect(res.body.data[0]).not.toHaveProperty("refresh_token");
+        });
+
+        it("revoca una sesión y responde 404 SESSION_NOT_FOUND si no es del usuario", async () => {
+            const user = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const { session } = await sessionRepository.create(user.id);
+            const foreign = await sessionRepository.create(other.id);
+
+            const res = await admin.delete(`/api/users/${user.id}/sessions/${session.id}`);
+            const again = await admin.delete(`/api/users/${user.id}/sessions/${session.id}`);
+            const notOwned = await admin.delete(`/api/users/${user.id}/sessions/${foreign.session.id}`);
+
+            expect(res.status).toBe(200);
+            expect(again.status).toBe(404);
+            expect(again.body.error.type).toBe("SESSION_NOT_FOUND");
+            expect(notOwned.status).toBe(404);
+        });
+
+        it("revoca todas las sesiones del propio usuario", async () => {
+            const user = await insertUser();
+            const first = await sessionRepository.create(user.id);
+            await sessionRepository.create(user.id);
+            const token = signToken({ sub: String(user.id), roles: ["user"] });
+
+            const res = await request(app)
+                .delete(`/api/users/${user.id}/sessions`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({ revoked: 2 });
+            await expect(sessionRepository.rotate(first.refreshToken)).rejects.toMatchObject({ type: "SESSION_REVOKED" });
+        });
+
+        it("responde 404 USER_NOT_FOUND si el usuario no existe", async () => {
+            const res = await admin.get("/api/users/999/sessions");
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("USER_NOT_FOUND");
+        });
+    });
+
+    describe("/api/users/:id/email_change", () => {
+        let deliverSpy;
+        let notifySpy;
+
+        beforeEach(() => {
+            deliverSpy = jest.spyOn(OtpDeliveryChannel.prototype, "deliver").mockResolvedValue();
+            notifySpy = jest.spyOn(OtpDeliveryChannel.prototype, "notify").mockResolvedValue();
+        });
+
+        afterEach(() => {
+            deliverSpy.mockRestore();
+            notifySpy.mockRestore();
+        });
+
+        const requestChange = (user, newEmail = "nuevo@example.com") => admin
+            .post(`/api/users/${user.id}/email_change`)
+            .send({ new_email: newEmail });
+
+        it("envía el código solo a la dirección nueva y guarda su hash", async () => {
+            const user = await insertUser();
+
+            const res = await requestChange(user);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ user_id: user.id, new_email: "nuevo@example.com", status: "PENDING", delivery_status: "SENT" });
+            expect(res.body.data).not.toHaveProperty("code_hash");
+            expect(deliverSpy).toHaveBeenCalledWith(expect.objectContaining({
+                to: "nuevo@example.com",
+                code: "123456",
+                purpose: "EMAIL_CHANGE",
+                url: `https://app.example.com/api/v1/users/${user.id}/email_change/confirm`,
+                ttlMinutes: 60,
+            }));
+
+            const { rows } = await pool.query(`SELECT code_hash FROM email_change_requests WHERE user_id = $1`, [user.id]);
+            expect(rows[0].code_hash).not.toContain("123456");
+
+            const current = await admin.get(`/api/users/${user.id}`);
+            expect(current.body.data.email).toBe(user.email);
+        });
+
+        it("confirma el cambio, actualiza el email y avisa a la dirección anterior", async () => {
+            const user = await insertUser({ email: "juan@example.com" });
+            await requestChange(user);
+
+            const res = await admin.post(`/api/users/${user.id}/email_change/confirm`).send({ otp: "123456" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ id: user.id, email: "nuevo@example.com" });
+            expect(notifySpy).toHaveBeenCalledWith({
+                channel: "EMAIL",
+                to: "juan@example.com",
+                notice: "EMAIL_CHANGED",
+                variables: { newEmail: "nu***@example.com" },
+            });
+
+            const { rows } = await pool.query(`SELECT status, resolved_at FROM email_change_requests WHERE user_id = $1`, [user.id]);
+            expect(rows[0].status).toBe("CONFIRMED");
+            expect(rows[0].resolved_at).not.toBeNull();
+
+            const again = await admin.post(`/api/users/${user.id}/email_change/confirm`).send({ otp: "123456" });
+            expect(again.status).toBe(404);
+            expect(again.body.error.type).toBe("EMAIL_CHANGE_NOT_FOUND");
+        });
+
+        it("cuenta los códigos incorrectos y cancela la solicitud al agotar los intentos", async () => {
+            const user = await insertUser();
+            await requestChange(user);
+            const confirm = (otp) => admin.post(`/api/users/${user.id}/email_change/confirm`).send({ otp });
+
+            const first = await confirm("000000");
+            for (let attempt = 2; attempt < 5; attempt++) {
+                await confirm("000000");
+            }
+            const last = await confirm("000000");
+            const afterCancel = await confirm("123456");
+
+            expect(first.status).toBe(400);
+            expect(first.body.error).toMatchObject({ type: "INVALID_OTP", details: { remainingAttempts: 4 } });
+            expect(last.body.error.type).toBe("OTP_ATTEMPTS_EXCEEDED");
+            expect(afterCancel.status).toBe(404);
+        });
+
+        it("vuelve a comprobar la unicidad al confirmar", async () => {
+            const user = await insertUser();
+            await requestChange(user);
+            await insertUser({ email: "nuevo@example.com" });
+
+            const res = await admin.post(`/api/users/${user.id}/email_change/confirm`).send({ otp: "123456" });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("EMAIL_DUPLICATE");
+            const { rows } = await pool.query(`SELECT status FROM email_change_requests WHERE user_id = $1`, [user.id]);
+            expect(rows[0].status).toBe("CANCELLED");
+        });
+
+        it("rechaza un email en uso o igual al actual", async () => {
+            const user = await insertUser();
+            await insertUser({ email: "otro@example.com" });
+
+            const taken = await requestChange(user, "otro@example.com");
+            const unchanged = await requestChange(user, user.email);
+
+            expect(taken.status).toBe(409);
+            expect(taken.body.error.type).toBe("EMAIL_DUPLICATE");
+            expect(unchanged.status).toBe(400);
+            expect(unchanged.body.error.type).toBe("EMAIL_UNCHANGED");
+            expect(deliverSpy).not.toHaveBeenCalled();
+        });
+
+        it("compara el email nuevo sin distinguir mayúsculas", async () => {
+            const user = await insertUser();
+            await insertUser({ email: "otro@example.com" });
+
+            const taken = await requestChange(user, "OTRO@Example.com");
+            const unchanged = await requestChange(user, user.email.toUpperCase());
+
+            expect(taken.status).toBe(409);
+            expect(taken.body.error.type).toBe("EMAIL_DUPLICATE");
+            expect(unchanged.status).toBe(400);
+            expect(unchanged.body.error.type).toBe("EMAIL_UNCHANGED");
+        });
+
+        it("una solicitud nueva reemplaza a la pendiente y las vencidas no se confirman", async () => {
+            const user = await insertUser();
+            await requestChange(user, "primero@example.com");
+            await requestChange(user, "segundo@example.com");
+
+            const pending = await admin.get(`/api/users/${user.id}/email_change`);
+            expect(pending.body.data.new_email).toBe("segundo@example.com");
+
+            await pool.query(`UPDATE email_change_requests SET expires_at = NOW() - INTERVAL '1 minute' WHERE status = 'PENDING'`);
+            const expired = await admin.post(`/api/users/${user.id}/email_change/confirm`).send({ otp: "123456" });
+
+            expect(expired.status).toBe(404);
+            const { rows } = await pool.query(`SELECT new_email, status FROM email_change_requests WHERE user_id = $1 ORDER BY id`, [user.id]);
+            expect(rows).toEqual([
+                { new_email: "primero@example.com", status: "CANCELLED" },
+                { new_email: "segundo@example.com", status: "EXPIRED" },
+            ]);
+        });
+
+        it("cancela la solicitud si no se puede enviar el código", async () => {
+            const user = await insertUser();
+            deliverSpy.mockRejectedValueOnce(new Error("SMTP caído"));
+
+            const res = await requestChange(user);
+
+            expect(res.status).toBe(502);
+            expect(res.body.error.type).toBe("OTP_DELIVERY_ERROR");
+            const { rows } = await pool.query(`SELECT status FROM email_change_requests WHERE user_id = $1`, [user.id]);
+            expect(rows[0].status).toBe("CANCELLED");
+        });
+
+        it("el propio usuario cancela su solicitud", async () => {
+            const user = await insertUser();
+            await requestChange(user);
+            const token = signToken({ sub: String(user.id), roles: ["user"] });
+
+            const res = await request(app)
+                .delete(`/api/users/${user.id}/email_change`)
+                .set("Authorization", `Bearer ${token}`);
+            const again = await admin.delete(`/api/users/${user.id}/email_change`);
+
+            expect(res.status).toBe(200);
+            expect(again.status).toBe(404);
+            expect(again.body.error.type).toBe("EMAIL_CHANGE_NOT_FOUND");
+        });
+    });
+
+    describe("/api/users/:id/2fa/totp", () => {
+        // Cada código se acepta una sola vez: las pruebas usan el paso actual y luego el siguiente
+        const codeAt = (secret, offset = 0) => totp.generateCode(secret, totp.timeStep() + offset);
+
+        const enrollAndConfirm = async (user) => {
+            const enrolled = await admin.post(`/api/users/${user.id}/2fa/totp`);
+            const { secret } = enrolled.body.data;
+            const confirmed = await admin.post(`/api/users/${user.id}/2fa/totp/confirm`).send({ code: codeAt(secret) });
+            return { secret, recoveryCodes: confirmed.body.data.recovery_codes };
+        };
+
+        it("inscribe el secreto cifrado y devuelve la URI otpauth://", async () => {
+            const user = await insertUser();
+            const token = signToken({ sub: String(user.id), roles: ["user"] });
+
+            const res = await request(app)
+                .post(`/api/users/${user.id}/2fa/totp`)
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(res.body.data.otpauth_url).toContain(`secret=${res.body.data.secret}`);
+            expect(res.body.data.otpauth_url).toContain(encodeURIComponent(user.email));
+
+            const { rows } = await pool.query(`SELECT secret_encrypted, confirmed_at FROM user_totp WHERE user_id = $1`, [user.id]);
+            expect(rows[0].secret_encrypted).not.toContain(res.body.data.secret);
+            expect(rows[0].confirmed_at).toBeNull();
+
+            const status = await admin.get(`/api/users/${user.id}/2fa/totp`);
+            expect(status.body.data).toMatchObject({ enabled: false, pending: true, recovery_codes_remaining: 0 });
+        });
+
+        it("confirma con el primer código y emite códigos de recuperación hasheados", async () => {
+            const user = await insertUser();
+            const enrolled = await admin.post(`/api/users/${user.id}/2fa/totp`);
+
+            const wrong = await admin.post(`/api/users/${user.id}/2fa/totp/confirm`).send({ code: codeAt(enrolled.body.data.secret, 5) });
+            const res = await admin.post(`/api/users/${user.id}/2fa/totp/confirm`).send({ code: codeAt(enrolled.body.data.secret) });
+
+            expect(wrong.status).toBe(400);
+            expect(wrong.body.error.type).toBe("INVALID_TOTP_CODE");
+            expect(res.status).toBe(200);
+            expect(res.body.data.recovery_codes).toHaveLength(10);
+            expect(res.body.data.recovery_codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+            const { rows } = await pool.query(`SELECT code_hash FROM user_totp_recovery_codes WHERE user_id = $1`, [user.id]);
+            expect(rows).toHaveLength(10);
+            expect(rows.map((row) => row.code_hash)).not.toContain(res.body.data.recovery_codes[0]);
+
+            const status = await admin.get(`/api/users/${user.id}/2fa/totp`);
+            expect(status.body.data).toMatchObject({ enabled: true, pending: false, recovery_codes_remaining: 10 });
+            expect(status.body.data.confirmed_at).not.toBeNull();
+        });
+
+        it("responde 404 TOTP_NOT_ENROLLED y 409 TOTP_ALREADY_ENABLED según la inscripción", async () => {
+            const user = await insertUser();
+
+            const notEnrolled = await admin.post(`/api/users/${user.id}/2fa/totp/confirm`).send({ code: "123456" });
+            await enrollAndConfirm(user);
+            const again = await admin.post(`/api/users/${user.id}/2fa/totp`);
+
+            expect(notEnrolled.status).toBe(404);
+            expect(notEnrolled.body.error.type).toBe("TOTP_NOT_ENROLLED");
+            expect(again.status).toBe(409);
+            expect(again.body.error.type).toBe("TOTP_ALREADY_ENABLED");
+        });
+
+        it("regenera los códigos de recuperación con un código de recuperación de un solo uso", async () => {
+            const user = await insertUser();
+            const { recoveryCodes } = await enrollAndConfirm(user);
+
+            const res = await admin.post(`/api/users/${user.id}/2fa/totp/recovery_codes`).send({ recovery_code: recoveryCodes[0].toUpperCase() });
+            const reused = await admin.post(`/api/users/${user.id}/2fa/totp/recovery_codes`).send({ recovery_code: recoveryCodes[1] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.recovery_codes).toHaveLength(10);
+            expect(res.body.data.recovery_codes).not.toContain(recoveryCodes[1]);
+            expect(reused.status).toBe(400);
+            expect(reused.body.error.type).toBe("INVALID_TOTP_CODE");
+        });
+
+        it("desactiva con un código vigente y rechaza repetir el mismo código", async () => {
+            const user = await insertUser();
+            const { secret } = await enrollAndConfirm(user);
+
+            const replayed = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: codeAt(secret) });
+            const missing = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({});
+            const res = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: codeAt(secret, 1) });
+            const disabled = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: codeAt(secret, 1) });
+
+            expect(replayed.status).toBe(400);
+            expect(replayed.body.error.type).toBe("INVALID_TOTP_CODE");
+            expect(missing.status).toBe(400);
+            expect(missing.body.error.type).toBe("VALIDATION_ERROR");
+            expect(res.status).toBe(200);
+            expect(disabled.status).toBe(409);
+            expect(disabled.body.error.type).toBe("TOTP_NOT_ENABLED");
+
+            const { rows } = await pool.query(`SELECT COUNT(*)::int AS total FROM user_totp_recovery_codes WHERE user_id = $1`, [user.id]);
+            expect(rows[0].total).toBe(0);
+        });
+
+        it("cuenta los códigos inválidos como intentos fallidos y bloquea la cuenta", async () => {
+            const user = await insertUser();
+            const { secret } = await enrollAndConfirm(user);
+            const wrongCode = codeAt(secret, 5);
+
+            const first = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: wrongCode });
+            const second = await admin.post(`/api/users/${user.id}/2fa/totp/recovery_codes`).send({ recovery_code: "00000-00000" });
+            const third = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: wrongCode });
+            const valid = await admin.delete(`/api/users/${user.id}/2fa/totp`).send({ code: codeAt(secret, 1) });
+
+            expect(first.status).toBe(400);
+            expect(first.body.error.type).toBe("INVALID_TOTP_CODE");
+            expect(second.status).toBe(400);
+            expect(third.status).toBe(429);
+            expect(third.body.error.type).toBe("LOGIN_LOCKED");
+            expect(valid.status).toBe(429);
+            expect(valid.body.error.type).toBe("LOGIN_LOCKED");
+
+            const status = await admin.get(`/api/users/${user.id}/2fa/totp`);
+            expect(status.body.data.enabled).toBe(true);
+            const { rows } = await pool.query(`SELECT login_locked_until > NOW() AS locked FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].locked).toBe(true);
+        });
+
+        it("solo un administrador restablece el doble factor sin código", async () => {
+            const user = await insertUser();
+            await enrollAndConfirm(user);
+            const token = signToken({ sub: String(user.id), roles: ["user"] });
+
+            const asOwner = await request(app)
+                .post(`/api/users/${user.id}/2fa/totp/reset`)
+                .set("Authorization", `Bearer ${token}`);
+            const res = await admin.post(`/api/users/${user.id}/2fa/totp/reset`);
+            const again = await admin.post(`/api/users/${user.id}/2fa/totp/reset`);
+
+            expect(asOwner.status).toBe(403);
+            expect(res.status).toBe(200);
+            expect(again.status).toBe(404);
+            expect(again.body.error.type).toBe("TOTP_NOT_ENROLLED");
+        });
+
+        it("responde 404 USER_NOT_FOUND si el usuario no existe", async () => {
+            const res = await admin.post("/api/users/999/2fa/totp");
+
+            expect(res.status).toBe(404);
+            expect(res.body.error.type).toBe("USER_NOT_FOUND");
+        });
+    });
+
+    describe("DELETE /api/users/:id", () => {
+        it("elimina lógicamente al usuario", async () => {
+            const user = await insertUser();
+
+            const res = await admin.delete(`/api/users/${user.id}`);
+
+            expect(res.status).toBe(200);
+            const { rows } = await pool.query(`SELECT account_status FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].account_status).toBe("DELETED");
+
+            const history = await pool.query(`SELECT from_status, to_status, changed_by FROM user_status_history WHERE user_id = $1`, [user.id]);
+            expect(history.rows).toEqual([{ from_status: "PENDING_VALIDATION", to_status: "DELETED", changed_by: "api_key:admin-console" }]);
+        });
+
+        it("responde 404 si el usuario ya fue eliminado", async () => {
+            const user = await insertUser({ account_status: "DELETED" });
+
+            const res = await admin.delete(`/api/users/${user.id}`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe("PATCH /api/users/:id/password", () => {
+        it("restablece la contraseña con un OTP válido", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "654321" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(200);
+            const { rows } = await pool.query(`SELECT password FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].password).toMatch(/^\$2[aby]\$/);
+
+            const otp = await pool.query(`SELECT otp_status FROM otp WHERE user_id = $1`, [user.id]);
+            expect(otp.rows[0].otp_status).toBe("VERIFIED");
+        });
+
+        it("responde 400 si el OTP es incorrecto", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "654321" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "000000", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(400);
+        });
+
+        it("responde 400 si el OTP expiró", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "654321", created_at: new Date(Date.now() - 10 * 60 * 1000) });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(400);
+        });
+
+        it("responde 400 si el servicio-otp rechaza el formato", async () => {
+            const user = await insertUser();
+            otpServiceStub.isValidOtp = false;
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "abc", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(400);
+        });
+
+        it("responde 404 si el ID y el email no coinciden", async () => {
+            const user = await insertUser();
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: "otro@example.com", password: "nuevaClave123" });
+
+            expect(res.status).toBe(404);
+        });
+
+        it("responde 502 si el servicio-otp no está disponible", async () => {
+            const user = await insertUser();
+            otpServiceStub.available = false;
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(502);
+            expect(res.body.error.type).toBe("OTP_SERVICE_ERROR");
+        });
+
+        it("responde 400 si faltan campos", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/password`).send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toHaveLength(3);
+        });
+
+        it("informa los intentos restantes ante un OTP incorrecto", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "654321" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "000000", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatchObject({ type: "INVALID_OTP", details: { remainingAttempts: 2 } });
+        });
+
+        it("revoca el OTP al agotar los intentos", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { otp: "654321" });
+            const attempt = (code) => admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: code, email: user.email, password: "nuevaClave123" });
+
+            await attempt("000000");
+            await attempt("000000");
+            const exhausted = await attempt("000000");
+            const correctTooLate = await attempt("654321");
+
+            expect(exhausted.status).toBe(400);
+            expect(exhausted.body.error).toMatchObject({ type: "OTP_ATTEMPTS_EXCEEDED", details: { remainingAttempts: 0 } });
+            expect(correctTooLate.body.error.type).toBe("INVALID_OTP");
+            const { rows } = await pool.query(`SELECT otp_status, failed_attempts FROM otp WHERE id = $1`, [otp.id]);
+            expect(rows[0]).toEqual({ otp_status: "REVOKED", failed_attempts: 3 });
+        });
+
+        it("no admite más intentos que el límite aunque lleguen en paralelo", async () => {
+            const user = await insertUser();
+            const otp = await insertOtp(user.id, { otp: "654321" });
+            const attempt = (code) => admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: code, email: user.email, password: "nuevaClave123" });
+
+            const guesses = await Promise.all(["000001", "000002", "000003", "000004", "000005"].map(attempt));
+            const correctTooLate = await attempt("654321");
+
+            expect(guesses.every((res) => res.status === 400)).toBe(true);
+            expect(guesses.filter((res) => res.body.error.type === "OTP_ATTEMPTS_EXCEEDED")).toHaveLength(1);
+            expect(correctTooLate.body.error.type).toBe("INVALID_OTP");
+            const { rows } = await pool.query(`SELECT otp_status, failed_attempts FROM otp WHERE id = $1`, [otp.id]);
+            expect(rows[0]).toEqual({ otp_status: "REVOKED", failed_attempts: 3 });
+        });
+
+        it("bloquea al usuario tras fallos repetidos entre varios OTP", async () => {
+            const user = await insertUser();
+            const attempt = (code) => admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: code, email: user.email, password: "nuevaClave123" });
+
+            await insertOtp(user.id, { otp: "111111" });
+            for (let i = 0; i < 3; i++) await attempt("000000");
+            await insertOtp(user.id, { otp: "222222" });
+            await attempt("000000");
+            const locked = await attempt("000000");
+
+            expect(locked.status).toBe(429);
+            expect(locked.body.error.type).toBe("OTP_LOCKED");
+            expect(new Date(locked.body.error.details.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+            expect(Number(locked.headers["retry-after"])).toBeGreaterThan(0);
+
+            // Durante el bloqueo ni siquiera un código correcto se acepta
+            await insertOtp(user.id, { otp: "333333" });
+            const stillLocked = await attempt("333333");
+            expect(stillLocked.status).toBe(429);
+        });
+
+        it("rechaza un OTP emitido para verificar el email", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "654321", purpose: "EMAIL_VERIFICATION" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(400);
+        });
+
+        it("revoca todas las sesiones del usuario al restablecer la contraseña", async () => {
+            const user = await insertUser();
+            await sessionRepository.create(user.id, { deviceName: "Teléfono" });
+            await sessionRepository.create(user.id, { deviceName: "Portátil" });
+            await insertOtp(user.id, { otp: "654321" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "nuevaClave123" });
+
+            expect(res.status).toBe(200);
+            const { rows } = await pool.query(`SELECT revoked_reason FROM sessions WHERE user_id = $1`, [user.id]);
+            expect(rows).toEqual([{ revoked_reason: "PASSWORD_CHANGED" }, { revoked_reason: "PASSWORD_CHANGED" }]);
+        });
+
+        it("rechaza una contraseña fuera de la política sin consumir el OTP", async () => {
+            const user = await insertUser({ password: "Actual2024" });
+            await insertOtp(user.id, { otp: "654321" });
+
+            const weak = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: "corta" });
+            const reused = await admin
+                .patch(`/api/users/${user.id}/password`)
+                .send({ otp: "654321", email: user.email, password: user.rawPassword });
+
+            expect(weak.status).toBe(400);
+            expect(weak.body.error.details.map((detail) => detail.rule)).toEqual(["minLength", "uppercase", "digit"]);
+            expect(reused.status).toBe(400);
+            expect(reused.body.error.details[0].rule).toBe("history");
+
+            const { rows } = await pool.query(`SELECT otp_status, failed_attempts FROM otp WHERE user_id = $1`, [user.id]);
+            expect(rows[0]).toEqual({ otp_status: "CREATED", failed_attempts: 0 });
+        });
+    });
+
+    describe("POST /api/users/:id/password/change", () => {
+        const changePassword = (user, body, token = signToken({ sub: String(user.id), roles: ["user"] })) => request(app)
+            .post(`/api/users/${user.id}/password/change`)
+            .set("Authorization", `Bearer ${token}`)
+            .send(body);
+
+        it("cambia la contraseña del propio usuario y guarda la anterior en el historial", async () => {
+            const user = await insertUser();
+
+            const res = await changePassword(user, { currentPassword: user.rawPassword, newPassword: "OtraClave2024" });
+
+            expect(res.status).toBe(200);
+            const login = await admin.post("/api/auth/verify-credentials").send({ email: user.email, password: "OtraClave2024" });
+            expect(login.status).toBe(200);
+
+            const { rows } = await pool.query(`SELECT password_hash FROM password_history WHERE user_id = $1`, [user.id]);
+            expect(rows).toEqual([{ password_hash: user.password }]);
+        });
+
+        it("responde 400 INVALID_CURRENT_PASSWORD si la contraseña actual no coincide", async () => {
+            const user = await insertUser();
+
+            const res = await changePassword(user, { currentPassword: "NoEsLaMia1", newPassword: "OtraClave2024" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("INVALID_CURRENT_PASSWORD");
+            const { rows } = await pool.query(`SELECT password FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].password).toBe(user.password);
+        });
+
+        it("aplica la política a la nueva contraseña reportando el campo newPassword", async () => {
+            const user = await insertUser();
+
+            const res = await changePassword(user, { currentPassword: user.rawPassword, newPassword: "sinmayusculas1" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details).toEqual([{
+                field: "newPassword",
+                rule: "uppercase",
+                message: "La contraseña debe incluir al menos una letra mayúscula",
+            }]);
+        });
+
+        it("impide reutilizar la contraseña actual o una reciente", async () => {
+            const user = await insertUser({ password: "Primera2024" });
+
+            const same = await changePassword(user, { currentPassword: "Primera2024", newPassword: "Primera2024" });
+            await changePassword(user, { currentPassword: "Primera2024", newPassword: "Segunda2024" });
+            const previous = await changePassword(user, { currentPassword: "Segunda2024", newPassword: "Primera2024" });
+
+            expect(same.status).toBe(400);
+            expect(same.body.error.details[0].rule).toBe("history");
+            expect(previous.status).toBe(400);
+            expect(previous.body.error.details[0]).toMatchObject({ field: "newPassword", rule: "history" });
+        });
+
+        it("conserva solo las últimas contraseñas configuradas en el historial", async () => {
+            const user = await insertUser({ password: "Clave0Inicial" });
+            const passwords = ["Clave0Inicial", "Clave1Nueva", "Clave2Nueva", "Clave3Nueva", "Clave4Nueva", "Clave5Nueva", "Clave6Nueva"];
+
+            for (let i = 1; i < passwords.length; i++) {
+                const res = await changePassword(user, { currentPassword: passwords[i - 1], newPassword: passwords[i] });
+                expect(res.status).toBe(200);
+            }
+
+            const { rows } = await pool.query(`SELECT COUNT(*)::int AS total FROM password_history WHERE user_id = $1`, [user.id]);
+            expect(rows[0].total).toBe(4);
+
+            // Con PASSWORD_HISTORY_SIZE=5, la sexta contraseña más reciente vuelve a estar permitida
+            const reused = await changePassword(user, { currentPassword: "Clave6Nueva", newPassword: "Clave1Nueva" });
+            expect(reused.status).toBe(200);
+        });
+
+        it("no permite cambiar la contraseña de otro usuario", async () => {
+            const owner = await insertUser();
+            const other = await insertUser({ email: "otro@example.com" });
+            const token = signToken({ sub: String(owner.id), roles: ["user"] });
+
+            const res = await changePassword(other, { currentPassword: other.rawPassword, newPassword: "OtraClave2024" }, token);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe("PATCH /api/users/:id/account_status", () => {
+        it("verifica una cuenta PENDING_VALIDATION con un OTP de EMAIL_VERIFICATION", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "777888", purpose: "EMAIL_VERIFICATION" });
+
+            const res = await admin.patch(`/api/users/${user.id}/account_status`).send({ otp: "777888" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.account_status).toBe("VERIFIED");
+        });
+
+        it("exige el OTP para verificar la cuenta", async () => {
+            const user = await insertUser();
+
+            const res = await admin.patch(`/api/users/${user.id}/account_status`);
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details[0]).toMatchObject({ field: "otp", rule: "required" });
+        });
+
+        it("rechaza un OTP emitido para otro propósito", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "777888", purpose: "PASSWORD_RESET" });
+
+            const res = await admin.patch(`/api/users/${user.id}/account_status`).send({ otp: "777888" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("INVALID_OTP");
+            const { rows } = await pool.query(`SELECT account_status FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].account_status).toBe("PENDING_VALIDATION");
+        });
+
+        it("responde 400 si la cuenta ya estaba verificada sin consumir el OTP", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+            const otp = await insertOtp(user.id, { otp: "777888", purpose: "EMAIL_VERIFICATION" });
+
+            const res = await admin.patch(`/api/users/${user.id}/account_status`).send({ otp: "777888" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("ACCOUNT_NOT_PENDING_VALIDATION");
+            const { rows } = await pool.query(`SELECT otp_status FROM otp WHERE id = $1`, [otp.id]);
+            expect(rows[0].otp_status).toBe("CREATED");
+        });
+
+        it("responde 404 si el usuario no existe", async () => {
+            const res = await admin.patch("/api/users/999/account_status").send({ otp: "777888" });
+
+            expect(res.status).toBe(404);
+        });
+
+        it("suspende una cuenta verificada y registra la transición", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "SUSPENDED", reason: "Actividad sospechosa" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual({ account_status: "SUSPENDED", previous_status: "VERIFIED" });
+
+            const { rows } = await pool.query(`SELECT * FROM user_status_history WHERE user_id = $1`, [user.id]);
+            expect(rows).toHaveLength(1);
+            expect(rows[0]).toMatchObject({
+                from_status: "VERIFIED",
+                to_status: "SUSPENDED",
+                reason: "Actividad sospechosa",
+                changed_by: "api_key:admin-console",
+            });
+        });
+
+        it("reactiva una cuenta suspendida", async () => {
+            const user = await insertUser({ account_status: "SUSPENDED" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "VERIFIED", reason: "Revisión completada" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.account_status).toBe("VERIFIED");
+        });
+
+        it("no elimina la cuenta: remite a DELETE /api/users/:id", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const res = await apiAs(app, "service")
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "DELETED", reason: "x" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("USE_DELETE_ENDPOINT");
+
+            const { rows } = await pool.query(`SELECT account_status FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].account_status).toBe("VERIFIED");
+        });
+
+        it("no verifica una cuenta pendiente sin OTP", async () => {
+            const user = await insertUser();
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "VERIFIED", reason: "x" });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("INVALID_STATUS_TRANSITION");
+            expect(res.body.error.details).toMatchObject({ from: "PENDING_VALIDATION", to: "VERIFIED", allowedFrom: ["SUSPENDED", "LOCKED"] });
+
+            const { rows } = await pool.query(`SELECT account_status FROM users WHERE id = $1`, [user.id]);
+            expect(rows[0].account_status).toBe("PENDING_VALIDATION");
+        });
+
+        it("responde 409 INVALID_STATUS_TRANSITION si la transición no está permitida", async () => {
+            const user = await insertUser();
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "LOCKED", reason: "Bloqueo manual" });
+
+            expect(res.status).toBe(409);
+            expect(res.body.error.type).toBe("INVALID_STATUS_TRANSITION");
+            expect(res.body.error.details).toMatchObject({ from: "PENDING_VALIDATION", to: "LOCKED" });
+
+            const { rows } = await pool.query(`SELECT count(*)::int AS total FROM user_status_history`);
+            expect(rows[0].total).toBe(0);
+        });
+
+        it("exige un motivo cuando se indica el estado", async () => {
+            const user = await insertUser({ account_status: "VERIFIED" });
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "SUSPENDED" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.details[0]).toMatchObject({ field: "reason", rule: "required" });
+        });
+
+        it("responde 400 ante un estado desconocido", async () => {
+            const user = await insertUser();
+
+            const res = await admin
+                .patch(`/api/users/${user.id}/account_status`)
+                .send({ status: "ARCHIVED", reason: "x" });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.type).toBe("VALIDATION_ERROR");
+        });
+    });
+
+    describe("GET /api/users/:id/account_status/history", () => {
+        it("devuelve las transiciones de la cuenta, la más reciente primero", async () => {
+            const user = await insertUser();
+            await insertOtp(user.id, { otp: "777888", purpose: "EMAIL_VERIFICATION" });
+            await admin.patch(`/api/users/${user.id}/account_status`).send({ otp: "777888" });
+            await admin.patch(`/api/users/${user.id}/account_status`).send({ status: "LOCKED", reason: "Bloqueo manual" });
+
+            const res = await admin.get(`/api/users/${user.id}/account_status/history`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.map((entry) => entry.to_status)).toEqual(["LOCKED", "VERIFIED"]);
+            expect(res.body.data[1]).toMatchObject({ from_status: "PENDING_VALIDATION", reason: "Verificación de la cuenta" });
+        });
+
+        it("responde 404 si el usuario no existe", async () => {
+            const res = await admin.get("/api/users/999/account_status/history");
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+// Se ejecuta en cada worker antes de cargar los módulos de la app:
+// apunta config/database.js a la instancia embebida
+const testDatabase = require("./testDatabase");
+
+process.env.DB_HOST = testDatabase.host;
+process.env.DB_PORT = String(testDatabase.port);
+process.env.DB_USER = testDatabase.user;
+process.env.DB_PASSWORD = testDatabase.password;
+process.env.DB_NAME = testDatabase.database;
+
+// Hash rápido en pruebas
+process.env.BCRYPT_SALT_ROUNDS = "4";
+
+// Umbrales bajos de intentos de OTP para ejercitar el bloqueo
+process.env.OTP_MAX_ATTEMPTS = "3";
+process.env.OTP_LOCKOUT_MAX_FAILURES = "5";
+
+// Bloqueo de inicio de sesión tras 3 fallos consecutivos
+process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+
+// Vigencia distinta por propósito; el barrido periódico no se programa en pruebas
+process.env.OTP_TTL_MINUTES_EMAIL_VERIFICATION = "60";
+process.env.OTP_SWEEPER_ENABLED = "false";
+
+// Clave AES-256 (64 hex) con la que se cifran los secretos TOTP
+process.env.TOTP_ENCRYPTION_KEY = "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef";
+
+// Base de los enlaces enviados al usuario (la barra final se ignora)
+process.env.PUBLIC_BASE_URL = "https://app.example.com/";
+
+// Credenciales de servicio usadas por tests/helpers/auth.js
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.API_KEYS = "admin-console:test-admin-key:admin;auth-service:test-service-key:service";
+
+// Par de claves RS256: la pública la usa el servicio, la privada la usan las pruebas para firmar
+const { publicKey, privateKey } = require("crypto").generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+process.env.JWT_PUBLIC_KEY = publicKey;
+process.env.TEST_JWT_PRIVATE_KEY = privateKey;
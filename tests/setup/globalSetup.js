@@ -0,0 +1,30 @@
+const testDatabase = require("./testDatabase");
+
+/**
+ * Levanta una instancia embebida de PostgreSQL, crea la base de pruebas
+ * y aplica las migraciones del repositorio.
+ */
+module.exports = async () => {
+    const { default: EmbeddedPostgres } = await import("embedded-postgres");
+
+    const postgres = new EmbeddedPostgres({
+        databaseDir: testDatabase.dataDir,
+        user: testDatabase.user,
+        password: testDatabase.password,
+        port: testDatabase.port,
+        persistent: false,
+        createPostgresUser: true,
+        onLog: () => {},
+    });
+
+    await postgres.initialise();
+    await postgres.start();
+    await postgres.createDatabase(testDatabase.database);
+    globalThis.__EMBEDDED_POSTGRES__ = postgres;
+
+    require("./env");
+    const pool = require("../../config/database");
+    const MigrationRunner = require("../../migrations/migrationRunner");
+    await new MigrationRunner({ db: pool }).up();
+    await pool.end();
+};
@@ -0,0 +1,5 @@
+module.exports = async () => {
+    if (globalThis.__EMBEDDED_POSTGRES__) {
+        await globalThis.__EMBEDDED_POSTGRES__.stop();
+    }
+};
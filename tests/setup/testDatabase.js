@@ -0,0 +1,12 @@
+const os = require("os");
+const path = require("path");
+
+// Parámetros de la instancia embebida de PostgreSQL usada por las pruebas
+module.exports = {
+    host: "localhost",
+    port: parseInt(process.env.TEST_DB_PORT) || 54329,
+    user: "postgres",
+    password: "postgres",
+    database: "usuariosdb_test",
+    dataDir: path.join(os.tmpdir(), `servicio-datos-test-pg-${process.pid}`),
+};
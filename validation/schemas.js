@@ -0,0 +1,288 @@
+const net = require("net");
+const UserListFilters = require("../models/UserListFilters");
+const { ACCOUNT_STATUSES } = require("../domain/accountStatusMachine");
+const { OTP_PURPOSES } = require("../domain/otpPurpose");
+const { NOTIFICATION_CHANNELS } = require("../domain/notificationChannel");
+
+/**
+ * Esquemas declarativos de validación para cada payload de la API.
+ * Ver validation/validator.js para el formato.
+ */
+
+// Máximo de una columna SERIAL (INTEGER de Postgres): un ID mayor no puede existir y la consulta fallaría con 22003
+const MAX_SERIAL_ID = 2147483647;
+
+const idParamsSchema = {
+    fields: {
+        id: { type: "integer", required: true, min: 1, max: MAX_SERIAL_ID, label: "El ID del usuario" }
+    }
+};
+
+const userRegisterSchema = {
+    fields: {
+        name: { type: "string", required: true, minLength: 1, maxLength: 100, label: "El nombre" },
+        email: { type: "email", required: true, maxLength: 150, label: "El email" },
+        password: { type: "string", required: true, maxLength: 72, label: "La contraseña" },
+        phone: { type: "phone", required: false, label: "El teléfono" }
+    }
+};
+
+const userUpdateSchema = {
+    fields: {
+        name: { type: "string", minLength: 1, maxLength: 100, label: "El nombre" },
+        email: { type: "email", maxLength: 150, label: "El email" },
+        phone: { type: "phone", label: "El teléfono" }
+    },
+    atLeastOne: ["name", "email", "phone"]
+};
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const LOCALE_REGEX = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const isHttpUrl = (value) => {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const isIanaTimezone = (value) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Campos editables del perfil; null o "" borra el valor
+const profileUpdateSchema = {
+    fields: {
+        display_name: { type: "string", maxLength: 100, label: "El nombre visible" },
+        bio: { type: "string", maxLength: 500, label: "La biografía" },
+        avatar_url: {
+            type: "string",
+            maxLength: 500,
+            label: "La URL del avatar",
+            custom: (value) => (isHttpUrl(value) ? null : "La URL del avatar debe ser una URL http(s) válida")
+        },
+        locale: {
+            type: "string",
+            pattern: LOCALE_REGEX,
+            patternMessage: "El idioma debe tener el formato ll o ll-PP (p. ej. es o es-CO)",
+            label: "El idioma"
+        },
+        timezone: {
+            type: "string",
+            maxLength: 64,
+            label: "La zona horaria",
+            custom: (value) => (isIanaTimezone(value) ? null : "La zona horaria debe ser un identificador IANA (p. ej. America/Bogota)")
+        },
+        birthdate: {
+            type: "date",
+            label: "La fecha de nacimiento",
+            custom: (value) => {
+                if (!DATE_ONLY_REGEX.test(value)) return "La fecha de nacimiento debe tener el formato AAAA-MM-DD";
+                if (value < "1900-01-01" || new Date(value) > new Date()) return "La fecha de nacimiento está fuera de rango";
+                return null;
+            }
+        }
+    },
+    atLeastOnePresent: ["display_name", "bio", "avatar_url", "locale", "timezone", "birthdate"]
+};
+
+const userIncludeQuerySchema = {
+    fields: {
+        include: { type: "enum", values: ["profile"], label: "El parámetro include" }
+    }
+};
+
+const paginationQuerySchema = {
+    fields: {
+        page: { type: "integer", min: 1, label: "El número de página" },
+        size: { type: "integer", min: 1, max: 100, label: "El tamaño de página" },
+        mode: { type: "enum", values: ["offset", "cursor"], label: "El modo de paginación" },
+        cursor: { type: "string", maxLength: 512, label: "El cursor" },
+        includeTotal: { type: "boolean", label: "includeTotal" },
+        status: { type: "enum", values: UserListFilters.STATUSES, label: "El estado de cuenta" },
+        createdFrom: { type: "date", label: "createdFrom" },
+        createdTo: { type: "date", label: "createdTo" },
+        search: { type: "string", minLength: 1, maxLength: 100, label: "La búsqueda" },
+        sort: { type: "enum", values: UserListFilters.SORT_FIELDS, label: "El campo de ordenamiento" },
+        direction: { type: "enum", values: UserListFilters.DIRECTIONS, label: "La dirección de ordenamiento" }
+    }
+};
+
+const emailQuerySchema = {
+    fields: {
+        value: { type: "email", required: true, label: "El email" }
+    }
+};
+
+const checkOtpFormatSchema = {
+    fields: {
+        otp: { type: "string", required: true, maxLength: 20, label: "El OTP" }
+    }
+};
+
+const passwordResetSchema = {
+    fields: {
+        otp: checkOtpFormatSchema.fields.otp,
+        email: { type: "email", required: true, label: "El email" },
+        password: { type: "string", required: true, maxLength: 72, label: "La contraseña" }
+    }
+};
+
+// El email se cambia con este flujo: PUT /api/users/:id no acepta un email distinto del actual
+const emailChangeRequestSchema = {
+    fields: {
+        new_email: { type: "email", required: true, maxLength: 150, label: "El email nuevo" }
+    }
+};
+
+const emailChangeConfirmSchema = {
+    fields: {
+        otp: checkOtpFormatSchema.fields.otp
+    }
+};
+
+// La política de contraseñas (security/passwordPolicy.js) se aplica después, en el repositorio, con un error por regla
+const passwordChangeSchema = {
+    fields: {
+        currentPassword: { type: "string", required: true, maxLength: 72, label: "La contraseña actual" },
+        newPassword: { type: "string", required: true, maxLength: 72, label: "La nueva contraseña" }
+    }
+};
+
+const otpPurposeRule = { type: "enum", values: OTP_PURPOSES, label: "El propósito del OTP" };
+
+const otpCreationSchema = {
+    fields: {
+        email: { type: "email", required: true, label: "El email" },
+        purpose: otpPurposeRule,
+        channel: { type: "enum", values: NOTIFICATION_CHANNELS, label: "El canal de entrega" }
+    }
+};
+
+const otpVerifySchema = {
+    fields: {
+        email: { type: "email", required: true, label: "El email" },
+        otp: checkOtpFormatSchema.fields.otp,
+        purpose: otpPurposeRule
+    }
+};
+
+const otpIdParamsSchema = {
+    fields: {
+        id: { type: "integer", required: true, min: 1, max: MAX_SERIAL_ID, label: "El ID del OTP" }
+    }
+};
+
+const otpStatusQuerySchema = {
+    fields: {
+        email: { type: "email", required: true, label: "El email" },
+        purpose: otpPurposeRule
+    }
+};
+
+const totpCodeRule = {
+    type: "string",
+    pattern: /^\d{6}$/,
+    patternMessage: "El código de verificación debe tener 6 dígitos",
+    label: "El código de verificación"
+};
+
+const recoveryCodeRule = { type: "string", maxLength: 20, label: "El código de recuperación" };
+
+// Con el doble factor activo, la verificación de credenciales y el inicio de sesión exigen totp_code o recovery_code
+const verifyCredentialsSchema = {
+    fields: {
+        email: { type: "email", required: true, label: "El email" },
+        password: { type: "string", required: true, maxLength: 72, label: "La contraseña" },
+        totp_code: totpCodeRule,
+        recovery_code: recoveryCodeRule
+    }
+};
+
+// Datos del cliente final que el servicio llamante reenvía para asociarlos a la sesión
+const sessionClientFields = {
+    user_agent: { type: "string", maxLength: 500, label: "El user agent" },
+    ip_address: {
+        type: "string",
+        label: "La IP",
+        custom: (value) => (net.isIP(value) ? null : "La IP debe ser una dirección IPv4 o IPv6 válida")
+    }
+};
+
+const loginSchema = {
+    fields: {
+        ...verifyCredentialsSchema.fields,
+        device_name: { type: "string", maxLength: 100, label: "El nombre del dispositivo" },
+        ...sessionClientFields
+    }
+};
+
+const totpConfirmSchema = {
+    fields: {
+        code: { ...totpCodeRule, required: true }
+    }
+};
+
+// Operaciones sobre un doble factor activo: un código de la app o uno de recuperación
+const totpFactorSchema = {
+    fields: {
+        code: totpCodeRule,
+        recovery_code: recoveryCodeRule
+    },
+    atLeastOne: ["code", "recovery_code"]
+};
+
+const refreshTokenSchema = {
+    fields: {
+        refresh_token: { type: "string", required: true, maxLength: 100, label: "El refresh token" },
+        ...sessionClientFields
+    }
+};
+
+const sessionParamsSchema = {
+    fields: {
+        id: idParamsSchema.fields.id,
+        sid: { type: "integer", required: true, min: 1, max: MAX_SERIAL_ID, label: "El ID de la sesión" }
+    }
+};
+
+// Sin status se verifica la cuenta (PENDING_VALIDATION → VERIFIED) con un OTP de EMAIL_VERIFICATION
+const accountStatusChangeSchema = {
+    fields: {
+        status: { type: "enum", values: ACCOUNT_STATUSES, label: "El estado de cuenta" },
+        reason: { type: "string", minLength: 1, maxLength: 500, requiredWith: "status", label: "El motivo" },
+        otp: { ...checkOtpFormatSchema.fields.otp, required: false, requiredWithout: "status" }
+    }
+};
+
+module.exports = {
+    idParamsSchema,
+    userRegisterSchema,
+    userUpdateSchema,
+    paginationQuerySchema,
+    emailQuerySchema,
+    passwordResetSchema,
+    passwordChangeSchema,
+    emailChangeRequestSchema,
+    emailChangeConfirmSchema,
+    profileUpdateSchema,
+    userIncludeQuerySchema,
+    otpCreationSchema,
+    otpVerifySchema,
+    otpIdParamsSchema,
+    otpStatusQuerySchema,
+    checkOtpFormatSchema,
+    verifyCredentialsSchema,
+    loginSchema,
+    refreshTokenSchema,
+    sessionParamsSchema,
+    totpConfirmSchema,
+    totpFactorSchema,
+    accountStatusChangeSchema,
+};
@@ -0,0 +1,163 @@
+/**
+ * Validador declarativo de payloads.
+ *
+ * Un esquema tiene la forma:
+ * {
+ *   fields: {
+ *     email: { type: 'email', required: true, maxLength: 150 },
+ *     page:  { type: 'integer', min: 1 }
+ *   },
+ *   atLeastOne: ['name', 'email']   // opcional
+ * }
+ *
+ * `atLeastOnePresent` funciona como `atLeastOne` pero acepta campos enviados con null o "" (PATCH que borra valores).
+ *
+ * `requiredWith: 'otroCampo'` vuelve obligatorio un campo cuando otroCampo viene informado;
+ * `requiredWithout: 'otroCampo'`, cuando otroCampo no viene.
+ *
+ * Tipos soportados: string, email, phone, integer, boolean, date (ISO 8601), enum (con `values`).
+ * Todas las violaciones se acumulan; nunca se detiene en el primer error.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9\s\-()]{7,20}$/;
+const INTEGER_REGEX = /^-?\d+$/;
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Fecha ISO 8601 que existe en el calendario: Date.parse acepta días imposibles (2026-02-30) que PostgreSQL rechaza
+ * @param {string} value - Texto recibido
+ * @returns {boolean}
+ */
+const isIsoDate = (value) => {
+    const match = typeof value === "string" ? ISO_DATE_REGEX.exec(value) : null;
+    if (!match || isNaN(Date.parse(value))) return false;
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map((part) => Number(part ?? 0));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        && hours <= 23 && minutes <= 59 && seconds <= 59;
+};
+
+const isEmpty = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const typeCheckers = {
+    string: (value) => typeof value === "string",
+    email: (value) => typeof value === "string" && EMAIL_REGEX.test(value.trim()),
+    phone: (value) => typeof value === "string" && PHONE_REGEX.test(value.trim()),
+    integer: (value) =>
+        (typeof value === "number" && Number.isInteger(value)) ||
+        (typeof value === "string" && INTEGER_REGEX.test(value)),
+    boolean: (value) => typeof value === "boolean" || value === "true" || value === "false",
+    date: isIsoDate,
+    enum: (value, rule) => rule.values.includes(value),
+};
+
+const typeMessages = {
+    string: "debe ser una cadena de texto",
+    email: "debe ser un email válido",
+    phone: "debe ser un teléfono válido",
+    integer: "debe ser un número entero",
+    boolean: "debe ser verdadero o falso",
+    date: "debe ser una fecha ISO 8601 válida",
+    enum: "tiene un valor no permitido",
+};
+
+/**
+ * Valida un campo individual contra su regla
+ * @param {string} field - Nombre del campo
+ * @param {*} value - Valor recibido
+ * @param {Object} rule - Regla declarativa del campo
+ * @returns {Array<Object>} Errores encontrados para el campo
+ */
+function validateField(field, value, rule) {
+    const label = rule.label || field;
+
+    if (isEmpty(value)) {
+        return rule.required
+            ? [{ field, rule: "required", message: `${label} es obligatorio` }]
+            : [];
+    }
+
+    const checker = typeCheckers[rule.type || "string"];
+    if (!checker(value, rule)) {
+        const message = rule.type === "enum"
+            ? `${label} debe ser uno de: ${rule.values.join(", ")}`
+            : `${label} ${typeMessages[rule.type || "string"]}`;
+        return [{ field, rule: "type", message }];
+    }
+
+    const errors = [];
+
+    if (typeof value === "string") {
+        const length = value.trim().length;
+        if (rule.minLength !== undefined && length < rule.minLength) {
+            errors.push({ field, rule: "minLength", message: `${label} debe tener al menos ${rule.minLength} caracteres` });
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+            errors.push({ field, rule: "maxLength", message: `${label} debe tener como máximo ${rule.maxLength} caracteres` });
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push({ field, rule: "pattern", message: rule.patternMessage || `${label} tiene un formato inválido` });
+        }
+    }
+
+    if (rule.type === "integer") {
+        const number = Number(value);
+        if (rule.min !== undefined && number < rule.min) {
+            errors.push({ field, rule: "min", message: `${label} debe ser mayor o igual a ${rule.min}` });
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            errors.push({ field, rule: "max", message: `${label} debe ser menor o igual a ${rule.max}` });
+        }
+    }
+
+    if (typeof rule.custom === "function") {
+        const customMessage = rule.custom(value);
+        if (customMessage) {
+            errors.push({ field, rule: "custom", message: customMessage });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Valida un objeto completo contra un esquema
+ * @param {Object} schema - Esquema declarativo
+ * @param {Object} data - Datos a validar
+ * @returns {Array<Object>} Lista de errores ({ field, rule, message }); vacía si es válido
+ */
+function validate(schema, data = {}) {
+    const source = data || {};
+    const errors = [];
+
+    Object.entries(schema.fields || {}).forEach(([field, rule]) => {
+        const conditionallyRequired =
+            (rule.requiredWith && !isEmpty(source[rule.requiredWith])) ||
+            (rule.requiredWithout && isEmpty(source[rule.requiredWithout]));
+        const effectiveRule = conditionallyRequired ? { ...rule, required: true } : rule;
+        errors.push(...validateField(field, source[field], effectiveRule));
+    });
+
+    if (Array.isArray(schema.atLeastOne) && schema.atLeastOne.every((field) => isEmpty(source[field]))) {
+        errors.push({
+            field: schema.atLeastOne.join("|"),
+            rule: "atLeastOne",
+            message: `Debe proporcionar al menos uno de: ${schema.atLeastOne.join(", ")}`
+        });
+    }
+
+    if (Array.isArray(schema.atLeastOnePresent) && schema.atLeastOnePresent.every((field) => source[field] === undefined)) {
+        errors.push({
+            field: schema.atLeastOnePresent.join("|"),
+            rule: "atLeastOne",
+            message: `Debe proporcionar al menos uno de: ${schema.atLeastOnePresent.join(", ")}`
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validate, validateField };